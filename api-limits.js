@@ -0,0 +1,187 @@
+// =============================================================================
+// API Limits - usage tracking and self-throttling per org
+// =============================================================================
+//
+// Salesforce reports the org's daily API usage on every REST response in
+// the Sforce-Limit-Info header (api-usage=25/15000); recordResponse keeps
+// the latest figure per org. GET /api/sf/limits (mounted here as /) adds the
+// full /limits resource: daily API requests, Bulk API and streaming usage.
+//
+// Once usage passes SF_API_THROTTLE_PERCENT (default 90) the proxy refuses
+// non-critical calls with 429 QUOTA_EXCEEDED, so lists, searches, exports
+// and bulk work can't use up the rest of the org's allocation. Calls a
+// person is waiting on for a single record still go through. The daily
+// allocation is a rolling 24 hour window, so queuing the calls wouldn't
+// help; they are refused instead.
+
+const express = require('express');
+const { getConnection } = require('./auth/session-handler');
+const { createApiError } = require('./error-handling');
+
+const API_VERSION = 'v58.0';
+const LIMITS_TTL_MS = 60 * 1000;
+const LIMIT_INFO_PATTERN = /api-usage=(\d+)\/(\d+)/;
+const RECORD_ID = '[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?';
+
+// [method or '*', path under /api/sf] of calls that are never throttled
+const CRITICAL_ROUTES = [
+    ['*', /^\/auth\//],
+    ['*', /^\/limits$/],
+    ['POST', /^\/(contacts|leads)$/],
+    ['POST', /^\/contacts\/(duplicates|merge|merge\/preview)$/],
+    ['*', new RegExp(`^/contacts/${RECORD_ID}$`)],
+    ['POST', new RegExp(`^/contacts/${RECORD_ID}/restore$`)],
+    ['POST', /^\/sobjects\/[^/]+$/],
+    ['PUT', /^\/(contacts|leads|sobjects\/[^/]+)\/by\/[^/]+\/[^/]+$/],
+    ['*', new RegExp(`^/sobjects/[^/]+/(describe|${RECORD_ID})$`)]
+];
+
+function readThreshold(value) {
+    const percent = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(percent) && percent > 0 ? percent : 90;
+}
+
+// { max, remaining, used, percentUsed } for one entry of the /limits resource
+function toUsage(limit) {
+    if (!limit || typeof limit.Max !== 'number') {
+        return null;
+    }
+    const used = limit.Max - limit.Remaining;
+    return {
+        max: limit.Max,
+        remaining: limit.Remaining,
+        used: used,
+        percentUsed: limit.Max > 0 ? Math.round(used / limit.Max * 1000) / 10 : 0
+    };
+}
+
+// Limits whose names match, keyed by camel-cased name
+function pickLimits(limits, pattern) {
+    return Object.keys(limits)
+        .filter(name => pattern.test(name))
+        .reduce((picked, name) => {
+            const usage = toUsage(limits[name]);
+            if (usage) {
+                picked[name.charAt(0).toLowerCase() + name.slice(1)] = usage;
+            }
+            return picked;
+        }, {});
+}
+
+function isCriticalRequest(req) {
+    const path = `${req.baseUrl}${req.path}`.replace(/^\/api\/sf/, '').replace(/\/$/, '');
+    return CRITICAL_ROUTES.some(([method, pattern]) => (method === '*' || method === req.method) && pattern.test(path));
+}
+
+function createApiLimits({ makeAuthenticatedRequest, sendAuthenticationRequired, sendError, thresholdPercent = readThreshold(process.env.SF_API_THROTTLE_PERCENT) }) {
+    // Latest daily API usage keyed by org
+    const usageByOrg = new Map();
+    // Cached /limits responses keyed by org
+    const limitsCache = new Map();
+
+    function setUsage(org, used, max, source) {
+        usageByOrg.set(org, { used, max, source, updatedAt: new Date().toISOString() });
+    }
+
+    // Take the org's daily API usage from a Salesforce response
+    function recordResponse(org, response) {
+        const match = LIMIT_INFO_PATTERN.exec(response.headers.get('Sforce-Limit-Info') || '');
+        if (match) {
+            setUsage(org, Number(match[1]), Number(match[2]), 'header');
+        }
+    }
+
+    function describeUsage(org) {
+        const usage = usageByOrg.get(org);
+        if (!usage) {
+            return null;
+        }
+        return {
+            used: usage.used,
+            max: usage.max,
+            remaining: Math.max(0, usage.max - usage.used),
+            percentUsed: usage.max > 0 ? Math.round(usage.used / usage.max * 1000) / 10 : 0,
+            source: usage.source,
+            updatedAt: usage.updatedAt
+        };
+    }
+
+    function isThrottled(org) {
+        const usage = describeUsage(org);
+        return !!usage && thresholdPercent < 100 && usage.percentUsed >= thresholdPercent;
+    }
+
+    // Refuse a non-critical call while the org is over the threshold
+    function checkThrottle(req, org) {
+        if (!isThrottled(org) || isCriticalRequest(req)) {
+            return;
+        }
+        const usage = describeUsage(org);
+        throw createApiError(429, 'QUOTA_EXCEEDED',
+            `Org "${org}" has used ${usage.percentUsed}% of its daily API requests, so only single-record calls are allowed until usage drops below ${thresholdPercent}%`, {
+                org,
+                apiUsage: usage,
+                thresholdPercent
+            });
+    }
+
+    async function fetchLimits(req, connection, refresh) {
+        const cached = limitsCache.get(connection.org);
+        if (!refresh && cached && Date.now() - cached.fetchedAt < LIMITS_TTL_MS) {
+            return cached;
+        }
+
+        const { data } = await makeAuthenticatedRequest(req, `${connection.instanceUrl}/services/data/${API_VERSION}/limits`);
+        const daily = toUsage(data.DailyApiRequests);
+        if (daily) {
+            setUsage(connection.org, daily.used, daily.max, 'limits');
+        }
+
+        const entry = { data, fetchedAt: Date.now() };
+        limitsCache.set(connection.org, entry);
+        return entry;
+    }
+
+    const router = express.Router();
+
+    // Usage and remaining headroom for the routed org (?refresh=true skips the cache)
+    router.get('/', async (req, res) => {
+        try {
+            const connection = getConnection(req);
+            if (!connection) {
+                return sendAuthenticationRequired(res);
+            }
+
+            const { data, fetchedAt } = await fetchLimits(req, connection, req.query.refresh === 'true');
+
+            res.json({
+                org: connection.org,
+                apiUsage: describeUsage(connection.org),
+                throttle: {
+                    thresholdPercent,
+                    active: isThrottled(connection.org)
+                },
+                limits: {
+                    dailyApiRequests: toUsage(data.DailyApiRequests),
+                    bulk: pickLimits(data, /Bulk/),
+                    streaming: pickLimits(data, /Streaming/)
+                },
+                fetchedAt: new Date(fetchedAt).toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Get limits error:', error);
+            sendError(res, error);
+        }
+    });
+
+    return {
+        router,
+        recordResponse,
+        checkThrottle,
+        describeUsage
+    };
+}
+
+module.exports = {
+    createApiLimits
+};
@@ -0,0 +1,311 @@
+// =============================================================================
+// Audit Log - an append-only record of updates, deletes and restores
+// =============================================================================
+//
+// Each update, delete or restore made through the proxy appends one JSON
+// line to SF_AUDIT_LOG_PATH (default .data/sf-audit.jsonl): who made it, in
+// which org, the record, each field's value before and after, what
+// Salesforce answered and how long it took. The "before" values of an update
+// or delete are read from Salesforce just ahead of the write, so it costs
+// one extra API call (one per 200 records for bulk writes). Failed writes
+// of a single record are logged too; bulk writes and merges log the records
+// they wrote. Entries are never rewritten; /api/audit reads them back.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const express = require('express');
+const { getConnection, connectionActor } = require('./auth/session-handler');
+const { createValidationError, sendError } = require('./error-handling');
+const { buildSoql } = require('./query-builder');
+
+const API_VERSION = 'v58.0';
+const DEFAULT_PATH = path.join(__dirname, '.data', 'sf-audit.jsonl');
+const OPERATIONS = ['update', 'delete', 'restore'];
+const MAX_LIST_LIMIT = 500;
+// Records read per query for the "before" values of a bulk write
+const SNAPSHOT_BATCH_SIZE = 200;
+// Compound and binary fields can't be selected for many records at once;
+// an address's parts are selected as fields of their own
+const UNSELECTABLE_TYPES = ['address', 'location', 'base64'];
+
+function loadAuditOptions(env = process.env) {
+    return {
+        filePath: env.SF_AUDIT_LOG_PATH || DEFAULT_PATH
+    };
+}
+
+// Entries are scoped to the Salesforce org, or the instance URL for
+// connections without an identity URL
+function orgMatches(entry, actor) {
+    return actor.orgId ? entry.orgId === actor.orgId : entry.instanceUrl === actor.instanceUrl;
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Field-level changes: for an update, each field sent whose value differs;
+// for a delete, every field that had a value
+function diffRecord(before, after) {
+    if (after === null) {
+        return Object.entries(before)
+            .filter(([, value]) => value !== null)
+            .map(([field, value]) => ({ field, before: value, after: null }));
+    }
+    return Object.entries(after)
+        .filter(([field, value]) => !sameValue(before[field], value))
+        .map(([field, value]) => ({ field, before: before[field] ?? null, after: value ?? null }));
+}
+
+function parseTime(value, name) {
+    if (value === undefined) {
+        return null;
+    }
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw createValidationError(`${name} must be an ISO 8601 date or time`);
+    }
+    return time;
+}
+
+function createAuditLog({ makeAuthenticatedRequest, sendAuthenticationRequired, options = loadAuditOptions() }) {
+    const { filePath } = options;
+    let writeQueue = Promise.resolve();
+
+    // Appends are serialized; a failed one doesn't stop the ones after it
+    function append(entry) {
+        const write = writeQueue.then(async () => {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+        });
+        writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    function appendEntry(entry) {
+        return append(entry).catch(error => {
+            // Keep the entry in the server log rather than lose it
+            console.error('❌ Could not write audit log:', error.message, JSON.stringify(entry));
+        });
+    }
+
+    function createEntry(req, { at, operation, type, recordId, changes, response, latencyMs }) {
+        const actor = connectionActor(req);
+        return {
+            id: crypto.randomUUID(),
+            at,
+            requestId: req.res?.locals.requestId || null,
+            org: actor.org,
+            orgId: actor.orgId,
+            instanceUrl: actor.instanceUrl,
+            userId: actor.userId,
+            username: actor.username,
+            operation,
+            type,
+            recordId,
+            changes,
+            response,
+            latencyMs
+        };
+    }
+
+    // The record as it is now: the given fields, or all of them
+    async function fetchBefore(req, type, id, fields) {
+        const connection = getConnection(req);
+        const query = fields ? `?fields=${encodeURIComponent(fields.join(','))}` : '';
+        const { data } = await makeAuthenticatedRequest(
+            req,
+            `${connection.instanceUrl}/services/data/${API_VERSION}/sobjects/${type}/${encodeURIComponent(id)}${query}`
+        );
+        const { attributes, ...record } = data;
+        return record;
+    }
+
+    // Run write() (an update of values, or with values null a delete) and
+    // log it with the diff against the record as it was. A record that can't
+    // be read isn't written: the error is thrown before write() runs.
+    async function auditedWrite(req, { type, id, operation, values = null }, write) {
+        const before = await fetchBefore(req, type, id, values ? Object.keys(values) : null);
+
+        const at = new Date().toISOString();
+        const started = Date.now();
+        let outcome;
+        try {
+            const result = await write();
+            outcome = { status: result.response.status, success: true, errors: [] };
+            return result;
+        } catch (error) {
+            outcome = {
+                status: error.status || null,
+                success: false,
+                errors: error.sfErrors || [{ errorCode: error.errorCode || error.code || null, message: error.message }]
+            };
+            throw error;
+        } finally {
+            await appendEntry(createEntry(req, {
+                at,
+                operation,
+                type,
+                recordId: before.Id || id,
+                changes: diffRecord(before, values),
+                response: outcome,
+                latencyMs: Date.now() - started
+            }));
+        }
+    }
+
+    // Several records as they are now, keyed by the Id asked for (a 15
+    // character Id finds its 18 character record): the given fields, or all
+    // of them. Read ahead of a bulk write, for logWrites.
+    async function fetchSnapshots(req, describe, ids, fields = null) {
+        const connection = getConnection(req);
+        const selected = ['Id', ...(fields || describe.fields
+            .filter(field => !UNSELECTABLE_TYPES.includes(field.type))
+            .map(field => field.name))
+            .filter(name => name !== 'Id')];
+        const unique = [...new Set(selected)];
+
+        const snapshots = new Map();
+        for (let start = 0; start < ids.length; start += SNAPSHOT_BATCH_SIZE) {
+            const batch = ids.slice(start, start + SNAPSHOT_BATCH_SIZE);
+            const soql = buildSoql(describe, { fields: unique, where: [{ field: 'Id', operator: 'IN', value: batch }] });
+            const { data } = await makeAuthenticatedRequest(
+                req,
+                `${connection.instanceUrl}/services/data/${API_VERSION}/query?q=${encodeURIComponent(soql)}`
+            );
+            data.records.forEach(({ attributes, ...record }) => {
+                const id = batch.find(candidate => candidate === record.Id || (candidate.length === 15 && record.Id.startsWith(candidate)));
+                snapshots.set(id || record.Id, record);
+            });
+        }
+        return snapshots;
+    }
+
+    // Log one call that wrote several records (a bulk update or delete, a
+    // merge): writes is [{ operation, recordId, before, values }] for the
+    // records that were written, values null for a delete
+    async function logWrites(req, { type, at, latencyMs, status }, writes) {
+        for (const { operation, recordId, before, values } of writes) {
+            await appendEntry(createEntry(req, {
+                at,
+                operation,
+                type,
+                recordId: before.Id || recordId,
+                changes: diffRecord(before, values),
+                response: { status, success: true, errors: [] },
+                latencyMs
+            }));
+        }
+    }
+
+    // Log one call that restored several records: results is
+    // [{ id, success, errors }] from Salesforce's undelete
+    async function logRestores(req, { type, at, latencyMs }, results) {
+        for (const result of results) {
+            await appendEntry(createEntry(req, {
+                at,
+                operation: 'restore',
+                type,
+                recordId: result.id,
+                changes: result.success ? [{ field: 'IsDeleted', before: true, after: false }] : [],
+                response: { status: 200, success: result.success, errors: result.errors },
+                latencyMs
+            }));
+        }
+    }
+
+    // Entries matching test, keeping only the last `limit`; the file is read
+    // a line at a time so it can grow without being loaded whole
+    async function readEntries(test, limit) {
+        const kept = [];
+        let totalSize = 0;
+        let lines;
+        try {
+            await fs.promises.access(filePath);
+            lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { totalSize, records: kept };
+            }
+            throw error;
+        }
+
+        for await (const line of lines) {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // A line cut short by a crash mid-append
+                continue;
+            }
+            if (test(entry)) {
+                totalSize += 1;
+                kept.push(entry);
+                if (kept.length > limit) {
+                    kept.shift();
+                }
+            }
+        }
+        return { totalSize, records: kept.reverse() };
+    }
+
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        if (!connectionActor(req)) {
+            return sendAuthenticationRequired(res);
+        }
+        next();
+    });
+
+    // This org's entries, newest first
+    router.get('/', async (req, res) => {
+        try {
+            const actor = connectionActor(req);
+            const { recordId, user, operation, type } = req.query;
+            const from = parseTime(req.query.from, 'from');
+            const to = parseTime(req.query.to, 'to');
+            const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+                throw createValidationError(`limit must be a whole number from 1 to ${MAX_LIST_LIMIT}`);
+            }
+            if (operation !== undefined && !OPERATIONS.includes(operation)) {
+                throw createValidationError(`operation must be one of ${OPERATIONS.join(', ')}`);
+            }
+
+            const userName = user === undefined ? null : String(user).toLowerCase();
+            const result = await readEntries(entry => {
+                const time = Date.parse(entry.at);
+                return orgMatches(entry, actor) &&
+                    // A 15 character Id is the start of the 18 character one logged
+                    (!recordId || entry.recordId === recordId || (String(recordId).length === 15 && entry.recordId.startsWith(recordId))) &&
+                    (!userName || String(entry.userId).toLowerCase() === userName || String(entry.username).toLowerCase() === userName) &&
+                    (!operation || entry.operation === operation) &&
+                    (!type || entry.type.toLowerCase() === String(type).toLowerCase()) &&
+                    (from === null || time >= from) &&
+                    (to === null || time <= to);
+            }, limit);
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('❌ Audit log query error:', error);
+            sendError(res, error);
+        }
+    });
+
+    return {
+        auditedWrite,
+        fetchSnapshots,
+        logWrites,
+        logRestores,
+        router
+    };
+}
+
+module.exports = {
+    loadAuditOptions,
+    createAuditLog
+};
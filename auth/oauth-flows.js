@@ -0,0 +1,118 @@
+// =============================================================================
+// OAuth Flows - Salesforce token endpoint grants
+// =============================================================================
+
+const nodeFetch = require('node-fetch');
+const crypto = require('crypto');
+
+const JWT_BEARER_GRANT = 'urn:ietf:params:oauth:grant-type:jwt-bearer';
+const JWT_LIFETIME_SECONDS = 180; // Salesforce accepts at most 3 minutes
+
+function base64UrlJson(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+// Build an RS256-signed assertion for the JWT bearer grant (RFC 7523)
+function createJwtAssertion({ clientId, username, audience, privateKey }) {
+    const now = Math.floor(Date.now() / 1000);
+    const unsigned = [
+        base64UrlJson({ alg: 'RS256', typ: 'JWT' }),
+        base64UrlJson({
+            iss: clientId,
+            sub: username,
+            aud: audience,
+            iat: now,
+            exp: now + JWT_LIFETIME_SECONDS
+        })
+    ].join('.');
+
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(privateKey, 'base64url');
+
+    return `${unsigned}.${signature}`;
+}
+
+// Token grants sent with the given fetch (the proxy passes one that can
+// record or replay the exchange, see http-cassettes.js)
+function createOAuthFlows({ fetch = nodeFetch } = {}) {
+    // POST a grant to the Salesforce token endpoint on the given host
+    async function requestToken(baseUrl, params) {
+        const response = await fetch(`${baseUrl}/services/oauth2/token`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: new URLSearchParams(params)
+        });
+
+        const data = await response.json();
+
+        return { response, data };
+    }
+
+    // Exchange an authorization code (plus optional PKCE verifier) for tokens
+    function exchangeAuthorizationCode(oauthConfig, code, codeVerifier) {
+        const params = {
+            grant_type: 'authorization_code',
+            client_id: oauthConfig.clientId,
+            client_secret: oauthConfig.clientSecret,
+            redirect_uri: oauthConfig.redirectUri,
+            code: code
+        };
+
+        if (codeVerifier) {
+            params.code_verifier = codeVerifier;
+        }
+
+        return requestToken(oauthConfig.instanceUrl, params);
+    }
+
+    // Exchange a stored refresh token for a new access token
+    function refreshAccessToken(oauthConfig, connection) {
+        return requestToken(connection.instanceUrl, {
+            grant_type: 'refresh_token',
+            client_id: oauthConfig.clientId,
+            client_secret: oauthConfig.clientSecret,
+            refresh_token: connection.refreshToken
+        });
+    }
+
+    // Username/password grant - the security token is appended to the password
+    function passwordGrant(oauthConfig, { username, password, securityToken }) {
+        return requestToken(oauthConfig.instanceUrl, {
+            grant_type: 'password',
+            client_id: oauthConfig.clientId,
+            client_secret: oauthConfig.clientSecret,
+            username: username,
+            password: `${password}${securityToken || ''}`
+        });
+    }
+
+    // JWT bearer grant - no client secret or refresh token, the assertion is
+    // signed with the private key whose certificate is on the Connected App
+    function jwtBearerGrant(oauthConfig, { username, privateKey, audience }) {
+        const assertion = createJwtAssertion({
+            clientId: oauthConfig.clientId,
+            username: username,
+            audience: audience || oauthConfig.instanceUrl,
+            privateKey: privateKey
+        });
+
+        return requestToken(oauthConfig.instanceUrl, {
+            grant_type: JWT_BEARER_GRANT,
+            assertion: assertion
+        });
+    }
+
+    return {
+        requestToken,
+        exchangeAuthorizationCode,
+        refreshAccessToken,
+        passwordGrant,
+        jwtBearerGrant
+    };
+}
+
+module.exports = {
+    createOAuthFlows,
+    createJwtAssertion
+};
@@ -0,0 +1,88 @@
+// =============================================================================
+// Org Config - named Salesforce org connections
+// =============================================================================
+//
+// SF_ORGS lists the named orgs (e.g. "prod,uat,dev1"). Each org reads its
+// settings from SF_ORG_<NAME>_* variables and falls back to the plain SF_*
+// variables, so a single-org setup needs no changes:
+//
+//   SF_ORGS=prod,uat
+//   SF_ORG_PROD_INSTANCE_URL=https://login.salesforce.com
+//   SF_ORG_UAT_INSTANCE_URL=https://test.salesforce.com
+//   SF_ORG_UAT_CLIENT_ID=...
+//   SF_ORG_UAT_CLIENT_SECRET=...
+//
+// Without SF_ORGS there is one org called "default".
+
+const fs = require('fs');
+
+const DEFAULT_ORG = 'default';
+const ORG_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+function envPrefix(name) {
+    return `SF_ORG_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+}
+
+function buildOrgConfig(name, env, port) {
+    const prefix = name === DEFAULT_ORG && !env.SF_ORGS ? 'SF_' : envPrefix(name);
+    const setting = key => env[`${prefix}${key}`] || env[`SF_${key}`] || '';
+
+    const instanceUrl = setting('INSTANCE_URL') || 'https://login.salesforce.com';
+
+    return {
+        name: name,
+        label: setting('LABEL') || name,
+        clientId: setting('CLIENT_ID'),
+        clientSecret: setting('CLIENT_SECRET'),
+        redirectUri: setting('REDIRECT_URI') || `http://localhost:${port}/api/sf/auth/callback`,
+        // Login host used for authorize/token calls (not the org's My Domain)
+        instanceUrl: instanceUrl,
+        jwt: {
+            username: setting('JWT_USERNAME'),
+            privateKey: setting('JWT_PRIVATE_KEY').replace(/\\n/g, '\n'),
+            privateKeyPath: setting('JWT_PRIVATE_KEY_PATH'),
+            audience: setting('JWT_AUDIENCE') || instanceUrl,
+            // Callers must send this as X-Api-Key to log in as the integration user
+            apiKey: setting('JWT_API_KEY')
+        }
+    };
+}
+
+// Parse all configured orgs from the environment
+function loadOrgConfigs(env = process.env, port = env.PORT || 3000) {
+    const names = env.SF_ORGS
+        ? env.SF_ORGS.split(',').map(name => name.trim()).filter(Boolean)
+        : [DEFAULT_ORG];
+
+    const orgs = new Map();
+    names.forEach(name => {
+        if (!ORG_NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid org name "${name}" in SF_ORGS (use letters, numbers, "-" or "_")`);
+        }
+        orgs.set(name, buildOrgConfig(name, env, port));
+    });
+
+    const defaultOrg = env.SF_DEFAULT_ORG || names[0];
+    if (!orgs.has(defaultOrg)) {
+        throw new Error(`SF_DEFAULT_ORG "${defaultOrg}" is not listed in SF_ORGS`);
+    }
+
+    return { orgs, defaultOrg };
+}
+
+// Read an org's JWT signing key from JWT_PRIVATE_KEY or JWT_PRIVATE_KEY_PATH
+function getJwtPrivateKey(orgConfig) {
+    if (orgConfig.jwt.privateKey) {
+        return orgConfig.jwt.privateKey;
+    }
+    if (orgConfig.jwt.privateKeyPath) {
+        return fs.readFileSync(orgConfig.jwt.privateKeyPath, 'utf8');
+    }
+    return null;
+}
+
+module.exports = {
+    DEFAULT_ORG,
+    loadOrgConfigs,
+    getJwtPrivateKey
+};
@@ -0,0 +1,206 @@
+// =============================================================================
+// Session Handler - per-session Salesforce connection state
+// =============================================================================
+//
+// Each express-session holds its own Salesforce connections, one per named
+// org (see org-config.js), so every browser that logs in gets its own
+// tokens and logging out only affects that browser. The connections live
+// in the token store (see token-manager.js) and a signed cookie carries
+// their ids, so a browser gets them back after the proxy restarts.
+//
+// The org for a request is read from req.sfOrg, which the proxy sets
+// before any route runs.
+
+const crypto = require('crypto');
+const { createTokenStore } = require('./token-manager');
+const { DEFAULT_ORG } = require('./org-config');
+
+const CONNECTION_COOKIE = 'sf_connection';
+const CONNECTION_COOKIE_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const tokenStore = createTokenStore();
+
+// Load persisted connections - call once on startup
+function loadConnections() {
+    return tokenStore.load();
+}
+
+function requestOrg(req) {
+    return req.sfOrg || DEFAULT_ORG;
+}
+
+function sessionConnections(req) {
+    if (!req.session.sfConnections) {
+        req.session.sfConnections = {};
+    }
+    return req.session.sfConnections;
+}
+
+function writeConnectionCookie(req, res) {
+    const connections = sessionConnections(req);
+
+    if (Object.keys(connections).length === 0) {
+        res.clearCookie(CONNECTION_COOKIE);
+        return;
+    }
+
+    res.cookie(CONNECTION_COOKIE, connections, {
+        signed: true,
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: CONNECTION_COOKIE_MAX_AGE
+    });
+}
+
+// Middleware: re-attach persisted connections to a fresh session
+// (requires cookie-parser with a secret)
+function restoreConnection(req, res, next) {
+    const cookieConnections = req.signedCookies && req.signedCookies[CONNECTION_COOKIE];
+
+    if (req.session && cookieConnections && typeof cookieConnections === 'object') {
+        const connections = sessionConnections(req);
+
+        Object.entries(cookieConnections).forEach(([org, id]) => {
+            if (!connections[org] && tokenStore.get(id)) {
+                connections[org] = id;
+                req.session.sfRestored = { ...req.session.sfRestored, [org]: true };
+                console.log(`♻️ Restored Salesforce connection for org "${org}" from token store`);
+            }
+        });
+    }
+
+    next();
+}
+
+// Get the Salesforce connection for the request's org (or null)
+function getConnection(req, org = requestOrg(req)) {
+    const connections = req.session && req.session.sfConnections;
+    return tokenStore.get(connections && connections[org]);
+}
+
+// Convert Salesforce's issued_at (epoch millis as a string) to ISO format
+function toIsoDate(issuedAt) {
+    const millis = Number(issuedAt);
+    return Number.isFinite(millis) && millis > 0 ? new Date(millis).toISOString() : new Date().toISOString();
+}
+
+// Store a new login for the request's org on the current session
+// source describes how the tokens were obtained (e.g. 'authorization_code'),
+// details holds anything needed to re-authenticate later (e.g. the JWT username)
+async function setConnection(req, res, tokenData, source, details = {}) {
+    const org = requestOrg(req);
+    const connections = sessionConnections(req);
+    const previousId = connections[org];
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+
+    const connection = await tokenStore.save(id, {
+        org: org,
+        accessToken: tokenData.access_token,
+        refreshToken: tokenData.refresh_token || null,
+        instanceUrl: tokenData.instance_url,
+        idUrl: tokenData.id || null,
+        source: source,
+        ...details,
+        issuedAt: toIsoDate(tokenData.issued_at),
+        createdAt: now,
+        lastRefreshedAt: null
+    });
+
+    if (previousId) {
+        await tokenStore.delete(previousId);
+    }
+
+    connections[org] = id;
+    // A new login becomes the session's active org
+    req.session.sfActiveOrg = org;
+    if (req.session.sfRestored) {
+        delete req.session.sfRestored[org];
+    }
+
+    writeConnectionCookie(req, res);
+
+    return connection;
+}
+
+// Update a stored connection after a token refresh
+async function updateConnection(connection, tokenData) {
+    if (!tokenStore.get(connection.id)) {
+        throw new Error('Not authenticated with Salesforce');
+    }
+
+    return tokenStore.save(connection.id, {
+        ...tokenStore.get(connection.id),
+        accessToken: tokenData.access_token,
+        // Salesforce may or may not return a new refresh token on refresh
+        refreshToken: tokenData.refresh_token || connection.refreshToken,
+        instanceUrl: tokenData.instance_url || connection.instanceUrl,
+        issuedAt: toIsoDate(tokenData.issued_at),
+        lastRefreshedAt: new Date().toISOString()
+    });
+}
+
+// Remove the request org's connection from the current session only
+async function clearConnection(req, res) {
+    const org = requestOrg(req);
+    const connections = sessionConnections(req);
+
+    if (connections[org]) {
+        await tokenStore.delete(connections[org]);
+        delete connections[org];
+    }
+    if (req.session.sfRestored) {
+        delete req.session.sfRestored[org];
+    }
+
+    writeConnectionCookie(req, res);
+}
+
+// Describe where a connection came from, for /api/sf/auth/status
+function describeConnection(req, org = requestOrg(req)) {
+    const connection = getConnection(req, org);
+
+    if (!connection) {
+        return null;
+    }
+
+    return {
+        org: org,
+        source: connection.source,
+        storage: tokenStore.persistent ? tokenStore.type : 'memory',
+        restored: !!(req.session.sfRestored && req.session.sfRestored[org]),
+        issuedAt: connection.issuedAt,
+        createdAt: connection.createdAt,
+        lastRefreshedAt: connection.lastRefreshedAt
+    };
+}
+
+// Who is acting through the request's connection: the named org plus the
+// Salesforce org and user from the identity URL (.../id/<orgId>/<userId>)
+function connectionActor(req, org = requestOrg(req)) {
+    const connection = getConnection(req, org);
+    if (!connection) {
+        return null;
+    }
+
+    const [, orgId = null, userId = null] = String(connection.idUrl || '').match(/\/id\/(\w+)\/(\w+)/) || [];
+    return {
+        org: org,
+        orgId: orgId,
+        instanceUrl: connection.instanceUrl,
+        userId: userId,
+        username: connection.username || null
+    };
+}
+
+module.exports = {
+    loadConnections,
+    restoreConnection,
+    getConnection,
+    setConnection,
+    updateConnection,
+    clearConnection,
+    describeConnection,
+    connectionActor
+};
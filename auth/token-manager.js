@@ -0,0 +1,249 @@
+// =============================================================================
+// Token Manager - persistent, encrypted Salesforce token store
+// =============================================================================
+//
+// Connections are cached in memory and written through to a pluggable
+// backend so logins survive a proxy restart:
+//   TOKEN_STORE=file   (default) JSON file at TOKEN_STORE_PATH
+//   TOKEN_STORE=sqlite SQLite database at TOKEN_STORE_PATH (needs better-sqlite3)
+//
+// Access and refresh tokens are encrypted at rest with AES-256-GCM using
+// TOKEN_ENCRYPTION_KEY. Without it nothing is written: connections are kept
+// in memory only and logins end when the proxy restarts.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_STORE_DIR = path.join(__dirname, '..', '.data');
+const ENCRYPTED_FIELDS = ['accessToken', 'refreshToken'];
+
+// Derive a 256-bit key from TOKEN_ENCRYPTION_KEY, or null when it isn't set.
+// Another setting (SESSION_SECRET, or a default) is never used instead, as
+// anyone who knows it could then decrypt the stored refresh tokens.
+function getEncryptionKey() {
+    const secret = process.env.TOKEN_ENCRYPTION_KEY;
+    return secret ? crypto.createHash('sha256').update(secret).digest() : null;
+}
+
+function encrypt(value, key) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return ['v1', iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+function decrypt(value, key) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    const [version, iv, tag, ciphertext] = value.split(':');
+    if (version !== 'v1') {
+        throw new Error(`Unsupported token encryption format: ${version}`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([
+        decipher.update(Buffer.from(ciphertext, 'base64')),
+        decipher.final()
+    ]).toString('utf8');
+}
+
+// Base class - keeps the in-memory cache and handles encryption.
+// Backends implement readAll(), writeRecord(id, record) and removeRecord(id),
+// which are only called when there is a key.
+class TokenStore {
+    constructor(options = {}) {
+        this.key = options.key || getEncryptionKey();
+        this.persistent = !!this.key;
+        this.connections = new Map();
+    }
+
+    async load() {
+        if (!this.persistent) {
+            console.warn('⚠️ TOKEN_ENCRYPTION_KEY is not set - tokens are kept in memory only and logins end when the proxy restarts');
+            return 0;
+        }
+
+        const records = await this.readAll();
+        let skipped = 0;
+
+        for (const record of records) {
+            try {
+                this.connections.set(record.id, this.decryptRecord(record));
+            } catch (error) {
+                // Usually means TOKEN_ENCRYPTION_KEY changed since the record was written
+                skipped++;
+                console.warn(`⚠️ Skipping stored connection ${record.id}: ${error.message}`);
+            }
+        }
+
+        console.log(`🔐 Token store (${this.type}) loaded ${this.connections.size} connection(s)${skipped ? `, skipped ${skipped}` : ''}`);
+        return this.connections.size;
+    }
+
+    get(id) {
+        return (id && this.connections.get(id)) || null;
+    }
+
+    async save(id, connection) {
+        const record = { ...connection, id };
+        this.connections.set(id, record);
+        if (this.persistent) {
+            await this.writeRecord(id, this.encryptRecord(record));
+        }
+        return record;
+    }
+
+    async delete(id) {
+        if (!this.connections.delete(id)) {
+            return false;
+        }
+        if (this.persistent) {
+            await this.removeRecord(id);
+        }
+        return true;
+    }
+
+    encryptRecord(record) {
+        const encrypted = { ...record };
+        ENCRYPTED_FIELDS.forEach(field => {
+            encrypted[field] = encrypt(record[field], this.key);
+        });
+        return encrypted;
+    }
+
+    decryptRecord(record) {
+        const decrypted = { ...record };
+        ENCRYPTED_FIELDS.forEach(field => {
+            decrypted[field] = decrypt(record[field], this.key);
+        });
+        return decrypted;
+    }
+}
+
+// JSON file backend - rewrites the whole file atomically on every change
+class FileTokenStore extends TokenStore {
+    constructor(options = {}) {
+        super(options);
+        this.type = 'file';
+        this.filePath = options.filePath || path.join(DEFAULT_STORE_DIR, 'sf-tokens.json');
+        this.writeQueue = Promise.resolve();
+    }
+
+    async readAll() {
+        try {
+            const contents = await fs.promises.readFile(this.filePath, 'utf8');
+            return Object.values(JSON.parse(contents).connections || {});
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    writeRecord() {
+        return this.flush();
+    }
+
+    removeRecord() {
+        return this.flush();
+    }
+
+    // Serialize writes so concurrent saves never interleave. A failed write
+    // rejects only its own caller; the queue carries on for the next one.
+    flush() {
+        const write = this.writeQueue.then(async () => {
+            const connections = {};
+            for (const [id, record] of this.connections) {
+                connections[id] = this.encryptRecord(record);
+            }
+
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, JSON.stringify({ version: 1, connections }, null, 2), { mode: 0o600 });
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+}
+
+// SQLite backend - one row per connection
+class SqliteTokenStore extends TokenStore {
+    constructor(options = {}) {
+        super(options);
+        this.type = 'sqlite';
+        this.filePath = options.filePath || path.join(DEFAULT_STORE_DIR, 'sf-tokens.db');
+
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('TOKEN_STORE=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.db = new Database(this.filePath);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS sf_connections (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            )
+        `);
+    }
+
+    async readAll() {
+        return this.db.prepare('SELECT data FROM sf_connections').all()
+            .map(row => JSON.parse(row.data));
+    }
+
+    async writeRecord(id, record) {
+        this.db.prepare(`
+            INSERT INTO sf_connections (id, data, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+        `).run(id, JSON.stringify(record), new Date().toISOString());
+    }
+
+    async removeRecord(id) {
+        this.db.prepare('DELETE FROM sf_connections WHERE id = ?').run(id);
+    }
+}
+
+const STORE_TYPES = {
+    file: FileTokenStore,
+    sqlite: SqliteTokenStore
+};
+
+// Create the token store selected by TOKEN_STORE
+function createTokenStore(options = {}) {
+    const type = (options.type || process.env.TOKEN_STORE || 'file').toLowerCase();
+    const Store = STORE_TYPES[type];
+
+    if (!Store) {
+        throw new Error(`Unknown TOKEN_STORE "${type}" (expected one of: ${Object.keys(STORE_TYPES).join(', ')})`);
+    }
+
+    return new Store({
+        filePath: options.filePath || process.env.TOKEN_STORE_PATH || undefined,
+        key: options.key
+    });
+}
+
+module.exports = {
+    createTokenStore,
+    TokenStore,
+    FileTokenStore,
+    SqliteTokenStore
+};
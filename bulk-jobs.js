@@ -0,0 +1,399 @@
+// =============================================================================
+// Bulk Jobs - Salesforce Bulk API 2.0 ingest and query jobs
+// =============================================================================
+//
+// Routes are mounted at /api/sf/jobs. Ingest jobs (insert, update, upsert,
+// delete) take a CSV or JSON upload: CSV is streamed straight through to
+// Salesforce, a JSON array of records is converted to CSV first. Query jobs
+// extract large result sets. Jobs started here are remembered on the
+// session so the UI can list them and poll their progress.
+//
+// The global JSON body parser skips /ingest uploads (see salesforce-proxy.js),
+// so they are read here without its size limit.
+//
+// Salesforce applies a job's records without the proxy seeing the results,
+// so they can't be validated, audited or registered in the provenance
+// registry. Changes to contacts must be, so Contact jobs only insert.
+
+const { pipeline } = require('stream');
+const express = require('express');
+const { getConnection } = require('./auth/session-handler');
+const { createApiError, createValidationError } = require('./error-handling');
+const { likeContains, resolveFields, buildSoql, parseLimit } = require('./query-builder');
+const { recordsToCsv } = require('./csv');
+
+const API_VERSION = 'v58.0';
+const INGEST_OPERATIONS = ['insert', 'update', 'upsert', 'delete'];
+// Objects whose updates, upserts and deletes go through the audited routes only
+const AUDITED_OBJECTS = ['Contact'];
+const QUERY_OPERATIONS = ['query', 'queryAll'];
+const LINE_ENDINGS = ['LF', 'CRLF'];
+const RESULT_SETS = {
+    successful: 'successfulResults',
+    failed: 'failedResults',
+    unprocessed: 'unprocessedrecords'
+};
+const DONE_STATES = ['JobComplete', 'Failed', 'Aborted'];
+const JOB_ID_PATTERN = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+const MAX_JSON_UPLOAD_BYTES = 100 * 1024 * 1024; // Bulk API 2.0 accepts up to 100 MB of CSV per job
+const MAX_TRACKED_JOBS = 20;
+
+// Read a JSON request body without express.json's 100kb limit
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_JSON_UPLOAD_BYTES) {
+                reject(createApiError(413, 'PAYLOAD_TOO_LARGE', `Uploads are limited to ${MAX_JSON_UPLOAD_BYTES / 1024 / 1024} MB`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(createValidationError(`Request body is not valid JSON: ${error.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function createBulkJobs({ makeAuthenticatedRequest, describeSObject, sendSObjectError, sendAuthenticationRequired }) {
+    function jobsUrl(req, kind, path = '') {
+        return `${getConnection(req).instanceUrl}/services/data/${API_VERSION}/jobs/${kind}${path}`;
+    }
+
+    function requireJobId(id) {
+        if (!JOB_ID_PATTERN.test(id)) {
+            throw createValidationError(`Invalid job ID "${id}"`);
+        }
+    }
+
+    // Jobs started on this session, per org, newest first
+    function trackedJobs(req) {
+        if (!req.session.sfJobs) {
+            req.session.sfJobs = {};
+        }
+        const org = req.sfOrg;
+        if (!req.session.sfJobs[org]) {
+            req.session.sfJobs[org] = [];
+        }
+        return req.session.sfJobs[org];
+    }
+
+    function trackJob(req, kind, id) {
+        const jobs = trackedJobs(req);
+        jobs.unshift({ kind, id });
+        jobs.splice(MAX_TRACKED_JOBS);
+    }
+
+    // The parts of Salesforce's job info the UI needs, plus result links
+    function summarizeJob(kind, info) {
+        const done = DONE_STATES.includes(info.state);
+        const summary = {
+            id: info.id,
+            kind: kind,
+            object: info.object,
+            operation: info.operation,
+            state: info.state,
+            done: done,
+            createdDate: info.createdDate,
+            systemModstamp: info.systemModstamp,
+            numberRecordsProcessed: info.numberRecordsProcessed || 0,
+            errorMessage: info.errorMessage || null
+        };
+
+        if (kind === 'ingest') {
+            summary.numberRecordsFailed = info.numberRecordsFailed || 0;
+            summary.results = done ? {
+                successful: `/api/sf/jobs/ingest/${info.id}/successful`,
+                failed: `/api/sf/jobs/ingest/${info.id}/failed`,
+                unprocessed: `/api/sf/jobs/ingest/${info.id}/unprocessed`
+            } : null;
+        } else {
+            summary.results = info.state === 'JobComplete' ? `/api/sf/jobs/query/${info.id}/results` : null;
+        }
+
+        return summary;
+    }
+
+    async function getJob(req, kind, id) {
+        const { data } = await makeAuthenticatedRequest(req, jobsUrl(req, kind, `/${id}`));
+        return summarizeJob(kind, data);
+    }
+
+    // Pipe a CSV result set from Salesforce to the client
+    async function streamResults(req, res, url, filename) {
+        const { response } = await makeAuthenticatedRequest(req, url, {
+            stream: true,
+            headers: { 'Accept': 'text/csv' }
+        });
+
+        res.set('Content-Type', 'text/csv');
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        // Query results come in chunks; the locator fetches the next one
+        ['Sforce-Locator', 'Sforce-NumberOfRecords'].forEach(header => {
+            const value = response.headers.get(header);
+            if (value) {
+                res.set(header, value);
+            }
+        });
+
+        // The status line is already sent, so a download that fails midway
+        // can only be cut off: pipeline destroys res when response.body errors
+        pipeline(response.body, res, error => {
+            if (error) {
+                console.error('❌ Streaming bulk results failed:', error.message);
+            }
+        });
+    }
+
+    const router = express.Router();
+
+    // Every route needs a Salesforce connection for the routed org
+    router.use((req, res, next) => {
+        if (!getConnection(req)) {
+            return sendAuthenticationRequired(res);
+        }
+        next();
+    });
+
+    // Jobs started on this session, with their current state
+    router.get('/', async (req, res) => {
+        try {
+            const jobs = await Promise.all(trackedJobs(req).map(job =>
+                getJob(req, job.kind, job.id).catch(error => {
+                    // Jobs Salesforce has since deleted drop off the list
+                    if (error.status === 404) {
+                        return null;
+                    }
+                    throw error;
+                })
+            ));
+
+            const current = jobs.filter(Boolean);
+            req.session.sfJobs[req.sfOrg] = current.map(job => ({ kind: job.kind, id: job.id }));
+
+            res.json({ jobs: current });
+
+        } catch (error) {
+            console.error('❌ List bulk jobs error:', error);
+            sendSObjectError(res, error, 'Job');
+        }
+    });
+
+    // Start an ingest job: ?object=&operation=[&externalIdField=][&lineEnding=]
+    // with a text/csv or application/json (array of records) body
+    router.post('/ingest', async (req, res) => {
+        let jobId = null;
+
+        try {
+            const { operation, externalIdField } = req.query;
+            const lineEnding = String(req.query.lineEnding || 'LF').toUpperCase();
+
+            if (!INGEST_OPERATIONS.includes(operation)) {
+                throw createValidationError(`operation must be one of ${INGEST_OPERATIONS.join(', ')}`);
+            }
+            if (!LINE_ENDINGS.includes(lineEnding)) {
+                throw createValidationError(`lineEnding must be one of ${LINE_ENDINGS.join(', ')}`);
+            }
+
+            const describe = await describeSObject(req, String(req.query.object || ''));
+            if (operation !== 'insert' && AUDITED_OBJECTS.includes(describe.name)) {
+                throw createValidationError(
+                    `${describe.name} ${operation} jobs are not supported, as they would skip validation and the audit log; use POST /api/sf/contacts/bulk`
+                );
+            }
+
+            let externalIdFieldName;
+            if (operation === 'upsert') {
+                const [name] = resolveFields(describe, [externalIdField || ''], field => field.externalId || field.idLookup, 'an external ID');
+                externalIdFieldName = name;
+            }
+
+            // JSON is read and converted before the job exists, so bad input
+            // doesn't leave an open job behind; CSV is streamed as it arrives
+            let body;
+            if (req.is('application/json')) {
+                const records = await readJsonBody(req);
+                if (!Array.isArray(records) || records.length === 0 || records.some(record => !record || typeof record !== 'object')) {
+                    throw createValidationError('JSON uploads must be a non-empty array of records');
+                }
+                body = recordsToCsv(records);
+            } else if (req.is('text/csv')) {
+                body = req;
+            } else {
+                throw createApiError(415, 'UNSUPPORTED_MEDIA_TYPE', 'Upload the records as text/csv or application/json');
+            }
+
+            console.log(`\n=== Starting Bulk ${operation} Job for ${describe.name} ===`);
+
+            const { data: job } = await makeAuthenticatedRequest(req, jobsUrl(req, 'ingest'), {
+                method: 'POST',
+                body: JSON.stringify({
+                    object: describe.name,
+                    operation: operation,
+                    externalIdFieldName: externalIdFieldName,
+                    contentType: 'CSV',
+                    columnDelimiter: 'COMMA',
+                    lineEnding: lineEnding
+                })
+            });
+            jobId = job.id;
+
+            // The token was just used to create the job, so a streamed body
+            // is sent once and never needs replaying after a refresh. Large
+            // uploads can take longer than the request timeout.
+            await makeAuthenticatedRequest(req, jobsUrl(req, 'ingest', `/${job.id}/batches`), {
+                method: 'PUT',
+                headers: { 'Content-Type': 'text/csv' },
+                body: body,
+                timeout: 0
+            });
+
+            const { data: info } = await makeAuthenticatedRequest(req, jobsUrl(req, 'ingest', `/${job.id}`), {
+                method: 'PATCH',
+                body: JSON.stringify({ state: 'UploadComplete' })
+            });
+
+            trackJob(req, 'ingest', job.id);
+            console.log(`✅ Bulk job ${job.id} uploaded and queued`);
+
+            res.status(201).json(summarizeJob('ingest', info));
+
+        } catch (error) {
+            console.error('❌ Start bulk ingest job error:', error);
+
+            // Don't leave a half-uploaded job open in the org
+            if (jobId) {
+                await makeAuthenticatedRequest(req, jobsUrl(req, 'ingest', `/${jobId}`), {
+                    method: 'PATCH',
+                    body: JSON.stringify({ state: 'Aborted' })
+                }).catch(abortError => console.warn(`⚠️ Could not abort bulk job ${jobId}:`, abortError.message));
+            }
+
+            sendSObjectError(res, error, 'Job');
+        }
+    });
+
+    // Start a query job: { object, fields, where, limit, operation }
+    // where is [{ field, operator, value }]; LIKE matches value anywhere in the field
+    router.post('/query', async (req, res) => {
+        try {
+            const { object, fields, where = [], limit, operation = 'query' } = req.body || {};
+
+            if (!QUERY_OPERATIONS.includes(operation)) {
+                throw createValidationError(`operation must be one of ${QUERY_OPERATIONS.join(', ')}`);
+            }
+            if (!Array.isArray(fields) || fields.length === 0) {
+                throw createValidationError('fields must be a non-empty array of field names');
+            }
+            if (!Array.isArray(where)) {
+                throw createValidationError('where must be an array of conditions');
+            }
+
+            const describe = await describeSObject(req, String(object || ''));
+            const query = buildSoql(describe, {
+                fields,
+                where: where.map(condition => condition && condition.operator === 'LIKE'
+                    ? { ...condition, value: likeContains(condition.value) }
+                    : condition),
+                limit
+            });
+
+            console.log(`\n=== Starting Bulk Query Job for ${describe.name} ===`);
+            console.log('Query:', query);
+
+            const { data: info } = await makeAuthenticatedRequest(req, jobsUrl(req, 'query'), {
+                method: 'POST',
+                body: JSON.stringify({
+                    operation: operation,
+                    query: query,
+                    contentType: 'CSV',
+                    columnDelimiter: 'COMMA',
+                    lineEnding: 'LF'
+                })
+            });
+
+            trackJob(req, 'query', info.id);
+            console.log(`✅ Bulk query job ${info.id} queued`);
+
+            res.status(201).json(summarizeJob('query', info));
+
+        } catch (error) {
+            console.error('❌ Start bulk query job error:', error);
+            sendSObjectError(res, error, 'Job');
+        }
+    });
+
+    // Job state and progress
+    router.get('/:kind(ingest|query)/:id', async (req, res) => {
+        try {
+            requireJobId(req.params.id);
+            res.json(await getJob(req, req.params.kind, req.params.id));
+        } catch (error) {
+            console.error('❌ Get bulk job error:', error);
+            sendSObjectError(res, error, 'Job');
+        }
+    });
+
+    // Abort a job that hasn't finished
+    router.post('/:kind(ingest|query)/:id/abort', async (req, res) => {
+        try {
+            requireJobId(req.params.id);
+            const { data } = await makeAuthenticatedRequest(req, jobsUrl(req, req.params.kind, `/${req.params.id}`), {
+                method: 'PATCH',
+                body: JSON.stringify({ state: 'Aborted' })
+            });
+            res.json(summarizeJob(req.params.kind, data));
+        } catch (error) {
+            console.error('❌ Abort bulk job error:', error);
+            sendSObjectError(res, error, 'Job');
+        }
+    });
+
+    // Ingest result sets as CSV: successful, failed or unprocessed records
+    router.get('/ingest/:id/:resultSet(successful|failed|unprocessed)', async (req, res) => {
+        try {
+            requireJobId(req.params.id);
+            const { id, resultSet } = req.params;
+            await streamResults(req, res, jobsUrl(req, 'ingest', `/${id}/${RESULT_SETS[resultSet]}`), `${id}-${resultSet}.csv`);
+        } catch (error) {
+            console.error('❌ Get bulk job results error:', error);
+            sendSObjectError(res, error, 'Job');
+        }
+    });
+
+    // Query results as CSV, one chunk per request: pass the Sforce-Locator
+    // header of the previous chunk as ?locator= until it is "null"
+    router.get('/query/:id/results', async (req, res) => {
+        try {
+            requireJobId(req.params.id);
+            const params = new URLSearchParams();
+            if (req.query.locator) {
+                params.set('locator', String(req.query.locator));
+            }
+            if (req.query.maxRecords) {
+                params.set('maxRecords', parseLimit(req.query.maxRecords, undefined, Number.MAX_SAFE_INTEGER));
+            }
+
+            const query = params.toString() ? `?${params}` : '';
+            await streamResults(req, res, jobsUrl(req, 'query', `/${req.params.id}/results${query}`), `${req.params.id}-results.csv`);
+        } catch (error) {
+            console.error('❌ Get bulk query results error:', error);
+            sendSObjectError(res, error, 'Job');
+        }
+    });
+
+    return { router };
+}
+
+module.exports = {
+    createBulkJobs
+};
@@ -0,0 +1,175 @@
+// =============================================================================
+// sObject Collections - batched create, update, upsert and delete
+// =============================================================================
+//
+// Records go to Salesforce 200 at a time through the sObject Collections
+// endpoints instead of one REST call each. With allOrNone, requests larger
+// than one collection are wrapped in a single Composite request so the whole
+// set still commits or rolls back together.
+
+const { createValidationError } = require('./error-handling');
+
+const API_VERSION = 'v58.0';
+const COLLECTION_SIZE = 200;
+// Composite allows at most 5 sObject Collections subrequests
+const MAX_COMPOSITE_COLLECTIONS = 5;
+const MAX_RECORDS = 2000;
+const OPERATIONS = ['create', 'update', 'upsert', 'delete'];
+const ID_PATTERN = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+
+// Salesforce error entries ({ statusCode, message, fields }) in our shape
+function toErrors(errors) {
+    return (errors || []).map(error => ({
+        code: error.statusCode || error.errorCode,
+        message: error.message,
+        fields: error.fields || []
+    }));
+}
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let index = 0; index < items.length; index += size) {
+        chunks.push(items.slice(index, index + size));
+    }
+    return chunks;
+}
+
+function createCollections({ makeAuthenticatedRequest, isAuthenticationError }) {
+    // Check the request up front so nothing is sent for a malformed batch
+    function validateItems(operation, items, externalIdField) {
+        if (!OPERATIONS.includes(operation)) {
+            throw createValidationError(`operation must be one of ${OPERATIONS.join(', ')}`);
+        }
+        if (!Array.isArray(items) || items.length === 0) {
+            throw createValidationError(operation === 'delete'
+                ? 'ids must be a non-empty array of record IDs'
+                : 'records must be a non-empty array');
+        }
+        if (items.length > MAX_RECORDS) {
+            throw createValidationError(`At most ${MAX_RECORDS} records can be sent in one request`);
+        }
+
+        const invalid = [];
+        items.forEach((item, index) => {
+            if (operation === 'delete') {
+                if (!ID_PATTERN.test(String(item))) {
+                    invalid.push({ index, message: `Invalid record ID "${item}"` });
+                }
+            } else if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                invalid.push({ index, message: 'Record must be an object of field values' });
+            } else if (operation === 'update' && !ID_PATTERN.test(String(item.Id || ''))) {
+                invalid.push({ index, message: 'Record needs a valid Id to be updated' });
+            } else if (operation === 'upsert' && (item[externalIdField] === undefined || item[externalIdField] === null || item[externalIdField] === '')) {
+                invalid.push({ index, message: `Record needs a ${externalIdField} value to be upserted` });
+            }
+        });
+
+        if (invalid.length > 0) {
+            throw createValidationError(`Invalid ${operation} request`, { records: invalid });
+        }
+    }
+
+    // The collection subrequest (method, path, body) for one batch
+    function collectionRequest(type, operation, batch, allOrNone, externalIdField) {
+        const base = `/services/data/${API_VERSION}/composite/sobjects`;
+
+        if (operation === 'delete') {
+            return {
+                method: 'DELETE',
+                url: `${base}?ids=${batch.map(encodeURIComponent).join(',')}&allOrNone=${allOrNone}`
+            };
+        }
+
+        const records = batch.map(record => {
+            const { attributes, ...fields } = record;
+            return { attributes: { type }, ...fields };
+        });
+
+        return {
+            method: operation === 'create' ? 'POST' : 'PATCH',
+            url: operation === 'upsert' ? `${base}/${type}/${encodeURIComponent(externalIdField)}` : base,
+            body: { allOrNone, records }
+        };
+    }
+
+    // Per-record results for one batch. A collection answers with one entry
+    // per record; anything else (e.g. PROCESSING_HALTED inside a rolled back
+    // Composite request) fails every record of the batch with that error.
+    function batchResults(batch, operation, body) {
+        const perRecord = Array.isArray(body) && body.length === batch.length && body.every(entry => 'success' in entry);
+
+        return batch.map((item, index) => {
+            const entry = perRecord
+                ? body[index]
+                : { success: false, errors: Array.isArray(body) ? body : [body] };
+
+            const result = { id: entry.id || (operation === 'delete' ? item : item.Id) || null, success: entry.success };
+            if (operation === 'create' || operation === 'upsert') {
+                result.created = operation === 'create' ? entry.success : !!entry.created;
+            }
+            if (!entry.success) {
+                result.errors = toErrors(entry.errors);
+            }
+            return result;
+        });
+    }
+
+    async function sendCollection(req, connection, request, batch, operation) {
+        try {
+            const { data } = await makeAuthenticatedRequest(req, `${connection.instanceUrl}${request.url}`, {
+                method: request.method,
+                body: request.body ? JSON.stringify(request.body) : undefined
+            });
+            return batchResults(batch, operation, data);
+        } catch (error) {
+            if (isAuthenticationError(error) || !error.sfErrors) {
+                throw error;
+            }
+            // A rejected collection still reports why, per record where it can
+            return batchResults(batch, operation, error.sfErrors);
+        }
+    }
+
+    async function sendComposite(req, connection, requests, batches, operation) {
+        const { data } = await makeAuthenticatedRequest(req, `${connection.instanceUrl}/services/data/${API_VERSION}/composite`, {
+            method: 'POST',
+            body: JSON.stringify({
+                allOrNone: true,
+                compositeRequest: requests.map((request, index) => ({ ...request, referenceId: `batch${index}` }))
+            })
+        });
+
+        return batches.flatMap((batch, index) => {
+            const response = data.compositeResponse.find(entry => entry.referenceId === `batch${index}`);
+            return batchResults(batch, operation, response ? response.body : { message: 'No response for this batch' });
+        });
+    }
+
+    // Run a collection operation; items are records, or IDs for delete.
+    // Resolves to one { id, success, created?, errors? } per item, in order.
+    async function runCollection(req, connection, type, operation, items, { allOrNone = false, externalIdField } = {}) {
+        validateItems(operation, items, externalIdField);
+
+        const batches = chunk(items, COLLECTION_SIZE);
+        const requests = batches.map(batch => collectionRequest(type, operation, batch, allOrNone, externalIdField));
+
+        if (allOrNone && batches.length > 1) {
+            if (batches.length > MAX_COMPOSITE_COLLECTIONS) {
+                throw createValidationError(`allOrNone supports at most ${COLLECTION_SIZE * MAX_COMPOSITE_COLLECTIONS} records per request`);
+            }
+            return sendComposite(req, connection, requests, batches, operation);
+        }
+
+        const results = [];
+        for (let index = 0; index < batches.length; index++) {
+            results.push(...await sendCollection(req, connection, requests[index], batches[index], operation));
+        }
+        return results;
+    }
+
+    return { runCollection, validateItems };
+}
+
+module.exports = {
+    createCollections
+};
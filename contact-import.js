@@ -0,0 +1,328 @@
+// =============================================================================
+// Contact Import - CSV and vCard files mapped onto Contact fields
+// =============================================================================
+//
+// Routes are mounted at /api/sf/contacts/import. The wizard in the UI sends
+// the whole file with every step: /preview parses it and suggests a column
+// to field mapping, then / checks each row against the Contact describe and,
+// unless it is a dry run, creates the valid rows through sObject Collections
+// the same way /api/sf/contacts/bulk does. Every run answers with per-row
+// results and a CSV report of them.
+
+const express = require('express');
+const { getConnection } = require('./auth/session-handler');
+const { createApiError, createValidationError } = require('./error-handling');
+const { resolveFields } = require('./query-builder');
+const { parseCsv, csvRow } = require('./csv');
+const { isVCard, parseVCards } = require('./vcard');
+
+const FORMATS = ['csv', 'vcard'];
+const MAX_IMPORT_BYTES = '10mb';
+const MAX_IMPORT_ROWS = 10000; // larger files belong in a Bulk API 2.0 job
+// One sObject Collections request, so a request that fails leaves only its own rows in doubt
+const MAX_BATCH_RECORDS = 200;
+const SAMPLE_ROWS = 5;
+
+// Other names people give common Contact columns, compared after normalize()
+const FIELD_ALIASES = {
+    FirstName: ['first', 'givenname', 'forename'],
+    LastName: ['last', 'surname', 'familyname'],
+    Email: ['emailaddress', 'email1', 'mail', 'workemail'],
+    Phone: ['telephone', 'tel', 'workphone', 'businessphone', 'officephone', 'phonenumber'],
+    MobilePhone: ['mobile', 'cell', 'cellphone', 'mobilenumber'],
+    Title: ['jobtitle', 'position'],
+    MailingStreet: ['street', 'address', 'streetaddress', 'address1'],
+    MailingCity: ['city', 'town'],
+    MailingState: ['state', 'province', 'region'],
+    MailingPostalCode: ['postalcode', 'zip', 'zipcode', 'postcode'],
+    MailingCountry: ['country'],
+    OtherStreet: ['homestreet'],
+    OtherCity: ['homecity'],
+    OtherState: ['homestate'],
+    OtherPostalCode: ['homepostalcode'],
+    OtherCountry: ['homecountry'],
+    Birthdate: ['birthday', 'dob', 'dateofbirth'],
+    Description: ['note', 'notes', 'comments']
+};
+
+function normalize(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Parse the uploaded text into { format, columns, rows }; rows are objects
+// keyed by column name, blank lines and empty cards are dropped
+function parseImportFile(content, format) {
+    if (typeof content !== 'string' || content.trim() === '') {
+        throw createValidationError('content must be the text of a CSV or vCard file');
+    }
+
+    const resolvedFormat = format || (isVCard(content) ? 'vcard' : 'csv');
+    if (!FORMATS.includes(resolvedFormat)) {
+        throw createValidationError(`format must be one of ${FORMATS.join(', ')}`);
+    }
+
+    let parsed;
+    if (resolvedFormat === 'vcard') {
+        parsed = parseVCards(content);
+    } else {
+        const [header = [], ...lines] = parseCsv(content);
+        // Blank or repeated headers still need distinct column names
+        const columns = header.map((name, index) => {
+            const trimmed = name.trim() || `Column ${index + 1}`;
+            return header.slice(0, index).some(other => other.trim() === trimmed) ? `${trimmed} (${index + 1})` : trimmed;
+        });
+        const rows = lines.map(values => columns.reduce((row, column, index) => {
+            if (values[index] !== undefined && values[index].trim() !== '') {
+                row[column] = values[index];
+            }
+            return row;
+        }, {}));
+        parsed = { columns, rows };
+    }
+
+    const rows = parsed.rows
+        .map((values, index) => ({ row: index + 1, values }))
+        .filter(({ values }) => Object.keys(values).length > 0);
+
+    if (rows.length === 0) {
+        throw createValidationError('The file has no contacts to import');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw createValidationError(`Imports are limited to ${MAX_IMPORT_ROWS} rows, use a Bulk API job for larger files`, {
+            rows: rows.length
+        });
+    }
+
+    return { format: resolvedFormat, columns: parsed.columns, rows };
+}
+
+// Suggest a createable Contact field for each column, by API name, label or
+// a known alias; each field is suggested for one column at most
+function suggestMapping(describe, columns) {
+    const candidates = describe.fields.filter(field => field.createable);
+    const taken = new Set();
+    const mapping = {};
+
+    const matchers = [
+        field => [normalize(field.name)],
+        field => [normalize(field.label)],
+        field => FIELD_ALIASES[field.name] || []
+    ];
+
+    columns.forEach(column => {
+        const key = normalize(column);
+        let match = null;
+
+        matchers.some(names => {
+            match = candidates.find(field => !taken.has(field.name) && names(field).includes(key));
+            return match;
+        });
+
+        mapping[column] = match ? match.name : null;
+        if (match) {
+            taken.add(match.name);
+        }
+    });
+
+    return mapping;
+}
+
+// Check a { column: field } mapping; unmapped columns may be null or left out
+function resolveMapping(describe, columns, mapping) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        throw createValidationError('mapping must be an object of column names to Contact fields');
+    }
+
+    const entries = Object.entries(mapping).filter(([, field]) => field);
+    const unknown = entries.filter(([column]) => !columns.includes(column)).map(([column]) => column);
+    if (unknown.length > 0) {
+        throw createValidationError('mapping names columns that are not in the file', { columns: unknown });
+    }
+
+    const fields = resolveFields(describe, entries.map(([, field]) => field), field => field.createable, 'createable');
+    const repeated = fields.filter((field, index) => fields.indexOf(field) !== index);
+    if (repeated.length > 0) {
+        throw createValidationError('Each field can be mapped from one column only', { fields: [...new Set(repeated)] });
+    }
+
+    return entries.map(([column], index) => ({
+        column,
+        field: describe.fields.find(field => field.name === fields[index])
+    }));
+}
+
+// Build the Contact record for one row, collecting every problem with it
+function validateRow(recordValidator, describe, columns, { values }) {
+    const record = {};
+    const errors = [];
+
+    columns.forEach(({ column, field }) => {
+        if (values[column] === undefined) {
+            return;
+        }
+        try {
+            record[field.name] = recordValidator.coerceValue(field, values[column]);
+        } catch (error) {
+            errors.push({ field: field.name, column, message: error.message });
+        }
+    });
+
+    describe.fields.filter(field => recordValidator.isRequired(describe, field)).forEach(field => {
+        if (record[field.name] === undefined && !errors.some(error => error.field === field.name)) {
+            errors.push({ field: field.name, message: `${field.label} is required` });
+        }
+    });
+
+    return { record, errors };
+}
+
+// One report line per row: the outcome, then the row as it was uploaded
+function buildReport(columns, rows, results) {
+    const header = ['Row', 'Status', 'Salesforce Id', 'Errors', ...columns];
+    return csvRow(header) + results.map((result, index) => csvRow([
+        result.row,
+        result.status,
+        result.id || undefined,
+        result.errors.map(error => (error.field ? `${error.field}: ${error.message}` : error.message)).join('; ') || undefined,
+        ...columns.map(column => rows[index].values[column])
+    ])).join('');
+}
+
+function summarize(results) {
+    return results.reduce((summary, result) => {
+        summary[result.status] = (summary[result.status] || 0) + 1;
+        return summary;
+    }, { total: results.length });
+}
+
+function createContactImport({ describeSObject, runCollection, recordValidator, provenance, sendSObjectError, sendAuthenticationRequired }) {
+    const router = express.Router();
+    const parseBody = express.json({ limit: MAX_IMPORT_BYTES });
+
+    // The global parser skips this router, files are larger than its limit
+    router.use((req, res, next) => {
+        parseBody(req, res, error => {
+            if (!error) {
+                return next();
+            }
+            sendSObjectError(res, error.type === 'entity.too.large'
+                ? createApiError(413, 'PAYLOAD_TOO_LARGE', `Import files are limited to ${MAX_IMPORT_BYTES}`)
+                : createValidationError('Request body must be valid JSON'), 'Contact');
+        });
+    });
+
+    router.use((req, res, next) => {
+        if (!getConnection(req)) {
+            return sendAuthenticationRequired(res);
+        }
+        next();
+    });
+
+    // Parse the file and suggest how its columns map onto Contact fields
+    router.post('/preview', async (req, res) => {
+        try {
+            const describe = await describeSObject(req, 'Contact');
+            const { format, columns, rows } = parseImportFile(req.body?.content, req.body?.format);
+
+            res.json({
+                format,
+                rowCount: rows.length,
+                columns,
+                sample: rows.slice(0, SAMPLE_ROWS).map(({ values }) => values),
+                suggestedMapping: suggestMapping(describe, columns),
+                fields: describe.fields
+                    .filter(field => field.createable)
+                    .map(field => ({ name: field.name, label: field.label, type: field.type, required: recordValidator.isRequired(describe, field) }))
+            });
+
+        } catch (error) {
+            console.error('❌ Import preview error:', error);
+            sendSObjectError(res, error, 'Contact');
+        }
+    });
+
+    // Validate every row; unless dryRun, create the valid ones
+    router.post('/', async (req, res) => {
+        try {
+            const connection = getConnection(req);
+            const describe = await describeSObject(req, 'Contact');
+            const { content, format, mapping } = req.body || {};
+            const dryRun = req.body?.dryRun === true;
+
+            const parsed = parseImportFile(content, format);
+            const columns = resolveMapping(describe, parsed.columns, mapping);
+
+            console.log('\n=== Contact Import ===');
+            console.log('Format:', parsed.format, '| Rows:', parsed.rows.length, dryRun ? '(dry run)' : '');
+
+            const checked = parsed.rows.map(row => validateRow(recordValidator, describe, columns, row));
+            const results = parsed.rows.map((row, index) => ({
+                row: row.row,
+                status: checked[index].errors.length > 0 ? 'invalid' : 'valid',
+                id: null,
+                errors: checked[index].errors
+            }));
+
+            const pending = results.filter(result => result.status === 'valid');
+            if (!dryRun) {
+                const records = checked
+                    .filter(({ errors }) => errors.length === 0)
+                    .map(({ record }) => ({ ...record, ...provenance.mirrorValues(req, describe, 'create') }));
+
+                for (let start = 0; start < records.length; start += MAX_BATCH_RECORDS) {
+                    const batch = pending.slice(start, start + MAX_BATCH_RECORDS);
+                    try {
+                        const created = await runCollection(req, connection, 'Contact', 'create', records.slice(start, start + MAX_BATCH_RECORDS));
+                        created.forEach((outcome, index) => {
+                            Object.assign(batch[index], {
+                                status: outcome.success ? 'created' : 'failed',
+                                id: outcome.id,
+                                errors: (outcome.errors || []).map(error => ({
+                                    field: (error.fields || []).join(', ') || undefined,
+                                    message: error.message
+                                }))
+                            });
+                        });
+                        await provenance.record(req, 'Contact', created
+                            .filter(outcome => outcome.success)
+                            .map(outcome => ({ id: outcome.id, operation: 'create' })));
+                    } catch (error) {
+                        // Rows already created must still be reported. A failed request
+                        // may have created part of its batch anyway, so those rows are
+                        // unknown; the batches after it were never sent.
+                        batch.forEach(result => Object.assign(result, {
+                            status: 'unknown',
+                            errors: [{ message: error.message }]
+                        }));
+                        pending.slice(start + batch.length).forEach(result => Object.assign(result, {
+                            status: 'unprocessed',
+                            errors: [{ message: 'Not sent, as the import stopped after an earlier batch failed' }]
+                        }));
+                        break;
+                    }
+                }
+            }
+
+            const summary = summarize(results);
+            console.log(`✅ Contact import ${dryRun ? 'checked' : 'finished'}:`, JSON.stringify(summary));
+
+            res.json({
+                dryRun,
+                format: parsed.format,
+                summary,
+                results,
+                report: buildReport(parsed.columns, parsed.rows, results)
+            });
+
+        } catch (error) {
+            console.error('❌ Contact import error:', error);
+            sendSObjectError(res, error, 'Contact');
+        }
+    });
+
+    return { router };
+}
+
+module.exports = {
+    createContactImport
+};
@@ -0,0 +1,219 @@
+// =============================================================================
+// Contact Merge - combine up to three contacts into one
+// =============================================================================
+//
+// Routes are mounted at /api/sf/contacts/merge. /preview lays the contacts
+// out side by side so a person can pick which value of each field to keep;
+// / merges them. The REST API has no merge resource, so the merge itself is a
+// SOAP API merge() call: the master record keeps its Id and takes the chosen
+// values, the other records are deleted and their related records (cases,
+// opportunities, activities) move to the master. Salesforce merges at most
+// three records at a time. The deleted records, and the master when it
+// takes values from them, are written to the audit log.
+
+const express = require('express');
+const { getConnection } = require('./auth/session-handler');
+const { createApiError, createValidationError } = require('./error-handling');
+const { buildSoql } = require('./query-builder');
+const { escapeXml, unescapeXml, xmlElements, xmlText, resultErrors } = require('./soap-client');
+
+const API_VERSION = 'v58.0';
+const MAX_MERGE_RECORDS = 3;
+const ID_PATTERN = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+// Always shown in the comparison, whether or not the records differ
+const SUMMARY_FIELDS = ['FirstName', 'LastName', 'Email', 'Phone'];
+
+// Partner API merge() request: master record fields, then the records merged into it
+function buildMergeRequest(type, masterId, values, mergeIds) {
+    const fields = Object.entries(values).filter(([, value]) => value !== null);
+    const cleared = Object.entries(values).filter(([, value]) => value === null).map(([name]) => name);
+
+    return `<urn:merge>
+            <urn:request>
+                <urn:masterRecord>
+                    <urn1:type>${escapeXml(type)}</urn1:type>
+                    ${cleared.map(name => `<urn1:fieldsToNull>${escapeXml(name)}</urn1:fieldsToNull>`).join('')}
+                    <urn1:Id>${escapeXml(masterId)}</urn1:Id>
+                    ${fields.map(([name, value]) => `<${name}>${escapeXml(value)}</${name}>`).join('')}
+                </urn:masterRecord>
+                ${mergeIds.map(id => `<urn:recordToMergeIds>${escapeXml(id)}</urn:recordToMergeIds>`).join('')}
+            </urn:request>
+        </urn:merge>`;
+}
+
+function createContactMerge({ makeAuthenticatedRequest, soapClient, describeSObject, sendSObjectError, sendAuthenticationRequired, provenance, auditLog }) {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        if (!getConnection(req)) {
+            return sendAuthenticationRequired(res);
+        }
+        next();
+    });
+
+    function parseIds(ids) {
+        const list = Array.isArray(ids) ? ids : String(ids || '').split(',');
+        const unique = [...new Set(list.map(id => String(id).trim()).filter(Boolean))];
+
+        const invalid = unique.filter(id => !ID_PATTERN.test(id));
+        if (invalid.length > 0) {
+            throw createValidationError(`Invalid record ID "${invalid[0]}"`);
+        }
+        if (unique.length < 2 || unique.length > MAX_MERGE_RECORDS) {
+            throw createValidationError(`Between 2 and ${MAX_MERGE_RECORDS} different contacts can be merged at once`);
+        }
+        return unique;
+    }
+
+    // Fields a merge can set on the master
+    function mergeableFields(describe) {
+        return describe.fields.filter(field => field.updateable && !field.calculated);
+    }
+
+    // The contacts in the order asked for; 404 if any is missing
+    async function fetchContacts(req, describe, ids) {
+        const connection = getConnection(req);
+        const fields = ['Id', ...mergeableFields(describe).map(field => field.name)];
+        const soql = buildSoql(describe, { fields, where: [{ field: 'Id', operator: 'IN', value: ids }] });
+        const { data } = await makeAuthenticatedRequest(
+            req,
+            `${connection.instanceUrl}/services/data/${API_VERSION}/query?q=${encodeURIComponent(soql)}`
+        );
+
+        return ids.map(id => {
+            // SOQL answers with 18 character Ids; a 15 character one is their first 15
+            const record = data.records.find(candidate => candidate.Id === id || (id.length === 15 && candidate.Id.startsWith(id)));
+            if (!record) {
+                throw createApiError(404, 'NOT_FOUND', `Contact ${id} not found`, { id });
+            }
+            return record;
+        });
+    }
+
+    // The contacts side by side: every field that differs between them (and
+    // the name, email and phone), with each record's value
+    router.post('/preview', async (req, res) => {
+        try {
+            const ids = parseIds(req.body?.ids);
+            const describe = await describeSObject(req, 'Contact');
+            const records = await fetchContacts(req, describe, ids);
+
+            const fields = mergeableFields(describe)
+                .map(field => ({
+                    name: field.name,
+                    label: field.label,
+                    type: field.type,
+                    values: records.map(record => record[field.name] ?? null)
+                }))
+                .filter(field => SUMMARY_FIELDS.includes(field.name) ||
+                    new Set(field.values.map(value => JSON.stringify(value))).size > 1);
+
+            res.json({
+                ids: records.map(record => record.Id),
+                fields
+            });
+
+        } catch (error) {
+            console.error('❌ Merge preview error:', error);
+            sendSObjectError(res, error, 'Contact');
+        }
+    });
+
+    // Merge the contacts into masterId; winners maps a field to the Id of
+    // the record whose value is kept (the master's own value otherwise)
+    router.post('/', async (req, res) => {
+        try {
+            const { masterId, mergeIds, winners = {} } = req.body || {};
+            if (!ID_PATTERN.test(String(masterId || ''))) {
+                throw createValidationError('masterId must be the Id of the contact to keep');
+            }
+            if (!Array.isArray(mergeIds)) {
+                throw createValidationError('mergeIds must be an array of contact Ids');
+            }
+            if (!winners || typeof winners !== 'object' || Array.isArray(winners)) {
+                throw createValidationError('winners must map field names to record Ids');
+            }
+
+            const ids = parseIds([masterId, ...mergeIds]);
+            if (ids.length !== mergeIds.length + 1) {
+                throw createValidationError('mergeIds must not repeat masterId or each other');
+            }
+
+            const describe = await describeSObject(req, 'Contact');
+            const records = await fetchContacts(req, describe, ids);
+            const fields = mergeableFields(describe);
+
+            const values = {};
+            const errors = [];
+            Object.entries(winners).forEach(([name, winnerId]) => {
+                const field = fields.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+                const index = ids.indexOf(String(winnerId));
+                if (!field) {
+                    return errors.push({ field: name, message: 'Not a field a merge can set' });
+                }
+                if (index === -1) {
+                    return errors.push({ field: field.name, message: `${winnerId} is not one of the contacts being merged` });
+                }
+                // The master's own values are kept without being sent
+                if (index > 0) {
+                    values[field.name] = records[index][field.name] ?? null;
+                }
+            });
+            if (errors.length > 0) {
+                throw createValidationError('Invalid merge choices', { fields: errors });
+            }
+
+            console.log('\n=== Merging Contacts ===');
+            console.log('Master:', records[0].Id, '| Merged:', records.slice(1).map(record => record.Id).join(', '));
+            console.log('Values from merged records:', JSON.stringify(values, null, 2));
+
+            const mirror = provenance.mirrorValues(req, describe, 'update', records[0].Id);
+            const at = new Date().toISOString();
+            const started = Date.now();
+            const [result = ''] = await soapClient.call(req,
+                buildMergeRequest('Contact', records[0].Id, { ...values, ...mirror }, records.slice(1).map(record => record.Id)));
+            if (xmlText(result, 'success') !== 'true') {
+                const sfErrors = resultErrors(result);
+                throw Object.assign(new Error(sfErrors[0]?.message || 'Merge failed'), {
+                    status: 400,
+                    errorCode: sfErrors[0]?.errorCode,
+                    sfErrors
+                });
+            }
+
+            const latencyMs = Date.now() - started;
+            const mergedIds = xmlElements(result, 'mergedRecordIds').map(unescapeXml);
+            console.log('✅ Contacts merged into', records[0].Id);
+
+            // records were read just before the merge, so they are the "before" values
+            const [master, ...merged] = records.map(({ attributes, ...record }) => record);
+            await auditLog.logWrites(req, { type: 'Contact', at, latencyMs, status: 200 }, [
+                ...(Object.keys(values).length > 0 ? [{ operation: 'update', recordId: master.Id, before: master, values }] : []),
+                ...merged.map(record => ({ operation: 'delete', recordId: record.Id, before: record, values: null }))
+            ]);
+
+            await provenance.record(req, 'Contact', [
+                { id: records[0].Id, operation: 'merge' },
+                ...records.slice(1).map(record => ({ id: record.Id, operation: 'delete' }))
+            ]);
+
+            res.json({
+                success: true,
+                masterId: xmlText(result, 'id') || records[0].Id,
+                mergedIds,
+                updatedRelatedIds: xmlElements(result, 'updatedRelatedIds').map(unescapeXml),
+                updated: Object.keys(values)
+            });
+
+        } catch (error) {
+            console.error('❌ Contact merge error:', error);
+            sendSObjectError(res, error, 'Contact');
+        }
+    });
+
+    return { router };
+}
+
+module.exports = {
+    createContactMerge
+};
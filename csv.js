@@ -0,0 +1,114 @@
+// =============================================================================
+// CSV helpers - the format Salesforce Bulk API 2.0 reads and writes
+// =============================================================================
+//
+// Comma-delimited, LF line endings, fields quoted only when they contain a
+// comma, quote or line break. In Bulk API uploads an empty field leaves the
+// value unchanged and #N/A sets it to null.
+//
+// parseCsv reads the looser files people export from spreadsheets and other
+// CRMs: CRLF or LF, a leading byte order mark, and ; or tab delimiters.
+
+const NULL_VALUE = '#N/A';
+
+function csvField(value) {
+    if (value === undefined) {
+        return '';
+    }
+    if (value === null) {
+        return NULL_VALUE;
+    }
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+    return `${values.map(csvField).join(',')}\n`;
+}
+
+// Header plus one row per record; columns are every field any record sets
+function recordsToCsv(records) {
+    const columns = [];
+    records.forEach(record => {
+        Object.keys(record).forEach(name => {
+            if (name !== 'attributes' && !columns.includes(name)) {
+                columns.push(name);
+            }
+        });
+    });
+
+    return csvRow(columns) + records.map(record => csvRow(columns.map(name => record[name]))).join('');
+}
+
+// The delimiter used most often in the first line, outside quotes
+function detectDelimiter(text) {
+    const counts = { ',': 0, ';': 0, '\t': 0 };
+    let quoted = false;
+
+    for (const char of text) {
+        if (char === '"') {
+            quoted = !quoted;
+        } else if (!quoted && (char === '\n' || char === '\r')) {
+            break;
+        } else if (!quoted && char in counts) {
+            counts[char]++;
+        }
+    }
+
+    return Object.keys(counts).reduce((best, char) => (counts[char] > counts[best] ? char : best), ',');
+}
+
+// Parse CSV text into an array of rows, each an array of field strings
+function parseCsv(text, { delimiter } = {}) {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const separator = delimiter || detectDelimiter(input);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let index = 0; index < input.length; index++) {
+        const char = input[index];
+
+        if (quoted) {
+            if (char === '"' && input[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[index + 1] === '\n') {
+                index++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    // The last line needn't end with a line break
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+module.exports = {
+    csvRow,
+    recordsToCsv,
+    parseCsv
+};
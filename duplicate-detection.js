@@ -0,0 +1,254 @@
+// =============================================================================
+// Duplicate Detection - matching a new contact against existing ones
+// =============================================================================
+//
+// Creates are sent with the Sforce-Duplicate-Rule-Header, so an org's active
+// duplicate rules block a duplicate and answer with the records it matched.
+// Orgs without an active Contact duplicate rule get a local check instead:
+// contacts sharing the email, a similar name or the same phone number are
+// fetched with one query and scored here. Either way the caller receives
+// candidates ({ id, score, matchedOn, record }) to offer in place of a new
+// record.
+
+const { getConnection } = require('./auth/session-handler');
+const { createApiError } = require('./error-handling');
+const { escapeSoqlString, likeStartsWith, likeEndsWith, buildSoql } = require('./query-builder');
+
+const API_VERSION = 'v58.0';
+const RULES_TTL_MS = 15 * 60 * 1000;
+const CANDIDATE_FIELDS = ['Id', 'FirstName', 'LastName', 'Email', 'Phone', 'MobilePhone', 'Title', 'AccountId', 'LastModifiedDate'];
+const MAX_CANDIDATES = 5;
+// Records the local query looks at; most recently modified first
+const MAX_SCANNED = 200;
+// An email match alone is enough, a name needs the phone number as well
+const EMAIL_WEIGHT = 0.6;
+const PHONE_WEIGHT = 0.3;
+const NAME_WEIGHT = 0.4;
+const NAME_SIMILARITY = 0.8;
+const MATCH_THRESHOLD = 0.6;
+
+function normalizeName(value) {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z]/g, '');
+}
+
+// The last nine digits identify a number however it was written (+44 20... vs 020...)
+function phoneKey(value) {
+    const digits = String(value || '').replace(/\D/g, '');
+    return digits.length >= 7 ? digits.slice(-9) : null;
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// 1 for the same name, falling towards 0 with each edit
+function similarity(a, b) {
+    if (!a || !b) {
+        return 0;
+    }
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+function nameSimilarity(record, candidate) {
+    const last = similarity(normalizeName(record.LastName), normalizeName(candidate.LastName));
+    // Without a first name on both sides only the last names can be compared
+    if (!record.FirstName || !candidate.FirstName) {
+        return last;
+    }
+    return similarity(
+        normalizeName(`${record.FirstName}${record.LastName}`),
+        normalizeName(`${candidate.FirstName}${candidate.LastName}`)
+    );
+}
+
+// Score one existing contact against the new record
+function scoreCandidate(record, candidate) {
+    const matchedOn = [];
+    let score = 0;
+
+    if (record.Email && candidate.Email && record.Email.toLowerCase() === candidate.Email.toLowerCase()) {
+        matchedOn.push('email');
+        score += EMAIL_WEIGHT;
+    }
+
+    const phones = [record.Phone, record.MobilePhone].map(phoneKey).filter(Boolean);
+    if ([candidate.Phone, candidate.MobilePhone].map(phoneKey).some(key => key && phones.includes(key))) {
+        matchedOn.push('phone');
+        score += PHONE_WEIGHT;
+    }
+
+    const name = record.LastName ? nameSimilarity(record, candidate) : 0;
+    if (name >= NAME_SIMILARITY) {
+        matchedOn.push('name');
+        score += NAME_WEIGHT * name;
+    }
+
+    return { score: Math.round(Math.min(1, score) * 100) / 100, matchedOn };
+}
+
+function toCandidate(record, score, matchedOn) {
+    const { attributes, ...fields } = record;
+    return { id: record.Id, score, matchedOn, record: fields };
+}
+
+function createDuplicateDetector({ makeAuthenticatedRequest, describeSObject }) {
+    // Active duplicate rule counts keyed by instance URL and object
+    const rulesCache = new Map();
+
+    async function query(req, soql) {
+        const connection = getConnection(req);
+        const { data } = await makeAuthenticatedRequest(
+            req,
+            `${connection.instanceUrl}/services/data/${API_VERSION}/query?q=${encodeURIComponent(soql)}`
+        );
+        return data;
+    }
+
+    // Candidate fields this org's Contact actually has
+    function candidateFields(describe) {
+        return CANDIDATE_FIELDS.filter(name => describe.fields.some(field => field.name === name));
+    }
+
+    // Whether the org has an active duplicate rule for the object
+    async function hasDuplicateRules(req, type = 'Contact') {
+        const connection = getConnection(req);
+        const cacheKey = `${connection.instanceUrl}|${type}`;
+        const cached = rulesCache.get(cacheKey);
+        if (cached && Date.now() - cached.fetchedAt < RULES_TTL_MS) {
+            return cached.active;
+        }
+
+        let active = false;
+        try {
+            const data = await query(req, `SELECT COUNT() FROM DuplicateRule WHERE SobjectType = ${escapeSoqlString(type)} AND IsActive = true`);
+            active = data.totalSize > 0;
+        } catch (error) {
+            // Users who can't see duplicate rules still get the local check
+            if (!error.sfErrors) {
+                throw error;
+            }
+            console.warn(`⚠️ Could not read duplicate rules (${error.errorCode || error.message}), using local matching`);
+        }
+
+        rulesCache.set(cacheKey, { active, fetchedAt: Date.now() });
+        return active;
+    }
+
+    // Existing contacts that look like the record, best match first
+    async function findLocalDuplicates(req, record) {
+        const describe = await describeSObject(req, 'Contact');
+        const fields = candidateFields(describe);
+        const conditions = [];
+
+        if (record.Email) {
+            conditions.push({ field: 'Email', value: record.Email });
+        }
+        // The first letters of the last name narrow the query; typos after them still score
+        const lastName = String(record.LastName || '').trim();
+        if (lastName) {
+            conditions.push({ field: 'LastName', operator: 'LIKE', value: likeStartsWith(lastName.slice(0, 3)) });
+        }
+        // Stored numbers are formatted any way, but nearly always end in their last digits
+        [record.Phone, record.MobilePhone].map(phoneKey).filter(Boolean).forEach(key => {
+            ['Phone', 'MobilePhone'].filter(name => fields.includes(name)).forEach(name => {
+                conditions.push({ field: name, operator: 'LIKE', value: likeEndsWith(key.slice(-4)) });
+            });
+        });
+
+        if (conditions.length === 0) {
+            return [];
+        }
+
+        // Phone and mobile often hold the same number, so drop repeated conditions
+        const unique = [...new Map(conditions.map(condition => [JSON.stringify(condition), condition])).values()];
+        const data = await query(req, buildSoql(describe, {
+            fields,
+            where: [{ or: unique }],
+            orderBy: 'LastModifiedDate',
+            order: 'DESC',
+            limit: MAX_SCANNED
+        }));
+
+        return data.records
+            .map(candidate => ({ candidate, ...scoreCandidate(record, candidate) }))
+            .filter(({ score }) => score >= MATCH_THRESHOLD)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_CANDIDATES)
+            .map(({ candidate, score, matchedOn }) => toCandidate(candidate, score, matchedOn));
+    }
+
+    // Header for a create or update: duplicate rules block the save (unless
+    // allowSave) and report the records they matched
+    function duplicateRuleHeaders(allowSave = false) {
+        return {
+            'Sforce-Duplicate-Rule-Header': `allowSave=${allowSave}, includeRecordDuplicates=true, runAsCurrentUser=true`
+        };
+    }
+
+    // The records a DUPLICATES_DETECTED error matched, looked up so the
+    // caller can show them. Returns null for any other error.
+    async function candidatesFromError(req, error) {
+        const duplicateResult = error.errorCode === 'DUPLICATES_DETECTED' && error.sfErrors?.[0]?.duplicateResult;
+        if (!duplicateResult) {
+            return null;
+        }
+
+        const matches = (duplicateResult.matchResults || []).flatMap(result => (result.matchRecords || []).map(match => ({
+            id: match.record?.Id,
+            score: typeof match.matchConfidence === 'number' ? Math.round(match.matchConfidence) / 100 : null,
+            matchedOn: [result.rule].filter(Boolean)
+        }))).filter(match => match.id);
+
+        let records = [];
+        if (matches.length > 0) {
+            const describe = await describeSObject(req, 'Contact');
+            records = (await query(req, buildSoql(describe, {
+                fields: candidateFields(describe),
+                where: [{ field: 'Id', operator: 'IN', value: [...new Set(matches.map(match => match.id))] }]
+            }))).records;
+        }
+
+        return {
+            rule: duplicateResult.duplicateRule,
+            message: duplicateResult.errorMessage || error.message,
+            candidates: matches.slice(0, MAX_CANDIDATES).map(match => {
+                const record = records.find(candidate => candidate.Id === match.id) || { Id: match.id };
+                return toCandidate(record, match.score, match.matchedOn);
+            })
+        };
+    }
+
+    // 409 DUPLICATE_VALUE listing the candidates
+    function createDuplicateError(source, candidates, { rule, message } = {}) {
+        return createApiError(409, 'DUPLICATE_VALUE',
+            message || `${candidates.length} existing Contact${candidates.length === 1 ? '' : 's'} may be the same person`, {
+                source,
+                rule,
+                candidates
+            });
+    }
+
+    return {
+        hasDuplicateRules,
+        findLocalDuplicates,
+        duplicateRuleHeaders,
+        candidatesFromError,
+        createDuplicateError
+    };
+}
+
+module.exports = {
+    createDuplicateDetector
+};
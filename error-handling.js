@@ -0,0 +1,155 @@
+// =============================================================================
+// Error Handling - one error envelope for every /api/sf route
+// =============================================================================
+//
+// Errors raised by the proxy carry an API code and HTTP status
+// (createApiError). Errors from Salesforce keep its HTTP status, errorCode
+// and error list (see makeAuthenticatedRequest), and translateError maps
+// them onto the same codes. sendError renders either one as
+//
+//   { error: { code, message, details, timestamp, requestId } }
+
+const crypto = require('crypto');
+
+// Salesforce errorCode -> [HTTP status, API code]
+const SALESFORCE_ERROR_CODES = {
+    INVALID_SESSION_ID: [401, 'AUTHENTICATION_REQUIRED'],
+    INSUFFICIENT_ACCESS: [403, 'INSUFFICIENT_ACCESS'],
+    INSUFFICIENT_ACCESS_OR_READONLY: [403, 'INSUFFICIENT_ACCESS'],
+    INSUFFICIENT_ACCESS_ON_CROSS_REFERENCE_ENTITY: [403, 'INSUFFICIENT_ACCESS'],
+    API_DISABLED_FOR_ORG: [403, 'INSUFFICIENT_ACCESS'],
+    FUNCTIONALITY_NOT_ENABLED: [403, 'INSUFFICIENT_ACCESS'],
+    NOT_FOUND: [404, 'NOT_FOUND'],
+    ENTITY_IS_DELETED: [410, 'DELETED'],
+    DUPLICATE_VALUE: [409, 'DUPLICATE_VALUE'],
+    DUPLICATES_DETECTED: [409, 'DUPLICATE_VALUE'],
+    DUPLICATE_EXTERNAL_ID: [409, 'DUPLICATE_VALUE'],
+    REQUEST_LIMIT_EXCEEDED: [429, 'QUOTA_EXCEEDED'],
+    SERVER_UNAVAILABLE: [503, 'SERVICE_UNAVAILABLE'],
+    UNABLE_TO_LOCK_ROW: [503, 'SERVICE_UNAVAILABLE']
+};
+
+// Salesforce HTTP status -> [HTTP status, API code], when the errorCode isn't listed above
+const SALESFORCE_STATUSES = {
+    400: [400, 'VALIDATION_ERROR'],
+    401: [401, 'AUTHENTICATION_REQUIRED'],
+    403: [403, 'INSUFFICIENT_ACCESS'],
+    404: [404, 'NOT_FOUND'],
+    409: [409, 'ALREADY_EXISTS'],
+    429: [429, 'RATE_LIMIT_EXCEEDED'],
+    503: [503, 'SERVICE_UNAVAILABLE']
+};
+
+// Error with an API error code and HTTP status, rendered by sendError
+function createApiError(status, code, message, details) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    error.details = details;
+    return error;
+}
+
+function createValidationError(message, details) {
+    return createApiError(400, 'VALIDATION_ERROR', message, details);
+}
+
+// Error thrown when the caller has no usable Salesforce connection
+function createAuthenticationError(message = 'Not authenticated with Salesforce') {
+    return createApiError(401, 'AUTHENTICATION_REQUIRED', message);
+}
+
+function isAuthenticationError(error) {
+    return !!error && error.code === 'AUTHENTICATION_REQUIRED';
+}
+
+// Salesforce error entries ({ errorCode or statusCode, message, fields }) in our shape
+function toErrorList(sfErrors) {
+    return sfErrors.map(entry => ({
+        code: entry.errorCode || entry.statusCode,
+        message: entry.message,
+        fields: entry.fields || []
+    }));
+}
+
+function translateSalesforceError(error, type) {
+    const errors = toErrorList(error.sfErrors || []);
+    const sfCode = errors[0]?.code;
+    let [status, code] = SALESFORCE_ERROR_CODES[sfCode] || SALESFORCE_STATUSES[error.status] ||
+        (error.status >= 500 ? [502, 'SALESFORCE_ERROR'] : [500, 'INTERNAL_ERROR']);
+
+    // REQUEST_LIMIT_EXCEEDED also covers too many concurrent long requests
+    if (sfCode === 'REQUEST_LIMIT_EXCEEDED' && /concurrent/i.test(error.message)) {
+        code = 'RATE_LIMIT_EXCEEDED';
+    }
+
+    const details = { salesforceStatus: error.status, errors };
+    // Validation failures also list the offending fields, like the proxy's own checks
+    if (status === 400) {
+        details.fields = errors.flatMap(entry => entry.fields.map(field => ({ field, message: entry.message })));
+    }
+
+    const message = code === 'NOT_FOUND' && type ? `${type} record not found` : error.message;
+    return { status, code, message, details };
+}
+
+// Map any thrown error to { status, code, message, details }
+function translateError(error, { type } = {}) {
+    // Raised by the proxy, already in API terms
+    if (error.code && error.status && !error.sfErrors) {
+        return { status: error.status, code: error.code, message: error.message, details: error.details };
+    }
+
+    // Body parser failures
+    if (error.type === 'entity.parse.failed') {
+        return { status: 400, code: 'VALIDATION_ERROR', message: 'Request body must be valid JSON' };
+    }
+    if (error.type === 'entity.too.large') {
+        return { status: 413, code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large' };
+    }
+
+    if (error.sfErrors || error.errorCode || error.status >= 400) {
+        return translateSalesforceError(error, type);
+    }
+
+    // node-fetch could not reach Salesforce
+    if (error.name === 'FetchError' || error.name === 'AbortError') {
+        return error.type === 'request-timeout' || error.name === 'AbortError'
+            ? { status: 504, code: 'TIMEOUT', message: 'Salesforce did not respond in time' }
+            : { status: 502, code: 'SALESFORCE_ERROR', message: `Could not reach Salesforce: ${error.message}` };
+    }
+
+    return { status: 500, code: 'INTERNAL_ERROR', message: error.message };
+}
+
+// Render an error in the standard envelope; type names the object for 404s
+function sendError(res, error, context) {
+    const { status, code, message, details } = translateError(error, context);
+
+    return res.status(status).json({
+        error: {
+            code,
+            message,
+            details,
+            timestamp: new Date().toISOString(),
+            requestId: res.locals.requestId
+        }
+    });
+}
+
+// Tag each request with an ID that error responses and logs can quote
+function assignRequestId(req, res, next) {
+    const supplied = req.get('X-Request-Id');
+    res.locals.requestId = /^[\w.-]{1,64}$/.test(supplied || '') ? supplied : `req_${crypto.randomBytes(8).toString('hex')}`;
+    res.set('X-Request-Id', res.locals.requestId);
+    next();
+}
+
+module.exports = {
+    createApiError,
+    createValidationError,
+    createAuthenticationError,
+    isAuthenticationError,
+    translateError,
+    sendError,
+    assignRequestId
+};
@@ -0,0 +1,501 @@
+// =============================================================================
+// HTTP Cassettes - record and replay the proxy's Salesforce traffic
+// =============================================================================
+//
+// With SF_CASSETTE_MODE=record every request the proxy sends to Salesforce
+// (API calls made through makeAuthenticatedRequest, the OAuth token grants
+// and the login URL check) goes out as usual and is appended, with its
+// response, as one JSON line to SF_CASSETTE_PATH. With
+// SF_CASSETTE_MODE=replay nothing goes out: each request is answered from
+// the cassette, so a session recorded against a user's org can be run again
+// offline and gives the same answers every time.
+//
+// Nothing is written unredacted. Credentials (tokens, client secrets,
+// passwords, authorization codes, JWT assertions, SOAP session IDs, cookies)
+// become [REDACTED]. Personal data (names, emails, phone numbers, street
+// addresses, usernames, anything that looks like an email address, external
+// ID values in URL paths, and the quoted literals and search terms in SOQL
+// and SOSL) becomes a pseudonym such as redacted-1f2e3d4c, the same one for the
+// same value, so records that matched each other still do.
+//
+// A request matches a recorded one with the same method and URL path, the
+// same query parameters in any order and the same body (JSON compared by
+// value, forms by parameter). Redacted values and SF_CASSETTE_IGNORE names
+// are left out of the comparison. Matching exchanges are served in the order
+// they were recorded; once all have been used the last one is served again.
+//
+// Responses of unknown or large size (bulk results, query batches) stream
+// through to the proxy as they arrive rather than being read whole first.
+// Binary bodies, and text bodies over SF_CASSETTE_MAX_BODY_BYTES, are
+// recorded without the body and can't be replayed.
+//
+//   SF_CASSETTE_MODE=off           off, record or replay
+//   SF_CASSETTE_PATH=              cassette file (default .data/sf-cassette.jsonl)
+//   SF_CASSETTE_MATCH_QUERY=true   false matches on method and path alone
+//   SF_CASSETTE_MATCH_BODY=true    false ignores request bodies
+//   SF_CASSETTE_IGNORE=            more query, form or JSON field names to leave out of matching
+//   SF_CASSETTE_REDACT_FIELDS=     more field names holding personal data, e.g. Description
+//   SF_CASSETTE_REDACTION_KEY=     key for the pseudonyms; random per run unless set
+//   SF_CASSETTE_MAX_BODY_BYTES=5242880  largest response body recorded
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { PassThrough } = require('stream');
+const { Response } = require('node-fetch');
+const { parseCsv, csvRow } = require('./csv');
+const { createApiError } = require('./error-handling');
+
+const DEFAULT_PATH = path.join(__dirname, '.data', 'sf-cassette.jsonl');
+const MODES = ['off', 'record', 'replay'];
+const REDACTED = '[REDACTED]';
+const DEFAULT_MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// Header, parameter, JSON and XML names whose values are credentials
+const SECRET_NAMES = [
+    'authorization', 'cookie', 'set-cookie', 'access_token', 'refresh_token', 'id_token', 'signature',
+    'client_secret', 'password', 'code', 'code_verifier', 'assertion', 'client_assertion', 'token', 'sessionid'
+];
+
+// Salesforce fields and OpenID Connect claims holding personal data
+const PERSONAL_NAMES = [
+    'name', 'firstname', 'lastname', 'middlename', 'salutation', 'suffix', 'email', 'phone', 'mobilephone',
+    'homephone', 'otherphone', 'assistantname', 'assistantphone', 'fax', 'birthdate', 'street', 'mailingstreet',
+    'otherstreet', 'billingstreet', 'shippingstreet', 'username', 'preferred_username', 'nickname',
+    'given_name', 'family_name', 'phone_number'
+];
+
+// An address is personal data whichever field it is in (external IDs often are one)
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const RECORD_ID_PATTERN = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+// /sobjects/{type}/{resource}/{name} paths that aren't an external ID lookup
+const SOBJECT_RESOURCES = ['describe', 'deleted', 'updated', 'listviews', 'quickactions', 'layouts', 'compactlayouts', 'eventschema'];
+
+// Random state and PKCE challenge in the login URL check
+const DEFAULT_IGNORE = ['state', 'code_challenge'];
+
+// The body is stored decoded, so these would describe it wrongly
+const DROPPED_RESPONSE_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+const TEXT_CONTENT_TYPE = /json|xml|csv|text|x-www-form-urlencoded|javascript/i;
+
+function readList(value) {
+    return String(value || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+}
+
+function loadCassetteOptions(env = process.env) {
+    const mode = (env.SF_CASSETTE_MODE || 'off').toLowerCase();
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown SF_CASSETTE_MODE "${mode}" (expected one of: ${MODES.join(', ')})`);
+    }
+
+    const maxBodyBytes = env.SF_CASSETTE_MAX_BODY_BYTES ? Number(env.SF_CASSETTE_MAX_BODY_BYTES) : DEFAULT_MAX_BODY_BYTES;
+    if (!Number.isInteger(maxBodyBytes) || maxBodyBytes < 0) {
+        throw new Error(`SF_CASSETTE_MAX_BODY_BYTES "${env.SF_CASSETTE_MAX_BODY_BYTES}" is not a number of bytes`);
+    }
+
+    return {
+        mode,
+        filePath: env.SF_CASSETTE_PATH || DEFAULT_PATH,
+        matchQuery: env.SF_CASSETTE_MATCH_QUERY !== 'false',
+        matchBody: env.SF_CASSETTE_MATCH_BODY !== 'false',
+        ignore: [...DEFAULT_IGNORE, ...readList(env.SF_CASSETTE_IGNORE)],
+        personalFields: [...PERSONAL_NAMES, ...readList(env.SF_CASSETTE_REDACT_FIELDS)],
+        redactionKey: env.SF_CASSETTE_REDACTION_KEY || crypto.randomBytes(32).toString('hex'),
+        maxBodyBytes
+    };
+}
+
+// Redaction of URLs, headers and bodies; replacePersonal(value) is what
+// personal data becomes (a pseudonym when recording, a fixed mask when matching)
+function createRedactor(personalFields, replacePersonal) {
+    function redactValue(name, value) {
+        if (value === null || value === undefined || value === '' || typeof value === 'boolean' || typeof value === 'object') {
+            return value;
+        }
+        const key = String(name).toLowerCase();
+        if (SECRET_NAMES.includes(key)) {
+            return REDACTED;
+        }
+        return personalFields.includes(key) || EMAIL_PATTERN.test(String(value)) ? replacePersonal(String(value)) : value;
+    }
+
+    // Values in arrays are judged by the field holding the array. A name
+    // next to a label (describe results, the sObject list) names a field or
+    // object rather than a person.
+    function json(value, name) {
+        if (Array.isArray(value)) {
+            return value.map(item => json(item, name));
+        }
+        if (value && typeof value === 'object') {
+            const metadata = 'label' in value;
+            return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+                [key, metadata && key === 'name' ? item : json(item, key)]));
+        }
+        return name === undefined ? value : redactValue(name, value);
+    }
+
+    // Quoted SOQL literals and SOSL search terms hold whatever the user looked for
+    function queryText(text) {
+        return text
+            .replace(/'(?:[^'\\]|\\.)*'/g, literal => `'${replacePersonal(literal.slice(1, -1))}'`)
+            .replace(/\{(?:[^}\\]|\\.)*\}/g, term => `{${replacePersonal(term.slice(1, -1))}}`);
+    }
+
+    function params(searchParams) {
+        const redacted = new URLSearchParams();
+        for (const [name, value] of searchParams) {
+            redacted.append(name, name === 'q' ? queryText(value) : redactValue(name, value));
+        }
+        return redacted;
+    }
+
+    // The value in /sobjects/{type}/{externalIdField}/{value} (an upsert or
+    // lookup by external ID) identifies someone as much as a name does
+    function pathname(text) {
+        const segments = text.split('/');
+        const index = segments.indexOf('sobjects');
+        const resource = segments[index + 2];
+        if (index === -1 || segments.length !== index + 4 || !resource ||
+            RECORD_ID_PATTERN.test(resource) || SOBJECT_RESOURCES.includes(resource.toLowerCase())) {
+            return text;
+        }
+        segments[index + 3] = encodeURIComponent(replacePersonal(decodeURIComponent(segments[index + 3])));
+        return segments.join('/');
+    }
+
+    function url(text) {
+        const parsed = new URL(text);
+        parsed.pathname = pathname(parsed.pathname);
+        parsed.search = params(parsed.searchParams).toString();
+        return parsed.toString();
+    }
+
+    function headers(entries) {
+        return Object.fromEntries(Array.from(entries, ([name, value]) => [name, redactValue(name, value)]));
+    }
+
+    // Elements such as <urn:sessionId> or <Email>, with any namespace prefix
+    function xml(text) {
+        return text.replace(/<((?:[\w-]+:)?([\w-]+))>([^<]+)<\/\1>/g,
+            (element, tag, name, value) => `<${tag}>${redactValue(name, value)}</${tag}>`);
+    }
+
+    // Bulk API data, judged by the column headers
+    function csv(text) {
+        const [header, ...rows] = parseCsv(text, { delimiter: ',' });
+        if (!header) {
+            return text;
+        }
+        return [header, ...rows.map(row => row.map((value, index) => redactValue(header[index] || '', value)))]
+            .map(csvRow)
+            .join('');
+    }
+
+    function body(text, contentType = '') {
+        if (!text) {
+            return text;
+        }
+        if (/json/i.test(contentType)) {
+            try {
+                return JSON.stringify(json(JSON.parse(text)));
+            } catch (error) {
+                return text;
+            }
+        }
+        if (/x-www-form-urlencoded/i.test(contentType)) {
+            return params(new URLSearchParams(text)).toString();
+        }
+        if (/xml/i.test(contentType)) {
+            return xml(text);
+        }
+        return /csv/i.test(contentType) ? csv(text) : text;
+    }
+
+    return { json, params, pathname, url, headers, body };
+}
+
+function isText(contentType) {
+    return !contentType || TEXT_CONTENT_TYPE.test(contentType);
+}
+
+function isStream(body) {
+    return !!body && typeof body.pipe === 'function';
+}
+
+// The request body as a Buffer; a stream (such as a bulk upload piped on
+// from the client) is read to the end
+async function readRequestBody(body) {
+    if (body === undefined || body === null) {
+        return null;
+    }
+    if (Buffer.isBuffer(body)) {
+        return body;
+    }
+    if (typeof body === 'string' || body instanceof URLSearchParams) {
+        return Buffer.from(body.toString());
+    }
+
+    const chunks = [];
+    for await (const chunk of body) {
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+}
+
+function requestContentType(options) {
+    const headers = Object.fromEntries(Object.entries(options.headers || {}).map(([name, value]) => [name.toLowerCase(), value]));
+    return headers['content-type'] || (options.body instanceof URLSearchParams ? 'application/x-www-form-urlencoded' : '');
+}
+
+// JSON with its keys sorted, so objects compare by value
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function withoutIgnored(value, ignore) {
+    if (Array.isArray(value)) {
+        return value.map(item => withoutIgnored(item, ignore));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value)
+            .filter(([key]) => !ignore.includes(key.toLowerCase()))
+            .map(([key, item]) => [key, withoutIgnored(item, ignore)]));
+    }
+    return value;
+}
+
+function createHttpCassettes({ fetch, options = loadCassetteOptions() }) {
+    const { mode, filePath, matchQuery, matchBody, ignore, personalFields, redactionKey, maxBodyBytes } = options;
+
+    const redactor = createRedactor(personalFields, value => {
+        const digest = crypto.createHmac('sha256', redactionKey).update(value).digest('hex').slice(0, 8);
+        // Emails stay emails so they still pass field validation on replay
+        return value.includes('@') ? `redacted-${digest}@example.invalid` : `redacted-${digest}`;
+    });
+    const mask = createRedactor(personalFields, () => REDACTED);
+
+    let writeQueue = Promise.resolve();
+    let loading = null;
+
+    function append(interaction) {
+        writeQueue = writeQueue.then(async () => {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.appendFile(filePath, `${JSON.stringify(interaction)}\n`, { mode: 0o600 });
+        }).catch(error => {
+            // Losing an exchange only makes the cassette incomplete, so the session carries on
+            console.error('❌ Could not write cassette:', error.message);
+        });
+        return writeQueue;
+    }
+
+    // Text bodies are stored redacted, anything else as base64
+    function encodeBody(buffer, contentType) {
+        if (!buffer || buffer.length === 0) {
+            return { body: null };
+        }
+        return isText(contentType)
+            ? { body: redactor.body(buffer.toString('utf8'), contentType) }
+            : { body: buffer.toString('base64'), bodyEncoding: 'base64' };
+    }
+
+    // What identifies a request when replaying: recorded requests and live
+    // ones both go through here, with personal data and secrets masked
+    function matchKey({ method, url, contentType, body, bodyEncoding }) {
+        const parsed = new URL(url);
+        const key = { method: String(method || 'GET').toUpperCase(), url: `${parsed.origin}${mask.pathname(parsed.pathname)}` };
+
+        if (matchQuery) {
+            key.query = Array.from(mask.params(parsed.searchParams))
+                .filter(([name]) => !ignore.includes(name.toLowerCase()))
+                .sort(([a, aValue], [b, bValue]) => a.localeCompare(b) || aValue.localeCompare(bValue));
+        }
+
+        if (matchBody && body) {
+            if (bodyEncoding === 'base64') {
+                key.body = body;
+            } else if (/json/i.test(contentType)) {
+                try {
+                    key.body = stableStringify(withoutIgnored(mask.json(JSON.parse(body)), ignore));
+                } catch (error) {
+                    key.body = body;
+                }
+            } else if (/x-www-form-urlencoded/i.test(contentType)) {
+                key.body = Array.from(mask.params(new URLSearchParams(body)))
+                    .filter(([name]) => !ignore.includes(name.toLowerCase()))
+                    .sort(([a, aValue], [b, bValue]) => a.localeCompare(b) || aValue.localeCompare(bValue));
+            } else {
+                key.body = mask.body(body, contentType);
+            }
+        }
+
+        return JSON.stringify(key);
+    }
+
+    async function record(url, fetchOptions = {}) {
+        const requestBody = await readRequestBody(fetchOptions.body);
+        // A stream can only be read once, so the buffered copy is sent instead
+        const response = await fetch(url, isStream(fetchOptions.body) ? { ...fetchOptions, body: requestBody } : fetchOptions);
+
+        const contentType = requestContentType(fetchOptions);
+        const responseType = response.headers.get('content-type');
+        const responseHeaders = Array.from(response.headers.entries())
+            .filter(([name]) => !DROPPED_RESPONSE_HEADERS.includes(name));
+
+        const interaction = body => ({
+            recordedAt: new Date().toISOString(),
+            request: {
+                method: String(fetchOptions.method || 'GET').toUpperCase(),
+                url: redactor.url(url),
+                headers: redactor.headers(Object.entries(fetchOptions.headers || {}).map(([name, value]) => [name.toLowerCase(), value])),
+                ...encodeBody(requestBody, contentType)
+            },
+            response: {
+                status: response.status,
+                statusText: response.statusText,
+                headers: redactor.headers(responseHeaders),
+                ...body
+            }
+        });
+        const handOn = body => new Response(body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+            url: response.url
+        });
+
+        // A small text body is read whole and recorded before it is handed on
+        const length = response.headers.get('content-length');
+        if (isText(responseType) && length !== null && Number(length) <= maxBodyBytes) {
+            const responseBody = await response.buffer();
+            await append(interaction(encodeBody(responseBody, responseType)));
+            return handOn(responseBody);
+        }
+
+        // Anything else streams through, keeping a copy of text only while it
+        // fits; the exchange is recorded once the body has been read
+        let kept = isText(responseType) ? [] : null;
+        let size = 0;
+        const body = new PassThrough();
+        response.body.on('data', chunk => {
+            size += chunk.length;
+            if (kept && size > maxBodyBytes) {
+                kept = null;
+            } else if (kept) {
+                kept.push(chunk);
+            }
+        });
+        response.body.on('end', () => {
+            append(interaction(kept
+                ? encodeBody(Buffer.concat(kept), responseType)
+                : { body: null, bodyOmitted: isText(responseType) ? 'too-large' : 'binary', bodyBytes: size }));
+        });
+        response.body.on('error', error => body.destroy(error));
+        response.body.pipe(body);
+
+        return handOn(body);
+    }
+
+    // Read the cassette once; lines cut short by a crash mid-append are skipped
+    function load() {
+        if (mode === 'record') {
+            console.log(`📼 Recording Salesforce traffic to ${filePath}`);
+        }
+        if (mode !== 'replay') {
+            return Promise.resolve(0);
+        }
+
+        loading = loading || (async () => {
+            let lines;
+            try {
+                await fs.promises.access(filePath);
+                lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    throw createApiError(500, 'CONFIGURATION_ERROR', `Cassette ${filePath} does not exist - record one with SF_CASSETTE_MODE=record`);
+                }
+                throw error;
+            }
+
+            const interactions = [];
+            for await (const line of lines) {
+                let interaction;
+                try {
+                    interaction = JSON.parse(line);
+                } catch (error) {
+                    continue;
+                }
+                const { request } = interaction;
+                interactions.push({
+                    key: matchKey({ ...request, contentType: request.headers?.['content-type'] }),
+                    response: interaction.response,
+                    used: false
+                });
+            }
+
+            console.log(`📼 Replaying ${interactions.length} recorded Salesforce exchange(s) from ${filePath}`);
+            return interactions;
+        })();
+        return loading.then(interactions => interactions.length);
+    }
+
+    async function replay(url, fetchOptions = {}) {
+        await load();
+        const interactions = await loading;
+
+        const method = String(fetchOptions.method || 'GET').toUpperCase();
+        const contentType = requestContentType(fetchOptions);
+        const requestBody = await readRequestBody(fetchOptions.body);
+        const key = matchKey({ method, url, contentType, ...encodeBody(requestBody, contentType) });
+
+        const matches = interactions.filter(interaction => interaction.key === key);
+        if (matches.length === 0) {
+            const shownUrl = redactor.url(url);
+            throw createApiError(502, 'CASSETTE_MISS', `No recorded Salesforce response for ${method} ${shownUrl}`, {
+                cassette: filePath,
+                method,
+                url: shownUrl
+            });
+        }
+
+        const interaction = matches.find(candidate => !candidate.used) || matches[matches.length - 1];
+        interaction.used = true;
+
+        const { status, statusText, headers, body, bodyEncoding, bodyOmitted } = interaction.response;
+        if (bodyOmitted) {
+            const shownUrl = redactor.url(url);
+            throw createApiError(502, 'CASSETTE_MISS', `The recorded response to ${method} ${shownUrl} has no body (${bodyOmitted}) to replay`, {
+                cassette: filePath,
+                method,
+                url: shownUrl
+            });
+        }
+
+        return new Response(body === null ? null : Buffer.from(body, bodyEncoding === 'base64' ? 'base64' : 'utf8'), {
+            status,
+            statusText,
+            headers,
+            url
+        });
+    }
+
+    const modeFetch = { off: fetch, record, replay };
+
+    return {
+        mode,
+        fetch: modeFetch[mode],
+        load
+    };
+}
+
+module.exports = {
+    loadCassetteOptions,
+    createHttpCassettes
+};
@@ -0,0 +1,710 @@
+const express = require('express');
+const fetch = require('node-fetch');
+const crypto = require('crypto');
+const { createApiError, createValidationError, sendError } = require('./error-handling');
+const { parseLimit } = require('./query-builder');
+
+const router = express.Router();
+const PORT = process.env.PORT || 3000;
+
+// HubSpot OAuth configuration
+const HS_OAUTH_CONFIG = {
+    clientId: process.env.HS_CLIENT_ID || '',
+    clientSecret: process.env.HS_CLIENT_SECRET || '',
+    redirectUri: process.env.HS_REDIRECT_URI || `http://localhost:${PORT}/api/hs/auth/callback`,
+    scope: process.env.HS_SCOPE || 'crm.objects.contacts.read crm.objects.contacts.write oauth',
+    apiBaseUrl: process.env.HS_API_BASE_URL || 'https://api.hubapi.com',
+    authorizeUrl: process.env.HS_AUTHORIZE_URL || 'https://app.hubspot.com/oauth/authorize'
+};
+
+const CONTACTS_URL = `${HS_OAUTH_CONFIG.apiBaseUrl}/crm/v3/objects/contacts`;
+const DEFAULT_PROPERTIES = 'firstname,lastname,email,phone,company,website,jobtitle,createdate,lastmodifieddate';
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const BATCH_SIZE = 100;
+const TOKEN_EXPIRY_MARGIN_MS = 5 * 60 * 1000; // refresh 5 minutes early
+
+// =============================================================================
+// HubSpot Token Helpers
+// =============================================================================
+
+// Tokens live on the caller's express-session, like the Salesforce connection
+function getHubSpotTokens(req) {
+    return (req.session && req.session.hubspot) || null;
+}
+
+function storeHubSpotTokens(req, tokenData) {
+    const previous = getHubSpotTokens(req) || {};
+
+    req.session.hubspot = {
+        accessToken: tokenData.access_token,
+        // HubSpot may or may not return a new refresh token on refresh
+        refreshToken: tokenData.refresh_token || previous.refreshToken || null,
+        expiresAt: Date.now() + (tokenData.expires_in * 1000)
+    };
+
+    return req.session.hubspot;
+}
+
+// Map a HubSpot error response onto the codes error-handling.js uses for
+// Salesforce, so both CRMs answer with the same codes
+function translateHubSpotError(response, data) {
+    const message = data?.message || data?.rawResponse || `HTTP ${response.status}: ${response.statusText}`;
+    const details = {
+        hubspotStatus: response.status,
+        category: data?.category,
+        correlationId: data?.correlationId
+    };
+
+    switch (response.status) {
+        case 400:
+            return createApiError(400, 'VALIDATION_ERROR', message, { ...details, errors: data?.errors });
+        case 401:
+            return createApiError(401, 'AUTHENTICATION_REQUIRED', message, details);
+        case 403:
+            return createApiError(403, 'INSUFFICIENT_ACCESS', message, details);
+        case 404:
+            return createApiError(404, 'NOT_FOUND', message, details);
+        case 409:
+            return createApiError(409, 'DUPLICATE_VALUE', message, details);
+        case 429:
+            return createApiError(429, 'RATE_LIMIT_EXCEEDED', 'API rate limit exceeded', {
+                ...details,
+                retryAfter: Number(response.headers.get('retry-after')) || null,
+                dailyLimit: Number(response.headers.get('x-hubspot-ratelimit-daily')) || null,
+                dailyRemaining: Number(response.headers.get('x-hubspot-ratelimit-daily-remaining')) || null
+            });
+        case 503:
+            return createApiError(503, 'SERVICE_UNAVAILABLE', message, details);
+        default:
+            return response.status >= 500
+                ? createApiError(502, 'HUBSPOT_ERROR', message, details)
+                : createApiError(500, 'INTERNAL_ERROR', message, details);
+    }
+}
+
+// The shared envelope, except that network failures name HubSpot rather than Salesforce
+function sendHubSpotError(res, error) {
+    if (error.name === 'FetchError' || error.name === 'AbortError') {
+        return sendError(res, createApiError(502, 'HUBSPOT_ERROR', `Could not reach HubSpot: ${error.message}`));
+    }
+    return sendError(res, error);
+}
+
+// POST a grant to the HubSpot token endpoint
+async function requestHubSpotToken(params) {
+    const response = await fetch(`${HS_OAUTH_CONFIG.apiBaseUrl}/oauth/v1/token`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({
+            client_id: HS_OAUTH_CONFIG.clientId,
+            client_secret: HS_OAUTH_CONFIG.clientSecret,
+            ...params
+        })
+    });
+
+    const data = await response.json();
+
+    return { response, data };
+}
+
+// In-flight refreshes keyed by session id, so concurrent requests share one
+const pendingRefreshes = new Map();
+
+function refreshHubSpotToken(req) {
+    const tokens = getHubSpotTokens(req);
+    if (!tokens || !tokens.refreshToken) {
+        return Promise.reject(createApiError(401, 'AUTHENTICATION_REQUIRED', 'Not authenticated with HubSpot'));
+    }
+
+    if (pendingRefreshes.has(req.sessionID)) {
+        return pendingRefreshes.get(req.sessionID);
+    }
+
+    const refresh = (async () => {
+        console.log('\n=== HubSpot Token Refresh ===');
+
+        const { response, data } = await requestHubSpotToken({
+            grant_type: 'refresh_token',
+            refresh_token: tokens.refreshToken
+        });
+
+        if (!response.ok) {
+            console.log('❌ HubSpot token refresh failed:', data);
+            throw createApiError(401, 'AUTHENTICATION_REQUIRED', 'HubSpot token refresh failed - please log in again');
+        }
+
+        console.log('✅ HubSpot token refreshed successfully');
+        return storeHubSpotTokens(req, data);
+    })().finally(() => {
+        pendingRefreshes.delete(req.sessionID);
+    });
+
+    pendingRefreshes.set(req.sessionID, refresh);
+    return refresh;
+}
+
+// Refresh ahead of time if the access token is about to expire
+async function ensureValidHubSpotToken(req) {
+    const tokens = getHubSpotTokens(req);
+    if (!tokens) {
+        throw createApiError(401, 'AUTHENTICATION_REQUIRED', 'Not authenticated with HubSpot');
+    }
+
+    if (tokens.expiresAt <= Date.now() + TOKEN_EXPIRY_MARGIN_MS) {
+        return refreshHubSpotToken(req);
+    }
+
+    return tokens;
+}
+
+// Helper function for making authenticated HubSpot API calls.
+// A 401 triggers one refresh and a replay of the request.
+async function makeHubSpotAuthenticatedRequest(req, url, options = {}, isRetry = false) {
+    const tokens = await ensureValidHubSpotToken(req);
+
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            'Authorization': `Bearer ${tokens.accessToken}`,
+            'Content-Type': 'application/json',
+            ...options.headers
+        }
+    });
+
+    let data = null;
+
+    // Get response text first to avoid JSON parsing errors
+    const responseText = await response.text();
+
+    if (responseText && responseText.trim().length > 0) {
+        try {
+            data = JSON.parse(responseText);
+        } catch (jsonError) {
+            console.log('⚠️ HubSpot response is not JSON:', responseText);
+            data = { rawResponse: responseText };
+        }
+    }
+
+    if (response.status === 401 && !isRetry) {
+        console.log('🔄 HubSpot token expired - refreshing and replaying request');
+        await refreshHubSpotToken(req);
+        return makeHubSpotAuthenticatedRequest(req, url, options, true);
+    }
+
+    if (!response.ok) {
+        throw translateHubSpotError(response, data);
+    }
+
+    return { response, data };
+}
+
+// Route guard shared by every contact endpoint
+function requireHubSpotAuth(req, res, next) {
+    if (!getHubSpotTokens(req)) {
+        return sendHubSpotError(res, createApiError(401, 'AUTHENTICATION_REQUIRED', 'Not authenticated with HubSpot'));
+    }
+    next();
+}
+
+function parseProperties(value) {
+    return (value || DEFAULT_PROPERTIES).split(',').map(property => property.trim()).filter(Boolean);
+}
+
+// =============================================================================
+// HubSpot OAuth 2.0 Authorization Code Flow Endpoints
+// =============================================================================
+
+// OAuth Login - Initiate authorization flow
+router.get('/auth/login', (req, res) => {
+    try {
+        if (!HS_OAUTH_CONFIG.clientId || !HS_OAUTH_CONFIG.clientSecret) {
+            console.log('❌ HubSpot OAuth configuration incomplete');
+            return sendHubSpotError(res, createApiError(500, 'CONFIGURATION_ERROR', 'HubSpot OAuth configuration incomplete', {
+                troubleshooting: [
+                    'Check your .env file contains:',
+                    'HS_CLIENT_ID=your_client_id',
+                    'HS_CLIENT_SECRET=your_client_secret'
+                ]
+            }));
+        }
+
+        // Generate random state for CSRF protection
+        const state = crypto.randomBytes(32).toString('hex');
+        req.session.hubspotOauthState = state;
+
+        const authUrl = `${HS_OAUTH_CONFIG.authorizeUrl}?` +
+            new URLSearchParams({
+                client_id: HS_OAUTH_CONFIG.clientId,
+                redirect_uri: HS_OAUTH_CONFIG.redirectUri,
+                scope: HS_OAUTH_CONFIG.scope,
+                response_type: 'code',
+                state: state
+            });
+
+        console.log('\n=== HubSpot OAuth Authorization Flow Initiated ===');
+        console.log('Redirect URI:', HS_OAUTH_CONFIG.redirectUri);
+
+        res.json({
+            success: true,
+            authUrl: authUrl,
+            message: 'Redirect user to this URL for authentication'
+        });
+
+    } catch (error) {
+        console.error('HubSpot OAuth initiation error:', error);
+        sendHubSpotError(res, error);
+    }
+});
+
+// OAuth Callback - Handle authorization code
+router.get('/auth/callback', async (req, res) => {
+    try {
+        const { code, state, error } = req.query;
+
+        console.log('\n=== HubSpot OAuth Callback Received ===');
+
+        if (error) {
+            console.log('❌ HubSpot authorization denied:', error);
+            return res.redirect(`/?error=${encodeURIComponent(error)}`);
+        }
+
+        // Verify state parameter (CSRF protection)
+        if (!state || state !== req.session.hubspotOauthState) {
+            console.log('❌ Invalid HubSpot state parameter - potential CSRF attack');
+            return res.redirect('/?error=invalid_state');
+        }
+
+        delete req.session.hubspotOauthState;
+
+        const { response, data: tokenData } = await requestHubSpotToken({
+            grant_type: 'authorization_code',
+            redirect_uri: HS_OAUTH_CONFIG.redirectUri,
+            code: code
+        });
+
+        if (!response.ok) {
+            console.log('❌ HubSpot token exchange failed:', tokenData);
+            return res.redirect(`/?error=${encodeURIComponent(tokenData.message || 'HubSpot token exchange failed')}`);
+        }
+
+        storeHubSpotTokens(req, tokenData);
+
+        console.log('✅ HubSpot OAuth authentication successful!');
+        console.log('🔄 Refresh Token available:', !!tokenData.refresh_token);
+
+        res.redirect('/?hubspot_auth=success');
+
+    } catch (error) {
+        console.error('HubSpot OAuth callback error:', error);
+        res.redirect(`/?error=${encodeURIComponent('HubSpot authentication failed')}`);
+    }
+});
+
+// OAuth Token Refresh
+router.post('/auth/refresh', async (req, res) => {
+    try {
+        const tokens = getHubSpotTokens(req);
+        if (!tokens || !tokens.refreshToken) {
+            return sendHubSpotError(res, createApiError(401, 'NO_REFRESH_TOKEN', 'No refresh token available'));
+        }
+
+        const refreshed = await refreshHubSpotToken(req);
+
+        res.json({
+            success: true,
+            message: 'Token refreshed successfully',
+            expiresIn: Math.round((refreshed.expiresAt - Date.now()) / 1000)
+        });
+
+    } catch (error) {
+        console.error('HubSpot token refresh error:', error);
+        sendHubSpotError(res, error);
+    }
+});
+
+// OAuth Status Check
+router.get('/auth/status', async (req, res) => {
+    const tokens = getHubSpotTokens(req);
+
+    if (!tokens) {
+        return res.json({
+            authenticated: false,
+            message: 'Not authenticated with HubSpot'
+        });
+    }
+
+    try {
+        await ensureValidHubSpotToken(req);
+
+        const { data } = await makeHubSpotAuthenticatedRequest(
+            req,
+            `${HS_OAUTH_CONFIG.apiBaseUrl}/oauth/v1/access-tokens/${getHubSpotTokens(req).accessToken}`
+        );
+
+        res.json({
+            authenticated: true,
+            message: 'Authenticated with HubSpot',
+            tokenInfo: {
+                scopes: data.scopes,
+                hubId: data.hub_id,
+                appId: data.app_id,
+                expiresAt: new Date(getHubSpotTokens(req).expiresAt).toISOString()
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ HubSpot status check failed:', error);
+        res.json({
+            authenticated: false,
+            message: 'Authentication invalid',
+            error: error.message
+        });
+    }
+});
+
+// OAuth Logout - clears this session's HubSpot tokens only
+router.post('/auth/logout', (req, res) => {
+    if (req.session) {
+        delete req.session.hubspot;
+    }
+
+    console.log('🔓 HubSpot user logged out - session tokens cleared');
+
+    res.json({
+        success: true,
+        message: 'Logged out from HubSpot successfully'
+    });
+});
+
+// =============================================================================
+// HubSpot Contact API Endpoints
+// =============================================================================
+
+router.use('/contacts', requireHubSpotAuth);
+
+// Create Contact
+router.post('/contacts', async (req, res) => {
+    try {
+        const properties = req.body || {};
+
+        if (!properties.email) {
+            return sendHubSpotError(res, createValidationError('Required fields are missing', {
+                fields: [{ field: 'email', message: 'Email is required for contact creation' }]
+            }));
+        }
+
+        console.log('\n=== Creating HubSpot Contact ===');
+        console.log('Contact data:', JSON.stringify(properties, null, 2));
+
+        const { data } = await makeHubSpotAuthenticatedRequest(req, CONTACTS_URL, {
+            method: 'POST',
+            body: JSON.stringify({ properties })
+        });
+
+        console.log('✅ HubSpot contact created successfully:', data.id);
+
+        res.status(201).json({
+            id: data.id,
+            success: true,
+            created: true,
+            properties: data.properties
+        });
+
+    } catch (error) {
+        console.error('❌ Create HubSpot contact error:', error);
+        sendHubSpotError(res, error);
+    }
+});
+
+// List Contacts - uses the search API so results can be sorted and counted
+router.get('/contacts', async (req, res) => {
+    try {
+        const limit = parseLimit(req.query.limit, DEFAULT_LIMIT, MAX_LIMIT);
+        const order = (req.query.order || 'desc').toUpperCase() === 'ASC' ? 'ASCENDING' : 'DESCENDING';
+        const searchBody = {
+            limit: limit,
+            properties: parseProperties(req.query.properties),
+            sorts: [{ propertyName: req.query.sort || 'createdate', direction: order }]
+        };
+
+        if (req.query.after) {
+            searchBody.after = req.query.after;
+        }
+
+        console.log('\n=== Listing HubSpot Contacts ===');
+        console.log(`Limit: ${limit}, After: ${req.query.after || '-'}, Sort: ${searchBody.sorts[0].propertyName} ${order}`);
+
+        const { data } = await makeHubSpotAuthenticatedRequest(req, `${CONTACTS_URL}/search`, {
+            method: 'POST',
+            body: JSON.stringify(searchBody)
+        });
+
+        console.log(`✅ Retrieved ${data.results.length} HubSpot contacts`);
+
+        res.json({
+            results: data.results,
+            paging: data.paging || null,
+            total: data.total,
+            hasMore: !!data.paging?.next?.after
+        });
+
+    } catch (error) {
+        console.error('❌ List HubSpot contacts error:', error);
+        sendHubSpotError(res, error);
+    }
+});
+
+// Search Contacts
+router.get('/contacts/search', async (req, res) => {
+    try {
+        const query = req.query.query || req.query.q;
+
+        if (!query) {
+            return sendHubSpotError(res, createValidationError('Search query parameter "query" is required'));
+        }
+
+        console.log('\n=== Searching HubSpot Contacts ===');
+        console.log(`Query: "${query}"`);
+
+        const { data } = await makeHubSpotAuthenticatedRequest(req, `${CONTACTS_URL}/search`, {
+            method: 'POST',
+            body: JSON.stringify({
+                query: query,
+                limit: parseLimit(req.query.limit, DEFAULT_LIMIT, MAX_LIMIT),
+                properties: parseProperties(req.query.properties)
+            })
+        });
+
+        console.log(`✅ Found ${data.results.length} HubSpot contacts`);
+
+        res.json({
+            results: data.results,
+            total: data.total,
+            query: query
+        });
+
+    } catch (error) {
+        console.error('❌ Search HubSpot contacts error:', error);
+        sendHubSpotError(res, error);
+    }
+});
+
+// Split records into HubSpot batch-sized chunks
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+// Bulk Operations - create, update or delete through the batch API
+router.post('/contacts/bulk', async (req, res) => {
+    try {
+        const { operation, contacts } = req.body || {};
+        const endpoints = { create: 'create', update: 'update', delete: 'archive' };
+
+        if (!endpoints[operation] || !Array.isArray(contacts) || contacts.length === 0) {
+            return sendHubSpotError(res, createValidationError('Invalid bulk operation or missing data', {
+                operations: Object.keys(endpoints)
+            }));
+        }
+
+        if (operation !== 'create' && contacts.some(contact => !contact.id)) {
+            return sendHubSpotError(res, createValidationError(`Every contact needs an "id" for bulk ${operation}`));
+        }
+
+        console.log('\n=== Bulk HubSpot Contact Operation ===');
+        console.log('Operation:', operation);
+        console.log('Contacts count:', contacts.length);
+
+        const results = [];
+
+        for (const batch of chunk(contacts, BATCH_SIZE)) {
+            const inputs = batch.map(({ id, ...properties }) => {
+                if (operation === 'create') return { properties };
+                if (operation === 'update') return { id, properties };
+                return { id };
+            });
+
+            try {
+                const { data } = await makeHubSpotAuthenticatedRequest(
+                    req,
+                    `${CONTACTS_URL}/batch/${endpoints[operation]}`,
+                    {
+                        method: 'POST',
+                        body: JSON.stringify({ inputs })
+                    }
+                );
+
+                if (operation === 'delete') {
+                    batch.forEach(contact => results.push({ id: contact.id, success: true }));
+                    continue;
+                }
+
+                // Batch responses are not guaranteed to be in input order, so a
+                // created contact is only matched by its email
+                const created = data.results || [];
+                batch.forEach(contact => {
+                    if (operation === 'create' && !contact.email) {
+                        results.push({ id: null, success: null, email: contact.email, error: 'Sent without an email, so HubSpot\'s result can\'t be matched to it - check before creating it again' });
+                        return;
+                    }
+
+                    const match = operation === 'update'
+                        ? created.find(result => result.id === String(contact.id))
+                        : created.find(result => result.properties?.email === contact.email.toLowerCase());
+
+                    results.push(match
+                        ? { id: match.id, success: true, email: match.properties?.email || contact.email }
+                        : { id: contact.id || null, success: false, email: contact.email, error: 'No result returned for this contact' });
+                });
+
+            } catch (error) {
+                if (error.code === 'AUTHENTICATION_REQUIRED') {
+                    throw error;
+                }
+                batch.forEach(contact => results.push({
+                    id: contact.id || null,
+                    success: false,
+                    email: contact.email,
+                    error: error.message
+                }));
+            }
+        }
+
+        const successful = results.filter(result => result.success === true).length;
+        const unknown = results.filter(result => result.success === null).length;
+        console.log(`✅ Bulk HubSpot ${operation} completed. Success: ${successful}, Errors: ${results.length - successful - unknown}, Unknown: ${unknown}`);
+
+        res.json({
+            success: successful === results.length,
+            operation: operation,
+            results: results,
+            summary: {
+                total: results.length,
+                successful: successful,
+                failed: results.length - successful - unknown,
+                unknown: unknown
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Bulk HubSpot operation error:', error);
+        sendHubSpotError(res, error);
+    }
+});
+
+// Get Contact by ID
+router.get('/contacts/:id', async (req, res) => {
+    try {
+        const contactId = req.params.id;
+        const properties = parseProperties(req.query.properties).join(',');
+
+        console.log('\n=== Getting HubSpot Contact by ID ===');
+        console.log('Contact ID:', contactId);
+
+        const { data } = await makeHubSpotAuthenticatedRequest(
+            req,
+            `${CONTACTS_URL}/${encodeURIComponent(contactId)}?properties=${encodeURIComponent(properties)}`
+        );
+
+        res.json({
+            id: data.id,
+            properties: data.properties,
+            createdAt: data.createdAt,
+            updatedAt: data.updatedAt
+        });
+
+    } catch (error) {
+        console.error('❌ Get HubSpot contact error:', error);
+        if (error.code === 'NOT_FOUND') {
+            error.message = `Contact with ID ${req.params.id} not found`;
+        }
+        sendHubSpotError(res, error);
+    }
+});
+
+// Update Contact - full (PUT) and partial (PATCH) both map to HubSpot's PATCH
+async function updateHubSpotContact(req, res, partial) {
+    try {
+        const contactId = req.params.id;
+        const properties = req.body || {};
+
+        console.log(`\n=== Updating HubSpot Contact (${partial ? 'Partial' : 'Full'}) ===`);
+        console.log('Contact ID:', contactId);
+        console.log('Update data:', JSON.stringify(properties, null, 2));
+
+        const { data } = await makeHubSpotAuthenticatedRequest(
+            req,
+            `${CONTACTS_URL}/${encodeURIComponent(contactId)}`,
+            {
+                method: 'PATCH',
+                body: JSON.stringify({ properties })
+            }
+        );
+
+        console.log('✅ HubSpot contact updated successfully');
+
+        const body = {
+            id: data.id,
+            success: true,
+            updated: true,
+            properties: data.properties
+        };
+        if (partial) {
+            body.updatedFields = Object.keys(properties);
+        }
+
+        res.json(body);
+
+    } catch (error) {
+        console.error('❌ Update HubSpot contact error:', error);
+        if (error.code === 'NOT_FOUND') {
+            error.message = `Contact with ID ${req.params.id} not found`;
+        }
+        sendHubSpotError(res, error);
+    }
+}
+
+router.put('/contacts/:id', (req, res) => updateHubSpotContact(req, res, false));
+router.patch('/contacts/:id', (req, res) => updateHubSpotContact(req, res, true));
+
+// Delete Contact
+router.delete('/contacts/:id', async (req, res) => {
+    try {
+        const contactId = req.params.id;
+
+        console.log('\n=== Deleting HubSpot Contact ===');
+        console.log('Contact ID:', contactId);
+
+        await makeHubSpotAuthenticatedRequest(
+            req,
+            `${CONTACTS_URL}/${encodeURIComponent(contactId)}`,
+            {
+                method: 'DELETE'
+            }
+        );
+
+        console.log('✅ HubSpot contact deleted successfully');
+
+        res.json({
+            success: true,
+            deleted: true,
+            id: contactId,
+            message: 'Contact deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Delete HubSpot contact error:', error);
+        if (error.code === 'NOT_FOUND') {
+            error.message = `Contact with ID ${req.params.id} not found`;
+        }
+        sendHubSpotError(res, error);
+    }
+});
+
+module.exports = router;
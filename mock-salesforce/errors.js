@@ -0,0 +1,36 @@
+// =============================================================================
+// Mock Errors - failures shaped like the REST API's
+// =============================================================================
+//
+// Salesforce answers a failed REST call with an array of
+// { message, errorCode, fields }. The mock throws errors carrying the HTTP
+// status and those entries, and the routes send them back unchanged.
+
+function mockError(status, errorCode, message, fields = []) {
+    return Object.assign(new Error(message), {
+        status,
+        errors: [{ message, errorCode, fields }]
+    });
+}
+
+// Several problems with one record, reported together
+function mockErrors(status, errors) {
+    return Object.assign(new Error(errors.map(error => error.message).join('; ')), {
+        status,
+        errors: errors.map(({ message, errorCode, fields = [] }) => ({ message, errorCode, fields }))
+    });
+}
+
+function sendMockError(res, error) {
+    if (!error.errors) {
+        console.error('❌ Mock Salesforce error:', error);
+        return res.status(500).json([{ message: error.message, errorCode: 'UNKNOWN_EXCEPTION', fields: [] }]);
+    }
+    res.status(error.status).json(error.errors);
+}
+
+module.exports = {
+    mockError,
+    mockErrors,
+    sendMockError
+};
@@ -0,0 +1,102 @@
+// =============================================================================
+// Mock Faults - failures a test can ask the mock to produce
+// =============================================================================
+//
+// POST /__mock/faults takes one of:
+//
+//   { "type": "unavailable", "times": 2, "status": 503, "method": "GET",
+//     "path": "/query", "retryAfter": 1 }
+//       The next matching REST calls fail with SERVER_UNAVAILABLE. method and
+//       path (a substring of the URL) narrow which calls count.
+//   { "type": "validation", "sobject": "Contact", "field": "Email",
+//     "message": "...", "errorCode": "FIELD_CUSTOM_VALIDATION_EXCEPTION", "times": 1 }
+//       The next creates or updates of the object fail like a validation rule.
+//
+// times defaults to 1; a fault is dropped once it has fired that many times.
+// Expiring sessions isn't armed here: server.js does it on the spot.
+
+const { mockError } = require('./errors');
+
+const FAULT_TYPES = ['unavailable', 'validation'];
+
+function createFaults() {
+    let faults = [];
+    let nextFaultId = 1;
+
+    function add(definition = {}) {
+        if (!FAULT_TYPES.includes(definition.type)) {
+            throw mockError(400, 'INVALID_FAULT', `Fault type must be one of: ${[...FAULT_TYPES, 'session-expired'].join(', ')}`);
+        }
+        const times = definition.times === undefined ? 1 : Number(definition.times);
+        if (!Number.isInteger(times) || times < 1) {
+            throw mockError(400, 'INVALID_FAULT', 'times must be a positive whole number');
+        }
+        if (definition.type === 'validation' && !definition.sobject) {
+            throw mockError(400, 'INVALID_FAULT', 'A validation fault needs the sobject it applies to');
+        }
+
+        const fault = { id: nextFaultId++, ...definition, times, fired: 0 };
+        faults.push(fault);
+        console.log(`💥 Mock fault armed: ${fault.type} x${times}`);
+        return fault;
+    }
+
+    function list() {
+        return faults.map(fault => ({ ...fault }));
+    }
+
+    function clear() {
+        faults = [];
+    }
+
+    // The first armed fault that matches, counted as fired
+    function take(matches) {
+        const fault = faults.find(matches);
+        if (!fault) {
+            return null;
+        }
+        fault.fired++;
+        if (fault.fired >= fault.times) {
+            faults = faults.filter(candidate => candidate !== fault);
+        }
+        return fault;
+    }
+
+    // { status, headers, body } to answer this request with, or null
+    function takeOutage(req) {
+        const fault = take(candidate => candidate.type === 'unavailable' &&
+            (!candidate.method || candidate.method.toUpperCase() === req.method) &&
+            (!candidate.path || req.originalUrl.includes(candidate.path)));
+        if (!fault) {
+            return null;
+        }
+        return {
+            status: fault.status || 503,
+            headers: fault.retryAfter ? { 'Retry-After': String(fault.retryAfter) } : {},
+            body: [{ errorCode: 'SERVER_UNAVAILABLE', message: fault.message || 'Server is temporarily unavailable. Please try again later.' }]
+        };
+    }
+
+    // Throws the validation error armed for a save of this object, if any
+    function checkValidation(type) {
+        const fault = take(candidate => candidate.type === 'validation' &&
+            candidate.sobject.toLowerCase() === String(type).toLowerCase());
+        if (fault) {
+            throw mockError(400, fault.errorCode || 'FIELD_CUSTOM_VALIDATION_EXCEPTION',
+                fault.message || 'The record failed a validation rule', fault.field ? [fault.field] : []);
+        }
+    }
+
+    return {
+        add,
+        list,
+        clear,
+        takeOutage,
+        checkValidation
+    };
+}
+
+module.exports = {
+    FAULT_TYPES,
+    createFaults
+};
@@ -0,0 +1,59 @@
+// =============================================================================
+// Mock Record IDs - Salesforce-shaped 15 and 18 character IDs
+// =============================================================================
+//
+// An ID is the object's three character key prefix, a pod and a counter,
+// 15 case-sensitive characters in all. The 18 character form adds three
+// characters that encode which of the 15 are upper case, so it survives
+// case-insensitive handling; the REST API always answers with that form.
+
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const SUFFIX_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ012345';
+const ID_PATTERN = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+const POD = '5g0';
+
+function isId(value) {
+    return typeof value === 'string' && ID_PATTERN.test(value);
+}
+
+// The 18 character form of a 15 or 18 character ID
+function toId18(id) {
+    if (id.length === 18) {
+        return id;
+    }
+    let suffix = '';
+    for (let chunk = 0; chunk < 3; chunk++) {
+        let bits = 0;
+        for (let index = 0; index < 5; index++) {
+            const char = id[chunk * 5 + index];
+            if (char >= 'A' && char <= 'Z') {
+                bits |= 1 << index;
+            }
+        }
+        suffix += SUFFIX_CHARS[bits];
+    }
+    return id + suffix;
+}
+
+// IDs are issued in order, so a fresh generator fed the same records
+// gives them the same IDs again
+function createIdGenerator() {
+    let counter = 0;
+
+    return function nextId(keyPrefix) {
+        counter += 1;
+        let value = counter;
+        let digits = '';
+        while (digits.length < 9) {
+            digits = BASE62[value % 62] + digits;
+            value = Math.floor(value / 62);
+        }
+        return toId18(`${keyPrefix}${POD}${digits}`);
+    };
+}
+
+module.exports = {
+    isId,
+    toId18,
+    createIdGenerator
+};
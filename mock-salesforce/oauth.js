@@ -0,0 +1,401 @@
+// =============================================================================
+// Mock OAuth - login page, token grants, revoke and userinfo
+// =============================================================================
+//
+// /services/oauth2/authorize shows a login page for the seeded users (the
+// web server flow, with PKCE when the client sends a code challenge) and
+// redirects back with a one-time code. /services/oauth2/token takes the
+// authorization_code, refresh_token, password and JWT bearer grants. The JWT
+// assertion's issuer, subject and expiry are checked but not its signature:
+// the mock has no certificate to check it against.
+//
+// Access tokens look like Salesforce's (the org ID, "!", then random text)
+// and expire after the session timeout; refresh tokens last until revoked.
+// Tokens live in memory, so restarting the mock logs everyone out.
+
+const crypto = require('crypto');
+const express = require('express');
+
+const JWT_BEARER_GRANT = 'urn:ietf:params:oauth:grant-type:jwt-bearer';
+const CODE_LIFETIME_MS = 15 * 60 * 1000;
+const LOGIN_FAILED = 'Please check your username and password. If you still can\'t log in, contact your Salesforce administrator.';
+
+function randomToken(bytes = 32) {
+    return crypto.randomBytes(bytes).toString('base64url');
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function oauthError(error, description, status = 400) {
+    return Object.assign(new Error(description), { status, oauthError: error });
+}
+
+function baseUrlOf(req) {
+    return `${req.protocol}://${req.get('host')}`;
+}
+
+function withParams(url, params) {
+    const target = new URL(url);
+    Object.entries(params)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .forEach(([name, value]) => target.searchParams.set(name, value));
+    return target.toString();
+}
+
+function renderLoginPage({ params, username, error }) {
+    const hidden = ['client_id', 'redirect_uri', 'state', 'scope', 'code_challenge', 'code_challenge_method']
+        .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params[name])}">`)
+        .join('\n            ');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Login | Mock Salesforce</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #f3f3f3; margin: 0; }
+        .login { max-width: 360px; margin: 80px auto; background: #fff; border-radius: 6px; padding: 28px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); }
+        h1 { font-size: 20px; color: #032d60; margin-top: 0; }
+        label { display: block; font-size: 13px; margin: 14px 0 4px; color: #3e3e3c; }
+        input[type=text], input[type=password] { width: 100%; box-sizing: border-box; padding: 9px; border: 1px solid #c9c9c9; border-radius: 4px; }
+        .actions { display: flex; gap: 10px; margin-top: 20px; }
+        button { flex: 1; padding: 10px; border: 0; border-radius: 4px; cursor: pointer; font-size: 14px; }
+        #Login { background: #0176d3; color: #fff; }
+        #Deny { background: #e5e5e5; color: #3e3e3c; }
+        .error { background: #fde8e8; color: #ba0517; padding: 10px; border-radius: 4px; font-size: 13px; }
+        .hint { font-size: 12px; color: #706e6b; margin-top: 16px; }
+    </style>
+</head>
+<body>
+    <div class="login">
+        <h1>🧪 Mock Salesforce Login</h1>
+        ${error ? `<div id="error" class="error">${escapeHtml(error)}</div>` : ''}
+        <form method="POST" action="/services/oauth2/authorize">
+            ${hidden}
+            <label for="username">Username</label>
+            <input type="text" id="username" name="username" value="${escapeHtml(username)}" autocomplete="username">
+            <label for="password">Password</label>
+            <input type="password" id="password" name="password" autocomplete="current-password">
+            <div class="actions">
+                <button type="submit" id="Login" name="action" value="allow">Log In</button>
+                <button type="submit" id="Deny" name="action" value="deny">Deny</button>
+            </div>
+        </form>
+        <p class="hint">This is a local stand-in for Salesforce. Logging in allows access for ${escapeHtml(params.client_id)}.</p>
+    </div>
+</body>
+</html>`;
+}
+
+function createMockOAuth({ store, options }) {
+    const { clientId, clientSecret, sessionTtlSeconds } = options;
+    // access token -> { userId, refreshToken, expiresAt }
+    const accessTokens = new Map();
+    // refresh token -> { userId }
+    const refreshTokens = new Map();
+    // code -> { redirectUri, codeChallenge, userId, expiresAt }
+    const codes = new Map();
+
+    function identityUrl(req, userId) {
+        return `${baseUrlOf(req)}/id/${store.organization.id}/${userId}`;
+    }
+
+    function issueTokens(req, user, { withRefreshToken, refreshToken = null, scope }) {
+        const accessToken = `${store.organization.id.slice(0, 15)}!${randomToken()}`;
+        const issuedAt = String(Date.now());
+        const newRefreshToken = withRefreshToken ? randomToken(48) : null;
+        if (newRefreshToken) {
+            refreshTokens.set(newRefreshToken, { userId: user.Id });
+        }
+        accessTokens.set(accessToken, {
+            userId: user.Id,
+            refreshToken: newRefreshToken || refreshToken,
+            expiresAt: Date.now() + sessionTtlSeconds * 1000
+        });
+
+        const id = identityUrl(req, user.Id);
+        const response = {
+            access_token: accessToken,
+            signature: crypto.createHmac('sha256', clientSecret).update(`${id}${issuedAt}`).digest('base64'),
+            scope: scope || 'api refresh_token id',
+            instance_url: baseUrlOf(req),
+            id,
+            token_type: 'Bearer',
+            issued_at: issuedAt
+        };
+        if (newRefreshToken) {
+            response.refresh_token = newRefreshToken;
+        }
+        return response;
+    }
+
+    function checkClient(params, { secretRequired }) {
+        if (params.client_id !== clientId) {
+            throw oauthError('invalid_client_id', 'client identifier invalid');
+        }
+        if ((secretRequired || params.client_secret) && params.client_secret !== clientSecret) {
+            throw oauthError('invalid_client', 'invalid client credentials');
+        }
+    }
+
+    function activeUser(userId) {
+        const user = store.getUser(userId);
+        if (!user || !user.IsActive) {
+            throw oauthError('invalid_grant', 'inactive user');
+        }
+        return user;
+    }
+
+    function authorizationCodeGrant(req, params) {
+        const entry = codes.get(params.code);
+        codes.delete(params.code);
+        checkClient(params, { secretRequired: !entry?.codeChallenge });
+
+        if (!entry || entry.expiresAt < Date.now()) {
+            throw oauthError('invalid_grant', 'invalid authorization code');
+        }
+        if (params.redirect_uri !== entry.redirectUri) {
+            throw oauthError('invalid_grant', 'redirect_uri must match configuration');
+        }
+        if (entry.codeChallenge) {
+            const challenge = crypto.createHash('sha256').update(String(params.code_verifier || '')).digest('base64url');
+            if (challenge !== entry.codeChallenge) {
+                throw oauthError('invalid_grant', 'invalid code verifier');
+            }
+        }
+        return issueTokens(req, activeUser(entry.userId), { withRefreshToken: true, scope: entry.scope });
+    }
+
+    function refreshTokenGrant(req, params) {
+        checkClient(params, { secretRequired: false });
+        const entry = refreshTokens.get(params.refresh_token);
+        if (!entry) {
+            throw oauthError('invalid_grant', 'expired access/refresh token');
+        }
+        return issueTokens(req, activeUser(entry.userId), { withRefreshToken: false, refreshToken: params.refresh_token });
+    }
+
+    function passwordGrant(req, params) {
+        checkClient(params, { secretRequired: true });
+        const user = store.authenticate(params.username, params.password);
+        if (!user) {
+            throw oauthError('invalid_grant', 'authentication failure');
+        }
+        return issueTokens(req, user, { withRefreshToken: false });
+    }
+
+    function jwtBearerGrant(req, params) {
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(String(params.assertion).split('.')[1], 'base64url').toString('utf8'));
+        } catch (error) {
+            throw oauthError('invalid_grant', 'invalid assertion');
+        }
+        if (claims.iss !== clientId) {
+            throw oauthError('invalid_client_id', 'client identifier invalid');
+        }
+        if (!claims.exp || claims.exp * 1000 < Date.now()) {
+            throw oauthError('invalid_grant', 'expired authorization code');
+        }
+        const user = store.findUserByUsername(claims.sub);
+        if (!user) {
+            throw oauthError('invalid_grant', 'user hasn\'t approved this consumer');
+        }
+        return issueTokens(req, activeUser(user.Id), { withRefreshToken: false });
+    }
+
+    const GRANTS = {
+        authorization_code: authorizationCodeGrant,
+        refresh_token: refreshTokenGrant,
+        password: passwordGrant,
+        [JWT_BEARER_GRANT]: jwtBearerGrant
+    };
+
+    // The session a bearer token belongs to, or null if it is unknown,
+    // revoked or expired
+    function sessionFor(accessToken) {
+        const entry = accessTokens.get(accessToken);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt < Date.now()) {
+            accessTokens.delete(accessToken);
+            return null;
+        }
+        const user = store.getUser(entry.userId);
+        return user ? { userId: user.Id, user } : null;
+    }
+
+    function bearerSession(req) {
+        const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+        return match ? sessionFor(match[1]) : null;
+    }
+
+    // End every session now, as if they had all timed out; refresh tokens
+    // still work, so clients get new access tokens the usual way
+    function expireSessions() {
+        const count = accessTokens.size;
+        accessTokens.clear();
+        return count;
+    }
+
+    const router = express.Router();
+    router.use(express.urlencoded({ extended: false }));
+
+    // The login page (a HEAD request gets the same status without the page)
+    router.get('/services/oauth2/authorize', (req, res) => {
+        const params = req.query;
+        if (params.response_type !== 'code') {
+            return res.status(400).type('text/plain').send('error=unsupported_response_type&error_description=response type not supported');
+        }
+        if (params.client_id !== clientId) {
+            return res.status(400).type('text/plain').send('error=invalid_client_id&error_description=client identifier invalid');
+        }
+        if (!params.redirect_uri) {
+            return res.status(400).type('text/plain').send('error=redirect_uri_missing&error_description=redirect_uri must be provided');
+        }
+        res.type('html').send(renderLoginPage({ params, username: store.defaultUsername() }));
+    });
+
+    router.post('/services/oauth2/authorize', (req, res) => {
+        const params = req.body;
+        if (params.client_id !== clientId || !params.redirect_uri) {
+            return res.status(400).type('text/plain').send('error=invalid_client_id&error_description=client identifier invalid');
+        }
+        if (params.action === 'deny') {
+            console.log('🚫 Mock login denied');
+            return res.redirect(withParams(params.redirect_uri, {
+                error: 'access_denied',
+                error_description: 'end-user denied authorization',
+                state: params.state
+            }));
+        }
+
+        const user = store.authenticate(params.username, params.password);
+        if (!user) {
+            console.log(`🚫 Mock login failed for ${params.username}`);
+            return res.status(200).type('html').send(renderLoginPage({ params, username: params.username, error: LOGIN_FAILED }));
+        }
+
+        const code = randomToken();
+        codes.set(code, {
+            redirectUri: params.redirect_uri,
+            codeChallenge: params.code_challenge || null,
+            scope: params.scope,
+            userId: user.Id,
+            expiresAt: Date.now() + CODE_LIFETIME_MS
+        });
+        console.log(`🔐 Mock login as ${user.Username}`);
+        res.redirect(withParams(params.redirect_uri, { code, state: params.state }));
+    });
+
+    router.post('/services/oauth2/token', (req, res) => {
+        const grant = GRANTS[req.body.grant_type];
+        try {
+            if (!grant) {
+                throw oauthError('unsupported_grant_type', 'grant type not supported');
+            }
+            const tokens = grant(req, req.body);
+            console.log(`🎟️ Mock token issued (${req.body.grant_type})`);
+            res.json(tokens);
+        } catch (error) {
+            if (!error.oauthError) {
+                throw error;
+            }
+            console.log(`🚫 Mock token request refused: ${error.oauthError} (${error.message})`);
+            res.status(error.status).json({ error: error.oauthError, error_description: error.message });
+        }
+    });
+
+    // Revoking a refresh token also ends the sessions it started
+    router.all('/services/oauth2/revoke', (req, res) => {
+        const token = req.body?.token || req.query.token;
+        if (accessTokens.delete(token)) {
+            return res.status(200).end();
+        }
+        if (refreshTokens.delete(token)) {
+            accessTokens.forEach((entry, accessToken) => {
+                if (entry.refreshToken === token) {
+                    accessTokens.delete(accessToken);
+                }
+            });
+            return res.status(200).end();
+        }
+        res.status(400).json({ error: 'unsupported_token_type', error_description: 'this token type is not supported' });
+    });
+
+    // Salesforce answers a bad token here with a bare 403, not a 401
+    router.get('/services/oauth2/userinfo', (req, res) => {
+        const session = bearerSession(req);
+        if (!session) {
+            return res.status(403).type('text/plain').send('Bad_OAuth_Token');
+        }
+        const { user } = session;
+        res.json({
+            sub: identityUrl(req, user.Id),
+            user_id: user.Id,
+            organization_id: store.organization.id,
+            preferred_username: user.Username,
+            nickname: user.Username.split('@')[0],
+            name: user.Name,
+            email: user.Email,
+            email_verified: true,
+            given_name: user.FirstName,
+            family_name: user.LastName,
+            active: user.IsActive,
+            user_type: 'STANDARD',
+            language: 'en_US',
+            locale: 'en_US',
+            utcOffset: 0,
+            updated_at: user.LastModifiedDate
+        });
+    });
+
+    // The identity URL returned with every token
+    router.get('/id/:orgId/:userId', (req, res) => {
+        const session = bearerSession(req);
+        if (!session) {
+            return res.status(403).type('text/plain').send('Bad_OAuth_Token');
+        }
+        const user = store.getUser(req.params.userId);
+        if (!user || req.params.orgId !== store.organization.id) {
+            return res.status(404).type('text/plain').send('Bad_Id');
+        }
+        res.json({
+            id: identityUrl(req, user.Id),
+            asserted_user: user.Id === session.userId,
+            user_id: user.Id,
+            organization_id: store.organization.id,
+            username: user.Username,
+            nick_name: user.Username.split('@')[0],
+            display_name: user.Name,
+            email: user.Email,
+            first_name: user.FirstName,
+            last_name: user.LastName,
+            active: user.IsActive,
+            user_type: 'STANDARD',
+            language: 'en_US',
+            locale: 'en_US',
+            utcOffset: 0,
+            last_modified_date: user.LastModifiedDate
+        });
+    });
+
+    return {
+        router,
+        sessionFor,
+        bearerSession,
+        expireSessions
+    };
+}
+
+module.exports = {
+    createMockOAuth
+};
@@ -0,0 +1,563 @@
+// =============================================================================
+// Mock REST API - the /services/data and SOAP resources the proxy calls
+// =============================================================================
+//
+// Covers what salesforce-proxy.js uses: versions, limits, describe, record
+// CRUD and upsert, query/queryAll with query locators, search, sObject
+// Collections (and /composite requests made of them), plus the SOAP undelete
+// and merge calls. Bulk API 2.0 jobs are not mocked and answer 404.
+//
+// Every authenticated call counts against the daily API limit and reports
+// it in Sforce-Limit-Info, the way Salesforce does; once the limit is used
+// up calls fail with REQUEST_LIMIT_EXCEEDED. Armed faults (see faults.js)
+// are checked before anything else.
+
+const express = require('express');
+const { mockError, sendMockError } = require('./errors');
+const { parseDuplicateRuleHeader } = require('./store');
+const { findObject } = require('./schema');
+const { isId } = require('./ids');
+const { escapeXml, unescapeXml, xmlElements, xmlText } = require('../soap-client');
+
+const API_VERSIONS = [
+    { label: 'Winter \'23', url: '/services/data/v56.0', version: '56.0' },
+    { label: 'Spring \'23', url: '/services/data/v57.0', version: '57.0' },
+    { label: 'Summer \'23', url: '/services/data/v58.0', version: '58.0' }
+];
+const COLLECTION_LIMIT = 200;
+const COMPOSITE_LIMIT = 25;
+const DEFAULT_BATCH_SIZE = 2000;
+const MIN_BATCH_SIZE = 200;
+const MAX_OPEN_LOCATORS = 50;
+const COLLECTION_URL = /^\/services\/data\/v\d+\.\d+\/composite\/sobjects(?:\/([^/?]+)\/([^/?]+))?(?:\?(.*))?$/;
+const ROLLED_BACK = {
+    statusCode: 'ALL_OR_NONE_OPERATION_ROLLED_BACK',
+    message: 'Record rolled back because not all records were valid and the request was using AllOrNone header',
+    fields: []
+};
+
+// Errors of a failed record inside a collection, where errorCode is statusCode
+function collectionErrors(errors) {
+    return errors.map(({ errorCode, ...error }) => ({ statusCode: errorCode, ...error }));
+}
+
+// ?batchSize=n from a Sforce-Query-Options header, kept within Salesforce's bounds
+function readBatchSize(header) {
+    const match = /batchSize\s*=\s*(\d+)/i.exec(header || '');
+    return match ? Math.min(Math.max(Number(match[1]), MIN_BATCH_SIZE), DEFAULT_BATCH_SIZE) : DEFAULT_BATCH_SIZE;
+}
+
+function soapEnvelope(body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns="urn:partner.soap.sforce.com" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<soapenv:Body>${body}</soapenv:Body>
+</soapenv:Envelope>`;
+}
+
+function soapFault(code, message) {
+    return soapEnvelope(`<soapenv:Fault><faultcode>sf:${code}</faultcode><faultstring>${escapeXml(`${code}: ${message}`)}</faultstring></soapenv:Fault>`);
+}
+
+function soapErrors(errors) {
+    return errors.map(error => `<errors>${(error.fields || []).map(field => `<fields>${escapeXml(field)}</fields>`).join('')}<message>${escapeXml(error.message)}</message><statusCode>${escapeXml(error.errorCode)}</statusCode></errors>`).join('');
+}
+
+function soapId(id) {
+    return id ? `<id>${escapeXml(id)}</id>` : '<id xsi:nil="true"/>';
+}
+
+function createRestApi({ store, oauth, faults, options }) {
+    let usage;
+    // locator ID -> the query's records, oldest query first
+    let locators;
+    let nextLocator;
+
+    function reset() {
+        usage = { used: 0, max: options.apiLimit };
+        locators = new Map();
+        nextLocator = 1;
+    }
+
+    function setUsage({ used, max }) {
+        if (max !== undefined) {
+            usage.max = Number(max);
+        }
+        if (used !== undefined) {
+            usage.used = Number(used);
+        }
+        return { ...usage };
+    }
+
+    function saveContext(req, res) {
+        return {
+            userId: res.locals.session.userId,
+            duplicateRule: parseDuplicateRuleHeader(req.get('Sforce-Duplicate-Rule-Header'))
+        };
+    }
+
+    // Wraps a synchronous route so thrown mock errors become responses
+    function handle(route) {
+        return (req, res) => {
+            try {
+                route(req, res);
+            } catch (error) {
+                sendMockError(res, error);
+            }
+        };
+    }
+
+    // =============================================================================
+    // Queries
+    // =============================================================================
+
+    // One batch of records, with the locator of the next batch if there is one
+    function queryBatch(version, kind, locatorId, records, offset, batchSize) {
+        const end = offset + batchSize;
+        const batch = { totalSize: records.length, done: end >= records.length, records: records.slice(offset, end) };
+        if (!batch.done) {
+            batch.nextRecordsUrl = `/services/data/${version}/${kind}/${locatorId}-${end}`;
+        }
+        return batch;
+    }
+
+    function openLocator(records) {
+        const locatorId = `01g5g${String(nextLocator++).padStart(10, '0')}`;
+        locators.set(locatorId, records);
+        // Salesforce closes the oldest cursors once too many are open
+        if (locators.size > MAX_OPEN_LOCATORS) {
+            locators.delete(locators.keys().next().value);
+        }
+        return locatorId;
+    }
+
+    function runQuery(req, res, kind) {
+        const { version } = req.params;
+        const batchSize = readBatchSize(req.get('Sforce-Query-Options'));
+        if (!req.query.q) {
+            throw mockError(400, 'MALFORMED_QUERY', 'A query string has to be specified');
+        }
+
+        const result = store.query(String(req.query.q), { includeDeleted: kind === 'queryAll' });
+        if (result.count) {
+            return res.json({ totalSize: result.totalSize, done: true, records: [] });
+        }
+        const locatorId = result.records.length > batchSize ? openLocator(result.records) : null;
+        res.json(queryBatch(version, kind, locatorId, result.records, 0, batchSize));
+    }
+
+    function nextQueryBatch(req, res, kind) {
+        const { version, locator } = req.params;
+        const match = /^([A-Za-z0-9]+)-(\d+)$/.exec(locator);
+        const records = match && locators.get(match[1]);
+        if (!records) {
+            throw mockError(400, 'INVALID_QUERY_LOCATOR', 'invalid query locator');
+        }
+        res.json(queryBatch(version, kind, match[1], records, Number(match[2]), readBatchSize(req.get('Sforce-Query-Options'))));
+    }
+
+    // =============================================================================
+    // sObject Collections
+    // =============================================================================
+
+    // One record of a collection: a result entry, never a thrown mock error
+    function collectionEntry(save, fallbackId) {
+        try {
+            const { id, ...rest } = save();
+            return { id, success: true, errors: [], ...rest };
+        } catch (error) {
+            if (!error.errors) {
+                throw error;
+            }
+            const errors = Array.isArray(error.errors) && typeof error.errors[0] === 'object'
+                ? error.errors
+                : [{ errorCode: 'DUPLICATE_EXTERNAL_ID', message: error.message, fields: [] }];
+            return { id: fallbackId || null, success: false, errors: collectionErrors(errors) };
+        }
+    }
+
+    // Run one collection request: { status, body }. An allOrNone failure
+    // rolls every record back.
+    function runCollection(method, { type: upsertType, field: upsertField, query = {}, body = {} }, context) {
+        const allOrNone = method === 'DELETE' ? query.allOrNone === 'true' : body.allOrNone === true;
+        const items = method === 'DELETE'
+            ? String(query.ids || '').split(',').filter(Boolean)
+            : body.records;
+        if (!Array.isArray(items) || items.length === 0) {
+            throw mockError(400, 'INVALID_FIELD', method === 'DELETE' ? 'ids is required' : 'records is required');
+        }
+        if (items.length > COLLECTION_LIMIT) {
+            throw mockError(400, 'EXCEEDED_ID_LIMIT', `record limit reached. cannot submit more than ${COLLECTION_LIMIT} records into this call`);
+        }
+
+        const saved = allOrNone ? store.snapshot() : null;
+        const results = items.map(item => {
+            if (method === 'DELETE') {
+                return collectionEntry(() => {
+                    if (!isId(item)) {
+                        throw mockError(400, 'MALFORMED_ID', `malformed id ${item}`);
+                    }
+                    const type = store.typeOf(item);
+                    if (!type) {
+                        throw mockError(400, 'INVALID_CROSS_REFERENCE_KEY', 'invalid cross reference id');
+                    }
+                    return { id: store.remove(type, item, context) };
+                }, item);
+            }
+
+            const { attributes, ...values } = item || {};
+            const type = upsertType || attributes?.type;
+            if (!type) {
+                return { id: null, success: false, errors: collectionErrors([{ errorCode: 'INVALID_TYPE', message: 'Must send a concrete entity type.', fields: [] }]) };
+            }
+            if (method === 'POST') {
+                return collectionEntry(() => {
+                    faults.checkValidation(type);
+                    return { id: store.create(type, values, context) };
+                });
+            }
+            if (upsertField) {
+                return collectionEntry(() => {
+                    faults.checkValidation(type);
+                    const { [upsertField]: value, ...rest } = values;
+                    if (value === undefined || value === null || value === '') {
+                        throw mockError(400, 'MISSING_ARGUMENT', `${upsertField} not specified`);
+                    }
+                    const result = store.upsert(type, upsertField, value, rest, context);
+                    return { id: result.id, created: result.created };
+                });
+            }
+            const { Id: id, ...changes } = values;
+            return collectionEntry(() => {
+                if (!id) {
+                    throw mockError(400, 'MISSING_ARGUMENT', 'Id not specified in an update call');
+                }
+                faults.checkValidation(type);
+                return { id: store.update(type, id, changes, context) };
+            }, id);
+        });
+
+        if (allOrNone && results.some(result => !result.success)) {
+            store.restoreSnapshot(saved);
+            return {
+                status: 200,
+                body: results.map(result => result.success
+                    ? { id: null, success: false, errors: [ROLLED_BACK] }
+                    : { ...result, id: null })
+            };
+        }
+        return { status: 200, body: results };
+    }
+
+    // A /composite request whose subrequests are collections. With allOrNone
+    // the first failed record undoes everything and halts the rest.
+    function runComposite(body, context) {
+        const requests = body?.compositeRequest;
+        if (!Array.isArray(requests) || requests.length === 0 || requests.length > COMPOSITE_LIMIT) {
+            throw mockError(400, 'INVALID_INPUT', `compositeRequest needs between 1 and ${COMPOSITE_LIMIT} subrequests`);
+        }
+
+        const saved = body.allOrNone ? store.snapshot() : null;
+        const responses = [];
+        let failedAt = -1;
+        requests.forEach((request, index) => {
+            const base = { httpHeaders: {}, referenceId: request.referenceId };
+            if (failedAt >= 0) {
+                responses.push({ ...base, httpStatusCode: 400, body: [{ errorCode: 'PROCESSING_HALTED', message: 'The transaction was rolled back since another operation in the same transaction failed.' }] });
+                return;
+            }
+
+            const match = COLLECTION_URL.exec(String(request.url || ''));
+            let response;
+            if (!match) {
+                response = { status: 404, body: [{ errorCode: 'NOT_FOUND', message: 'Only sObject Collections subrequests are supported by the mock server' }] };
+            } else {
+                try {
+                    response = runCollection(String(request.method || 'GET').toUpperCase(), {
+                        type: match[1] && decodeURIComponent(match[1]),
+                        field: match[2] && decodeURIComponent(match[2]),
+                        query: Object.fromEntries(new URLSearchParams(match[3] || '')),
+                        body: request.body
+                    }, context);
+                } catch (error) {
+                    if (!error.errors) {
+                        throw error;
+                    }
+                    response = { status: error.status, body: error.errors };
+                }
+            }
+
+            responses.push({ ...base, httpStatusCode: response.status, body: response.body });
+            const failed = response.status >= 400 || (Array.isArray(response.body) && response.body.some(entry => entry.success === false));
+            if (body.allOrNone && failed) {
+                failedAt = index;
+            }
+        });
+
+        if (failedAt >= 0) {
+            store.restoreSnapshot(saved);
+            responses.forEach((response, index) => {
+                if (index < failedAt) {
+                    Object.assign(response, { httpStatusCode: 400, body: [{ errorCode: 'PROCESSING_HALTED', message: 'The transaction was rolled back since another operation in the same transaction failed.' }] });
+                }
+            });
+        }
+        return { compositeResponse: responses };
+    }
+
+    // =============================================================================
+    // SOAP
+    // =============================================================================
+
+    function soapUndelete(operation, context) {
+        const results = xmlElements(operation, 'ids').map(unescapeXml).map(id => store.undelete(id, context));
+        return `<undeleteResponse>${results.map(result =>
+            `<result>${soapErrors(result.errors)}${soapId(result.id)}<success>${result.success}</success></result>`).join('')}</undeleteResponse>`;
+    }
+
+    // Field values of a SOAP sObject, typed by the object's describe
+    function soapFieldValues(object, xml) {
+        const values = {};
+        [...xml.matchAll(/<(?:[\w-]+:)?(\w+)(?:\s[^>]*)?>([\s\S]*?)<\/(?:[\w-]+:)?\1>/g)].forEach(([, name, text]) => {
+            if (['type', 'Id', 'fieldsToNull'].includes(name)) {
+                return;
+            }
+            const field = object.fields.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+            const value = unescapeXml(text);
+            values[name] = field && field.type === 'boolean' ? value === 'true' : value;
+        });
+        xmlElements(xml, 'fieldsToNull').map(unescapeXml).forEach(name => {
+            values[name] = null;
+        });
+        return values;
+    }
+
+    function soapMerge(operation, context) {
+        const request = xmlElements(operation, 'request')[0] || '';
+        const master = xmlElements(request, 'masterRecord')[0] || '';
+        const type = xmlText(master, 'type');
+        const object = findObject(type || '');
+        let result;
+        if (!object) {
+            result = { id: null, success: false, errors: [{ errorCode: 'INVALID_TYPE', message: `sObject type '${type}' is not supported.`, fields: [] }] };
+        } else {
+            try {
+                faults.checkValidation(object.name);
+                result = store.merge(object.name, xmlText(master, 'Id'), soapFieldValues(object, master),
+                    xmlElements(request, 'recordToMergeIds').map(unescapeXml), context);
+            } catch (error) {
+                if (!error.errors) {
+                    throw error;
+                }
+                result = { id: null, success: false, errors: error.errors };
+            }
+        }
+        return `<mergeResponse><result>${soapErrors(result.errors)}${soapId(result.id)}${(result.mergedRecordIds || []).map(id =>
+            `<mergedRecordIds>${escapeXml(id)}</mergedRecordIds>`).join('')}<success>${result.success}</success>${(result.updatedRelatedIds || []).map(id =>
+            `<updatedRelatedIds>${escapeXml(id)}</updatedRelatedIds>`).join('')}</result></mergeResponse>`;
+    }
+
+    const SOAP_OPERATIONS = { undelete: soapUndelete, merge: soapMerge };
+
+    // =============================================================================
+    // Routes
+    // =============================================================================
+
+    const router = express.Router();
+    router.use(express.json({ limit: '10mb' }));
+    router.use(express.text({ type: ['text/xml', 'application/soap+xml'], limit: '10mb' }));
+
+    // Armed outages answer before Salesforce would even look at the session
+    router.use((req, res, next) => {
+        const outage = faults.takeOutage(req);
+        if (!outage) {
+            return next();
+        }
+        console.log(`💥 Mock outage: ${req.method} ${req.originalUrl} -> ${outage.status}`);
+        res.status(outage.status).set(outage.headers).json(outage.body);
+    });
+
+    router.get('/data', (req, res) => res.json(API_VERSIONS));
+
+    router.post('/Soap/u/:version', (req, res) => {
+        const envelope = typeof req.body === 'string' ? req.body : '';
+        const session = oauth.sessionFor(xmlText(envelope, 'sessionId'));
+        res.type('text/xml');
+        if (!session) {
+            return res.status(500).send(soapFault('INVALID_SESSION_ID', 'Invalid Session ID found in SessionHeader: Illegal Session'));
+        }
+        if (usage.used >= usage.max) {
+            return res.status(500).send(soapFault('REQUEST_LIMIT_EXCEEDED', 'TotalRequests Limit exceeded.'));
+        }
+        usage.used++;
+        res.set('Sforce-Limit-Info', `api-usage=${usage.used}/${usage.max}`);
+
+        const body = xmlElements(envelope, 'Body')[0] || '';
+        const name = Object.keys(SOAP_OPERATIONS).find(operation => xmlElements(body, operation).length > 0);
+        if (!name) {
+            const requested = /<(?:[\w-]+:)?(\w+)/.exec(body.trim());
+            return res.status(500).send(soapFault('INVALID_OPERATION', `${requested ? requested[1] : 'This call'} is not supported by the mock server`));
+        }
+        try {
+            res.send(soapEnvelope(SOAP_OPERATIONS[name](xmlElements(body, name)[0], { userId: session.userId })));
+        } catch (error) {
+            console.error('❌ Mock SOAP error:', error);
+            res.status(500).send(soapFault('UNKNOWN_EXCEPTION', error.message));
+        }
+    });
+
+    // Everything else under /data needs a session and counts as an API call
+    const data = express.Router({ mergeParams: true });
+    router.use('/data/:version', (req, res, next) => {
+        if (!API_VERSIONS.some(entry => `v${entry.version}` === req.params.version)) {
+            return res.status(404).json([{ errorCode: 'NOT_FOUND', message: 'The requested resource does not exist' }]);
+        }
+        const session = oauth.bearerSession(req);
+        if (!session) {
+            return res.status(401).json([{ message: 'Session expired or invalid', errorCode: 'INVALID_SESSION_ID' }]);
+        }
+        if (usage.used >= usage.max) {
+            return res.status(403).json([{ message: 'TotalRequests Limit exceeded.', errorCode: 'REQUEST_LIMIT_EXCEEDED' }]);
+        }
+        usage.used++;
+        res.set('Sforce-Limit-Info', `api-usage=${usage.used}/${usage.max}`);
+        res.locals.session = session;
+        next();
+    }, data);
+
+    data.get('/', (req, res) => {
+        const base = `/services/data/${req.params.version}`;
+        res.json({
+            limits: `${base}/limits`,
+            sobjects: `${base}/sobjects`,
+            query: `${base}/query`,
+            queryAll: `${base}/queryAll`,
+            search: `${base}/search`,
+            composite: `${base}/composite`
+        });
+    });
+
+    data.get('/limits', (req, res) => {
+        const limit = (max, used = 0) => ({ Max: max, Remaining: Math.max(max - used, 0) });
+        res.json({
+            DailyApiRequests: limit(usage.max, usage.used),
+            DailyAsyncApexExecutions: limit(250000),
+            DailyBulkApiBatches: limit(15000),
+            DailyBulkV2QueryFileStorageMB: limit(976562),
+            DailyBulkV2QueryJobs: limit(10000),
+            DailyDurableStreamingApiEvents: limit(10000),
+            DailyStreamingApiEvents: limit(10000),
+            DataStorageMB: limit(5),
+            FileStorageMB: limit(20),
+            HourlyPublishedStandardVolumePlatformEvents: limit(50000),
+            MonthlyPlatformEventsUsageEntitlement: limit(0),
+            SingleEmail: limit(15)
+        });
+    });
+
+    data.get('/sobjects', handle((req, res) => {
+        res.json({ encoding: 'UTF-8', maxBatchSize: COLLECTION_LIMIT, sobjects: store.describeGlobal() });
+    }));
+
+    data.get('/sobjects/:type', handle((req, res) => {
+        const { fields, ...objectDescribe } = store.describe(req.params.type);
+        res.json({ objectDescribe, recentItems: [] });
+    }));
+
+    data.get('/sobjects/:type/describe', handle((req, res) => {
+        res.json(store.describe(req.params.type));
+    }));
+
+    data.post('/sobjects/:type', handle((req, res) => {
+        faults.checkValidation(req.params.type);
+        const id = store.create(req.params.type, req.body, saveContext(req, res));
+        console.log(`➕ Mock ${req.params.type} created: ${id}`);
+        res.status(201).json({ id, success: true, errors: [] });
+    }));
+
+    data.get('/sobjects/:type/:id', handle((req, res) => {
+        const fields = String(req.query.fields || '').split(',').map(name => name.trim()).filter(Boolean);
+        res.json(store.retrieve(req.params.type, req.params.id, fields));
+    }));
+
+    data.patch('/sobjects/:type/:id', handle((req, res) => {
+        faults.checkValidation(req.params.type);
+        store.update(req.params.type, req.params.id, req.body, saveContext(req, res));
+        res.status(204).end();
+    }));
+
+    data.delete('/sobjects/:type/:id', handle((req, res) => {
+        store.remove(req.params.type, req.params.id, saveContext(req, res));
+        res.status(204).end();
+    }));
+
+    // Upsert by external ID: 201 when a record was created, 200 when updated
+    data.patch('/sobjects/:type/:field/:value', handle((req, res) => {
+        faults.checkValidation(req.params.type);
+        const { id, created } = store.upsert(req.params.type, req.params.field, req.params.value, req.body, saveContext(req, res));
+        res.status(created ? 201 : 200).json({ id, success: true, errors: [], created });
+    }));
+
+    data.get('/query', handle((req, res) => runQuery(req, res, 'query')));
+    data.get('/queryAll', handle((req, res) => runQuery(req, res, 'queryAll')));
+    data.get('/query/:locator', handle((req, res) => nextQueryBatch(req, res, 'query')));
+    data.get('/queryAll/:locator', handle((req, res) => nextQueryBatch(req, res, 'queryAll')));
+
+    data.get('/search', handle((req, res) => {
+        if (!req.query.q) {
+            throw mockError(400, 'MALFORMED_SEARCH', 'A search string has to be specified');
+        }
+        res.json(store.search(String(req.query.q)));
+    }));
+
+    data.post('/composite/sobjects', handle((req, res) => {
+        const { status, body } = runCollection('POST', { body: req.body }, saveContext(req, res));
+        res.status(status).json(body);
+    }));
+
+    data.patch('/composite/sobjects', handle((req, res) => {
+        const { status, body } = runCollection('PATCH', { body: req.body }, saveContext(req, res));
+        res.status(status).json(body);
+    }));
+
+    data.delete('/composite/sobjects', handle((req, res) => {
+        const { status, body } = runCollection('DELETE', { query: req.query }, saveContext(req, res));
+        res.status(status).json(body);
+    }));
+
+    data.patch('/composite/sobjects/:type/:field', handle((req, res) => {
+        const { status, body } = runCollection('PATCH', { type: req.params.type, field: req.params.field, body: req.body }, saveContext(req, res));
+        res.status(status).json(body);
+    }));
+
+    data.post('/composite', handle((req, res) => {
+        res.json(runComposite(req.body, saveContext(req, res)));
+    }));
+
+    data.all('/jobs/*', (req, res) => {
+        res.status(404).json([{ errorCode: 'NOT_FOUND', message: 'Bulk API 2.0 is not supported by the mock server' }]);
+    });
+
+    data.all('*', (req, res) => {
+        res.status(404).json([{ errorCode: 'NOT_FOUND', message: 'The requested resource does not exist' }]);
+    });
+
+    // Bodies that aren't valid JSON
+    router.use((error, req, res, next) => {
+        if (error.type === 'entity.parse.failed') {
+            return res.status(400).json([{ errorCode: 'JSON_PARSER_ERROR', message: `Unexpected character in request body: ${error.message}` }]);
+        }
+        next(error);
+    });
+
+    reset();
+
+    return {
+        router,
+        reset,
+        setUsage
+    };
+}
+
+module.exports = {
+    createRestApi
+};
@@ -0,0 +1,237 @@
+// =============================================================================
+// Mock Schema - the objects and fields of the mock org
+// =============================================================================
+//
+// Describe results for the objects the proxy and its UI work with. Fields
+// carry the describe properties the proxy reads (type, length, nillable,
+// createable, updateable, sortable, filterable, nameField, externalId,
+// picklistValues, referenceTo, defaultedOnCreate), so record validation,
+// form rendering and query building behave as they would against a real
+// org. User and DuplicateRule can be queried but not written.
+
+const TEXT_TYPES = ['string', 'textarea', 'email', 'phone', 'url', 'picklist', 'multipicklist', 'combobox'];
+
+function picklist(values, defaultValue) {
+    return values.map(value => ({
+        active: true,
+        defaultValue: value === defaultValue,
+        label: value,
+        validFor: null,
+        value
+    }));
+}
+
+// One field's describe; options override the defaults for its type
+function field(name, type, options = {}) {
+    const custom = name.endsWith('__c');
+    const textual = TEXT_TYPES.includes(type);
+    const longText = type === 'textarea' && (options.length || 255) > 255;
+    return {
+        name,
+        label: options.label || name.replace(/__c$/, '').replace(/Id$/, ' ID').replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2'),
+        type,
+        length: textual ? options.length || 255 : 0,
+        precision: type === 'currency' ? 18 : 0,
+        scale: type === 'currency' ? 2 : 0,
+        digits: type === 'int' ? 9 : 0,
+        nillable: true,
+        createable: true,
+        updateable: true,
+        defaultedOnCreate: false,
+        calculated: false,
+        custom,
+        externalId: false,
+        unique: false,
+        idLookup: false,
+        nameField: false,
+        // Long text areas can't be filtered or sorted on
+        filterable: !longText,
+        sortable: !longText,
+        picklistValues: [],
+        restrictedPicklist: false,
+        referenceTo: [],
+        relationshipName: null,
+        deprecatedAndHidden: false,
+        ...options
+    };
+}
+
+function readOnly(name, type, options = {}) {
+    return field(name, type, { createable: false, updateable: false, ...options });
+}
+
+function reference(name, referenceTo, options = {}) {
+    return field(name, 'reference', {
+        length: 18,
+        referenceTo: [referenceTo],
+        relationshipName: name.replace(/Id$/, ''),
+        ...options
+    });
+}
+
+// The fields Salesforce keeps on every record
+function systemFields() {
+    return [
+        readOnly('Id', 'id', { label: 'Record ID', length: 18, nillable: false, defaultedOnCreate: true, idLookup: true }),
+        readOnly('IsDeleted', 'boolean', { label: 'Deleted', nillable: false, defaultedOnCreate: true }),
+        readOnly('CreatedDate', 'datetime', { nillable: false, defaultedOnCreate: true }),
+        reference('CreatedById', 'User', { createable: false, updateable: false, nillable: false, defaultedOnCreate: true }),
+        readOnly('LastModifiedDate', 'datetime', { nillable: false, defaultedOnCreate: true }),
+        reference('LastModifiedById', 'User', { createable: false, updateable: false, nillable: false, defaultedOnCreate: true }),
+        readOnly('SystemModstamp', 'datetime', { nillable: false, defaultedOnCreate: true })
+    ];
+}
+
+function owner() {
+    return reference('OwnerId', 'User', { label: 'Owner ID', nillable: false, defaultedOnCreate: true });
+}
+
+function fullName(record) {
+    return [record.FirstName, record.LastName].filter(Boolean).join(' ') || null;
+}
+
+const OBJECTS = {
+    Account: {
+        keyPrefix: '001',
+        labelPlural: 'Accounts',
+        fields: [
+            ...systemFields(),
+            field('Name', 'string', { label: 'Account Name', nillable: false, nameField: true }),
+            field('Type', 'picklist', { label: 'Account Type', length: 255, picklistValues: picklist(['Prospect', 'Customer - Direct', 'Customer - Channel', 'Partner', 'Other']) }),
+            field('Industry', 'picklist', { picklistValues: picklist(['Agriculture', 'Banking', 'Education', 'Energy', 'Healthcare', 'Manufacturing', 'Retail', 'Technology']) }),
+            field('Phone', 'phone', { label: 'Account Phone', length: 40 }),
+            field('Website', 'url'),
+            field('BillingCity', 'string', { length: 40 }),
+            field('BillingCountry', 'string', { length: 80 }),
+            field('NumberOfEmployees', 'int', { label: 'Employees' }),
+            field('AnnualRevenue', 'currency'),
+            field('Description', 'textarea', { label: 'Account Description', length: 32000 }),
+            owner()
+        ]
+    },
+    Contact: {
+        keyPrefix: '003',
+        labelPlural: 'Contacts',
+        computed: { Name: fullName },
+        fields: [
+            ...systemFields(),
+            reference('AccountId', 'Account'),
+            field('Salutation', 'picklist', { length: 40, picklistValues: picklist(['Mr.', 'Ms.', 'Mrs.', 'Dr.', 'Prof.']) }),
+            field('FirstName', 'string', { length: 40 }),
+            field('LastName', 'string', { length: 80, nillable: false }),
+            readOnly('Name', 'string', { label: 'Full Name', length: 121, nameField: true }),
+            field('Title', 'string', { length: 128 }),
+            field('Department', 'string', { length: 80 }),
+            field('Email', 'email', { length: 80 }),
+            field('Phone', 'phone', { label: 'Business Phone', length: 40 }),
+            field('MobilePhone', 'phone', { length: 40 }),
+            field('MailingStreet', 'textarea', { length: 255 }),
+            field('MailingCity', 'string', { length: 40 }),
+            field('MailingState', 'string', { length: 80 }),
+            field('MailingPostalCode', 'string', { length: 20 }),
+            field('MailingCountry', 'string', { length: 80 }),
+            field('Birthdate', 'date'),
+            field('LeadSource', 'picklist', { picklistValues: picklist(['Web', 'Phone Inquiry', 'Partner Referral', 'Purchased List', 'Other']) }),
+            field('Description', 'textarea', { label: 'Contact Description', length: 32000 }),
+            field('DoNotCall', 'boolean', { nillable: false, defaultedOnCreate: true }),
+            field('HasOptedOutOfEmail', 'boolean', { label: 'Email Opt Out', nillable: false, defaultedOnCreate: true }),
+            field('External_Id__c', 'string', { label: 'External ID', externalId: true, unique: true, idLookup: true }),
+            field('Proxy_Provenance__c', 'string', { label: 'Proxy Provenance' }),
+            owner()
+        ]
+    },
+    Lead: {
+        keyPrefix: '00Q',
+        labelPlural: 'Leads',
+        computed: { Name: fullName },
+        fields: [
+            ...systemFields(),
+            field('FirstName', 'string', { length: 40 }),
+            field('LastName', 'string', { length: 80, nillable: false }),
+            readOnly('Name', 'string', { label: 'Full Name', length: 121, nameField: true }),
+            field('Company', 'string', { nillable: false }),
+            field('Title', 'string', { length: 128 }),
+            field('Email', 'email', { length: 80 }),
+            field('Phone', 'phone', { length: 40 }),
+            field('Status', 'picklist', {
+                label: 'Lead Status',
+                nillable: false,
+                defaultedOnCreate: true,
+                restrictedPicklist: true,
+                picklistValues: picklist(['Open - Not Contacted', 'Working - Contacted', 'Closed - Converted', 'Closed - Not Converted'], 'Open - Not Contacted')
+            }),
+            field('LeadSource', 'picklist', { picklistValues: picklist(['Web', 'Phone Inquiry', 'Partner Referral', 'Purchased List', 'Other']) }),
+            field('External_Id__c', 'string', { label: 'External ID', externalId: true, unique: true, idLookup: true }),
+            owner()
+        ]
+    },
+    User: {
+        keyPrefix: '005',
+        labelPlural: 'Users',
+        readOnly: true,
+        computed: { Name: fullName },
+        fields: [
+            ...systemFields(),
+            readOnly('Username', 'string', { length: 80, nillable: false, unique: true, idLookup: true }),
+            readOnly('FirstName', 'string', { length: 40 }),
+            readOnly('LastName', 'string', { length: 80, nillable: false }),
+            readOnly('Name', 'string', { label: 'Full Name', length: 121, nameField: true }),
+            readOnly('Email', 'email', { length: 128, nillable: false }),
+            readOnly('IsActive', 'boolean', { label: 'Active', nillable: false })
+        ]
+    },
+    DuplicateRule: {
+        keyPrefix: '0Bm',
+        labelPlural: 'Duplicate Rules',
+        readOnly: true,
+        fields: [
+            ...systemFields(),
+            readOnly('DeveloperName', 'string', { length: 80, nillable: false }),
+            readOnly('MasterLabel', 'string', { label: 'Rule Name', length: 80, nillable: false, nameField: true }),
+            readOnly('SobjectType', 'picklist', { label: 'Object', length: 40, nillable: false }),
+            readOnly('IsActive', 'boolean', { label: 'Active', nillable: false })
+        ]
+    }
+};
+
+// Object names are matched case-insensitively; null for unknown objects
+function findObject(name) {
+    const key = Object.keys(OBJECTS).find(candidate => candidate.toLowerCase() === String(name).toLowerCase());
+    return key ? { name: key, ...OBJECTS[key] } : null;
+}
+
+function objectNames() {
+    return Object.keys(OBJECTS);
+}
+
+function describeObject(object) {
+    const writable = !object.readOnly;
+    return {
+        name: object.name,
+        label: object.name.replace(/([a-z])([A-Z])/g, '$1 $2'),
+        labelPlural: object.labelPlural,
+        keyPrefix: object.keyPrefix,
+        custom: false,
+        queryable: true,
+        retrieveable: true,
+        searchable: writable,
+        layoutable: writable,
+        createable: writable,
+        updateable: writable,
+        deletable: writable,
+        undeletable: writable,
+        fields: object.fields,
+        urls: {
+            sobject: `/services/data/v58.0/sobjects/${object.name}`,
+            describe: `/services/data/v58.0/sobjects/${object.name}/describe`,
+            rowTemplate: `/services/data/v58.0/sobjects/${object.name}/{ID}`
+        }
+    };
+}
+
+module.exports = {
+    TEXT_TYPES,
+    findObject,
+    objectNames,
+    describeObject
+};
@@ -0,0 +1,66 @@
+// =============================================================================
+// Mock Seed Data - the users and records the mock org starts with
+// =============================================================================
+//
+// MOCK_SF_SEED_PATH can name a JSON file of the same shape to start from
+// instead. A record's "key" names it so other records can point at it with
+// "@key" (e.g. "AccountId": "@acme"). Users also carry the password (and
+// security token, for the password grant) they log in with; the first user
+// is the one the login page offers. Records are stamped an hour apart in
+// the order given, so the last one listed is the most recently modified.
+
+module.exports = {
+    organization: {
+        name: 'Mock Org'
+    },
+    users: [
+        {
+            key: 'admin',
+            Username: 'admin@mock.example',
+            FirstName: 'Avery',
+            LastName: 'Admin',
+            Email: 'admin@mock.example',
+            password: 'mock-password',
+            securityToken: 'MOCKTOKEN'
+        },
+        {
+            key: 'sales',
+            Username: 'sam.sales@mock.example',
+            FirstName: 'Sam',
+            LastName: 'Sales',
+            Email: 'sam.sales@mock.example',
+            password: 'mock-password',
+            securityToken: 'MOCKTOKEN'
+        }
+    ],
+    records: {
+        DuplicateRule: [
+            { DeveloperName: 'Standard_Contact_Duplicate_Rule', MasterLabel: 'Standard Contact Duplicate Rule', SobjectType: 'Contact', IsActive: true },
+            { DeveloperName: 'Standard_Lead_Duplicate_Rule', MasterLabel: 'Standard Lead Duplicate Rule', SobjectType: 'Lead', IsActive: false }
+        ],
+        Account: [
+            { key: 'acme', Name: 'Acme Corporation', Type: 'Customer - Direct', Industry: 'Manufacturing', Phone: '+1 415 555 0100', Website: 'https://acme.example', BillingCity: 'San Francisco', BillingCountry: 'United States', NumberOfEmployees: 1200, AnnualRevenue: 48000000 },
+            { key: 'globex', Name: 'Globex Ltd', Type: 'Prospect', Industry: 'Energy', Phone: '+44 20 7946 0011', BillingCity: 'London', BillingCountry: 'United Kingdom', NumberOfEmployees: 350 },
+            { key: 'initech', Name: 'Initech', Type: 'Partner', Industry: 'Technology', Website: 'https://initech.example', BillingCity: 'Austin', BillingCountry: 'United States', NumberOfEmployees: 80 }
+        ],
+        Contact: [
+            { AccountId: '@acme', OwnerId: '@sales', Salutation: 'Ms.', FirstName: 'Grace', LastName: 'Hopper', Email: 'grace.hopper@acme.example', Phone: '+1 415 555 0101', Title: 'Chief Engineer', Department: 'Engineering', LeadSource: 'Partner Referral', MailingCity: 'San Francisco', MailingCountry: 'United States' },
+            { AccountId: '@acme', OwnerId: '@admin', FirstName: 'Alan', LastName: 'Turing', Email: 'alan.turing@acme.example', Phone: '+1 415 555 0102', Title: 'Research Lead', Department: 'Research', Birthdate: '1912-06-23' },
+            { AccountId: '@acme', OwnerId: '@sales', FirstName: 'Katherine', LastName: 'Johnson', Email: 'katherine.johnson@acme.example', MobilePhone: '+1 415 555 0199', Title: 'Analyst', Department: 'Finance' },
+            { AccountId: '@globex', OwnerId: '@admin', Salutation: 'Dr.', FirstName: 'Ada', LastName: 'Lovelace', Email: 'ada.lovelace@globex.example', Phone: '+44 20 7946 0012', Title: 'Head of Analytics', Department: 'Analytics', LeadSource: 'Web', MailingCity: 'London', MailingCountry: 'United Kingdom' },
+            { AccountId: '@globex', OwnerId: '@sales', FirstName: 'Charles', LastName: 'Babbage', Email: 'charles.babbage@globex.example', Title: 'Procurement Manager', Department: 'Operations' },
+            { AccountId: '@globex', OwnerId: '@admin', FirstName: 'Mary', LastName: 'Somerville', Phone: '+44 20 7946 0013', Title: 'Consultant', DoNotCall: true },
+            { AccountId: '@initech', OwnerId: '@admin', FirstName: 'Peter', LastName: 'Gibbons', Email: 'peter.gibbons@initech.example', Phone: '+1 512 555 0140', Title: 'Software Engineer', Department: 'Engineering', LeadSource: 'Phone Inquiry' },
+            { AccountId: '@initech', OwnerId: '@sales', FirstName: 'Joanna', LastName: 'Smith', Email: 'joanna.smith@initech.example', Title: 'Office Manager', Department: 'Administration', HasOptedOutOfEmail: true },
+            { OwnerId: '@admin', FirstName: 'Hedy', LastName: 'Lamarr', Email: 'hedy.lamarr@example.com', MobilePhone: '+1 310 555 0177', Title: 'Inventor', LeadSource: 'Other', Description: 'Met at the spring conference; interested in the frequency hopping demo.' },
+            { OwnerId: '@sales', LastName: 'Nakamura', Email: 'k.nakamura@example.jp', Phone: '+81 3 5555 0150', MailingCity: 'Tokyo', MailingCountry: 'Japan' },
+            { OwnerId: '@admin', FirstName: 'Rosalind', LastName: 'Franklin', Email: 'rosalind.franklin@example.org', Title: 'Crystallographer', Department: 'Research', External_Id__c: 'CRM-1001' },
+            { OwnerId: '@admin', FirstName: 'José', LastName: 'Müller', Email: 'jose.muller@example.de', Phone: '+49 30 5555 0160', Title: 'Einkaufsleiter', MailingCity: 'Berlin', MailingCountry: 'Germany', External_Id__c: 'CRM-1002' }
+        ],
+        Lead: [
+            { OwnerId: '@sales', FirstName: 'Margaret', LastName: 'Hamilton', Company: 'Apollo Software', Email: 'margaret@apollo.example', Title: 'Director', LeadSource: 'Web' },
+            { OwnerId: '@admin', FirstName: 'Linus', LastName: 'Pauling', Company: 'Chemistry Partners', Phone: '+1 503 555 0120', Status: 'Working - Contacted' },
+            { OwnerId: '@sales', LastName: 'Okafor', Company: 'Lagos Logistics', Email: 'okafor@lagos-logistics.example', LeadSource: 'Purchased List' }
+        ]
+    }
+};
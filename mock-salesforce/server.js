@@ -0,0 +1,142 @@
+// =============================================================================
+// Mock Salesforce Server - a local org for offline development and tests
+// =============================================================================
+//
+// Serves the OAuth endpoints, the REST API subset and the SOAP calls the
+// proxy uses, against an in-memory org seeded from seed-data.js. Point the
+// proxy at it with SF_INSTANCE_URL=http://localhost:4010 and the client ID
+// and secret below; nothing is sent to Salesforce.
+//
+//   MOCK_SF_PORT=4010                     port to listen on
+//   MOCK_SF_CLIENT_ID=mock-client-id      Connected App consumer key it accepts
+//   MOCK_SF_CLIENT_SECRET=mock-client-secret
+//   MOCK_SF_SESSION_TTL=7200              seconds an access token lasts
+//   MOCK_SF_API_LIMIT=15000               daily API requests before REQUEST_LIMIT_EXCEEDED
+//   MOCK_SF_SEED_PATH=                    JSON seed to use instead of seed-data.js
+//
+// Tests drive it through /__mock: GET health, POST reset (back to the seed,
+// faults cleared, API usage zeroed), GET/POST/DELETE faults (see faults.js;
+// { "type": "session-expired" } ends every session at once) and PUT limits
+// ({ used, max } of the daily API request limit).
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { createStore } = require('./store');
+const { createMockOAuth } = require('./oauth');
+const { createFaults } = require('./faults');
+const { createRestApi } = require('./rest-api');
+const { mockError, sendMockError } = require('./errors');
+const defaultSeed = require('./seed-data');
+
+function readNumber(value, fallback) {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+function loadMockOptions(env = process.env) {
+    return {
+        port: readNumber(env.MOCK_SF_PORT, 4010),
+        clientId: env.MOCK_SF_CLIENT_ID || 'mock-client-id',
+        clientSecret: env.MOCK_SF_CLIENT_SECRET || 'mock-client-secret',
+        sessionTtlSeconds: readNumber(env.MOCK_SF_SESSION_TTL, 7200),
+        apiLimit: readNumber(env.MOCK_SF_API_LIMIT, 15000),
+        seedPath: env.MOCK_SF_SEED_PATH || null
+    };
+}
+
+function loadSeed(seedPath) {
+    if (!seedPath) {
+        return defaultSeed;
+    }
+    const resolved = path.resolve(seedPath);
+    console.log(`🌱 Loading mock seed from ${resolved}`);
+    return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+}
+
+function createMockSalesforce(options = loadMockOptions()) {
+    const store = createStore({ seed: loadSeed(options.seedPath) });
+    const oauth = createMockOAuth({ store, options });
+    const faults = createFaults();
+    const restApi = createRestApi({ store, oauth, faults, options });
+
+    const app = express();
+
+    app.use((req, res, next) => {
+        console.log(`${new Date().toISOString()} - ${req.method} ${req.originalUrl}`);
+        next();
+    });
+
+    // =============================================================================
+    // Test Controls
+    // =============================================================================
+
+    const admin = express.Router();
+    admin.use(express.json());
+
+    admin.get('/health', (req, res) => {
+        res.json({ status: 'ok', organization: store.organization, faults: faults.list().length });
+    });
+
+    admin.post('/reset', (req, res) => {
+        store.reset();
+        faults.clear();
+        restApi.reset();
+        console.log('🔄 Mock org reset to its seed');
+        res.json({ reset: true, organization: store.organization });
+    });
+
+    admin.get('/faults', (req, res) => {
+        res.json({ faults: faults.list() });
+    });
+
+    admin.post('/faults', (req, res) => {
+        try {
+            if (req.body?.type === 'session-expired') {
+                const expired = oauth.expireSessions();
+                console.log(`💥 Mock sessions expired: ${expired}`);
+                return res.json({ type: 'session-expired', expired });
+            }
+            res.status(201).json(faults.add(req.body));
+        } catch (error) {
+            sendMockError(res, error);
+        }
+    });
+
+    admin.delete('/faults', (req, res) => {
+        faults.clear();
+        res.status(204).end();
+    });
+
+    admin.put('/limits', (req, res) => {
+        const { used, max } = req.body || {};
+        if ([used, max].some(value => value !== undefined && !(Number.isInteger(value) && value >= 0))) {
+            return sendMockError(res, mockError(400, 'INVALID_INPUT', 'used and max must be whole numbers'));
+        }
+        res.json(restApi.setUsage({ used, max }));
+    });
+
+    app.use('/__mock', admin);
+    app.use(oauth.router);
+    app.use('/services', restApi.router);
+
+    app.use((req, res) => {
+        res.status(404).json([{ errorCode: 'NOT_FOUND', message: 'The requested resource does not exist' }]);
+    });
+
+    return { app, store, oauth, faults, restApi };
+}
+
+module.exports = {
+    loadMockOptions,
+    createMockSalesforce
+};
+
+if (require.main === module) {
+    const options = loadMockOptions();
+    const { app } = createMockSalesforce(options);
+    app.listen(options.port, () => {
+        console.log(`🧪 Mock Salesforce running at http://localhost:${options.port}`);
+        console.log(`   Point the proxy at it with SF_INSTANCE_URL=http://localhost:${options.port} SF_CLIENT_ID=${options.clientId} SF_CLIENT_SECRET=${options.clientSecret}`);
+    });
+}
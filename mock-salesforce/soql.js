@@ -0,0 +1,618 @@
+// =============================================================================
+// Mock SOQL and SOSL - the query subset the proxy builds
+// =============================================================================
+//
+// SOQL: SELECT a list of fields or COUNT() FROM one object, a WHERE clause
+// of =, !=, <, <=, >, >=, LIKE, IN and NOT IN conditions joined by AND, OR
+// and NOT with parentheses, ORDER BY fields with ASC/DESC and NULLS
+// FIRST/LAST, and LIMIT. Relationship fields, aggregates other than COUNT(),
+// GROUP BY, OFFSET and date literals such as TODAY are not supported.
+//
+// SOSL: FIND {term} IN NAME/EMAIL/PHONE/ALL FIELDS RETURNING
+// Object(fields), ... LIMIT n. Every word of the term has to match a whole
+// word of the record, with * and ? as wildcards.
+//
+// Field names and literal types are checked against the describe like
+// Salesforce does, so a query it would reject fails here too.
+
+const { TEXT_TYPES, findObject } = require('./schema');
+const { isId, toId18 } = require('./ids');
+const { mockError } = require('./errors');
+
+const API_VERSION = 'v58.0';
+const TOKEN_PATTERN = /\s*(?:'((?:\\.|[^'\\])*)'|(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d{1,3})?(?:Z|[+-]\d{2}:?\d{2}))|(\d{4}-\d{2}-\d{2})(?![\dT])|(-?\d+(?:\.\d+)?)|(!=|<=|>=|[=<>(),])|([A-Za-z_][\w.]*))/y;
+const OPERATORS = ['=', '!=', '<', '<=', '>', '>='];
+const NUMBER_TYPES = ['int', 'double', 'currency', 'percent'];
+const QUOTED_TYPES = [...TEXT_TYPES, 'id', 'reference'];
+const SOSL_SCOPES = {
+    NAME: field => field.nameField || field.name === 'FirstName' || field.name === 'LastName',
+    EMAIL: field => field.type === 'email',
+    PHONE: field => field.type === 'phone',
+    ALL: field => TEXT_TYPES.includes(field.type)
+};
+const ESCAPES = { n: '\n', r: '\r', t: '\t', f: '\f', b: '\b' };
+
+// A syntax error: MALFORMED_QUERY for SOQL, MALFORMED_SEARCH for SOSL
+function malformed(message, errorCode = 'MALFORMED_QUERY') {
+    return mockError(400, errorCode, message);
+}
+
+function tokenize(text, errorCode) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    while (TOKEN_PATTERN.lastIndex < text.length) {
+        const start = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(text);
+        if (!match) {
+            if (/^\s*$/.test(text.slice(start))) {
+                break;
+            }
+            throw malformed(`unexpected token: '${text.slice(start).trim().split(/\s/)[0]}'`, errorCode);
+        }
+        const [, string, datetime, date, number, symbol, word] = match;
+        if (string !== undefined) {
+            tokens.push({ kind: 'string', raw: string, value: string.replace(/\\(.)/g, (all, char) => ESCAPES[char] || char) });
+        } else if (datetime) {
+            tokens.push({ kind: 'datetime', value: datetime });
+        } else if (date) {
+            tokens.push({ kind: 'date', value: date });
+        } else if (number) {
+            tokens.push({ kind: 'number', value: Number(number) });
+        } else if (symbol) {
+            tokens.push({ kind: 'symbol', value: symbol });
+        } else {
+            tokens.push({ kind: 'word', value: word });
+        }
+    }
+    return tokens;
+}
+
+// Cursor over the tokens with the checks both parsers need
+function createReader(tokens, errorCode) {
+    let position = 0;
+    const fail = message => malformed(message, errorCode);
+
+    const reader = {
+        peek: () => tokens[position],
+        done: () => position >= tokens.length,
+        isWord: word => tokens[position]?.kind === 'word' && tokens[position].value.toUpperCase() === word,
+        isSymbol: symbol => tokens[position]?.kind === 'symbol' && tokens[position].value === symbol,
+        next() {
+            const token = tokens[position++];
+            if (!token) {
+                throw fail('unexpected end of query');
+            }
+            return token;
+        },
+        expectWord(word) {
+            if (!reader.isWord(word)) {
+                throw fail(`expecting '${word}', found '${tokens[position]?.value ?? 'end of query'}'`);
+            }
+            position += 1;
+        },
+        expectSymbol(symbol) {
+            if (!reader.isSymbol(symbol)) {
+                throw fail(`expecting '${symbol}', found '${tokens[position]?.value ?? 'end of query'}'`);
+            }
+            position += 1;
+        },
+        name() {
+            const token = reader.next();
+            if (token.kind !== 'word') {
+                throw fail(`unexpected token: '${token.value}'`);
+            }
+            return token.value;
+        },
+        integer() {
+            const token = reader.next();
+            if (token.kind !== 'number' || !Number.isInteger(token.value) || token.value < 0) {
+                throw fail(`expecting a number, found '${token.value}'`);
+            }
+            return token.value;
+        },
+        fail
+    };
+    return reader;
+}
+
+// =============================================================================
+// SOQL
+// =============================================================================
+
+function parseCondition(reader) {
+    function literal() {
+        const token = reader.next();
+        if (token.kind === 'word') {
+            const word = token.value.toLowerCase();
+            if (word === 'null') {
+                return { kind: 'null', value: null };
+            }
+            if (word === 'true' || word === 'false') {
+                return { kind: 'boolean', value: word === 'true' };
+            }
+            throw malformed(`unexpected token: '${token.value}'`);
+        }
+        if (token.kind === 'symbol') {
+            throw malformed(`unexpected token: '${token.value}'`);
+        }
+        return token;
+    }
+
+    function list() {
+        reader.expectSymbol('(');
+        const values = [literal()];
+        while (reader.isSymbol(',')) {
+            reader.next();
+            values.push(literal());
+        }
+        reader.expectSymbol(')');
+        return values;
+    }
+
+    function comparison() {
+        const field = reader.name();
+        if (reader.isWord('LIKE')) {
+            reader.next();
+            const pattern = reader.next();
+            if (pattern.kind !== 'string') {
+                throw malformed('LIKE needs a quoted pattern');
+            }
+            return { field, operator: 'LIKE', value: pattern };
+        }
+        if (reader.isWord('NOT')) {
+            reader.next();
+            reader.expectWord('IN');
+            return { field, operator: 'NOT IN', value: list() };
+        }
+        if (reader.isWord('IN')) {
+            reader.next();
+            return { field, operator: 'IN', value: list() };
+        }
+        const operator = reader.next();
+        if (operator.kind !== 'symbol' || !OPERATORS.includes(operator.value)) {
+            throw malformed(`unexpected token: '${operator.value}'`);
+        }
+        return { field, operator: operator.value, value: literal() };
+    }
+
+    function term() {
+        if (reader.isWord('NOT')) {
+            reader.next();
+            return { not: term() };
+        }
+        if (reader.isSymbol('(')) {
+            reader.next();
+            const inner = or();
+            reader.expectSymbol(')');
+            return inner;
+        }
+        return comparison();
+    }
+
+    function and() {
+        const terms = [term()];
+        while (reader.isWord('AND')) {
+            reader.next();
+            terms.push(term());
+        }
+        return terms.length === 1 ? terms[0] : { and: terms };
+    }
+
+    function or() {
+        const terms = [and()];
+        while (reader.isWord('OR')) {
+            reader.next();
+            terms.push(and());
+        }
+        return terms.length === 1 ? terms[0] : { or: terms };
+    }
+
+    return or();
+}
+
+function parseSoql(text) {
+    const reader = createReader(tokenize(String(text)));
+    const query = { fields: [], count: false, where: null, orderBy: [], limit: null };
+
+    reader.expectWord('SELECT');
+    if (reader.isWord('COUNT')) {
+        reader.next();
+        reader.expectSymbol('(');
+        reader.expectSymbol(')');
+        query.count = true;
+    } else {
+        query.fields.push(reader.name());
+        while (reader.isSymbol(',')) {
+            reader.next();
+            query.fields.push(reader.name());
+        }
+    }
+
+    reader.expectWord('FROM');
+    query.object = reader.name();
+
+    if (reader.isWord('WHERE')) {
+        reader.next();
+        query.where = parseCondition(reader);
+    }
+
+    if (reader.isWord('ORDER')) {
+        reader.next();
+        reader.expectWord('BY');
+        do {
+            if (reader.isSymbol(',')) {
+                reader.next();
+            }
+            const sort = { field: reader.name(), direction: 'ASC' };
+            if (reader.isWord('ASC') || reader.isWord('DESC')) {
+                sort.direction = reader.next().value.toUpperCase();
+            }
+            sort.nullsFirst = sort.direction === 'ASC';
+            if (reader.isWord('NULLS')) {
+                reader.next();
+                if (!reader.isWord('FIRST') && !reader.isWord('LAST')) {
+                    throw malformed('NULLS must be followed by FIRST or LAST');
+                }
+                sort.nullsFirst = reader.next().value.toUpperCase() === 'FIRST';
+            }
+            query.orderBy.push(sort);
+        } while (reader.isSymbol(','));
+    }
+
+    if (reader.isWord('LIMIT')) {
+        reader.next();
+        query.limit = reader.integer();
+    }
+
+    if (!reader.done()) {
+        throw malformed(`unexpected token: '${reader.peek().value}'`);
+    }
+    return query;
+}
+
+function resolveObject(name) {
+    const object = findObject(name);
+    if (!object) {
+        throw mockError(400, 'INVALID_TYPE', `sObject type '${name}' is not supported.`);
+    }
+    return object;
+}
+
+function resolveField(object, name) {
+    const field = object.fields.find(candidate => candidate.name.toLowerCase() === String(name).toLowerCase());
+    if (!field) {
+        throw mockError(400, 'INVALID_FIELD', `No such column '${name}' on entity '${object.name}'.`);
+    }
+    return field;
+}
+
+function parseDateTime(value) {
+    return Date.parse(String(value).replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+}
+
+// A literal as a value of the field's type; quoting a number or leaving a
+// text value unquoted is an error, as it is in Salesforce
+function literalValue(field, token) {
+    const mismatch = () => mockError(400, 'INVALID_QUERY_FILTER_OPERATOR',
+        `value of filter criterion for field '${field.name}' must be of type ${field.type}${QUOTED_TYPES.includes(field.type) ? '' : ' and should not be enclosed in quotes'}`);
+
+    if (token.kind === 'null') {
+        return null;
+    }
+    if (QUOTED_TYPES.includes(field.type)) {
+        if (token.kind !== 'string') {
+            throw mismatch();
+        }
+        return (field.type === 'id' || field.type === 'reference') && isId(token.value) ? toId18(token.value) : token.value;
+    }
+    const expected = NUMBER_TYPES.includes(field.type) ? 'number' : field.type;
+    if (token.kind !== expected) {
+        throw mismatch();
+    }
+    return field.type === 'datetime' ? parseDateTime(token.value) : token.value;
+}
+
+// Order two non-null values of the field's type
+function compareValues(field, a, b) {
+    if (field.type === 'datetime') {
+        return (typeof a === 'number' ? a : parseDateTime(a)) - (typeof b === 'number' ? b : parseDateTime(b));
+    }
+    if (NUMBER_TYPES.includes(field.type) || field.type === 'boolean') {
+        return Number(a) - Number(b);
+    }
+    // IDs are case-sensitive; text compares without regard to case
+    const [left, right] = field.type === 'id' || field.type === 'reference'
+        ? [String(a), String(b)]
+        : [String(a).toLowerCase(), String(b).toLowerCase()];
+    return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function likePattern(raw) {
+    let source = '';
+    for (let index = 0; index < raw.length; index++) {
+        const char = raw[index];
+        if (char === '\\' && index + 1 < raw.length) {
+            index += 1;
+            const escaped = ESCAPES[raw[index]] || raw[index];
+            source += escaped.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        } else if (char === '%') {
+            source += '[\\s\\S]*';
+        } else if (char === '_') {
+            source += '[\\s\\S]';
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, 'i');
+}
+
+// Turn a parsed WHERE clause into a record predicate, checking every field
+// and literal up front so a bad query fails even when no record is tested
+function compileCondition(object, condition) {
+    if (condition.and || condition.or) {
+        const parts = (condition.and || condition.or).map(part => compileCondition(object, part));
+        return condition.and
+            ? record => parts.every(part => part(record))
+            : record => parts.some(part => part(record));
+    }
+    if (condition.not) {
+        const inner = compileCondition(object, condition.not);
+        return record => !inner(record);
+    }
+
+    const field = resolveField(object, condition.field);
+    if (!field.filterable) {
+        throw mockError(400, 'INVALID_FIELD', `field '${field.name}' can not be filtered in a query call`);
+    }
+    const read = record => record[field.name] ?? null;
+
+    if (condition.operator === 'LIKE') {
+        if (!TEXT_TYPES.includes(field.type) && field.type !== 'id' && field.type !== 'reference') {
+            throw mockError(400, 'INVALID_QUERY_FILTER_OPERATOR', `invalid operator on ${field.type} field: LIKE`);
+        }
+        const pattern = likePattern(condition.value.raw);
+        return record => read(record) !== null && pattern.test(String(read(record)));
+    }
+
+    if (condition.operator === 'IN' || condition.operator === 'NOT IN') {
+        const values = condition.value.map(token => literalValue(field, token));
+        const within = record => read(record) !== null && values.some(value => value !== null && compareValues(field, read(record), value) === 0);
+        return condition.operator === 'IN' ? within : record => !within(record);
+    }
+
+    const value = literalValue(field, condition.value);
+    const { operator } = condition;
+    if (value === null) {
+        if (operator !== '=' && operator !== '!=') {
+            throw mockError(400, 'INVALID_QUERY_FILTER_OPERATOR', `invalid operator for null: ${operator}`);
+        }
+        return record => (read(record) === null) === (operator === '=');
+    }
+    return record => {
+        const current = read(record);
+        if (current === null) {
+            return operator === '!=';
+        }
+        const order = compareValues(field, current, value);
+        return {
+            '=': order === 0,
+            '!=': order !== 0,
+            '<': order < 0,
+            '<=': order <= 0,
+            '>': order > 0,
+            '>=': order >= 0
+        }[operator];
+    };
+}
+
+function compileOrder(object, orderBy) {
+    const sorts = orderBy.map(sort => {
+        const field = resolveField(object, sort.field);
+        if (!field.sortable) {
+            throw mockError(400, 'INVALID_FIELD', `field '${field.name}' can not be sorted in a query call`);
+        }
+        return { ...sort, field };
+    });
+
+    return (a, b) => {
+        for (const { field, direction, nullsFirst } of sorts) {
+            const left = a[field.name] ?? null;
+            const right = b[field.name] ?? null;
+            let order;
+            if (left === null || right === null) {
+                order = left === right ? 0 : (left === null) === nullsFirst ? -1 : 1;
+            } else {
+                order = compareValues(field, left, right) * (direction === 'DESC' ? -1 : 1);
+            }
+            if (order !== 0) {
+                return order;
+            }
+        }
+        return 0;
+    };
+}
+
+// The record as the API returns it: attributes, then the selected fields
+function projectRecord(object, record, fields) {
+    const projected = {
+        attributes: { type: object.name, url: `/services/data/${API_VERSION}/sobjects/${object.name}/${record.Id}` }
+    };
+    fields.forEach(field => {
+        projected[field.name] = record[field.name] ?? null;
+    });
+    return projected;
+}
+
+// Run a query against recordsOf(objectName), which returns the object's
+// records including deleted ones; includeDeleted is queryAll
+function executeSoql(text, recordsOf, { includeDeleted = false } = {}) {
+    const query = parseSoql(text);
+    const object = resolveObject(query.object);
+    const fields = query.fields.map(name => {
+        if (name.includes('.')) {
+            throw malformed(`relationship fields such as '${name}' are not supported by the mock server`);
+        }
+        return resolveField(object, name);
+    });
+    const matches = query.where ? compileCondition(object, query.where) : () => true;
+    const order = query.orderBy.length > 0 ? compileOrder(object, query.orderBy) : null;
+
+    let records = recordsOf(object.name).filter(record => (includeDeleted || !record.IsDeleted) && matches(record));
+    if (order) {
+        records.sort(order);
+    }
+    if (query.limit !== null) {
+        records = records.slice(0, query.limit);
+    }
+
+    if (query.count) {
+        return { object, count: true, totalSize: records.length, records: [] };
+    }
+    return {
+        object,
+        count: false,
+        totalSize: records.length,
+        records: records.map(record => projectRecord(object, record, fields))
+    };
+}
+
+// =============================================================================
+// SOSL
+// =============================================================================
+
+// The term between FIND's braces, where \ escapes the next character
+function readSearchTerm(text) {
+    const start = text.match(/^\s*FIND\s*\{/i);
+    if (!start) {
+        throw malformed('search must start with FIND {term}', 'MALFORMED_SEARCH');
+    }
+    const words = [];
+    let word = '';
+    const endWord = () => {
+        if (word) {
+            words.push(word);
+        }
+        word = '';
+    };
+    for (let index = start[0].length; index < text.length; index++) {
+        const char = text[index];
+        if (char === '\\' && index + 1 < text.length) {
+            index += 1;
+            if (/[\p{L}\p{N}]/u.test(text[index])) {
+                word += text[index];
+            } else {
+                endWord();
+            }
+        } else if (char === '}') {
+            endWord();
+            return { words, rest: text.slice(index + 1) };
+        } else if (char === '*') {
+            word += '[\\p{L}\\p{N}]*';
+        } else if (char === '?') {
+            word += '[\\p{L}\\p{N}]';
+        } else if (/[\p{L}\p{N}]/u.test(char)) {
+            word += char;
+        } else {
+            endWord();
+        }
+    }
+    throw malformed('search term is missing its closing brace', 'MALFORMED_SEARCH');
+}
+
+function parseSosl(text) {
+    const { words, rest } = readSearchTerm(String(text));
+    if (words.length === 0) {
+        throw mockError(400, 'INVALID_SEARCH', 'search term must be longer than one character');
+    }
+    const reader = createReader(tokenize(rest, 'MALFORMED_SEARCH'), 'MALFORMED_SEARCH');
+    const search = { words: words.map(word => new RegExp(`^${word}$`, 'iu')), scope: 'ALL', returning: [], limit: null };
+
+    if (reader.isWord('IN')) {
+        reader.next();
+        search.scope = reader.name().toUpperCase();
+        if (!SOSL_SCOPES[search.scope]) {
+            throw reader.fail(`unknown search scope ${search.scope}`);
+        }
+        reader.expectWord('FIELDS');
+    }
+
+    if (reader.isWord('RETURNING')) {
+        reader.next();
+        do {
+            if (reader.isSymbol(',')) {
+                reader.next();
+            }
+            const returning = { object: reader.name(), fields: ['Id'] };
+            if (reader.isSymbol('(')) {
+                reader.next();
+                returning.fields = [reader.name()];
+                while (reader.isSymbol(',')) {
+                    reader.next();
+                    returning.fields.push(reader.name());
+                }
+                reader.expectSymbol(')');
+            }
+            search.returning.push(returning);
+        } while (reader.isSymbol(','));
+    }
+
+    if (reader.isWord('LIMIT')) {
+        reader.next();
+        search.limit = reader.integer();
+    }
+
+    if (!reader.done()) {
+        throw reader.fail(`unexpected token: '${reader.peek().value}'`);
+    }
+    return search;
+}
+
+// The words a record can be found by in the scope's fields; phone numbers
+// can also be found by their digits alone
+function searchableWords(object, record, scope) {
+    const words = [];
+    object.fields.filter(SOSL_SCOPES[scope]).forEach(field => {
+        const value = record[field.name];
+        if (value === null || value === undefined) {
+            return;
+        }
+        words.push(...String(value).split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+        if (field.type === 'phone') {
+            // With and without the country code of a ten digit number
+            const digits = String(value).replace(/\D/g, '');
+            words.push(digits, digits.slice(-10));
+        }
+    });
+    return words;
+}
+
+// Search the objects RETURNING lists (all searchable ones without it)
+function executeSosl(text, recordsOf, searchableObjects) {
+    const search = parseSosl(text);
+    const returning = search.returning.length > 0
+        ? search.returning
+        : searchableObjects.map(name => ({ object: name, fields: ['Id'] }));
+
+    const searchRecords = [];
+    returning.forEach(({ object: name, fields: names }) => {
+        const object = resolveObject(name);
+        const fields = names.map(fieldName => resolveField(object, fieldName));
+        recordsOf(object.name)
+            .filter(record => !record.IsDeleted)
+            .filter(record => {
+                const words = searchableWords(object, record, search.scope);
+                return search.words.every(pattern => words.some(word => pattern.test(word)));
+            })
+            .forEach(record => searchRecords.push(projectRecord(object, record, fields)));
+    });
+
+    return {
+        searchRecords: search.limit === null ? searchRecords : searchRecords.slice(0, search.limit)
+    };
+}
+
+module.exports = {
+    parseSoql,
+    executeSoql,
+    executeSosl
+};
@@ -0,0 +1,586 @@
+// =============================================================================
+// Mock Store - the mock org's records, kept in memory
+// =============================================================================
+//
+// Records are validated against the schema the way Salesforce validates an
+// API write: unknown and read-only fields, values of the wrong type, text
+// over the field length, restricted picklist values and missing required
+// fields are all reported together with Salesforce's error codes. Deleted
+// records stay in the store with IsDeleted set, as they would in the recycle
+// bin, until they are undeleted or the store is reset.
+//
+// Active duplicate rules (seeded DuplicateRule records) match on Email and
+// block a save when the request asks for it with
+// Sforce-Duplicate-Rule-Header: allowSave=false.
+
+const { TEXT_TYPES, findObject, objectNames, describeObject } = require('./schema');
+const { isId, toId18, createIdGenerator } = require('./ids');
+const { executeSoql, executeSosl } = require('./soql');
+const { mockError, mockErrors } = require('./errors');
+const defaultSeed = require('./seed-data');
+
+const API_VERSION = 'v58.0';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const NUMBER_TYPES = ['int', 'double', 'currency', 'percent'];
+const SEED_INTERVAL_MS = 60 * 60 * 1000;
+
+// Datetimes as the REST API writes them: 2024-01-15T10:30:00.000+0000
+function formatDateTime(date) {
+    return date.toISOString().replace('Z', '+0000');
+}
+
+function recordUrl(type, id) {
+    return `/services/data/${API_VERSION}/sobjects/${type}/${id}`;
+}
+
+function notFound() {
+    return mockError(404, 'NOT_FOUND', 'The requested resource does not exist');
+}
+
+// The allowSave setting of a Sforce-Duplicate-Rule-Header value
+function parseDuplicateRuleHeader(header) {
+    const match = /allowSave\s*=\s*(true|false)/i.exec(header || '');
+    return { allowSave: match ? match[1].toLowerCase() === 'true' : true };
+}
+
+function createStore({ seed = defaultSeed } = {}) {
+    let tables;
+    let credentials;
+    let organization;
+    let nextId;
+
+    function table(type) {
+        return tables.get(type);
+    }
+
+    function requireObject(type) {
+        const object = findObject(type);
+        if (!object) {
+            throw notFound();
+        }
+        return object;
+    }
+
+    function requireWritable(object) {
+        if (object.readOnly) {
+            throw mockError(400, 'INVALID_TYPE', `entity type ${object.name} does not support this operation`);
+        }
+    }
+
+    // The record with this ID, wherever it is
+    function findRecord(id) {
+        const fullId = isId(id) ? toId18(id) : null;
+        for (const records of tables.values()) {
+            if (fullId && records.has(fullId)) {
+                return records.get(fullId);
+            }
+        }
+        return null;
+    }
+
+    function requireRecord(object, id) {
+        const record = isId(id) ? table(object.name).get(toId18(id)) : null;
+        if (!record) {
+            throw notFound();
+        }
+        if (record.IsDeleted) {
+            throw mockError(404, 'ENTITY_IS_DELETED', 'entity is deleted');
+        }
+        return record;
+    }
+
+    // What is wrong with one value for the field, or null if nothing
+    function checkValue(field, value) {
+        const label = field.label;
+        if (value === null) {
+            return field.nillable || field.type === 'boolean'
+                ? null
+                : { errorCode: 'REQUIRED_FIELD_MISSING', message: `Required fields are missing: [${field.name}]`, fields: [field.name] };
+        }
+
+        const wrongType = { errorCode: 'INVALID_TYPE_ON_FIELD_IN_RECORD', message: `${label}: value not of required type: ${value}`, fields: [field.name] };
+        if (TEXT_TYPES.includes(field.type)) {
+            if (typeof value !== 'string') {
+                return wrongType;
+            }
+            if (value.length > field.length) {
+                return { errorCode: 'STRING_TOO_LONG', message: `${label}: data value too large: ${value} (max length=${field.length})`, fields: [field.name] };
+            }
+            if (field.type === 'email' && value !== '' && !EMAIL_PATTERN.test(value)) {
+                return { errorCode: 'INVALID_EMAIL_ADDRESS', message: `${label}: invalid email address: ${value}`, fields: [field.name] };
+            }
+            if (field.restrictedPicklist && !field.picklistValues.some(option => option.active && option.value === value)) {
+                return { errorCode: 'INVALID_OR_NULL_FOR_RESTRICTED_PICKLIST', message: `${label}: bad value for restricted picklist field: ${value}`, fields: [field.name] };
+            }
+            return null;
+        }
+        if (NUMBER_TYPES.includes(field.type)) {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            return typeof number === 'number' && Number.isFinite(number) && (field.type !== 'int' || Number.isInteger(number)) ? null : wrongType;
+        }
+        if (field.type === 'boolean') {
+            return typeof value === 'boolean' ? null : wrongType;
+        }
+        if (field.type === 'date') {
+            return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)) ? null : wrongType;
+        }
+        if (field.type === 'datetime') {
+            return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? null : wrongType;
+        }
+        if (field.type === 'reference') {
+            if (!isId(value)) {
+                return { errorCode: 'MALFORMED_ID', message: `${label}: id value of incorrect type: ${value}`, fields: [field.name] };
+            }
+            const target = findRecord(value);
+            if (!target || target.IsDeleted || !field.referenceTo.includes(target.attributes.type)) {
+                return { errorCode: 'INVALID_CROSS_REFERENCE_KEY', message: `${label}: invalid cross reference id`, fields: [field.name] };
+            }
+        }
+        return null;
+    }
+
+    function normalizeValue(field, value) {
+        if (value === null) {
+            return field.type === 'boolean' ? false : null;
+        }
+        if (NUMBER_TYPES.includes(field.type)) {
+            return Number(value);
+        }
+        if (field.type === 'reference') {
+            return toId18(value);
+        }
+        return value;
+    }
+
+    // Check values for a create or update and return them keyed by the
+    // fields' real names; every problem is reported at once
+    function validate(object, values, operation) {
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            throw mockError(400, 'JSON_PARSER_ERROR', 'The request body must be a JSON object of field values');
+        }
+
+        const errors = [];
+        const checked = {};
+        Object.entries(values).forEach(([name, value]) => {
+            if (name === 'attributes') {
+                return;
+            }
+            const field = object.fields.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+            if (!field) {
+                errors.push({ errorCode: 'INVALID_FIELD', message: `No such column '${name}' on sobject of type ${object.name}`, fields: [name] });
+                return;
+            }
+            if (operation === 'create' ? !field.createable : !field.updateable) {
+                errors.push({
+                    errorCode: 'INVALID_FIELD_FOR_INSERT_UPDATE',
+                    message: `Unable to ${operation} fields: ${field.name}. Please check the security settings of this field and verify that it is read/write for your profile or permission set.`,
+                    fields: [field.name]
+                });
+                return;
+            }
+            // Salesforce stores empty text as null
+            const given = value === '' && TEXT_TYPES.includes(field.type) ? null : value ?? null;
+            const problem = checkValue(field, given);
+            if (problem) {
+                errors.push(problem);
+                return;
+            }
+            checked[field.name] = normalizeValue(field, given);
+        });
+
+        if (operation === 'create') {
+            const missing = object.fields
+                .filter(field => field.createable && !field.nillable && !field.defaultedOnCreate && field.type !== 'boolean')
+                .filter(field => checked[field.name] === undefined || checked[field.name] === null)
+                .map(field => field.name);
+            if (missing.length > 0) {
+                errors.push({ errorCode: 'REQUIRED_FIELD_MISSING', message: `Required fields are missing: [${missing.join(', ')}]`, fields: missing });
+            }
+        }
+
+        if (errors.length > 0) {
+            throw mockErrors(400, errors);
+        }
+        return checked;
+    }
+
+    function applyComputed(object, record) {
+        Object.entries(object.computed || {}).forEach(([name, compute]) => {
+            record[name] = compute(record);
+        });
+    }
+
+    // Live records an active duplicate rule on the object matches
+    function findDuplicates(object, record) {
+        const ruleActive = [...table('DuplicateRule').values()]
+            .some(rule => !rule.IsDeleted && rule.IsActive && rule.SobjectType === object.name);
+        if (!ruleActive || !record.Email) {
+            return [];
+        }
+        const email = record.Email.toLowerCase();
+        return [...table(object.name).values()]
+            .filter(candidate => !candidate.IsDeleted && candidate.Id !== record.Id && String(candidate.Email || '').toLowerCase() === email);
+    }
+
+    function rejectDuplicates(object, record, duplicateRule) {
+        if (duplicateRule.allowSave) {
+            return;
+        }
+        const matches = findDuplicates(object, record);
+        if (matches.length === 0) {
+            return;
+        }
+        const message = 'You\'re creating a duplicate record. We recommend you use an existing record instead.';
+        throw Object.assign(new Error(message), {
+            status: 400,
+            errors: [{
+                duplicateResult: {
+                    allowSave: false,
+                    duplicateRule: `Standard_${object.name}_Duplicate_Rule`,
+                    duplicateRuleEntityType: object.name,
+                    errorMessage: message,
+                    matchResults: [{
+                        entityType: object.name,
+                        errors: [],
+                        matchEngine: 'ExactMatchEngine',
+                        matchRecords: matches.map(match => ({
+                            additionalInformation: [],
+                            fieldDiffs: [],
+                            matchConfidence: 100,
+                            record: { attributes: { type: object.name, url: recordUrl(object.name, match.Id) }, Id: match.Id }
+                        })),
+                        rule: `Standard_${object.name}_Match_Rule`,
+                        size: matches.length,
+                        success: true
+                    }]
+                },
+                errorCode: 'DUPLICATES_DETECTED',
+                message
+            }]
+        });
+    }
+
+    // Store a new record; context is { userId, duplicateRule, now }
+    function insert(object, values, { userId, duplicateRule = { allowSave: true }, now = new Date() }) {
+        const stamp = formatDateTime(now);
+        const record = { attributes: { type: object.name, url: null } };
+        object.fields.forEach(field => {
+            record[field.name] = field.type === 'boolean' ? false : null;
+            const defaultOption = field.picklistValues.find(option => option.defaultValue);
+            if (defaultOption) {
+                record[field.name] = defaultOption.value;
+            }
+        });
+        Object.assign(record, values);
+
+        record.Id = nextId(object.keyPrefix);
+        record.attributes.url = recordUrl(object.name, record.Id);
+        record.IsDeleted = false;
+        record.CreatedDate = stamp;
+        record.LastModifiedDate = stamp;
+        record.SystemModstamp = stamp;
+        record.CreatedById = userId;
+        record.LastModifiedById = userId;
+        if ('OwnerId' in record && !record.OwnerId) {
+            record.OwnerId = userId;
+        }
+        applyComputed(object, record);
+        rejectDuplicates(object, record, duplicateRule);
+
+        table(object.name).set(record.Id, record);
+        return record;
+    }
+
+    function touch(record, userId) {
+        const stamp = formatDateTime(new Date());
+        record.LastModifiedDate = stamp;
+        record.SystemModstamp = stamp;
+        record.LastModifiedById = userId;
+    }
+
+    // =============================================================================
+    // Seeding
+    // =============================================================================
+
+    // Replace everything with the seed: the same seed always gives the same IDs
+    function reset() {
+        nextId = createIdGenerator();
+        tables = new Map(objectNames().map(name => [name, new Map()]));
+        credentials = new Map();
+        organization = { id: nextId('00D'), name: seed.organization?.name || 'Mock Org' };
+
+        const keys = new Map();
+        const resolve = values => Object.fromEntries(Object.entries(values).map(([name, value]) => {
+            if (typeof value === 'string' && value.startsWith('@')) {
+                if (!keys.has(value.slice(1))) {
+                    throw new Error(`Seed data refers to unknown record "${value}"`);
+                }
+                return [name, keys.get(value.slice(1))];
+            }
+            return [name, value];
+        }));
+
+        const entries = [
+            ...(seed.users || []).map(user => ['User', user]),
+            ...Object.entries(seed.records || {}).flatMap(([type, records]) => records.map(values => [type, values]))
+        ];
+        const start = Date.now() - entries.length * SEED_INTERVAL_MS;
+        let firstUserId = null;
+
+        entries.forEach(([type, { key, password, securityToken, ...values }], index) => {
+            const object = findObject(type);
+            if (!object) {
+                throw new Error(`Seed data has records of unknown object "${type}"`);
+            }
+            // Seeds of writable objects are checked like an API create would be
+            const resolved = type === 'User' ? { IsActive: true, ...resolve(values) } : resolve(values);
+            const record = insert(object, object.readOnly ? resolved : validate(object, resolved, 'create'), {
+                userId: firstUserId,
+                now: new Date(start + index * SEED_INTERVAL_MS)
+            });
+            if (type === 'User') {
+                // Users own and create their own record; the first one seeds the rest
+                firstUserId = firstUserId || record.Id;
+                record.CreatedById = record.CreatedById || record.Id;
+                record.LastModifiedById = record.LastModifiedById || record.Id;
+                credentials.set(record.Username.toLowerCase(), { userId: record.Id, password, securityToken: securityToken || '' });
+            }
+            if (key) {
+                keys.set(key, record.Id);
+            }
+        });
+
+        if (credentials.size === 0) {
+            throw new Error('Seed data needs at least one user to log in as');
+        }
+        console.log(`🌱 Mock org seeded: ${entries.length} records in ${tables.size} objects`);
+    }
+
+    // =============================================================================
+    // Users
+    // =============================================================================
+
+    // The user these credentials log in as, or null. The password grant may
+    // append the security token to the password.
+    function authenticate(username, password) {
+        const entry = credentials.get(String(username || '').toLowerCase());
+        if (!entry || (password !== entry.password && password !== `${entry.password}${entry.securityToken}`)) {
+            return null;
+        }
+        const user = table('User').get(entry.userId);
+        return user && user.IsActive ? user : null;
+    }
+
+    function findUserByUsername(username) {
+        const entry = credentials.get(String(username || '').toLowerCase());
+        return entry ? table('User').get(entry.userId) : null;
+    }
+
+    function getUser(id) {
+        return table('User').get(id) || null;
+    }
+
+    function defaultUsername() {
+        return [...credentials.keys()][0];
+    }
+
+    // =============================================================================
+    // Records
+    // =============================================================================
+
+    function describeGlobal() {
+        return objectNames().map(name => {
+            const { fields, ...summary } = describeObject(findObject(name));
+            return summary;
+        });
+    }
+
+    function describe(type) {
+        return describeObject(requireObject(type));
+    }
+
+    // A record with all its fields, or only those named
+    function retrieve(type, id, fieldNames = []) {
+        const object = requireObject(type);
+        const record = requireRecord(object, id);
+        const names = fieldNames.length > 0 ? fieldNames : object.fields.map(field => field.name);
+        const result = { attributes: { type: object.name, url: recordUrl(object.name, record.Id) } };
+        names.forEach(name => {
+            const field = object.fields.find(candidate => candidate.name.toLowerCase() === String(name).toLowerCase());
+            if (!field) {
+                throw mockError(400, 'INVALID_FIELD', `No such column '${name}' on entity '${object.name}'.`);
+            }
+            result[field.name] = record[field.name] ?? null;
+        });
+        return result;
+    }
+
+    function create(type, values, { userId, duplicateRule }) {
+        const object = requireObject(type);
+        requireWritable(object);
+        return insert(object, validate(object, values, 'create'), { userId, duplicateRule }).Id;
+    }
+
+    function update(type, id, values, { userId, duplicateRule = { allowSave: true } }) {
+        const object = requireObject(type);
+        requireWritable(object);
+        const record = requireRecord(object, id);
+        const changes = validate(object, values, 'update');
+
+        const updated = { ...record, ...changes };
+        applyComputed(object, updated);
+        rejectDuplicates(object, updated, duplicateRule);
+
+        Object.assign(record, updated);
+        touch(record, userId);
+        return record.Id;
+    }
+
+    // Upsert on an external ID field (or Id): { id, created }
+    function upsert(type, fieldName, value, values, context) {
+        const object = requireObject(type);
+        requireWritable(object);
+        const field = object.fields.find(candidate => candidate.name.toLowerCase() === String(fieldName).toLowerCase());
+        if (!field || !(field.externalId || field.idLookup)) {
+            throw mockError(404, 'NOT_FOUND', `Provided external ID field does not exist or is not accessible: ${fieldName}`);
+        }
+
+        // IDs match exactly, external IDs without regard to case
+        const matchesValue = field.type === 'id'
+            ? current => isId(String(value)) && current === toId18(String(value))
+            : current => String(current).toLowerCase() === String(value).toLowerCase();
+        const matches = [...table(object.name).values()]
+            .filter(record => !record.IsDeleted && record[field.name] !== null && matchesValue(record[field.name]));
+        if (matches.length > 1) {
+            // Salesforce answers 300 with the URLs of the records that matched
+            throw Object.assign(new Error(`More than one record has ${field.name} ${value}`), {
+                status: 300,
+                errors: matches.map(record => recordUrl(object.name, record.Id))
+            });
+        }
+        if (matches.length === 1) {
+            return { id: update(object.name, matches[0].Id, values, context), created: false };
+        }
+        if (field.type === 'id') {
+            throw notFound();
+        }
+        return { id: create(object.name, { ...values, [field.name]: value }, context), created: true };
+    }
+
+    // Move a record to the recycle bin
+    function remove(type, id, { userId }) {
+        const object = requireObject(type);
+        requireWritable(object);
+        const record = requireRecord(object, id);
+        record.IsDeleted = true;
+        touch(record, userId);
+        return record.Id;
+    }
+
+    // Restore a record from the recycle bin: { id, success, errors }
+    function undelete(id, { userId }) {
+        const record = findRecord(id);
+        if (!record) {
+            return { id: null, success: false, errors: [{ errorCode: 'INVALID_ID_FIELD', message: 'invalid record id', fields: [] }] };
+        }
+        if (!record.IsDeleted) {
+            return { id: null, success: false, errors: [{ errorCode: 'UNDELETE_FAILED', message: 'Entity is not in the recycle bin', fields: [] }] };
+        }
+        record.IsDeleted = false;
+        touch(record, userId);
+        return { id: record.Id, success: true, errors: [] };
+    }
+
+    // Merge up to two records into the master, which takes the given values;
+    // the others go to the recycle bin. Resolves like the SOAP MergeResult.
+    function merge(type, masterId, values, mergeIds, context) {
+        const object = requireObject(type);
+        requireWritable(object);
+        const failed = (errorCode, message) => ({ id: null, success: false, errors: [{ errorCode, message, fields: [] }], mergedRecordIds: [], updatedRelatedIds: [] });
+
+        if (mergeIds.length < 1 || mergeIds.length > 2) {
+            return failed('INVALID_ARGUMENT_TYPE', 'Merge requires one or two records to merge into the master');
+        }
+        const merged = [];
+        for (const id of mergeIds) {
+            const record = isId(id) ? table(object.name).get(toId18(id)) : null;
+            if (!record || record.IsDeleted || (isId(masterId) && record.Id === toId18(masterId))) {
+                return failed('INVALID_ID_FIELD', `invalid record id: ${id}`);
+            }
+            merged.push(record);
+        }
+
+        try {
+            update(object.name, masterId, values, context);
+        } catch (error) {
+            if (!error.errors) {
+                throw error;
+            }
+            return { ...failed(), errors: error.errors };
+        }
+        merged.forEach(record => {
+            record.IsDeleted = true;
+            touch(record, context.userId);
+        });
+        return { id: toId18(masterId), success: true, errors: [], mergedRecordIds: merged.map(record => record.Id), updatedRelatedIds: [] };
+    }
+
+    // A copy of every record, for rolling back an allOrNone request
+    function snapshot() {
+        return structuredClone(tables);
+    }
+
+    function restoreSnapshot(saved) {
+        tables = saved;
+    }
+
+    // The object an ID belongs to, or null for IDs of no record
+    function typeOf(id) {
+        return findRecord(id)?.attributes.type || null;
+    }
+
+    function recordsOf(type) {
+        return [...table(type).values()];
+    }
+
+    function query(text, { includeDeleted = false } = {}) {
+        return executeSoql(text, recordsOf, { includeDeleted });
+    }
+
+    function search(text) {
+        return executeSosl(text, recordsOf, objectNames().filter(name => !findObject(name).readOnly));
+    }
+
+    reset();
+
+    return {
+        get organization() {
+            return organization;
+        },
+        reset,
+        authenticate,
+        findUserByUsername,
+        getUser,
+        defaultUsername,
+        describeGlobal,
+        describe,
+        retrieve,
+        create,
+        update,
+        upsert,
+        remove,
+        undelete,
+        merge,
+        snapshot,
+        restoreSnapshot,
+        typeOf,
+        query,
+        search
+    };
+}
+
+module.exports = {
+    formatDateTime,
+    parseDuplicateRuleHeader,
+    createStore
+};
@@ -0,0 +1,258 @@
+// =============================================================================
+// Pagination - opaque cursors over SOQL result sets
+// =============================================================================
+//
+// A page is fetched either by keyset (the query is re-run with a WHERE that
+// starts after the previous page's last row) or, when the sort field can't
+// be compared in SOQL, by following Salesforce's own nextRecordsUrl query
+// locator. Either way the client only sees a signed cursor token that holds
+// the whole query, so the next page needs nothing but ?cursor=.
+//
+// A query can also be limited to a list of Ids too long for one query (the
+// provenance registry's). The Ids are looked up again for every page and
+// queried a group of up to 300 at a time; rows are sorted within each group.
+
+const crypto = require('crypto');
+const { getConnection } = require('./auth/session-handler');
+const { createValidationError } = require('./error-handling');
+const { canSeekBy, chunkInValues, buildSoql, buildCount } = require('./query-builder');
+
+const API_VERSION = 'v58.0';
+// Salesforce accepts query batch sizes from 200 to 2000
+const MIN_BATCH_SIZE = 200;
+const MAX_BATCH_SIZE = 2000;
+const LOCATOR_PATTERN = /^\/services\/data\/v\d+\.\d+\/query(All)?\/[A-Za-z0-9]+-\d+$/;
+
+// "/services/data/v58.0/query/01g...-200" -> ["/services/data/v58.0/query/01g...", 200]
+function splitLocator(locator) {
+    const match = /^(.+)-(\d+)$/.exec(locator || '');
+    return match ? [match[1], Number(match[2])] : [null, 0];
+}
+
+// OFFSET paging was replaced by cursors; fail loudly rather than return page one again
+function rejectOffset(value) {
+    if (value !== undefined) {
+        throw createValidationError('offset is not supported, pass the cursor from the previous page (or follow nextRecordsUrl)');
+    }
+}
+
+function createPaginator({ makeAuthenticatedRequest, describeSObject, filterIds, secret }) {
+    function sign(payload) {
+        return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+    }
+
+    function encodeCursor(state) {
+        const payload = Buffer.from(JSON.stringify(state)).toString('base64url');
+        return `${payload}.${sign(payload)}`;
+    }
+
+    function decodeCursor(req, token) {
+        const [payload, signature] = String(token).split('.');
+        const actual = Buffer.from(signature || '');
+        const expected = Buffer.from(payload ? sign(payload) : '');
+
+        if (actual.length === 0 || actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            throw createValidationError('Invalid cursor');
+        }
+
+        const state = JSON.parse(Buffer.from(payload, 'base64url').toString());
+
+        // A cursor only continues a query on the org it started on
+        if (state.instanceUrl !== getConnection(req).instanceUrl) {
+            throw createValidationError('Cursor belongs to a different Salesforce org');
+        }
+        if (state.locator && !LOCATOR_PATTERN.test(state.locator)) {
+            throw createValidationError('Invalid cursor');
+        }
+
+        return state;
+    }
+
+    async function query(req, url, batchSize) {
+        try {
+            const { data } = await makeAuthenticatedRequest(req, url, batchSize
+                ? { headers: { 'Sforce-Query-Options': `batchSize=${batchSize}` } }
+                : {});
+            return data;
+        } catch (error) {
+            if (error.errorCode === 'INVALID_QUERY_LOCATOR') {
+                throw createValidationError('Cursor has expired, start again from the first page');
+            }
+            throw error;
+        }
+    }
+
+    // queryAll also returns deleted records, which are otherwise skipped
+    function queryUrl(connection, soql, queryAll = false) {
+        return `${connection.instanceUrl}/services/data/${API_VERSION}/${queryAll ? 'queryAll' : 'query'}?q=${encodeURIComponent(soql)}`;
+    }
+
+    // Fetch one page. Pass either the query - { type, fields, where, orderBy,
+    // order, limit, queryAll, idFilter, extra } - or { type, cursor } for a
+    // following page. idFilter is handed to filterIds() for the Ids the
+    // records must have. extra is stored in the cursor and handed back with
+    // every page. Resolves to { totalSize, done, records, nextCursor, extra }.
+    async function fetchPage(req, { cursor, ...spec }) {
+        const connection = getConnection(req);
+        const state = cursor ? decodeCursor(req, cursor) : { ...spec, instanceUrl: connection.instanceUrl };
+
+        if (cursor && state.type !== spec.type) {
+            throw createValidationError(`Cursor is for ${state.type} records, not ${spec.type}`);
+        }
+
+        const describe = await describeSObject(req, state.type);
+        const { totalSize, records, next } = state.idFilter
+            ? await fetchIdFilteredPage(req, connection, describe, state)
+            : await fetchQueryPage(req, connection, describe, state);
+
+        // next holds where the following page starts and replaces the old position
+        return {
+            totalSize,
+            done: !next,
+            records,
+            nextCursor: next
+                ? encodeCursor({ ...state, totalSize, after: undefined, locator: undefined, skip: undefined, ...next })
+                : null,
+            extra: state.extra
+        };
+    }
+
+    // Resolves to { totalSize, records, next }, next being null on the last page
+    function fetchQueryPage(req, connection, describe, state) {
+        if (canSeekBy(describe, state.orderBy)) {
+            return fetchKeysetPage(req, connection, describe, state);
+        }
+        return fetchLocatorPage(req, connection, describe, state);
+    }
+
+    // The cursor keeps the last Id before the group being paged through, so
+    // the remaining Ids are split the same way however many were added or
+    // removed since. A page that finishes a group is topped up from the next.
+    async function fetchIdFilteredPage(req, connection, describe, state) {
+        const { idFilter, limit } = state;
+        const ids = await filterIds(req, describe, idFilter);
+        const inGroup = group => [...state.where, { field: 'Id', operator: 'IN', value: group }];
+
+        // Count every group once, on the first page
+        let totalSize = state.totalSize;
+        if (totalSize === undefined) {
+            totalSize = 0;
+            for (const group of chunkInValues(ids)) {
+                totalSize += (await query(req, queryUrl(connection, buildCount(describe, { where: inGroup(group) }), state.queryAll))).totalSize;
+            }
+        }
+
+        const groups = chunkInValues(ids.filter(id => !idFilter.after || id > idFilter.after));
+        const records = [];
+        let position = state;
+        let groupAfter = idFilter.after;
+
+        for (const [index, group] of groups.entries()) {
+            const page = await fetchQueryPage(req, connection, describe, {
+                ...position,
+                where: inGroup(group),
+                limit: limit - records.length,
+                totalSize: 0
+            });
+            records.push(...page.records);
+
+            if (page.next) {
+                return { totalSize, records, next: { ...page.next, idFilter: { ...idFilter, after: groupAfter } } };
+            }
+
+            groupAfter = group[group.length - 1];
+            if (records.length === limit && index < groups.length - 1) {
+                return { totalSize, records, next: { idFilter: { ...idFilter, after: groupAfter } } };
+            }
+            position = { ...state, after: undefined, locator: undefined, skip: undefined };
+        }
+
+        return { totalSize, records, next: null };
+    }
+
+    async function fetchKeysetPage(req, connection, describe, state) {
+        const { fields, where, orderBy, order, limit, after, queryAll } = state;
+
+        // The last row's sort value and Id are needed to build the next cursor
+        const selected = [...fields];
+        [orderBy, 'Id'].forEach(name => {
+            if (!selected.some(field => field.toLowerCase() === name.toLowerCase())) {
+                selected.push(name);
+            }
+        });
+
+        // One extra row tells us whether another page follows
+        const soql = buildSoql(describe, { fields: selected, where, orderBy, order, limit: limit + 1, keyset: true, after });
+        const data = await query(req, queryUrl(connection, soql, queryAll));
+        const records = data.records.slice(0, limit);
+        const hasMore = data.records.length > limit;
+
+        // totalSize of a LIMIT query is capped, so count once on the first page
+        const totalSize = state.totalSize ?? (await query(req, queryUrl(connection, buildCount(describe, { where }), queryAll))).totalSize;
+
+        let next = null;
+        if (hasMore) {
+            const last = records[records.length - 1];
+            const sortField = describe.fields.find(field => field.name.toLowerCase() === orderBy.toLowerCase());
+            next = { after: { value: last[sortField.name] ?? null, id: last.Id } };
+        }
+
+        return { totalSize, records, next };
+    }
+
+    // Salesforce's query batches are at least 200 rows, so a page rarely ends
+    // on a batch boundary. A query locator (.../query/01g...-200) names the
+    // row a batch starts at, and any row can be named, so the cursor keeps
+    // the locator of the page's next row and the following page starts
+    // there. Only a result that fits in one batch has no locator; its later
+    // pages re-run the query, whose Id tiebreaker keeps rows in place, and
+    // skip the rows already returned.
+    async function fetchLocatorPage(req, connection, describe, state) {
+        const { limit } = state;
+        const batchSize = Math.min(Math.max(limit, MIN_BATCH_SIZE), MAX_BATCH_SIZE);
+        const url = state.locator
+            ? `${connection.instanceUrl}${state.locator}`
+            : queryUrl(connection, buildSoql(describe, {
+                fields: state.fields,
+                where: state.where,
+                orderBy: state.orderBy,
+                order: state.order
+            }), state.queryAll);
+
+        let data = await query(req, url, batchSize);
+        const totalSize = state.totalSize ?? data.totalSize;
+        // Where the current batch starts in the result, and the locator ID if known
+        let [locatorId, start] = splitLocator(state.locator || data.nextRecordsUrl);
+        start = state.locator ? start : 0;
+        let used = Math.min(state.locator ? 0 : state.skip || 0, data.records.length);
+
+        const records = data.records.slice(used, used + limit);
+        used += records.length;
+
+        // Top up from the next batch when this one runs out first
+        while (records.length < limit && data.nextRecordsUrl) {
+            [locatorId, start] = splitLocator(data.nextRecordsUrl);
+            data = await query(req, `${connection.instanceUrl}${data.nextRecordsUrl}`, batchSize);
+            const more = data.records.slice(0, limit - records.length);
+            records.push(...more);
+            used = more.length;
+        }
+
+        const hasMore = used < data.records.length || !!data.nextRecordsUrl;
+        let next = null;
+        if (hasMore) {
+            next = locatorId
+                ? { locator: `${locatorId}-${start + used}` }
+                : { skip: used };
+        }
+
+        return { totalSize, records, next };
+    }
+
+    return { fetchPage };
+}
+
+module.exports = {
+    rejectOffset,
+    createPaginator
+};
@@ -0,0 +1,72 @@
+// =============================================================================
+// Playwright - end-to-end tests of salesforce-oauth.html against the mock org
+// =============================================================================
+//
+// npm run test:e2e starts the mock Salesforce server and a proxy pointed at
+// it, then drives the page in Chromium. The proxy keeps its tokens, audit log
+// and provenance registry in a temporary directory so runs never touch .data/.
+// Tests share one mock org and reset it before each test, so they run one
+// at a time.
+
+const os = require('os');
+const path = require('path');
+const { defineConfig, devices } = require('@playwright/test');
+
+const MOCK_PORT = 4010;
+const PROXY_PORT = 3100;
+const dataDir = path.join(os.tmpdir(), `sf-proxy-e2e-${process.pid}`);
+
+module.exports = defineConfig({
+    testDir: './tests/e2e',
+    fullyParallel: false,
+    workers: 1,
+    retries: process.env.CI ? 1 : 0,
+    forbidOnly: !!process.env.CI,
+    reporter: process.env.CI ? 'line' : 'list',
+    timeout: 30000,
+    use: {
+        baseURL: `http://localhost:${PROXY_PORT}`,
+        trace: 'retain-on-failure'
+    },
+    projects: [
+        {
+            name: 'chromium',
+            use: { ...devices['Desktop Chrome'] }
+        }
+    ],
+    webServer: [
+        {
+            command: 'node mock-salesforce/server.js',
+            url: `http://localhost:${MOCK_PORT}/__mock/health`,
+            reuseExistingServer: !process.env.CI,
+            env: {
+                MOCK_SF_PORT: String(MOCK_PORT),
+                MOCK_SF_CLIENT_ID: 'mock-client-id',
+                MOCK_SF_CLIENT_SECRET: 'mock-client-secret'
+            }
+        },
+        {
+            command: 'node salesforce-proxy.js',
+            url: `http://localhost:${PROXY_PORT}/api/sf/orgs`,
+            reuseExistingServer: !process.env.CI,
+            env: {
+                PORT: String(PROXY_PORT),
+                SF_INSTANCE_URL: `http://localhost:${MOCK_PORT}`,
+                SF_CLIENT_ID: 'mock-client-id',
+                SF_CLIENT_SECRET: 'mock-client-secret',
+                SF_REDIRECT_URI: `http://localhost:${PROXY_PORT}/api/sf/auth/callback`,
+                SF_ORGS: '',
+                SESSION_SECRET: 'e2e-session-secret',
+                TOKEN_STORE: 'file',
+                TOKEN_ENCRYPTION_KEY: 'e2e-token-encryption-key',
+                TOKEN_STORE_PATH: path.join(dataDir, 'sf-tokens.json'),
+                SF_PROVENANCE_PATH: path.join(dataDir, 'sf-provenance.json'),
+                SF_AUDIT_LOG_PATH: path.join(dataDir, 'sf-audit.jsonl'),
+                // Keep the outage tests quick, and one failing test from
+                // opening the circuit for the ones after it
+                SF_RETRY_BASE_DELAY_MS: '100',
+                SF_BREAKER_THRESHOLD: '20'
+            }
+        }
+    ]
+});
@@ -0,0 +1,319 @@
+// =============================================================================
+// Provenance - which records the proxy created or changed, and who did it
+// =============================================================================
+//
+// Every write the proxy makes is registered locally: the record and object,
+// the operation, the Salesforce user and org it was made as, and when. The
+// registry is a JSON file (SF_PROVENANCE_PATH, default
+// .data/sf-provenance.json) keyed by Salesforce org and record Id, and it
+// answers the appCreatedOnly and touchedByApp filters without the record
+// itself having to carry a marker.
+//
+// SF_PROVENANCE_FIELD can name a text field (e.g. Proxy_Provenance__c) that
+// writes also fill in, on objects that have it. It must be a plain text
+// field, as long and rich text areas can't be filtered on:
+//
+//   created 2024-01-15T10:30:00.000Z by jane@acme.com; changed 2024-02-01T08:00:00.000Z by 0055g00000XyZabAAF
+//
+// The filters then query that field instead of a list of Ids, so they see
+// records written by other proxy instances and need one query per page
+// rather than one per 300 Ids. Marking it as an External ID in Salesforce
+// indexes it.
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { connectionActor } = require('./auth/session-handler');
+const { likeStartsWith } = require('./query-builder');
+const { createApiError, createValidationError, sendError } = require('./error-handling');
+
+const API_VERSION = 'v58.0';
+const DEFAULT_PATH = path.join(__dirname, '.data', 'sf-provenance.json');
+const FIELD_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+const COLLECTION_SIZE = 200;
+const MAX_LIST_LIMIT = 500;
+
+function loadProvenanceOptions(env = process.env) {
+    const mirrorField = env.SF_PROVENANCE_FIELD || null;
+    if (mirrorField && !FIELD_PATTERN.test(mirrorField)) {
+        throw new Error(`SF_PROVENANCE_FIELD "${mirrorField}" is not a field API name`);
+    }
+
+    return {
+        filePath: env.SF_PROVENANCE_PATH || DEFAULT_PATH,
+        mirrorField
+    };
+}
+
+// The registry key for an org: its Salesforce org Id, or the instance URL
+// for connections without an identity URL
+function orgKey(actor) {
+    return actor.orgId || actor.instanceUrl;
+}
+
+function actorName(actor) {
+    return actor.username || actor.userId || `org ${actor.org}`;
+}
+
+function createdText(entry) {
+    return `created ${entry.created.at} by ${actorName({ ...entry.created, org: entry.org })}`;
+}
+
+function createProvenance({ makeAuthenticatedRequest, sendAuthenticationRequired, options = loadProvenanceOptions() }) {
+    const { filePath, mirrorField } = options;
+    // Entries keyed by `${orgKey}|${recordId}`
+    const entries = new Map();
+    const warnedTypes = new Set();
+    let writeQueue = Promise.resolve();
+
+    async function load() {
+        let contents;
+        try {
+            contents = await fs.promises.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return 0;
+            }
+            throw error;
+        }
+
+        try {
+            Object.entries(JSON.parse(contents).records || {}).forEach(([key, entry]) => entries.set(key, entry));
+        } catch (error) {
+            // Keep the unreadable file for inspection rather than overwrite it on the next write
+            const asidePath = `${filePath}.corrupt-${Date.now()}`;
+            await fs.promises.rename(filePath, asidePath);
+            console.warn(`⚠️ Could not read provenance registry (${error.message}), moved it to ${asidePath}`);
+            return 0;
+        }
+
+        console.log(`🏷️ Provenance registry loaded ${entries.size} record(s)${mirrorField ? `, mirrored to ${mirrorField}` : ''}`);
+        return entries.size;
+    }
+
+    // Rewrite the whole file atomically; writes are serialized, and a failed
+    // one is reported to its caller without holding up the writes after it
+    function flush() {
+        const write = writeQueue.then(async () => {
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, JSON.stringify({ version: 1, records: Object.fromEntries(entries) }), { mode: 0o600 });
+            await fs.promises.rename(tempPath, filePath);
+        });
+        writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    function find(actor, id) {
+        const key = `${orgKey(actor)}|${id}`;
+        if (entries.has(key)) {
+            return entries.get(key);
+        }
+        // A 15 character Id is the start of the 18 character one stored
+        if (String(id).length === 15) {
+            for (const [candidate, entry] of entries) {
+                if (candidate.startsWith(key)) {
+                    return entry;
+                }
+            }
+        }
+        return null;
+    }
+
+    // The mirror field on this object, if it has one the user can write and filter on
+    function mirrorFieldOf(describe) {
+        if (!mirrorField) {
+            return null;
+        }
+        const field = describe.fields.find(candidate => candidate.name.toLowerCase() === mirrorField.toLowerCase());
+        if (field && field.type === 'string' && field.filterable && field.createable && field.updateable) {
+            return field;
+        }
+        if (!warnedTypes.has(describe.name)) {
+            warnedTypes.add(describe.name);
+            console.warn(`⚠️ ${describe.name} has no writable, filterable text field ${mirrorField}, provenance is kept locally only`);
+        }
+        return null;
+    }
+
+    function mirrorText(field, actor, operation, existing) {
+        const now = new Date().toISOString();
+        const parts = [];
+        if (operation === 'create') {
+            parts.push(`created ${now} by ${actorName(actor)}`);
+        } else {
+            if (existing?.created) {
+                parts.push(createdText(existing));
+            }
+            parts.push(`changed ${now} by ${actorName(actor)}`);
+        }
+        return parts.join('; ').slice(0, field.length || undefined);
+    }
+
+    // Fields to add to a create or update so the record carries its
+    // provenance too; {} without a mirror field. operation is 'create',
+    // 'update', or 'upsert' when it isn't known yet which it will be.
+    function mirrorValues(req, describe, operation, id) {
+        const field = mirrorFieldOf(describe);
+        const actor = connectionActor(req);
+        if (!field || !actor) {
+            return {};
+        }
+        return { [field.name]: mirrorText(field, actor, operation, id ? find(actor, id) : null) };
+    }
+
+    // Register writes that succeeded: changes is [{ id, operation }] with
+    // operation create, update, delete, merge or restore. A failed registry
+    // write is logged, never reported as a failure of the Salesforce write.
+    async function record(req, type, changes) {
+        const actor = connectionActor(req);
+        const applied = changes.filter(change => change.id);
+        if (!actor || applied.length === 0) {
+            return;
+        }
+
+        const now = new Date().toISOString();
+        const by = { userId: actor.userId, username: actor.username };
+        applied.forEach(({ id, operation }) => {
+            const key = `${orgKey(actor)}|${id}`;
+            const entry = entries.get(key) || {
+                id,
+                type,
+                org: actor.org,
+                orgId: actor.orgId,
+                instanceUrl: actor.instanceUrl,
+                created: null,
+                changes: 0
+            };
+            if (operation === 'create') {
+                entry.created = { at: now, ...by };
+            }
+            entry.lastChange = { operation, at: now, ...by };
+            entry.changes += 1;
+            entry.deleted = operation === 'delete';
+            entries.set(key, entry);
+        });
+
+        try {
+            await flush();
+        } catch (error) {
+            console.error('❌ Could not write provenance registry:', error.message);
+        }
+    }
+
+    // Upserts are mirrored as changes before it is known which record they
+    // hit. Once recorded, rewrite the mirror of those the app created (just
+    // now or earlier) so the created part isn't lost.
+    async function syncUpsertMirrors(req, describe, ids) {
+        const field = mirrorFieldOf(describe);
+        const actor = connectionActor(req);
+        if (!field || !actor) {
+            return;
+        }
+
+        const records = ids
+            .map(id => find(actor, id))
+            .filter(entry => entry?.created)
+            .map(entry => {
+                const { operation, at } = entry.lastChange;
+                const text = operation === 'create'
+                    ? createdText(entry)
+                    : `${createdText(entry)}; changed ${at} by ${actorName({ ...entry.lastChange, org: entry.org })}`;
+                return { attributes: { type: describe.name }, Id: entry.id, [field.name]: text.slice(0, field.length || undefined) };
+            });
+        for (let index = 0; index < records.length; index += COLLECTION_SIZE) {
+            try {
+                await makeAuthenticatedRequest(req, `${actor.instanceUrl}/services/data/${API_VERSION}/composite/sobjects`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ allOrNone: false, records: records.slice(index, index + COLLECTION_SIZE) })
+                });
+            } catch (error) {
+                console.warn(`⚠️ Could not update ${field.name} on upserted ${describe.name} records:`, error.message);
+            }
+        }
+    }
+
+    // WHERE conditions (query-builder format) for the records this org's
+    // users created, or with createdOnly false, touched through the proxy.
+    // null when the object has no mirror field: filter on filterIds() instead.
+    function filterConditions(describe, { createdOnly }) {
+        const field = mirrorFieldOf(describe);
+        if (!field) {
+            return null;
+        }
+        return [createdOnly
+            ? { field: field.name, operator: 'LIKE', value: likeStartsWith('created ') }
+            : { field: field.name, operator: '!=', value: null }];
+    }
+
+    // The registered Ids of those records, sorted so the list can be split
+    // into the same IN conditions on every page
+    function filterIds(req, describe, { createdOnly }) {
+        const actor = connectionActor(req);
+        return [...entries.values()]
+            .filter(entry => orgKey(entry) === orgKey(actor) && entry.type === describe.name && !entry.deleted)
+            .filter(entry => !createdOnly || entry.created)
+            .map(entry => entry.id)
+            .sort();
+    }
+
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        if (!connectionActor(req)) {
+            return sendAuthenticationRequired(res);
+        }
+        next();
+    });
+
+    // This org's registered records, most recently changed first
+    router.get('/', (req, res) => {
+        try {
+            const actor = connectionActor(req);
+            const { type, operation } = req.query;
+            const createdOnly = req.query.createdOnly === 'true';
+            const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+                throw createValidationError(`limit must be a whole number from 1 to ${MAX_LIST_LIMIT}`);
+            }
+
+            const matching = [...entries.values()]
+                .filter(entry => orgKey(entry) === orgKey(actor))
+                .filter(entry => !type || entry.type.toLowerCase() === String(type).toLowerCase())
+                .filter(entry => !operation || entry.lastChange.operation === operation)
+                .filter(entry => !createdOnly || entry.created)
+                .sort((a, b) => b.lastChange.at.localeCompare(a.lastChange.at));
+
+            res.json({
+                totalSize: matching.length,
+                records: matching.slice(0, limit)
+            });
+
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.get('/:id', (req, res) => {
+        const entry = find(connectionActor(req), req.params.id);
+        if (!entry) {
+            return sendError(res, createApiError(404, 'NOT_FOUND', `No provenance recorded for ${req.params.id}`));
+        }
+        res.json(entry);
+    });
+
+    return {
+        load,
+        mirrorValues,
+        record,
+        syncUpsertMirrors,
+        filterConditions,
+        filterIds,
+        router
+    };
+}
+
+module.exports = {
+    loadProvenanceOptions,
+    createProvenance
+};
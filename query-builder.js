@@ -0,0 +1,314 @@
+// =============================================================================
+// Query Builder - injection-safe SOQL and SOSL
+// =============================================================================
+//
+// Routes never paste request input into a query string. Field, sort and
+// filter names are checked against the object's describe result and values
+// are escaped, so bad input becomes a 400 VALIDATION_ERROR instead of a
+// different query.
+
+const { createValidationError } = require('./error-handling');
+
+const MAX_SOSL_LIMIT = 2000;
+const SOQL_OPERATORS = ['=', '!=', '<', '<=', '>', '>=', 'LIKE', 'IN', 'NOT IN'];
+const SOSL_SCOPES = ['ALL', 'NAME', 'EMAIL', 'PHONE'];
+const UNQUOTED_TYPES = ['int', 'double', 'currency', 'percent', 'boolean', 'date', 'datetime', 'time'];
+// Types SOQL can compare with < and >, so a sort on them can be resumed with a WHERE
+const KEYSET_TYPES = ['id', 'reference', 'string', 'email', 'phone', 'url', 'int', 'double', 'currency', 'percent', 'date', 'datetime', 'time'];
+// Values an IN list can hold before the query URL gets too long for Salesforce
+const MAX_IN_VALUES = 300;
+
+// Escape text for use inside a SOQL string literal
+function escapeSoqlText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/'/g, '\\\'')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r')
+        .replace(/\t/g, '\\t')
+        .replace(/\f/g, '\\f')
+        .replace(/\x08/g, '\\b');
+}
+
+// Quote a string literal for SOQL
+function escapeSoqlString(value) {
+    return `'${escapeSoqlText(value)}'`;
+}
+
+// Escape text for a LIKE pattern, where % and _ are wildcards
+function escapeLikeText(value) {
+    return escapeSoqlText(value).replace(/%/g, '\\%').replace(/_/g, '\\_');
+}
+
+// Quote text for a LIKE pattern, matching it anywhere in the value
+function likeContains(value) {
+    return `'%${escapeLikeText(value)}%'`;
+}
+
+// Quote text for a LIKE pattern, matching values that start with it
+function likeStartsWith(value) {
+    return `'${escapeLikeText(value)}%'`;
+}
+
+// Quote text for a LIKE pattern, matching values that end with it
+function likeEndsWith(value) {
+    return `'%${escapeLikeText(value)}'`;
+}
+
+// Escape a search term for the braces of a SOSL FIND clause
+function escapeSoslTerm(value) {
+    return String(value).replace(/[?&|!{}[\]()^~*:\\"'+-]/g, '\\$&');
+}
+
+// Format a value as a SOQL literal of the field's type
+function formatValue(field, value) {
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+
+    if (!UNQUOTED_TYPES.includes(field.type)) {
+        return escapeSoqlString(value);
+    }
+
+    const text = String(value);
+    const valid = {
+        boolean: /^(true|false)$/i,
+        date: /^\d{4}-\d{2}-\d{2}$/,
+        datetime: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,3})?(Z|[+-]\d{2}:?\d{2})$/,
+        time: /^\d{2}:\d{2}:\d{2}(\.\d{1,3})?Z?$/
+    }[field.type] || /^-?\d+(\.\d+)?$/;
+
+    if (!valid.test(text)) {
+        throw createValidationError(`Invalid ${field.type} value for ${field.name}`, {
+            fields: [{ field: field.name, message: `"${text}" is not a valid ${field.type}` }]
+        });
+    }
+
+    // Salesforce returns datetimes as 2024-01-01T00:00:00.000+0000, but SOQL
+    // literals take no milliseconds and a colon in the offset
+    if (field.type === 'datetime') {
+        return text.replace(/\.0{1,3}(?=Z|[+-])/, '').replace(/([+-]\d{2})(\d{2})$/, '$1:$2');
+    }
+
+    return text;
+}
+
+// Resolve field names case-insensitively against a describe result; every
+// name must exist and pass the check (e.g. sortable) or the call is rejected
+function resolveFields(describe, names, check, reason) {
+    const byName = new Map(describe.fields.map(field => [field.name.toLowerCase(), field]));
+    const resolved = [];
+    const invalidFields = [];
+
+    names.forEach(name => {
+        const field = byName.get(String(name).toLowerCase());
+
+        if (!field) {
+            invalidFields.push({ field: name, message: `No such field on ${describe.name}` });
+        } else if (check && !check(field)) {
+            invalidFields.push({ field: name, message: `Field is not ${reason}` });
+        } else {
+            resolved.push(field.name);
+        }
+    });
+
+    if (invalidFields.length > 0) {
+        throw createValidationError(`Invalid fields for ${describe.name}`, {
+            fields: invalidFields
+        });
+    }
+
+    return resolved;
+}
+
+function getField(describe, name, check, reason) {
+    const [resolved] = resolveFields(describe, [name], check, reason);
+    return describe.fields.find(field => field.name === resolved);
+}
+
+// Split values into lists short enough for one IN condition each
+function chunkInValues(values, size = MAX_IN_VALUES) {
+    const chunks = [];
+    for (let index = 0; index < values.length; index += size) {
+        chunks.push(values.slice(index, index + size));
+    }
+    return chunks;
+}
+
+// Split a comma-separated field list from a query string
+function parseFieldList(value) {
+    return value ? String(value).split(',').map(name => name.trim()).filter(Boolean) : [];
+}
+
+function parseOrder(value, defaultOrder = 'DESC') {
+    const order = String(value || defaultOrder).toUpperCase();
+    if (order !== 'ASC' && order !== 'DESC') {
+        throw createValidationError('order must be ASC or DESC');
+    }
+    return order;
+}
+
+// Parse a positive integer parameter, clamped to max
+function parseLimit(value, defaultLimit, max) {
+    if (value === undefined || value === '') {
+        return defaultLimit;
+    }
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw createValidationError(`limit must be a positive integer, got "${value}"`);
+    }
+    return Math.min(limit, max);
+}
+
+// Whether rows sorted by this field can be resumed after a given row
+function canSeekBy(describe, name) {
+    const field = describe.fields.find(candidate => candidate.name.toLowerCase() === String(name).toLowerCase());
+    return !!field && field.sortable && field.filterable !== false && KEYSET_TYPES.includes(field.type);
+}
+
+// Build one WHERE condition: { field, operator, value }, or { or: [conditions] }
+// for any of several. LIKE takes a pre-quoted pattern from likeContains(),
+// IN / NOT IN an array.
+function buildCondition(describe, condition) {
+    if (condition.or) {
+        if (!Array.isArray(condition.or) || condition.or.length === 0) {
+            throw createValidationError('OR needs a non-empty list of conditions');
+        }
+        return `(${condition.or.map(alternative => buildCondition(describe, alternative)).join(' OR ')})`;
+    }
+
+    const { field: name, operator = '=', value } = condition;
+    if (!SOQL_OPERATORS.includes(operator)) {
+        throw createValidationError(`Unsupported operator "${operator}"`);
+    }
+
+    const field = getField(describe, name, candidate => candidate.filterable !== false, 'filterable');
+
+    if (operator === 'LIKE') {
+        return `${field.name} LIKE ${value}`;
+    }
+
+    if (operator === 'IN' || operator === 'NOT IN') {
+        if (!Array.isArray(value) || value.length === 0) {
+            throw createValidationError(`${operator} needs a non-empty list of values for ${field.name}`);
+        }
+        return `${field.name} ${operator} (${value.map(item => formatValue(field, item)).join(',')})`;
+    }
+
+    return `${field.name} ${operator} ${formatValue(field, value)}`;
+}
+
+// Condition selecting the rows that sort after { value, id } when ordered by
+// field then Id. SOQL puts nulls first ascending and last descending.
+function buildSeekCondition(describe, field, order, after) {
+    const comparison = order === 'ASC' ? '>' : '<';
+    const afterId = `Id ${comparison} ${formatValue(getField(describe, 'Id'), after.id)}`;
+
+    if (field.name === 'Id') {
+        return afterId;
+    }
+
+    if (!canSeekBy(describe, field.name)) {
+        throw createValidationError(`${field.name} cannot be used for keyset pagination`);
+    }
+
+    if (after.value === null || after.value === undefined) {
+        return order === 'ASC'
+            ? `((${field.name} = null AND ${afterId}) OR ${field.name} != null)`
+            : `(${field.name} = null AND ${afterId})`;
+    }
+
+    const value = formatValue(field, after.value);
+    const conditions = [`${field.name} ${comparison} ${value}`, `(${field.name} = ${value} AND ${afterId})`];
+    if (order === 'DESC' && field.nillable !== false) {
+        conditions.push(`${field.name} = null`);
+    }
+    return `(${conditions.join(' OR ')})`;
+}
+
+// WHERE clause from caller conditions plus any the builder made itself
+function buildWhere(describe, where, built = []) {
+    const conditions = [...where.map(condition => buildCondition(describe, condition)), ...built];
+    return conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// SELECT fields FROM object [WHERE a AND b] [ORDER BY field order, Id order] [LIMIT n]
+// Rows are also ordered by Id so rows with equal sort values keep a fixed
+// position. keyset: after: { value, id } continues after the last row of
+// the previous page
+function buildSoql(describe, { fields, where = [], orderBy, order = 'ASC', limit, keyset = false, after } = {}) {
+    const selected = resolveFields(describe, fields && fields.length > 0 ? fields : ['Id']);
+    const sortOrder = parseOrder(order);
+    const sortField = orderBy ? getField(describe, orderBy, candidate => candidate.sortable, 'sortable') : null;
+
+    if (keyset && !sortField) {
+        throw createValidationError('Keyset pagination needs an orderBy field');
+    }
+
+    const seek = keyset && after ? [buildSeekCondition(describe, sortField, sortOrder, after)] : [];
+    let query = `SELECT ${selected.join(',')} FROM ${describe.name}${buildWhere(describe, where, seek)}`;
+
+    if (sortField && keyset && sortField.name !== 'Id') {
+        query += ` ORDER BY ${sortField.name} ${sortOrder} NULLS ${sortOrder === 'ASC' ? 'FIRST' : 'LAST'}, Id ${sortOrder}`;
+    } else if (sortField && sortField.name !== 'Id') {
+        query += ` ORDER BY ${sortField.name} ${sortOrder}, Id ${sortOrder}`;
+    } else if (sortField) {
+        query += ` ORDER BY Id ${sortOrder}`;
+    }
+
+    if (limit !== undefined) {
+        query += ` LIMIT ${parseLimit(limit, limit, Number.MAX_SAFE_INTEGER)}`;
+    }
+
+    return query;
+}
+
+// SELECT COUNT() FROM object [WHERE a AND b] - the count comes back as totalSize
+function buildCount(describe, { where = [] } = {}) {
+    return `SELECT COUNT() FROM ${describe.name}${buildWhere(describe, where)}`;
+}
+
+// FIND {term} IN scope FIELDS RETURNING Object(fields) [, ...] LIMIT n
+// returning: [{ describe, fields }]
+function buildSosl(term, { scope = 'NAME', returning, limit } = {}) {
+    const text = String(term || '').trim();
+    if (text.length < 2) {
+        throw createValidationError('Search term must be at least 2 characters');
+    }
+
+    const searchScope = String(scope).toUpperCase();
+    if (!SOSL_SCOPES.includes(searchScope)) {
+        throw createValidationError(`Search scope must be one of ${SOSL_SCOPES.join(', ')}`);
+    }
+
+    const objects = returning.map(({ describe, fields }) =>
+        `${describe.name}(${resolveFields(describe, fields && fields.length > 0 ? fields : ['Id']).join(',')})`
+    );
+
+    let sosl = `FIND {${escapeSoslTerm(text)}} IN ${searchScope} FIELDS RETURNING ${objects.join(',')}`;
+
+    if (limit !== undefined) {
+        sosl += ` LIMIT ${parseLimit(limit, limit, MAX_SOSL_LIMIT)}`;
+    }
+
+    return sosl;
+}
+
+module.exports = {
+    escapeSoqlString,
+    escapeSoslTerm,
+    likeContains,
+    likeStartsWith,
+    likeEndsWith,
+    resolveFields,
+    parseFieldList,
+    parseOrder,
+    parseLimit,
+    chunkInValues,
+    canSeekBy,
+    buildSoql,
+    buildCount,
+    buildSosl
+};
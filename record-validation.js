@@ -0,0 +1,309 @@
+// =============================================================================
+// Record Validation - field checks and normalization before a write
+// =============================================================================
+//
+// Records are checked against the object's describe before they are sent,
+// so a bad value costs no API call and every problem is reported at once:
+// unknown or read-only fields, values of the wrong type, text longer than
+// the field, picklist values a restricted picklist doesn't allow and
+// missing required fields. Values are normalized on the way: text is
+// trimmed, emails lower-cased, numbers, booleans and dates read from text,
+// and phone numbers rewritten as E.164 when SF_PHONE_FORMAT=e164 (numbers
+// without a + or 00 prefix take SF_PHONE_DEFAULT_COUNTRY_CODE).
+//
+// SF_RECORD_SCHEMA_PATH can name a JSON file that narrows the describe per
+// object - the fields the proxy accepts, extra required fields and shorter
+// lengths:
+//
+//   { "Contact": { "allowedFields": ["FirstName", "LastName", "Email"],
+//                  "required": ["Email"], "maxLength": { "LastName": 40 } } }
+
+const fs = require('fs');
+const { createValidationError } = require('./error-handling');
+
+const ID_PATTERN = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TEXT_TYPES = ['string', 'textarea', 'phone', 'url', 'email', 'encryptedstring', 'combobox'];
+const NUMBER_TYPES = ['int', 'double', 'currency', 'percent'];
+const PHONE_FORMATS = ['none', 'e164'];
+
+function loadSchema(filePath) {
+    if (!filePath) {
+        return {};
+    }
+    try {
+        const schema = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        // Object names are matched case-insensitively
+        return Object.keys(schema).reduce((byName, name) => {
+            byName[name.toLowerCase()] = schema[name];
+            return byName;
+        }, {});
+    } catch (error) {
+        throw new Error(`Could not read SF_RECORD_SCHEMA_PATH "${filePath}": ${error.message}`);
+    }
+}
+
+function loadValidationOptions(env = process.env) {
+    const phoneFormat = (env.SF_PHONE_FORMAT || 'none').toLowerCase();
+    if (!PHONE_FORMATS.includes(phoneFormat)) {
+        throw new Error(`Unknown SF_PHONE_FORMAT "${phoneFormat}" (expected one of: ${PHONE_FORMATS.join(', ')})`);
+    }
+
+    return {
+        phoneFormat,
+        defaultCountryCode: String(env.SF_PHONE_DEFAULT_COUNTRY_CODE || '').replace(/^\+/, ''),
+        schema: loadSchema(env.SF_RECORD_SCHEMA_PATH)
+    };
+}
+
+function isRequiredField(field) {
+    return field.createable && !field.nillable && !field.defaultedOnCreate && field.type !== 'boolean';
+}
+
+function parseDate(text) {
+    // vCard birthdays may come as 19850412
+    const compact = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+    const iso = compact ? `${compact[1]}-${compact[2]}-${compact[3]}` : text.slice(0, 10);
+    const date = new Date(`${iso}T00:00:00Z`);
+
+    if (!compact && !/^\d{4}-\d{2}-\d{2}(T.*)?$/.test(text)) {
+        throw new Error(`"${text}" is not a date, use YYYY-MM-DD`);
+    }
+    if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== iso) {
+        throw new Error(`"${text}" is not a date, use YYYY-MM-DD`);
+    }
+    return iso;
+}
+
+function matchPicklist(field, text) {
+    const values = (field.picklistValues || []).filter(entry => entry.active);
+    const match = values.find(entry => entry.value.toLowerCase() === text.toLowerCase() ||
+        String(entry.label).toLowerCase() === text.toLowerCase());
+
+    if (match) {
+        return match.value;
+    }
+    if (field.restrictedPicklist) {
+        throw new Error(`"${text}" is not one of the allowed values`);
+    }
+    return text;
+}
+
+// +<country code><number>, from any common way of writing a phone number
+function toE164(text, defaultCountryCode) {
+    if (/(ext\.?|x)\s*\d+$/i.test(text)) {
+        throw new Error(`"${text}" has an extension, which an E.164 number can't hold`);
+    }
+
+    let number = text.replace(/[\s().\-/]/g, '');
+    if (!/^\+?\d+$/.test(number)) {
+        throw new Error(`"${text}" is not a phone number`);
+    }
+    if (number.startsWith('00')) {
+        number = `+${number.slice(2)}`;
+    }
+    if (!number.startsWith('+')) {
+        if (!defaultCountryCode) {
+            throw new Error(`"${text}" needs a country code, such as +44`);
+        }
+        // Drop a national trunk 0; a long number may already start with the country code
+        const national = number.replace(/^0/, '');
+        number = national.length > 10 && national.startsWith(defaultCountryCode)
+            ? `+${national}`
+            : `+${defaultCountryCode}${national}`;
+    }
+    if (!/^\+[1-9]\d{6,14}$/.test(number)) {
+        throw new Error(`"${text}" is not a valid international phone number`);
+    }
+    return number;
+}
+
+function createRecordValidator(options = loadValidationOptions()) {
+    const { phoneFormat, defaultCountryCode, schema } = options;
+
+    // Convert a value to what the field takes, or throw with the reason.
+    // Text is read the way it would be typed (CSV cells, form fields);
+    // JSON numbers and booleans are taken as they are.
+    function coerceValue(field, value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+
+        if (field.type === 'multipicklist' && Array.isArray(value)) {
+            value = value.join(';');
+        }
+        if (typeof value === 'object') {
+            throw new Error('Must be a single value');
+        }
+
+        if (field.type === 'boolean' && typeof value === 'boolean') {
+            return value;
+        }
+        if (NUMBER_TYPES.includes(field.type) && typeof value === 'number') {
+            if (!Number.isFinite(value) || (field.type === 'int' && !Number.isInteger(value))) {
+                throw new Error(`${value} is not ${field.type === 'int' ? 'a whole number' : 'a number'}`);
+            }
+            return value;
+        }
+        if (typeof value === 'boolean' && field.type !== 'boolean') {
+            throw new Error(`${value} is not a valid ${field.type} value`);
+        }
+
+        const text = String(value).trim();
+        if (text === '') {
+            return null;
+        }
+
+        switch (field.type) {
+            case 'boolean':
+                if (/^(true|yes|y|1|x)$/i.test(text)) return true;
+                if (/^(false|no|n|0)$/i.test(text)) return false;
+                throw new Error(`"${text}" is not true or false`);
+            case 'int':
+            case 'double':
+            case 'currency':
+            case 'percent': {
+                const pattern = field.type === 'int' ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+                if (!pattern.test(text)) {
+                    throw new Error(`"${text}" is not ${field.type === 'int' ? 'a whole number' : 'a number'}`);
+                }
+                return Number(text);
+            }
+            case 'date':
+                return parseDate(text);
+            case 'datetime': {
+                const date = new Date(text);
+                if (Number.isNaN(date.getTime())) {
+                    throw new Error(`"${text}" is not a date and time`);
+                }
+                return date.toISOString();
+            }
+            case 'reference':
+            case 'id':
+                if (!ID_PATTERN.test(text)) {
+                    throw new Error(`"${text}" is not a Salesforce record ID`);
+                }
+                return text;
+            case 'picklist':
+                return matchPicklist(field, text);
+            case 'multipicklist':
+                return text.split(';').map(entry => matchPicklist(field, entry.trim())).join(';');
+            default:
+                break;
+        }
+
+        let normalized = text;
+        if (field.type === 'email') {
+            if (!EMAIL_PATTERN.test(text)) {
+                throw new Error(`"${text}" is not an email address`);
+            }
+            normalized = text.toLowerCase();
+        }
+        if (field.type === 'phone' && phoneFormat === 'e164') {
+            normalized = toE164(text, defaultCountryCode);
+        }
+        if (TEXT_TYPES.includes(field.type) && field.length && normalized.length > field.length) {
+            throw new Error(`Longer than ${field.length} characters`);
+        }
+        return normalized;
+    }
+
+    // Fields the local schema adds as required for an object
+    function schemaFor(describe) {
+        return schema[describe.name.toLowerCase()] || {};
+    }
+
+    function isRequired(describe, field) {
+        return isRequiredField(field) || (schemaFor(describe).required || []).includes(field.name);
+    }
+
+    // Check a record for a create, update or upsert. Returns the record with
+    // describe-cased field names and normalized values, and every problem
+    // found as { field, message }. keyFields (such as Id on a bulk update)
+    // are accepted without the createable/updateable check.
+    function validateRecord(describe, record, { operation, keyFields = [] }) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return { record: {}, errors: [{ message: 'Record must be an object of field values' }] };
+        }
+
+        const byName = new Map(describe.fields.map(field => [field.name.toLowerCase(), field]));
+        const local = schemaFor(describe);
+        const allowed = local.allowedFields ? local.allowedFields.map(name => name.toLowerCase()) : null;
+        const keys = keyFields.map(name => name.toLowerCase());
+        const normalized = {};
+        const errors = [];
+
+        Object.keys(record).filter(name => name !== 'attributes').forEach(name => {
+            const field = byName.get(name.toLowerCase());
+            const isKey = keys.includes(name.toLowerCase());
+
+            if (!field) {
+                return errors.push({ field: name, message: `No such field on ${describe.name}` });
+            }
+            if (!isKey) {
+                if (operation === 'create' && !field.createable) {
+                    return errors.push({ field: field.name, message: 'Field is not createable' });
+                }
+                if (operation === 'update' && !field.updateable) {
+                    return errors.push({ field: field.name, message: 'Field is not updateable' });
+                }
+                if (operation === 'upsert' && !field.createable && !field.updateable) {
+                    return errors.push({ field: field.name, message: 'Field is not createable or updateable' });
+                }
+                if (allowed && !allowed.includes(field.name.toLowerCase())) {
+                    return errors.push({ field: field.name, message: `Field is not accepted for ${describe.name}` });
+                }
+            }
+
+            try {
+                const value = coerceValue(field, record[name]);
+                const maxLength = local.maxLength?.[field.name];
+                if (maxLength && typeof value === 'string' && value.length > maxLength) {
+                    throw new Error(`Longer than ${maxLength} characters`);
+                }
+                normalized[field.name] = value;
+            } catch (error) {
+                errors.push({ field: field.name, message: error.message });
+            }
+        });
+
+        // A create needs every required field; an update can't clear one
+        describe.fields.filter(field => isRequired(describe, field)).forEach(field => {
+            const missing = operation === 'create'
+                ? normalized[field.name] === null || normalized[field.name] === undefined
+                : field.name in normalized && normalized[field.name] === null;
+            if (missing && !errors.some(error => error.field === field.name)) {
+                errors.push({ field: field.name, message: `${field.label} is required` });
+            }
+        });
+
+        return { record: normalized, errors };
+    }
+
+    // validateRecord for a single-record route: the record, or one
+    // VALIDATION_ERROR listing every field problem
+    function requireValidRecord(describe, record, options) {
+        if (!record || typeof record !== 'object' || Array.isArray(record) || Object.keys(record).length === 0) {
+            throw createValidationError('Request body must be an object of field values');
+        }
+
+        const result = validateRecord(describe, record, options);
+        if (result.errors.length > 0) {
+            throw createValidationError(`Invalid fields for ${describe.name}`, { fields: result.errors });
+        }
+        return result.record;
+    }
+
+    return {
+        coerceValue,
+        isRequired,
+        validateRecord,
+        requireValidRecord
+    };
+}
+
+module.exports = {
+    loadValidationOptions,
+    createRecordValidator,
+    isRequiredField
+};
@@ -0,0 +1,94 @@
+// =============================================================================
+// Recycle Bin - browsing and restoring deleted records
+// =============================================================================
+//
+// Salesforce keeps deleted records in the recycle bin for 15 days. They are
+// listed with queryAll (which, unlike query, returns deleted rows) filtered
+// on IsDeleted = true, newest deletion first: deleting a record sets its
+// LastModifiedDate. The REST API can't undelete, so restores are a SOAP API
+// undelete() call for up to 200 records at a time. undelete() takes IDs of
+// any type, so the IDs are checked against the object's key prefix first.
+
+const { createValidationError } = require('./error-handling');
+const { escapeXml, xmlText, resultErrors } = require('./soap-client');
+
+const MAX_RESTORE_RECORDS = 200;
+const ID_PATTERN = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+
+function createRecycleBin({ soapClient, fetchPage, describeSObject, provenance, auditLog }) {
+    function parseIds(ids) {
+        if (!Array.isArray(ids)) {
+            throw createValidationError('ids must be an array of record Ids');
+        }
+        const unique = [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+
+        const invalid = unique.filter(id => !ID_PATTERN.test(id));
+        if (invalid.length > 0) {
+            throw createValidationError(`Invalid record ID "${invalid[0]}"`);
+        }
+        if (unique.length === 0 || unique.length > MAX_RESTORE_RECORDS) {
+            throw createValidationError(`Between 1 and ${MAX_RESTORE_RECORDS} records can be restored at once`);
+        }
+        return unique;
+    }
+
+    // Every ID must be a record of type (its first three characters are the object's key prefix)
+    async function requireType(req, type, ids) {
+        const { keyPrefix } = await describeSObject(req, type);
+        const foreign = ids.find(id => !keyPrefix || !id.startsWith(keyPrefix));
+        if (foreign) {
+            throw createValidationError(`Record ID "${foreign}" is not a ${type}`);
+        }
+    }
+
+    // One page of deleted records: pass { fields, limit } or { cursor }
+    function listDeleted(req, type, { fields, limit, cursor }) {
+        if (cursor) {
+            return fetchPage(req, { type, cursor });
+        }
+        return fetchPage(req, {
+            type,
+            fields,
+            where: [{ field: 'IsDeleted', operator: '=', value: true }],
+            orderBy: 'LastModifiedDate',
+            order: 'DESC',
+            limit,
+            queryAll: true
+        });
+    }
+
+    // Undelete the records; resolves to [{ id, success, errors }] in the
+    // order asked for. A record that isn't in the recycle bin fails on its own.
+    async function restore(req, type, ids) {
+        const unique = parseIds(ids);
+        await requireType(req, type, unique);
+
+        console.log(`\n=== Restoring ${unique.length} ${type} record(s) ===`);
+        const at = new Date().toISOString();
+        const started = Date.now();
+        const results = (await soapClient.call(req,
+            `<urn:undelete>${unique.map(id => `<urn:ids>${escapeXml(id)}</urn:ids>`).join('')}</urn:undelete>`))
+            .map((result, index) => ({
+                id: xmlText(result, 'id') || unique[index],
+                success: xmlText(result, 'success') === 'true',
+                errors: resultErrors(result)
+            }));
+        const latencyMs = Date.now() - started;
+
+        const restored = results.filter(result => result.success);
+        console.log(`✅ Restored ${restored.length} of ${results.length} ${type} record(s)`);
+
+        await provenance.record(req, type, restored.map(result => ({ id: result.id, operation: 'restore' })));
+        await auditLog.logRestores(req, { type, at, latencyMs }, results);
+        return results;
+    }
+
+    return {
+        listDeleted,
+        restore
+    };
+}
+
+module.exports = {
+    createRecycleBin
+};
@@ -0,0 +1,235 @@
+// =============================================================================
+// Retry Policy - backoff and a per-org circuit breaker for Salesforce calls
+// =============================================================================
+//
+// A call that fails with a transient error (network failure, 503, a locked
+// row, the concurrent request limit) is tried again after a jittered
+// exponential delay, until it succeeds, runs out of attempts or reaches the
+// overall timeout. Failures that may have reached Salesforce are only
+// replayed for idempotent requests, so a failed POST never creates a record
+// twice; errors Salesforce answers with before doing any work are retried
+// for every method.
+//
+// Each org has a circuit breaker. After a run of consecutive outage failures
+// (network errors, timeouts, 5xx) it opens and calls fail fast with
+// SERVICE_UNAVAILABLE. Once the cooldown has passed one trial call is let
+// through (half-open), and the circuit closes again if Salesforce answers.
+//
+//   SF_RETRY_ATTEMPTS=3          attempts per call, including the first
+//   SF_RETRY_BASE_DELAY_MS=500   delay before the first retry, doubled each time
+//   SF_RETRY_MAX_DELAY_MS=8000   cap on a single delay
+//   SF_REQUEST_TIMEOUT_MS=60000  overall time for a call and its retries
+//   SF_BREAKER_THRESHOLD=5       consecutive outage failures that open the circuit
+//   SF_BREAKER_COOLDOWN_MS=30000 time an open circuit waits before a trial call
+
+const { createApiError } = require('./error-handling');
+const { xmlText } = require('./soap-client');
+
+// Salesforce rejected the request without acting on it, so any method can be retried
+const REJECTED_ERROR_CODES = ['UNABLE_TO_LOCK_ROW', 'REQUEST_LIMIT_EXCEEDED', 'SERVER_UNAVAILABLE'];
+// The connection was never made, so the request didn't reach Salesforce either
+const UNSENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const TRANSIENT_STATUSES = [502, 503, 504];
+
+function readNumber(value, fallback) {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+function loadRetryOptions(env = process.env) {
+    return {
+        maxAttempts: Math.max(1, readNumber(env.SF_RETRY_ATTEMPTS, 3)),
+        baseDelayMs: readNumber(env.SF_RETRY_BASE_DELAY_MS, 500),
+        maxDelayMs: readNumber(env.SF_RETRY_MAX_DELAY_MS, 8000),
+        timeoutMs: readNumber(env.SF_REQUEST_TIMEOUT_MS, 60000),
+        breakerThreshold: Math.max(1, readNumber(env.SF_BREAKER_THRESHOLD, 5)),
+        breakerCooldownMs: readNumber(env.SF_BREAKER_COOLDOWN_MS, 30000)
+    };
+}
+
+function isIdempotent(method) {
+    return IDEMPOTENT_METHODS.includes(String(method || 'GET').toUpperCase());
+}
+
+// The fault code of a SOAP API response, e.g. INVALID_ID; SOAP sends
+// every fault with HTTP 500, whatever went wrong
+function soapFaultCode(data) {
+    const faultCode = data?.rawResponse ? xmlText(data.rawResponse, 'faultcode') : undefined;
+    return faultCode?.replace(/^\w+:/, '');
+}
+
+// First Salesforce errorCode in a response body, if it has one
+function responseErrorCode(data) {
+    return Array.isArray(data) ? data[0]?.errorCode : soapFaultCode(data);
+}
+
+// Seconds from a Retry-After header, as milliseconds
+function retryAfterMs(response) {
+    const seconds = Number(response.headers.get('Retry-After'));
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createRetryPolicy(options = loadRetryOptions()) {
+    const { maxAttempts, baseDelayMs, maxDelayMs, timeoutMs, breakerThreshold, breakerCooldownMs } = options;
+    // Circuit state keyed by org name
+    const circuits = new Map();
+
+    function getCircuitState(org) {
+        if (!circuits.has(org)) {
+            circuits.set(org, { state: 'closed', failures: 0, openedAt: null, retryAt: null, trialInFlight: false });
+        }
+        return circuits.get(org);
+    }
+
+    // Circuit summary for status endpoints
+    function describeCircuit(org) {
+        const circuit = getCircuitState(org);
+        const coolingDown = circuit.state === 'open' && Date.now() < circuit.retryAt;
+
+        return {
+            state: circuit.state === 'open' && !coolingDown ? 'half-open' : circuit.state,
+            consecutiveFailures: circuit.failures,
+            openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+            retryAt: coolingDown ? new Date(circuit.retryAt).toISOString() : null
+        };
+    }
+
+    // Throw while the circuit is open; let one trial call through once it has cooled down
+    function enterCircuit(org) {
+        const circuit = getCircuitState(org);
+
+        if (circuit.state === 'open' && Date.now() >= circuit.retryAt) {
+            circuit.state = 'half-open';
+            circuit.trialInFlight = false;
+        }
+        if (circuit.state === 'open' || (circuit.state === 'half-open' && circuit.trialInFlight)) {
+            throw createApiError(503, 'SERVICE_UNAVAILABLE', `Salesforce is unavailable for org "${org}", calls are paused after repeated failures`, {
+                org,
+                circuit: describeCircuit(org)
+            });
+        }
+        if (circuit.state === 'half-open') {
+            circuit.trialInFlight = true;
+        }
+    }
+
+    function recordSuccess(org) {
+        const circuit = getCircuitState(org);
+        if (circuit.state !== 'closed') {
+            console.log(`✅ Circuit for org "${org}" closed, Salesforce is answering again`);
+        }
+        circuits.set(org, { state: 'closed', failures: 0, openedAt: null, retryAt: null, trialInFlight: false });
+    }
+
+    function recordFailure(org) {
+        const circuit = getCircuitState(org);
+        circuit.failures++;
+        circuit.trialInFlight = false;
+
+        if (circuit.state === 'half-open' || circuit.failures >= breakerThreshold) {
+            circuit.state = 'open';
+            circuit.openedAt = Date.now();
+            circuit.retryAt = circuit.openedAt + breakerCooldownMs;
+            console.warn(`⛔ Circuit for org "${org}" opened after ${circuit.failures} failures, pausing calls for ${breakerCooldownMs} ms`);
+        }
+    }
+
+    // How an attempt went: outage failures count against the circuit, and
+    // retry says whether another attempt is allowed
+    function classify(outcome, idempotent) {
+        if (outcome.error) {
+            const error = outcome.error;
+            if (error.name === 'AbortError') {
+                return { outage: true, retry: false };
+            }
+            if (error.name === 'FetchError') {
+                return { outage: true, retry: idempotent || UNSENT_ERROR_CODES.includes(error.code) };
+            }
+            return { outage: false, retry: false };
+        }
+
+        const { response, data } = outcome.result;
+        if (response.ok) {
+            return { outage: false, retry: false };
+        }
+        if (REJECTED_ERROR_CODES.includes(responseErrorCode(data))) {
+            return { outage: response.status >= 500, retry: true };
+        }
+        // Any other SOAP fault is about the request (a bad Id, an expired
+        // session), so it says nothing about the org being down
+        if (soapFaultCode(data)) {
+            return { outage: false, retry: false };
+        }
+        return {
+            outage: response.status >= 500,
+            retry: idempotent && TRANSIENT_STATUSES.includes(response.status)
+        };
+    }
+
+    // Run attempt(signal) for an org until it succeeds or can't be retried.
+    // attempt returns { response, data } for any HTTP status and throws on
+    // network errors; the last outcome is returned (or thrown) as it was.
+    // replayable is false for streamed bodies, which can only be sent once.
+    async function run(org, { method, idempotent = isIdempotent(method), replayable = true, timeout = timeoutMs } = {}, attempt) {
+        const deadline = timeout > 0 ? Date.now() + timeout : Infinity;
+
+        for (let attemptNumber = 1; ; attemptNumber++) {
+            enterCircuit(org);
+
+            const controller = new AbortController();
+            const timer = deadline === Infinity ? null : setTimeout(() => controller.abort(), Math.max(0, deadline - Date.now()));
+            let outcome;
+            try {
+                outcome = { result: await attempt(controller.signal) };
+            } catch (error) {
+                outcome = { error };
+            } finally {
+                clearTimeout(timer);
+            }
+
+            const { outage, retry } = classify(outcome, idempotent);
+            if (outage) {
+                recordFailure(org);
+            } else if (outcome.result) {
+                recordSuccess(org);
+            } else {
+                // Failed before reaching Salesforce, so it says nothing about the org
+                getCircuitState(org).trialInFlight = false;
+            }
+
+            if (outcome.error?.name === 'AbortError') {
+                throw createApiError(504, 'TIMEOUT', `Salesforce did not respond within ${timeout} ms`);
+            }
+
+            const backoff = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attemptNumber - 1));
+            const delay = Math.max(backoff, outcome.result ? retryAfterMs(outcome.result.response) : 0);
+            if (!retry || !replayable || attemptNumber >= maxAttempts || Date.now() + delay >= deadline) {
+                if (outcome.error) {
+                    throw outcome.error;
+                }
+                return outcome.result;
+            }
+
+            const reason = outcome.error
+                ? outcome.error.code || outcome.error.message
+                : responseErrorCode(outcome.result.data) || `HTTP ${outcome.result.response.status}`;
+            console.warn(`🔁 Salesforce call failed (${reason}), retry ${attemptNumber} of ${maxAttempts - 1} in ${Math.round(delay)} ms`);
+            await sleep(delay);
+        }
+    }
+
+    return {
+        run,
+        describeCircuit
+    };
+}
+
+module.exports = {
+    loadRetryOptions,
+    createRetryPolicy
+};
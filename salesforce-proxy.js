@@ -4,18 +4,94 @@ const cors = require('cors');
 const fetch = require('node-fetch');
 const path = require('path');
 const session = require('express-session');
+const cookieParser = require('cookie-parser');
 const crypto = require('crypto');
+const {
+    loadConnections,
+    restoreConnection,
+    getConnection,
+    setConnection,
+    updateConnection,
+    clearConnection,
+    describeConnection
+} = require('./auth/session-handler');
+const { createOAuthFlows } = require('./auth/oauth-flows');
+const { loadOrgConfigs, getJwtPrivateKey } = require('./auth/org-config');
+const hubspotRouter = require('./hubspot-proxy');
+const { createSObjectOperations } = require('./sobject-operations');
+const {
+    parseFieldList,
+    parseOrder,
+    parseLimit,
+    chunkInValues,
+    buildSosl,
+    buildSoql,
+    resolveFields
+} = require('./query-builder');
+const {
+    createApiError,
+    createValidationError,
+    createAuthenticationError,
+    isAuthenticationError,
+    sendError,
+    assignRequestId
+} = require('./error-handling');
+const { rejectOffset } = require('./pagination');
+const { parseExportFormat, createExporter } = require('./export-stream');
+const { createCollections } = require('./collections');
+const { createBulkJobs } = require('./bulk-jobs');
+const { createContactImport } = require('./contact-import');
+const { createRetryPolicy } = require('./retry-policy');
+const { createApiLimits } = require('./api-limits');
+const { createRecordValidator } = require('./record-validation');
+const { createDuplicateDetector } = require('./duplicate-detection');
+const { createContactMerge } = require('./contact-merge');
+const { createProvenance } = require('./provenance');
+const { createAuditLog } = require('./audit-log');
+const { createSoapClient } = require('./soap-client');
+const { createRecycleBin } = require('./recycle-bin');
+const { createHttpCassettes } = require('./http-cassettes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const SESSION_SECRET = process.env.SESSION_SECRET || 'fallback-secret-change-in-production';
 
-// OAuth configuration
-const OAUTH_CONFIG = {
-    clientId: process.env.SF_CLIENT_ID || '',
-    clientSecret: process.env.SF_CLIENT_SECRET || '',
-    redirectUri: process.env.SF_REDIRECT_URI || `http://localhost:${PORT}/api/sf/auth/callback`,
-    instanceUrl: process.env.SF_INSTANCE_URL || 'https://login.salesforce.com'
-};
+// OAuth configuration - one entry per named org (see auth/org-config.js)
+const { orgs: ORG_CONFIGS, defaultOrg: DEFAULT_ORG } = loadOrgConfigs(process.env, PORT);
+
+// Get the OAuth configuration for the org the request is routed to
+function getOrgConfig(req) {
+    return ORG_CONFIGS.get(req.sfOrg) || ORG_CONFIGS.get(DEFAULT_ORG);
+}
+
+// Outbound Salesforce traffic, recorded to or replayed from a cassette (SF_CASSETTE_MODE, SF_CASSETTE_PATH)
+const cassettes = createHttpCassettes({ fetch });
+const salesforceFetch = cassettes.fetch;
+
+const {
+    exchangeAuthorizationCode,
+    refreshAccessToken,
+    passwordGrant,
+    jwtBearerGrant
+} = createOAuthFlows({ fetch: salesforceFetch });
+
+// Retries and per-org circuit breakers for calls to Salesforce (SF_RETRY_*, SF_BREAKER_*)
+const retryPolicy = createRetryPolicy();
+
+// Daily API usage per org, and throttling once it passes SF_API_THROTTLE_PERCENT
+const apiLimits = createApiLimits({ makeAuthenticatedRequest, sendAuthenticationRequired, sendError });
+
+// Field checks and normalization for records before they are written (SF_PHONE_FORMAT, SF_RECORD_SCHEMA_PATH)
+const recordValidator = createRecordValidator();
+
+// Which records the proxy created or changed, and who did it (SF_PROVENANCE_PATH, SF_PROVENANCE_FIELD)
+const provenance = createProvenance({ makeAuthenticatedRequest, sendAuthenticationRequired });
+
+// Append-only log of updates and deletes with before/after values (SF_AUDIT_LOG_PATH)
+const auditLog = createAuditLog({ makeAuthenticatedRequest, sendAuthenticationRequired });
+
+// SOAP API calls (merge, undelete), refreshing the session when it has expired
+const soapClient = createSoapClient({ makeAuthenticatedRequest, refreshSessionConnection, getConnection });
 
 // Debug flag
 const DEBUG = process.env.NODE_ENV !== 'production';
@@ -27,8 +103,9 @@ function debugLog(message, data) {
 }
 
 // Session middleware
+app.use(cookieParser(SESSION_SECRET));
 app.use(session({
-    secret: process.env.SESSION_SECRET || 'fallback-secret-change-in-production',
+    secret: SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
     cookie: { 
@@ -38,15 +115,48 @@ app.use(session({
     }
 }));
 
+// Re-attach persisted Salesforce connections after a restart
+app.use(restoreConnection);
+
+// Every Salesforce API, audit log and HubSpot response carries an X-Request-Id that error bodies quote
+app.use(['/api/sf', '/api/audit', '/api/hs'], assignRequestId);
+
+// Route each Salesforce API request to a named org:
+// X-SF-Org header, then ?org=, then the session's active org, then SF_DEFAULT_ORG
+app.use(['/api/sf', '/api/audit'], (req, res, next) => {
+    const requestedOrg = req.get('X-SF-Org') || req.query.org;
+    
+    if (requestedOrg && !ORG_CONFIGS.has(requestedOrg)) {
+        return sendError(res, createValidationError(`Unknown Salesforce org "${requestedOrg}"`, {
+            availableOrgs: Array.from(ORG_CONFIGS.keys())
+        }));
+    }
+    
+    const activeOrg = req.session.sfActiveOrg;
+    req.sfOrg = requestedOrg || (ORG_CONFIGS.has(activeOrg) ? activeOrg : DEFAULT_ORG);
+    next();
+});
+
 // Enable CORS for all routes
 app.use(cors());
-app.use(express.json());
+
+// Bulk job uploads (/api/sf/jobs/ingest) and contact import files can be
+// far larger than the JSON parser's limit, so those routers read their own
+// request bodies
+const jsonParser = express.json();
+app.use((req, res, next) => {
+    if (req.method === 'POST' && req.path === '/api/sf/jobs/ingest') {
+        return next();
+    }
+    if (req.path.startsWith('/api/sf/contacts/import')) {
+        return next();
+    }
+    jsonParser(req, res, next);
+});
 app.use(express.static('.'));
 
-// Token storage (in production, use database or secure session storage)
-let accessToken = null;
-let instanceUrl = null;
-let refreshToken = null;
+// HubSpot routes live in their own router
+app.use('/api/hs', hubspotRouter);
 
 // Serve the OAuth HTML page
 app.get('/', (req, res) => {
@@ -65,24 +175,25 @@ app.get('/oauth', (req, res) => {
 // OAuth Login - Initiate authorization flow
 app.get('/api/sf/auth/login', async (req, res) => {
     try {
+        const oauthConfig = getOrgConfig(req);
+        
         // Validate OAuth configuration first
         console.log('\n=== OAuth Configuration Validation ===');
-        console.log('Client ID:', OAUTH_CONFIG.clientId ? `${OAUTH_CONFIG.clientId.substring(0, 20)}...` : '❌ MISSING');
-        console.log('Client Secret:', OAUTH_CONFIG.clientSecret ? '✅ PROVIDED' : '❌ MISSING');
-        console.log('Redirect URI:', OAUTH_CONFIG.redirectUri);
-        console.log('Instance URL:', OAUTH_CONFIG.instanceUrl);
+        console.log('Org:', oauthConfig.name);
+        console.log('Client ID:', oauthConfig.clientId ? `${oauthConfig.clientId.substring(0, 20)}...` : '❌ MISSING');
+        console.log('Client Secret:', oauthConfig.clientSecret ? '✅ PROVIDED' : '❌ MISSING');
+        console.log('Redirect URI:', oauthConfig.redirectUri);
+        console.log('Instance URL:', oauthConfig.instanceUrl);
         
-        if (!OAUTH_CONFIG.clientId || !OAUTH_CONFIG.clientSecret) {
+        if (!oauthConfig.clientId || !oauthConfig.clientSecret) {
             console.log('❌ OAuth configuration incomplete');
-            return res.status(500).json({
-                success: false,
-                error: 'OAuth configuration incomplete',
+            return sendError(res, createApiError(500, 'CONFIGURATION_ERROR', 'OAuth configuration incomplete', {
                 troubleshooting: [
                     'Check your .env file contains:',
                     'SF_CLIENT_ID=your_consumer_key',
                     'SF_CLIENT_SECRET=your_consumer_secret'
                 ]
-            });
+            }));
         }
         
         // Generate random state for CSRF protection
@@ -95,18 +206,19 @@ app.get('/api/sf/auth/login', async (req, res) => {
         // Store state and code verifier in session
         req.session.oauthState = state;
         req.session.codeVerifier = codeVerifier;
+        req.session.oauthOrg = oauthConfig.name;
         
         debugLog('OAuth initiation', { 
             state, 
-            redirectUri: OAUTH_CONFIG.redirectUri,
+            redirectUri: oauthConfig.redirectUri,
             codeChallenge: codeChallenge.substring(0, 20) + '...'
         });
         
-        const authUrl = `${OAUTH_CONFIG.instanceUrl}/services/oauth2/authorize?` + 
+        const authUrl = `${oauthConfig.instanceUrl}/services/oauth2/authorize?` + 
             new URLSearchParams({
                 response_type: 'code',
-                client_id: OAUTH_CONFIG.clientId,
-                redirect_uri: OAUTH_CONFIG.redirectUri,
+                client_id: oauthConfig.clientId,
+                redirect_uri: oauthConfig.redirectUri,
                 scope: 'api refresh_token id',
                 state: state,
                 code_challenge: codeChallenge,
@@ -120,7 +232,7 @@ app.get('/api/sf/auth/login', async (req, res) => {
         // Test OAuth URL accessibility to detect Connected App issues
         console.log('\n=== Testing Salesforce OAuth URL Accessibility ===');
         try {
-            const testResponse = await fetch(authUrl, { 
+            const testResponse = await salesforceFetch(authUrl, { 
                 method: 'HEAD',
                 timeout: 5000 
             });
@@ -135,26 +247,24 @@ app.get('/api/sf/auth/login', async (req, res) => {
                 console.log('');
                 console.log('🔧 TO FIX THIS ISSUE:');
                 console.log('1. Go to Salesforce Setup → App Manager');
-                console.log('2. Find your Connected App with Consumer Key:', OAUTH_CONFIG.clientId.substring(0, 20) + '...');
+                console.log('2. Find your Connected App with Consumer Key:', oauthConfig.clientId.substring(0, 20) + '...');
                 console.log('3. Click "View" then "Edit"');
                 console.log('4. In OAuth Settings, ensure "Web Server Flow" is CHECKED');
-                console.log('5. Verify Callback URL is:', OAUTH_CONFIG.redirectUri);
+                console.log('5. Verify Callback URL is:', oauthConfig.redirectUri);
                 console.log('6. Save and wait 2-10 minutes');
                 console.log('');
                 
-                return res.status(400).json({
-                    success: false,
-                    error: 'Connected App not configured for OAuth Authorization Code flow',
+                return sendError(res, createApiError(400, 'CONFIGURATION_ERROR', 'Connected App not configured for OAuth Authorization Code flow', {
                     troubleshooting: [
                         '🚨 Your Connected App needs configuration:',
                         '',
                         '1. Go to Salesforce Setup → App Manager',
-                        '2. Find Connected App: ' + OAUTH_CONFIG.clientId.substring(0, 20) + '...',
+                        '2. Find Connected App: ' + oauthConfig.clientId.substring(0, 20) + '...',
                         '3. Click "View" then "Edit"',
                         '4. In OAuth Settings section, CHECK:',
                         '   ✅ Web Server Flow (CRITICAL - this is missing)',
                         '   ✅ Refresh Token Flow',
-                        '5. Verify Callback URL: ' + OAUTH_CONFIG.redirectUri,
+                        '5. Verify Callback URL: ' + oauthConfig.redirectUri,
                         '6. Selected OAuth Scopes: api, refresh_token, id',
                         '7. Save and wait 2-10 minutes for changes to take effect',
                         '',
@@ -163,10 +273,10 @@ app.get('/api/sf/auth/login', async (req, res) => {
                     authUrl: authUrl,
                     debug: {
                         status: testResponse.status,
-                        clientId: OAUTH_CONFIG.clientId.substring(0, 20) + '...',
-                        callbackUrl: OAUTH_CONFIG.redirectUri
+                        clientId: oauthConfig.clientId.substring(0, 20) + '...',
+                        callbackUrl: oauthConfig.redirectUri
                     }
-                });
+                }));
                 
             } else if (testResponse.status === 302) {
                 console.log('✅ Salesforce OAuth URL is accessible (302 redirect to login page)');
@@ -191,10 +301,7 @@ app.get('/api/sf/auth/login', async (req, res) => {
         
     } catch (error) {
         console.error('OAuth initiation error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
@@ -222,39 +329,25 @@ app.get('/api/sf/auth/callback', async (req, res) => {
             return res.redirect('/?error=invalid_state');
         }
         
-        // Get code verifier from session
+        // Get code verifier and target org from session
         const codeVerifier = req.session.codeVerifier;
+        req.sfOrg = req.session.oauthOrg || req.sfOrg;
+        const oauthConfig = getOrgConfig(req);
         
-        // Clear used state and code verifier
+        // Clear used state, code verifier and org
         delete req.session.oauthState;
         delete req.session.codeVerifier;
+        delete req.session.oauthOrg;
         
         console.log('✅ State parameter verified');
         console.log('🔄 Exchanging authorization code for access token...');
         
         // Exchange authorization code for access token (with PKCE)
-        const tokenRequestBody = {
-            grant_type: 'authorization_code',
-            client_id: OAUTH_CONFIG.clientId,
-            client_secret: OAUTH_CONFIG.clientSecret,
-            redirect_uri: OAUTH_CONFIG.redirectUri,
-            code: code
-        };
-        
-        // Add code verifier if it exists (for PKCE)
-        if (codeVerifier) {
-            tokenRequestBody.code_verifier = codeVerifier;
-        }
-        
-        const tokenResponse = await fetch(`${OAUTH_CONFIG.instanceUrl}/services/oauth2/token`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            body: new URLSearchParams(tokenRequestBody)
-        });
-        
-        const tokenData = await tokenResponse.json();
+        const { response: tokenResponse, data: tokenData } = await exchangeAuthorizationCode(
+            oauthConfig,
+            code,
+            codeVerifier
+        );
         
         // Enhanced logging for Salesforce response
         console.log('\n=== Salesforce Token Response ===');
@@ -278,16 +371,14 @@ app.get('/api/sf/auth/callback', async (req, res) => {
             console.log('• Issued At:', tokenData.issued_at);
             console.log('• Signature Length:', tokenData.signature?.length || 'N/A');
             
-            // Store tokens
-            // Store tokens
-            accessToken = tokenData.access_token;
-            refreshToken = tokenData.refresh_token;
-            instanceUrl = tokenData.instance_url;
+            // Store tokens on this user's session (persisted in the token store)
+            const connection = await setConnection(req, res, tokenData, 'authorization_code');
             
             console.log('\n✅ OAuth authentication successful!');
-            console.log('📍 Instance URL:', instanceUrl);
-            console.log('🎯 Access Token (first 20 chars):', accessToken.substring(0, 20) + '...');
-            console.log('🔄 Refresh Token available:', !!refreshToken);
+            console.log('🏢 Org:', oauthConfig.name);
+            console.log('📍 Instance URL:', connection.instanceUrl);
+            console.log('🎯 Access Token (first 20 chars):', connection.accessToken.substring(0, 20) + '...');
+            console.log('🔄 Refresh Token available:', !!connection.refreshToken);
             
             res.redirect('/?auth=success');
         } else {
@@ -307,118 +398,59 @@ app.get('/api/sf/auth/callback', async (req, res) => {
 // OAuth Token Refresh
 app.post('/api/sf/auth/refresh', async (req, res) => {
     try {
-        if (!refreshToken) {
-            return res.status(401).json({
-                success: false,
-                error: 'No refresh token available'
-            });
+        const connection = getConnection(req);
+        if (!canRefresh(connection)) {
+            return sendAuthenticationRequired(res, 'No refresh token available');
         }
         
         console.log('\n=== Token Refresh Attempt ===');
         
-        const refreshResponse = await fetch(`${instanceUrl}/services/oauth2/token`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            body: new URLSearchParams({
-                grant_type: 'refresh_token',
-                client_id: OAUTH_CONFIG.clientId,
-                client_secret: OAUTH_CONFIG.clientSecret,
-                refresh_token: refreshToken
-            })
-        });
-        
-        const tokenData = await refreshResponse.json();
+        await refreshSessionConnection(req);
         
-        // Enhanced logging for refresh response
-        console.log('\n=== Salesforce Refresh Token Response ===');
-        console.log('Response Status:', refreshResponse.status);
-        console.log('Response Headers:', Object.fromEntries(refreshResponse.headers.entries()));
-        
-        if (refreshResponse.ok) {
-            console.log('✅ Salesforce Refresh Token SUCCESS');
-            console.log('📋 Complete Refresh Response:');
-            console.log(JSON.stringify(tokenData, null, 2));
-            
-            // Log individual token details (safely)
-            console.log('\n🔍 Refresh Token Details:');
-            console.log('• New Access Token Length:', tokenData.access_token?.length || 'N/A');
-            console.log('• New Access Token (first 30 chars):', tokenData.access_token?.substring(0, 30) + '...');
-            console.log('• New Refresh Token Provided:', !!tokenData.refresh_token);
-            if (tokenData.refresh_token) {
-                console.log('• New Refresh Token Length:', tokenData.refresh_token.length);
-                console.log('• New Refresh Token (first 30 chars):', tokenData.refresh_token.substring(0, 30) + '...');
-            }
-            console.log('• Instance URL:', tokenData.instance_url);
-            console.log('• ID URL:', tokenData.id);
-            console.log('• Token Type:', tokenData.token_type);
-            console.log('• Issued At:', tokenData.issued_at);
-            
-            accessToken = tokenData.access_token;
-            accessToken = tokenData.access_token;
-            // Note: Salesforce may or may not return a new refresh token
-            if (tokenData.refresh_token) {
-                refreshToken = tokenData.refresh_token;
-            }
-            
-            console.log('\n✅ Token refreshed successfully');
-            
-            res.json({
-                success: true,
-                message: 'Token refreshed successfully'
-            });
-        } else {
-            console.log('❌ Salesforce Refresh Token FAILED');
-            console.log('Error Response:');
-            console.log(JSON.stringify(tokenData, null, 2));
-            console.log('❌ Token refresh failed:', tokenData);
-            res.status(400).json({
-                success: false,
-                error: tokenData.error_description || 'Token refresh failed'
-            });
-        }
+        res.json({
+            success: true,
+            message: 'Token refreshed successfully'
+        });
         
     } catch (error) {
         console.error('Token refresh error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
 // OAuth Status Check
 app.get('/api/sf/auth/status', (req, res) => {
+    const connection = getConnection(req);
+    
     res.json({
-        authenticated: !!accessToken,
-        hasRefreshToken: !!refreshToken,
-        instanceUrl: instanceUrl
+        org: req.sfOrg,
+        authenticated: !!connection,
+        hasRefreshToken: !!connection?.refreshToken,
+        instanceUrl: connection?.instanceUrl || null,
+        connection: describeConnection(req),
+        circuit: retryPolicy.describeCircuit(req.sfOrg)
     });
 });
 
 // Get Current User Info
 app.get('/api/sf/auth/user', async (req, res) => {
     try {
-        if (!accessToken) {
-            return res.status(401).json({
-                error: {
-                    code: 'AUTHENTICATION_REQUIRED',
-                    message: 'Not authenticated with Salesforce'
-                }
-            });
+        const connection = getConnection(req);
+        if (!connection) {
+            return sendAuthenticationRequired(res);
         }
 
         console.log('\n=== Getting Current User Info ===');
         
         const { response, data } = await makeAuthenticatedRequest(
-            `${instanceUrl}/services/data/v58.0/sobjects/User/${accessToken.split('!')[0]}`
+            req,
+            `${connection.instanceUrl}/services/data/v58.0/sobjects/User/${connection.accessToken.split('!')[0]}`
         );
 
         // Alternative approach using identity endpoint
         if (!response.ok) {
-            const identityUrl = `${instanceUrl}/services/oauth2/userinfo`;
-            const identityResponse = await makeAuthenticatedRequest(identityUrl);
+            const identityUrl = `${connection.instanceUrl}/services/oauth2/userinfo`;
+            const identityResponse = await makeAuthenticatedRequest(req, identityUrl);
             
             if (identityResponse.response.ok) {
                 return res.json({
@@ -443,9 +475,13 @@ app.get('/api/sf/auth/user', async (req, res) => {
     } catch (error) {
         console.error('❌ Get user info error:', error);
         
+        if (isAuthenticationError(error)) {
+            return sendAuthenticationRequired(res, error.message);
+        }
+        
         // Fallback: extract user ID from access token if possible
         try {
-            const tokenParts = accessToken.split('!');
+            const tokenParts = getConnection(req).accessToken.split('!');
             if (tokenParts.length > 0) {
                 const userId = tokenParts[0];
                 return res.json({
@@ -457,47 +493,325 @@ app.get('/api/sf/auth/user', async (req, res) => {
             console.error('❌ Token parsing failed:', tokenError);
         }
         
-        res.status(500).json({
-            error: {
-                code: 'INTERNAL_ERROR',
-                message: error.message
-            }
-        });
+        sendError(res, error);
     }
 });
 
 // OAuth Logout
-app.post('/api/sf/auth/logout', (req, res) => {
-    accessToken = null;
-    refreshToken = null;
-    instanceUrl = null;
+app.post('/api/sf/auth/logout', async (req, res) => {
+    try {
+        await clearConnection(req, res);
+        
+        console.log('🔓 User logged out - session tokens cleared');
+        
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        sendError(res, error);
+    }
+});
+
+// =============================================================================
+// Named Org Connections
+// =============================================================================
+
+// List configured orgs and this session's connection to each
+app.get('/api/sf/orgs', (req, res) => {
+    const orgs = Array.from(ORG_CONFIGS.values()).map(orgConfig => {
+        const connection = getConnection(req, orgConfig.name);
+        
+        return {
+            name: orgConfig.name,
+            label: orgConfig.label,
+            loginUrl: orgConfig.instanceUrl,
+            configured: !!orgConfig.clientId,
+            connected: !!connection,
+            instanceUrl: connection?.instanceUrl || null,
+            connection: describeConnection(req, orgConfig.name)
+        };
+    });
+    
+    res.json({
+        activeOrg: req.sfOrg,
+        defaultOrg: DEFAULT_ORG,
+        orgs: orgs
+    });
+});
+
+// Switch the session's active org (used when a request names no org)
+app.post('/api/sf/orgs/active', (req, res) => {
+    const org = req.body?.org;
+    
+    if (!ORG_CONFIGS.has(org)) {
+        return sendError(res, createValidationError(`Unknown Salesforce org "${org}"`, {
+            availableOrgs: Array.from(ORG_CONFIGS.keys())
+        }));
+    }
     
-    console.log('🔓 User logged out - tokens cleared');
+    req.session.sfActiveOrg = org;
+    console.log(`🏢 Active org switched to "${org}"`);
     
     res.json({
         success: true,
-        message: 'Logged out successfully'
+        activeOrg: org,
+        authenticated: !!getConnection(req, org)
     });
 });
 
+// =============================================================================
+// Headless Authentication Flows (Username/Password and JWT Bearer)
+// =============================================================================
+
+// Username/Password Login - the caller must supply the credentials; the
+// server never logs in with credentials of its own on a caller's behalf
+app.post('/api/sf/auth/password', async (req, res) => {
+    try {
+        const username = req.body?.username;
+        const password = req.body?.password;
+        const securityToken = req.body?.securityToken ?? '';
+        const oauthConfig = getOrgConfig(req);
+        
+        if (!oauthConfig.clientId || !oauthConfig.clientSecret) {
+            return sendError(res, createApiError(500, 'CONFIGURATION_ERROR', 'OAuth configuration incomplete', {
+                troubleshooting: [
+                    'Check your .env file contains:',
+                    'SF_CLIENT_ID=your_consumer_key',
+                    'SF_CLIENT_SECRET=your_consumer_secret'
+                ]
+            }));
+        }
+        
+        if (!username || !password) {
+            return sendError(res, createValidationError('username and password are required'));
+        }
+        
+        console.log('\n=== Username/Password Login ===');
+        console.log('Org:', oauthConfig.name);
+        console.log('Username:', username);
+        
+        const { response, data: tokenData } = await passwordGrant(oauthConfig, {
+            username,
+            password,
+            securityToken
+        });
+        
+        if (!response.ok) {
+            console.log('❌ Username/password login failed:', tokenData);
+            return sendError(res, createApiError(401, 'AUTHENTICATION_FAILURE', tokenData.error_description || 'Username/password authentication failed', {
+                troubleshooting: [
+                    'invalid_grant: check the password and append your security token',
+                    'invalid_client: verify SF_CLIENT_SECRET',
+                    'unsupported_grant_type: allow the Username-Password flow for your org'
+                ]
+            }));
+        }
+        
+        const connection = await setConnection(req, res, tokenData, 'password', { username });
+        
+        console.log('✅ Username/password login successful');
+        console.log('📍 Instance URL:', connection.instanceUrl);
+        
+        res.json({
+            success: true,
+            message: 'Authenticated with username/password',
+            instanceUrl: connection.instanceUrl,
+            connection: describeConnection(req)
+        });
+        
+    } catch (error) {
+        console.error('Username/password login error:', error);
+        sendError(res, error);
+    }
+});
+
+// Compare the caller's X-Api-Key with SF_JWT_API_KEY in constant time
+function hasJwtApiKey(req, oauthConfig) {
+    const supplied = req.get('X-Api-Key');
+    if (!supplied) {
+        return false;
+    }
+    // Digests have equal lengths, which timingSafeEqual needs
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(supplied), digest(oauthConfig.jwt.apiKey));
+}
+
+// JWT Bearer Login - signs an assertion for the configured integration user
+// (SF_JWT_USERNAME) with the configured private key. The user can't be
+// chosen by the caller: the assertion would let anyone log in as any user
+// pre-authorized on the Connected App. The session it mints carries the
+// integration user's access, so only callers holding SF_JWT_API_KEY get one.
+app.post('/api/sf/auth/jwt', async (req, res) => {
+    try {
+        const oauthConfig = getOrgConfig(req);
+        const username = oauthConfig.jwt.username;
+        
+        if (!oauthConfig.clientId || !username || !oauthConfig.jwt.apiKey || !(oauthConfig.jwt.privateKey || oauthConfig.jwt.privateKeyPath)) {
+            return sendError(res, createApiError(500, 'CONFIGURATION_ERROR', 'JWT bearer flow not configured', {
+                troubleshooting: [
+                    'Check your .env file contains:',
+                    'SF_CLIENT_ID=your_consumer_key',
+                    'SF_JWT_USERNAME=integration_user@example.com',
+                    'SF_JWT_PRIVATE_KEY_PATH=path/to/server.key (or SF_JWT_PRIVATE_KEY)',
+                    'SF_JWT_API_KEY=a long random secret that callers send as X-Api-Key',
+                    'Upload the matching certificate to your Connected App ("Use digital signatures")'
+                ]
+            }));
+        }
+        
+        if (!hasJwtApiKey(req, oauthConfig)) {
+            console.log('❌ JWT bearer login refused: missing or wrong X-Api-Key');
+            return sendError(res, createApiError(401, 'AUTHENTICATION_FAILURE', 'A valid X-Api-Key header is required for the JWT bearer flow'));
+        }
+        
+        if (req.body?.username !== undefined) {
+            return sendError(res, createValidationError('username cannot be chosen for the JWT bearer flow - it is always SF_JWT_USERNAME'));
+        }
+        
+        const privateKey = getJwtPrivateKey(oauthConfig);
+        
+        console.log('\n=== JWT Bearer Login ===');
+        console.log('Org:', oauthConfig.name);
+        console.log('Username:', username);
+        console.log('Audience:', oauthConfig.jwt.audience);
+        
+        const { response, data: tokenData } = await jwtBearerGrant(oauthConfig, {
+            username,
+            privateKey,
+            audience: oauthConfig.jwt.audience
+        });
+        
+        if (!response.ok) {
+            console.log('❌ JWT bearer login failed:', tokenData);
+            return sendError(res, createApiError(401, 'AUTHENTICATION_FAILURE', tokenData.error_description || 'JWT bearer authentication failed', {
+                troubleshooting: [
+                    'user hasn\'t approved this consumer: pre-authorize the user\'s profile on the Connected App',
+                    'invalid_client: check SF_CLIENT_ID and the uploaded certificate',
+                    'audience is invalid: set SF_JWT_AUDIENCE to https://login.salesforce.com or https://test.salesforce.com'
+                ]
+            }));
+        }
+        
+        const connection = await setConnection(req, res, tokenData, 'jwt_bearer', { username });
+        
+        console.log('✅ JWT bearer login successful');
+        console.log('📍 Instance URL:', connection.instanceUrl);
+        
+        res.json({
+            success: true,
+            message: 'Authenticated with JWT bearer flow',
+            instanceUrl: connection.instanceUrl,
+            connection: describeConnection(req)
+        });
+        
+    } catch (error) {
+        console.error('JWT bearer login error:', error);
+        sendError(res, error);
+    }
+});
+
 // =============================================================================
 // Contact CRUD API Endpoints  
 // =============================================================================
 
-// Helper function for making authenticated Salesforce API calls
-async function makeAuthenticatedRequest(url, options = {}) {
-    if (!accessToken) {
-        throw new Error('Not authenticated with Salesforce');
+const CONTACT_MAX_LIMIT = 100;
+const CONTACT_LIST_FIELDS = ['Id', 'FirstName', 'LastName', 'Email', 'Phone', 'Title', 'Department', 'Description', 'OwnerId', 'CreatedDate', 'LastModifiedDate'];
+// The recycle bin adds who deleted each contact; LastModifiedDate is when
+const CONTACT_DELETED_FIELDS = [...CONTACT_LIST_FIELDS, 'LastModifiedById'];
+// Exports add the fields a vCard can hold, where the org exposes them
+const CONTACT_EXPORT_FIELDS = [...CONTACT_LIST_FIELDS, 'MobilePhone', 'MailingStreet', 'MailingCity', 'MailingState', 'MailingPostalCode', 'MailingCountry', 'Birthdate'];
+function sendAuthenticationRequired(res, message) {
+    return sendError(res, createAuthenticationError(message));
+}
+
+// Salesforce answers an expired access token with 401 / INVALID_SESSION_ID
+function isSessionExpired(response, data) {
+    return response.status === 401 ||
+        (Array.isArray(data) && data.some(item => item.errorCode === 'INVALID_SESSION_ID'));
+}
+
+// In-flight refreshes keyed by connection id, so concurrent requests
+// that hit an expired token share a single refresh call
+const pendingRefreshes = new Map();
+
+// JWT bearer connections have no refresh token but can mint a new assertion
+function canRefresh(connection) {
+    return !!connection && (!!connection.refreshToken || connection.source === 'jwt_bearer');
+}
+
+// Get new tokens for a connection - refresh token grant, or a fresh JWT assertion
+// (using the Connected App of the org the connection belongs to)
+function requestNewTokens(connection) {
+    const oauthConfig = ORG_CONFIGS.get(connection.org) || ORG_CONFIGS.get(DEFAULT_ORG);
+    
+    if (connection.refreshToken) {
+        return refreshAccessToken(oauthConfig, connection);
+    }
+    
+    return jwtBearerGrant(oauthConfig, {
+        username: connection.username,
+        privateKey: getJwtPrivateKey(oauthConfig),
+        audience: oauthConfig.jwt.audience
+    });
+}
+
+// Refresh the caller's access token using the stored refresh token
+function refreshSessionConnection(req) {
+    const connection = getConnection(req);
+    if (!canRefresh(connection)) {
+        return Promise.reject(createAuthenticationError('Session expired and no refresh token is available - please log in again'));
     }
     
-    const response = await fetch(url, {
-        ...options,
+    if (pendingRefreshes.has(connection.id)) {
+        debugLog('Joining in-flight token refresh', { connectionId: connection.id });
+        return pendingRefreshes.get(connection.id);
+    }
+    
+    const refresh = (async () => {
+        const { response, data: tokenData } = await requestNewTokens(connection);
+        
+        console.log('\n=== Salesforce Refresh Token Response ===');
+        console.log('Response Status:', response.status);
+        
+        if (!response.ok) {
+            console.log('❌ Salesforce Refresh Token FAILED:', JSON.stringify(tokenData, null, 2));
+            throw createAuthenticationError(
+                `Token refresh failed: ${tokenData.error_description || tokenData.error || 'unknown error'} - please log in again`
+            );
+        }
+        
+        console.log('✅ Salesforce Refresh Token SUCCESS');
+        console.log('• New Access Token (first 30 chars):', tokenData.access_token?.substring(0, 30) + '...');
+        console.log('• New Refresh Token Provided:', !!tokenData.refresh_token);
+        console.log('• Issued At:', tokenData.issued_at);
+        
+        return updateConnection(connection, tokenData);
+    })().finally(() => {
+        pendingRefreshes.delete(connection.id);
+    });
+    
+    pendingRefreshes.set(connection.id, refresh);
+    return refresh;
+}
+
+// One HTTP exchange with Salesforce; a successful stream response is left unread
+async function fetchSalesforce(connection, url, { stream, ...fetchOptions }, signal) {
+    const response = await salesforceFetch(url, {
+        ...fetchOptions,
+        signal,
         headers: {
-            'Authorization': `Bearer ${accessToken}`,
+            'Authorization': `Bearer ${connection.accessToken}`,
             'Content-Type': 'application/json',
-            ...options.headers
+            ...fetchOptions.headers
         }
     });
+    apiLimits.recordResponse(connection.org, response);
+    
+    if (stream && response.ok) {
+        return { response, data: null };
+    }
     
     let data = null;
     
@@ -515,48 +829,105 @@ async function makeAuthenticatedRequest(url, options = {}) {
         }
     }
     
+    return { response, data };
+}
+
+// Helper function for making authenticated Salesforce API calls
+// using the connection stored on the caller's session.
+// Non-critical calls are refused while the org is over its API usage
+// threshold (see api-limits.js).
+// Transient failures are retried by the retry policy (options.idempotent
+// overrides the method's default, options.timeout the overall timeout in
+// ms, 0 for none). An expired access token is refreshed once and the
+// request replayed.
+// With options.stream a successful response is returned unread (data is
+// null) so large bodies can be piped on.
+async function makeAuthenticatedRequest(req, url, options = {}, isRetry = false) {
+    const connection = getConnection(req);
+    if (!connection) {
+        throw createAuthenticationError('Not authenticated with Salesforce');
+    }
+    
+    apiLimits.checkThrottle(req, connection.org);
+    
+    const { idempotent, timeout, ...fetchOptions } = options;
+    const body = fetchOptions.body;
+    const { response, data } = await retryPolicy.run(connection.org, {
+        method: fetchOptions.method,
+        idempotent,
+        timeout,
+        // A streamed request body can only be sent once
+        replayable: body === undefined || typeof body === 'string' || Buffer.isBuffer(body)
+    }, signal => fetchSalesforce(connection, url, fetchOptions, signal));
+    
     if (!response.ok) {
+        if (isSessionExpired(response, data)) {
+            if (isRetry) {
+                throw createAuthenticationError('Salesforce rejected the refreshed session - please log in again');
+            }
+            
+            console.log('🔄 Access token expired - refreshing and replaying request');
+            await refreshSessionConnection(req);
+            return makeAuthenticatedRequest(req, url, options, true);
+        }
+        
         const errorMessage = data?.[0]?.message || data?.message || data?.rawResponse || `HTTP ${response.status}: ${response.statusText}`;
-        throw new Error(errorMessage);
+        const error = new Error(errorMessage);
+        // Keep Salesforce's status and error details for callers that map them
+        error.status = response.status;
+        error.errorCode = data?.[0]?.errorCode;
+        error.sfErrors = Array.isArray(data) ? data : undefined;
+        throw error;
     }
     
     return { response, data };
 }
 
-// Create Contact
+// Create Contact - duplicates are refused with 409 DUPLICATE_VALUE and
+// their candidates unless ?allowDuplicates=true
 app.post('/api/sf/contacts', async (req, res) => {
     try {
-        if (!accessToken) {
-            return res.status(401).json({
-                error: {
-                    code: 'AUTHENTICATION_REQUIRED',
-                    message: 'Not authenticated with Salesforce'
-                }
-            });
+        const connection = getConnection(req);
+        if (!connection) {
+            return sendAuthenticationRequired(res);
         }
 
-        const contactData = req.body;
-        
-        // Add tracking marker to identify contacts created through this app
-        const appCreatedMarker = '[SF-APP-CREATED]';
-        if (contactData.Description) {
-            contactData.Description = `${appCreatedMarker} ${contactData.Description}`;
-        } else {
-            contactData.Description = appCreatedMarker;
+        const describe = await sobjectOperations.describeSObject(req, 'Contact');
+        const record = recordValidator.requireValidRecord(describe, req.body, { operation: 'create' });
+        const allowDuplicates = req.query.allowDuplicates === 'true';
+
+        // Orgs without duplicate rules of their own get the local check
+        if (!allowDuplicates && !(await duplicates.hasDuplicateRules(req))) {
+            const candidates = await duplicates.findLocalDuplicates(req, record);
+            if (candidates.length > 0) {
+                console.log(`⚠️ Contact looks like ${candidates.length} existing contact(s):`, candidates.map(candidate => candidate.id).join(', '));
+                throw duplicates.createDuplicateError('local', candidates);
+            }
         }
+
+        const contactData = { ...record, ...provenance.mirrorValues(req, describe, 'create') };
         
         console.log('\n=== Creating Contact ===');
         console.log('Contact data:', JSON.stringify(contactData, null, 2));
 
-        const { response, data } = await makeAuthenticatedRequest(
-            `${instanceUrl}/services/data/v58.0/sobjects/Contact`,
-            {
-                method: 'POST',
-                body: JSON.stringify(contactData)
-            }
-        );
+        let data;
+        try {
+            ({ data } = await makeAuthenticatedRequest(
+                req,
+                `${connection.instanceUrl}/services/data/v58.0/sobjects/Contact`,
+                {
+                    method: 'POST',
+                    headers: duplicates.duplicateRuleHeaders(allowDuplicates),
+                    body: JSON.stringify(contactData)
+                }
+            ));
+        } catch (error) {
+            const found = await duplicates.candidatesFromError(req, error);
+            throw found ? duplicates.createDuplicateError('salesforce', found.candidates, found) : error;
+        }
 
         console.log('✅ Contact created successfully:', data.id);
+        await provenance.record(req, 'Contact', [{ id: data.id, operation: 'create' }]);
 
         res.status(201).json({
             id: data.id,
@@ -566,204 +937,153 @@ app.post('/api/sf/contacts', async (req, res) => {
 
     } catch (error) {
         console.error('❌ Create contact error:', error);
-        
-        if (error.message.includes('REQUIRED_FIELD_MISSING')) {
-            return res.status(400).json({
-                error: {
-                    code: 'VALIDATION_ERROR',
-                    message: 'Required fields are missing',
-                    details: {
-                        fields: [{ field: 'LastName', message: 'Last name is required' }]
-                    }
-                }
-            });
-        }
-        
-        res.status(500).json({
-            error: {
-                code: 'INTERNAL_ERROR',
-                message: error.message
-            }
-        });
+        sendError(res, error, { type: 'Contact' });
     }
 });
 
-// Get Contact by ID
-app.get('/api/sf/contacts/:id', async (req, res) => {
+// Check a contact for likely duplicates before creating it
+app.post('/api/sf/contacts/duplicates', async (req, res) => {
     try {
-        if (!accessToken) {
-            return res.status(401).json({
-                error: {
-                    code: 'AUTHENTICATION_REQUIRED',
-                    message: 'Not authenticated with Salesforce'
-                }
-            });
+        const connection = getConnection(req);
+        if (!connection) {
+            return sendAuthenticationRequired(res);
         }
 
-        const contactId = req.params.id;
-        console.log('\n=== Getting Contact by ID ===');
-        console.log('Contact ID:', contactId);
+        const describe = await sobjectOperations.describeSObject(req, 'Contact');
+        const record = recordValidator.requireValidRecord(describe, req.body, { operation: 'upsert' });
+        if (!record.Email && !record.LastName && !record.Phone && !record.MobilePhone) {
+            throw createValidationError('Give at least an Email, LastName, Phone or MobilePhone to match on');
+        }
 
-        const fields = 'Id,FirstName,LastName,Email,Phone,Title,Department,AccountId,CreatedDate,LastModifiedDate';
-        const { response, data } = await makeAuthenticatedRequest(
-            `${instanceUrl}/services/data/v58.0/sobjects/Contact/${contactId}?fields=${fields}`
-        );
+        const candidates = await duplicates.findLocalDuplicates(req, record);
 
-        console.log('✅ Contact retrieved successfully');
-        res.json(data);
+        res.json({
+            duplicateRulesActive: await duplicates.hasDuplicateRules(req),
+            candidates
+        });
 
     } catch (error) {
-        console.error('❌ Get contact error:', error);
-        
-        if (error.message.includes('NOT_FOUND')) {
-            return res.status(404).json({
-                error: {
-                    code: 'NOT_FOUND',
-                    message: 'Contact not found',
-                    details: {
-                        contactId: req.params.id
-                    }
-                }
-            });
-        }
-        
-        res.status(500).json({
-            error: {
-                code: 'INTERNAL_ERROR',
-                message: error.message
-            }
-        });
+        console.error('❌ Duplicate check error:', error);
+        sendError(res, error, { type: 'Contact' });
     }
 });
 
-// List Contacts with pagination
-app.get('/api/sf/contacts', async (req, res) => {
-    try {
-        if (!accessToken) {
-            return res.status(401).json({
-                error: {
-                    code: 'AUTHENTICATION_REQUIRED',
-                    message: 'Not authenticated with Salesforce'
-                }
-            });
+// Sort and filter options shared by the contact list and export routes
+async function buildContactFilters(req, connection) {
+    const orderBy = req.query.orderBy || 'LastModifiedDate';
+    const order = parseOrder(req.query.order);
+    const myContactsOnly = req.query.myContactsOnly === 'true';
+    const appCreatedOnly = req.query.appCreatedOnly === 'true';
+    const touchedByApp = req.query.touchedByApp === 'true';
+    const where = [];
+    let idFilter = null;
+
+    // Add owner filter if requested
+    if (myContactsOnly) {
+        try {
+            // Get current user ID using userinfo endpoint
+            const userInfoResponse = await makeAuthenticatedRequest(
+                req,
+                `${connection.instanceUrl}/services/oauth2/userinfo`
+            );
+
+            if (userInfoResponse.response.ok) {
+                const currentUserId = userInfoResponse.data.user_id;
+                where.push({ field: 'OwnerId', value: currentUserId });
+                console.log(`🔍 Filtering contacts by OwnerId: ${currentUserId}`);
+            } else {
+                console.warn('⚠️ Could not get user ID, showing all contacts');
+            }
+        } catch (userError) {
+            console.warn('⚠️ Failed to get user ID for filtering, showing all contacts:', userError.message);
         }
+    }
 
-        const limit = parseInt(req.query.limit) || 20;
-        const offset = parseInt(req.query.offset) || 0;
-        const orderBy = req.query.orderBy || 'LastModifiedDate';
-        const order = req.query.order || 'DESC';
-        const myContactsOnly = req.query.myContactsOnly === 'true';
-        const appCreatedOnly = req.query.appCreatedOnly === 'true';
+    // Records the provenance registry says this app created (or touched at all)
+    if (appCreatedOnly || touchedByApp) {
+        const describe = await sobjectOperations.describeSObject(req, 'Contact');
+        const conditions = provenance.filterConditions(describe, { createdOnly: appCreatedOnly });
+        if (conditions) {
+            where.push(...conditions);
+        } else {
+            // Without a mirror field, the registry's Ids are listed in the query
+            idFilter = { createdOnly: appCreatedOnly };
+        }
+        console.log(`🔍 Filtering contacts ${appCreatedOnly ? 'created' : 'created or changed'} through this app`);
+    }
 
-        console.log('\n=== Listing Contacts ===');
-        console.log(`Limit: ${limit}, Offset: ${offset}, OrderBy: ${orderBy} ${order}, MyContactsOnly: ${myContactsOnly}, AppCreatedOnly: ${appCreatedOnly}`);
+    return { where, idFilter, orderBy, order, myContactsOnly, appCreatedOnly, touchedByApp };
+}
 
-        let query = 'SELECT Id,FirstName,LastName,Email,Phone,Title,Department,Description,OwnerId,CreatedDate,LastModifiedDate FROM Contact';
-        let whereConditions = [];
-        
-        // Add owner filter if requested
-        if (myContactsOnly) {
-            try {
-                // Get current user ID using userinfo endpoint
-                const userInfoResponse = await makeAuthenticatedRequest(
-                    `${instanceUrl}/services/oauth2/userinfo`
-                );
-                
-                if (userInfoResponse.response.ok) {
-                    const currentUserId = userInfoResponse.data.user_id;
-                    whereConditions.push(`OwnerId = '${currentUserId}'`);
-                    console.log(`🔍 Filtering contacts by OwnerId: ${currentUserId}`);
-                } else {
-                    console.warn('⚠️ Could not get user ID, showing all contacts');
-                }
-            } catch (userError) {
-                console.warn('⚠️ Failed to get user ID for filtering, showing all contacts:', userError.message);
-            }
-        }
-        
-        // Add app-created filter if requested
-        if (appCreatedOnly) {
-            whereConditions.push(`Description LIKE '%[SF-APP-CREATED]%'`);
-            console.log('🔍 Filtering contacts created through this app');
-        }
-        
-        // Add WHERE clause if any conditions exist
-        if (whereConditions.length > 0) {
-            query += ` WHERE ${whereConditions.join(' AND ')}`;
+// Export Contacts - every matching record, streamed (registered before /:id)
+app.get('/api/sf/contacts/export', async (req, res) => {
+    try {
+        const connection = getConnection(req);
+        if (!connection) {
+            return sendAuthenticationRequired(res);
         }
-        
-        query += ` ORDER BY ${orderBy} ${order} LIMIT ${limit} OFFSET ${offset}`;
-        
-        const { response, data } = await makeAuthenticatedRequest(
-            `${instanceUrl}/services/data/v58.0/query?q=${encodeURIComponent(query)}`
-        );
 
-        let filterMsg = '';
-        if (myContactsOnly && appCreatedOnly) {
-            filterMsg = ' (filtered by owner and app-created)';
-        } else if (myContactsOnly) {
-            filterMsg = ' (filtered by owner)';
-        } else if (appCreatedOnly) {
-            filterMsg = ' (filtered by app-created)';
+        const format = parseExportFormat(req.query.format);
+        const describe = await sobjectOperations.describeSObject(req, 'Contact');
+        const fields = req.query.fields
+            ? resolveFields(describe, parseFieldList(req.query.fields))
+            : CONTACT_EXPORT_FIELDS.filter(name => describe.fields.some(field => field.name === name));
+
+        console.log('\n=== Exporting Contacts ===');
+        const { where, idFilter, orderBy, order, myContactsOnly, appCreatedOnly, touchedByApp } = await buildContactFilters(req, connection);
+        console.log(`Format: ${format}, OrderBy: ${orderBy} ${order}, MyContactsOnly: ${myContactsOnly}, AppCreatedOnly: ${appCreatedOnly}, TouchedByApp: ${touchedByApp}`);
+
+        let queries = [buildSoql(describe, { fields, where, orderBy, order })];
+        if (idFilter) {
+            // The registry's Ids are queried up to 300 at a time, and Id = null matches nothing
+            const groups = chunkInValues(provenance.filterIds(req, describe, idFilter));
+            const conditions = groups.length > 0
+                ? groups.map(ids => ({ field: 'Id', operator: 'IN', value: ids }))
+                : [{ field: 'Id', operator: '=', value: null }];
+            queries = conditions.map(condition => buildSoql(describe, { fields, where: [...where, condition], orderBy, order }));
         }
 
-        console.log(`✅ Retrieved ${data.records.length} contacts${filterMsg}`);
-
-        res.json({
-            totalSize: data.totalSize,
-            done: data.done,
-            nextRecordsUrl: data.nextRecordsUrl ? `/api/sf/contacts?limit=${limit}&offset=${offset + limit}&myContactsOnly=${myContactsOnly}&appCreatedOnly=${appCreatedOnly}` : null,
-            records: data.records,
-            filtered: myContactsOnly || appCreatedOnly,
-            filterType: {
-                myContactsOnly,
-                appCreatedOnly
-            }
+        const exported = await exporter.streamQuery(req, res, {
+            soql: queries,
+            fields,
+            format,
+            filename: `contacts-${new Date().toISOString().slice(0, 10)}`
         });
 
+        console.log(`✅ Exported ${exported} contacts as ${format}`);
+
     } catch (error) {
-        console.error('❌ List contacts error:', error);
-        res.status(500).json({
-            error: {
-                code: 'INTERNAL_ERROR',
-                message: error.message
-            }
-        });
+        console.error('❌ Export contacts error:', error);
+        sendError(res, error, { type: 'Contact' });
     }
 });
 
-// Search Contacts  
+// Search Contacts (registered before /:id so "search" isn't taken for an ID)
 app.get('/api/sf/contacts/search', async (req, res) => {
     try {
-        if (!accessToken) {
-            return res.status(401).json({
-                error: {
-                    code: 'AUTHENTICATION_REQUIRED',
-                    message: 'Not authenticated with Salesforce'
-                }
-            });
+        const connection = getConnection(req);
+        if (!connection) {
+            return sendAuthenticationRequired(res);
         }
 
         const searchQuery = req.query.q;
-        const fields = req.query.fields || 'Id,FirstName,LastName,Email,Phone,Title';
-        const limit = parseInt(req.query.limit) || 20;
+        const fields = parseFieldList(req.query.fields || 'Id,FirstName,LastName,Email,Phone,Title');
+        const limit = parseLimit(req.query.limit, 20, CONTACT_MAX_LIMIT);
 
         if (!searchQuery) {
-            return res.status(400).json({
-                error: {
-                    code: 'VALIDATION_ERROR',
-                    message: 'Search query parameter "q" is required'
-                }
-            });
+            return sendError(res, createValidationError('Search query parameter "q" is required'));
         }
 
         console.log('\n=== Searching Contacts ===');
-        console.log(`Query: "${searchQuery}", Fields: ${fields}, Limit: ${limit}`);
+        console.log(`Query: "${searchQuery}", Fields: ${fields.join(',')}, Limit: ${limit}`);
+
+        // The term is escaped and the fields checked against the Contact describe
+        const describe = await sobjectOperations.describeSObject(req, 'Contact');
+        const sosl = buildSosl(searchQuery, { returning: [{ describe, fields }], limit });
 
-        const sosl = `FIND {${searchQuery}} IN NAME FIELDS RETURNING Contact(${fields}) LIMIT ${limit}`;
-        
         const { response, data } = await makeAuthenticatedRequest(
-            `${instanceUrl}/services/data/v58.0/search?q=${encodeURIComponent(sosl)}`
+            req,
+            `${connection.instanceUrl}/services/data/v58.0/search?q=${encodeURIComponent(sosl)}`
         );
 
         const contacts = data.searchRecords || [];
@@ -775,43 +1095,194 @@ app.get('/api/sf/contacts/search', async (req, res) => {
 
     } catch (error) {
         console.error('❌ Search contacts error:', error);
-        res.status(500).json({
-            error: {
-                code: 'INTERNAL_ERROR',
-                message: error.message
+        sendError(res, error, { type: 'Contact' });
+    }
+});
+
+// Recently Deleted Contacts - the recycle bin (registered before /:id)
+app.get('/api/sf/contacts/deleted', async (req, res) => {
+    try {
+        const connection = getConnection(req);
+        if (!connection) {
+            return sendAuthenticationRequired(res);
+        }
+
+        rejectOffset(req.query.offset);
+
+        console.log('\n=== Listing Deleted Contacts ===');
+        const page = await recycleBin.listDeleted(req, 'Contact', {
+            fields: CONTACT_DELETED_FIELDS,
+            limit: parseLimit(req.query.limit, 20, CONTACT_MAX_LIMIT),
+            cursor: req.query.cursor
+        });
+        console.log(`✅ Retrieved ${page.records.length} of ${page.totalSize} deleted contacts`);
+
+        res.json({
+            totalSize: page.totalSize,
+            done: page.done,
+            nextCursor: page.nextCursor,
+            nextRecordsUrl: page.nextCursor ? `/api/sf/contacts/deleted?cursor=${encodeURIComponent(page.nextCursor)}` : null,
+            records: page.records
+        });
+
+    } catch (error) {
+        console.error('❌ List deleted contacts error:', error);
+        sendError(res, error, { type: 'Contact' });
+    }
+});
+
+// Get Contact by ID
+app.get('/api/sf/contacts/:id', async (req, res) => {
+    try {
+        const connection = getConnection(req);
+        if (!connection) {
+            return sendAuthenticationRequired(res);
+        }
+
+        const contactId = req.params.id;
+        console.log('\n=== Getting Contact by ID ===');
+        console.log('Contact ID:', contactId);
+
+        const fields = 'Id,FirstName,LastName,Email,Phone,Title,Department,AccountId,CreatedDate,LastModifiedDate';
+        const { response, data } = await makeAuthenticatedRequest(
+            req,
+            `${connection.instanceUrl}/services/data/v58.0/sobjects/Contact/${contactId}?fields=${fields}`
+        );
+
+        console.log('✅ Contact retrieved successfully');
+        res.json(data);
+
+    } catch (error) {
+        console.error('❌ Get contact error:', error);
+        sendError(res, error, { type: 'Contact' });
+    }
+});
+
+// List Contacts with pagination
+app.get('/api/sf/contacts', async (req, res) => {
+    try {
+        const connection = getConnection(req);
+        if (!connection) {
+            return sendAuthenticationRequired(res);
+        }
+
+        rejectOffset(req.query.offset);
+
+        let page;
+        if (req.query.cursor) {
+            // The cursor carries the query and filters of the first page
+            console.log('\n=== Listing Contacts (next page) ===');
+            page = await sobjectOperations.fetchPage(req, { type: 'Contact', cursor: req.query.cursor });
+        } else {
+            const limit = parseLimit(req.query.limit, 20, CONTACT_MAX_LIMIT);
+
+            console.log('\n=== Listing Contacts ===');
+            const { where, idFilter, orderBy, order, myContactsOnly, appCreatedOnly, touchedByApp } = await buildContactFilters(req, connection);
+            console.log(`Limit: ${limit}, OrderBy: ${orderBy} ${order}, MyContactsOnly: ${myContactsOnly}, AppCreatedOnly: ${appCreatedOnly}, TouchedByApp: ${touchedByApp}`);
+
+            // orderBy is checked against the Contact describe when the query is built
+            page = await sobjectOperations.fetchPage(req, {
+                type: 'Contact',
+                fields: CONTACT_LIST_FIELDS,
+                where,
+                idFilter,
+                orderBy,
+                order,
+                limit,
+                extra: { myContactsOnly, appCreatedOnly, touchedByApp }
+            });
+        }
+
+        // Cursors issued before touchedByApp existed don't carry it
+        const { myContactsOnly, appCreatedOnly, touchedByApp = false } = page.extra;
+
+        const filters = [
+            myContactsOnly && 'owner',
+            appCreatedOnly && 'app-created',
+            touchedByApp && !appCreatedOnly && 'app-touched'
+        ].filter(Boolean);
+        const filterMsg = filters.length > 0 ? ` (filtered by ${filters.join(' and ')})` : '';
+
+        console.log(`✅ Retrieved ${page.records.length} of ${page.totalSize} contacts${filterMsg}`);
+
+        res.json({
+            totalSize: page.totalSize,
+            done: page.done,
+            nextCursor: page.nextCursor,
+            nextRecordsUrl: page.nextCursor ? `/api/sf/contacts?cursor=${encodeURIComponent(page.nextCursor)}` : null,
+            records: page.records,
+            filtered: myContactsOnly || appCreatedOnly || touchedByApp,
+            filterType: {
+                myContactsOnly,
+                appCreatedOnly,
+                touchedByApp
             }
         });
+
+    } catch (error) {
+        console.error('❌ List contacts error:', error);
+        sendError(res, error, { type: 'Contact' });
     }
 });
 
+// Upsert by external ID - the same record sent again updates the one
+// already there (200) instead of creating another (201)
+function upsertByExternalId(type) {
+    return async (req, res) => {
+        try {
+            if (!getConnection(req)) {
+                return sendAuthenticationRequired(res);
+            }
+
+            const { id, created } = await sobjectOperations.upsertRecord(
+                req, type, req.params.externalIdField, req.params.value, req.body
+            );
+
+            res.status(created ? 201 : 200).json({
+                id: id,
+                success: true,
+                created: created
+            });
+
+        } catch (error) {
+            console.error(`❌ Upsert ${type} error:`, error);
+            sendError(res, error, { type });
+        }
+    };
+}
+
+// Upsert Contact by external ID
+app.put('/api/sf/contacts/by/:externalIdField/:value', upsertByExternalId('Contact'));
+
 // Update Contact (full update)
 app.put('/api/sf/contacts/:id', async (req, res) => {
     try {
-        if (!accessToken) {
-            return res.status(401).json({
-                error: {
-                    code: 'AUTHENTICATION_REQUIRED',
-                    message: 'Not authenticated with Salesforce'
-                }
-            });
+        const connection = getConnection(req);
+        if (!connection) {
+            return sendAuthenticationRequired(res);
         }
 
         const contactId = req.params.id;
-        const updateData = req.body;
+        const describe = await sobjectOperations.describeSObject(req, 'Contact');
+        const updateData = recordValidator.requireValidRecord(describe, req.body, { operation: 'update' });
         
         console.log('\n=== Updating Contact (Full) ===');
         console.log('Contact ID:', contactId);
         console.log('Update data:', JSON.stringify(updateData, null, 2));
 
-        const { response, data } = await makeAuthenticatedRequest(
-            `${instanceUrl}/services/data/v58.0/sobjects/Contact/${contactId}`,
-            {
-                method: 'PATCH',
-                body: JSON.stringify(updateData)
-            }
+        const { response, data } = await auditLog.auditedWrite(req, { type: 'Contact', id: contactId, operation: 'update', values: updateData }, () =>
+            makeAuthenticatedRequest(
+                req,
+                `${connection.instanceUrl}/services/data/v58.0/sobjects/Contact/${contactId}`,
+                {
+                    method: 'PATCH',
+                    body: JSON.stringify({ ...updateData, ...provenance.mirrorValues(req, describe, 'update', contactId) })
+                }
+            )
         );
 
         console.log('✅ Contact updated successfully');
+        await provenance.record(req, 'Contact', [{ id: contactId, operation: 'update' }]);
 
         res.json({
             id: contactId,
@@ -820,42 +1291,21 @@ app.put('/api/sf/contacts/:id', async (req, res) => {
 
     } catch (error) {
         console.error('❌ Update contact error:', error);
-        
-        if (error.message.includes('NOT_FOUND')) {
-            return res.status(404).json({
-                error: {
-                    code: 'NOT_FOUND',
-                    message: 'Contact not found',
-                    details: {
-                        contactId: req.params.id
-                    }
-                }
-            });
-        }
-        
-        res.status(500).json({
-            error: {
-                code: 'INTERNAL_ERROR',
-                message: error.message
-            }
-        });
+        sendError(res, error, { type: 'Contact' });
     }
 });
 
 // Partial Update Contact
 app.patch('/api/sf/contacts/:id', async (req, res) => {
     try {
-        if (!accessToken) {
-            return res.status(401).json({
-                error: {
-                    code: 'AUTHENTICATION_REQUIRED',
-                    message: 'Not authenticated with Salesforce'
-                }
-            });
+        const connection = getConnection(req);
+        if (!connection) {
+            return sendAuthenticationRequired(res);
         }
 
         const contactId = req.params.id;
-        const updateData = req.body;
+        const describe = await sobjectOperations.describeSObject(req, 'Contact');
+        const updateData = recordValidator.requireValidRecord(describe, req.body, { operation: 'update' });
         const updatedFields = Object.keys(updateData);
         
         console.log('\n=== Updating Contact (Partial) ===');
@@ -863,15 +1313,19 @@ app.patch('/api/sf/contacts/:id', async (req, res) => {
         console.log('Updated fields:', updatedFields);
         console.log('Update data:', JSON.stringify(updateData, null, 2));
 
-        const { response, data } = await makeAuthenticatedRequest(
-            `${instanceUrl}/services/data/v58.0/sobjects/Contact/${contactId}`,
-            {
-                method: 'PATCH',
-                body: JSON.stringify(updateData)
-            }
+        const { response, data } = await auditLog.auditedWrite(req, { type: 'Contact', id: contactId, operation: 'update', values: updateData }, () =>
+            makeAuthenticatedRequest(
+                req,
+                `${connection.instanceUrl}/services/data/v58.0/sobjects/Contact/${contactId}`,
+                {
+                    method: 'PATCH',
+                    body: JSON.stringify({ ...updateData, ...provenance.mirrorValues(req, describe, 'update', contactId) })
+                }
+            )
         );
 
         console.log('✅ Contact partially updated successfully');
+        await provenance.record(req, 'Contact', [{ id: contactId, operation: 'update' }]);
 
         res.json({
             id: contactId,
@@ -881,334 +1335,446 @@ app.patch('/api/sf/contacts/:id', async (req, res) => {
 
     } catch (error) {
         console.error('❌ Partial update contact error:', error);
-        
-        if (error.message.includes('NOT_FOUND')) {
-            return res.status(404).json({
-                error: {
-                    code: 'NOT_FOUND',
-                    message: 'Contact not found',
-                    details: {
-                        contactId: req.params.id
-                    }
-                }
-            });
-        }
-        
-        res.status(500).json({
-            error: {
-                code: 'INTERNAL_ERROR',
-                message: error.message
-            }
-        });
+        sendError(res, error, { type: 'Contact' });
     }
 });
 
 // Delete Contact
 app.delete('/api/sf/contacts/:id', async (req, res) => {
     try {
-        if (!accessToken) {
-            return res.status(401).json({
-                error: {
-                    code: 'AUTHENTICATION_REQUIRED',
-                    message: 'Not authenticated with Salesforce'
-                }
-            });
+        const connection = getConnection(req);
+        if (!connection) {
+            return sendAuthenticationRequired(res);
         }
 
         const contactId = req.params.id;
         console.log('\n=== Deleting Contact ===');
         console.log('Contact ID:', contactId);
 
-        const { response, data } = await makeAuthenticatedRequest(
-            `${instanceUrl}/services/data/v58.0/sobjects/Contact/${contactId}`,
-            {
-                method: 'DELETE'
-            }
+        const { response, data } = await auditLog.auditedWrite(req, { type: 'Contact', id: contactId, operation: 'delete' }, () =>
+            makeAuthenticatedRequest(
+                req,
+                `${connection.instanceUrl}/services/data/v58.0/sobjects/Contact/${contactId}`,
+                {
+                    method: 'DELETE'
+                }
+            )
         );
 
         console.log('✅ Contact deleted successfully');
+        await provenance.record(req, 'Contact', [{ id: contactId, operation: 'delete' }]);
 
         res.status(204).send();
 
     } catch (error) {
         console.error('❌ Delete contact error:', error);
-        
-        if (error.message.includes('NOT_FOUND')) {
-            return res.status(404).json({
-                error: {
-                    code: 'NOT_FOUND',
-                    message: 'Contact not found',
-                    details: {
-                        contactId: req.params.id
-                    }
-                }
-            });
+        sendError(res, error, { type: 'Contact' });
+    }
+});
+
+// Restore Contacts from the recycle bin - { ids: [...] }, up to 200;
+// each record succeeds or fails on its own
+app.post('/api/sf/contacts/restore', async (req, res) => {
+    try {
+        if (!getConnection(req)) {
+            return sendAuthenticationRequired(res);
         }
-        
-        res.status(500).json({
-            error: {
-                code: 'INTERNAL_ERROR',
-                message: error.message
+
+        const results = await recycleBin.restore(req, 'Contact', req.body?.ids);
+        const successful = results.filter(result => result.success).length;
+
+        res.json({
+            hasErrors: successful < results.length,
+            // Errors in the shape the bulk route reports them
+            results: results.map(({ id, success, errors }) => success
+                ? { id, success }
+                : { id, success, errors: errors.map(({ errorCode, message, fields }) => ({ code: errorCode, message, fields })) }),
+            summary: {
+                total: results.length,
+                successful,
+                failed: results.length - successful
             }
         });
+
+    } catch (error) {
+        console.error('❌ Restore contacts error:', error);
+        sendError(res, error, { type: 'Contact' });
+    }
+});
+
+// Restore one Contact from the recycle bin
+app.post('/api/sf/contacts/:id/restore', async (req, res) => {
+    try {
+        if (!getConnection(req)) {
+            return sendAuthenticationRequired(res);
+        }
+
+        const [result] = await recycleBin.restore(req, 'Contact', [req.params.id]);
+        if (!result.success) {
+            throw Object.assign(new Error(result.errors[0]?.message || 'Restore failed'), {
+                status: 400,
+                errorCode: result.errors[0]?.errorCode,
+                sfErrors: result.errors
+            });
+        }
+
+        res.json({
+            id: result.id,
+            success: true
+        });
+
+    } catch (error) {
+        console.error('❌ Restore contact error:', error);
+        sendError(res, error, { type: 'Contact' });
     }
 });
 
 // Bulk Operations
 app.post('/api/sf/contacts/bulk', async (req, res) => {
     try {
-        if (!accessToken) {
-            return res.status(401).json({
-                error: {
-                    code: 'AUTHENTICATION_REQUIRED',
-                    message: 'Not authenticated with Salesforce'
-                }
-            });
+        const connection = getConnection(req);
+        if (!connection) {
+            return sendAuthenticationRequired(res);
         }
 
-        const { operation, records, ids } = req.body;
-        
+        const { operation, records, ids, externalIdField } = req.body;
+        const allOrNone = req.body.allOrNone === true;
+
         console.log('\n=== Bulk Contact Operation ===');
-        console.log('Operation:', operation);
+        console.log('Operation:', operation, allOrNone ? '(all or none)' : '');
         console.log('Records count:', records?.length || ids?.length || 0);
 
-        let results = [];
-        let hasErrors = false;
-
-        if (operation === 'create' && records) {
-            // Bulk create
-            for (const record of records) {
-                try {
-                    // Add tracking marker to each record
-                    const appCreatedMarker = '[SF-APP-CREATED]';
-                    if (record.Description) {
-                        record.Description = `${appCreatedMarker} ${record.Description}`;
-                    } else {
-                        record.Description = appCreatedMarker;
-                    }
-                    
-                    const { response, data } = await makeAuthenticatedRequest(
-                        `${instanceUrl}/services/data/v58.0/sobjects/Contact`,
-                        {
-                            method: 'POST',
-                            body: JSON.stringify(record)
-                        }
-                    );
-                    results.push({
-                        id: data.id,
-                        success: true,
-                        created: true
-                    });
-                } catch (error) {
-                    hasErrors = true;
-                    results.push({
-                        success: false,
-                        error: error.message
-                    });
-                }
-            }
-        } else if (operation === 'update' && records) {
-            // Bulk update
-            for (const record of records) {
-                try {
-                    const { Id, ...updateData } = record;
-                    const { response, data } = await makeAuthenticatedRequest(
-                        `${instanceUrl}/services/data/v58.0/sobjects/Contact/${Id}`,
-                        {
-                            method: 'PATCH',
-                            body: JSON.stringify(updateData)
-                        }
-                    );
-                    results.push({
-                        id: Id,
-                        success: true
-                    });
-                } catch (error) {
-                    hasErrors = true;
-                    results.push({
-                        id: record.Id,
-                        success: false,
-                        error: error.message
-                    });
-                }
-            }
-        } else if (operation === 'delete' && ids) {
-            // Bulk delete
-            for (const id of ids) {
-                try {
-                    const { response, data } = await makeAuthenticatedRequest(
-                        `${instanceUrl}/services/data/v58.0/sobjects/Contact/${id}`,
-                        {
-                            method: 'DELETE'
-                        }
-                    );
-                    results.push({
-                        id: id,
-                        success: true
-                    });
-                } catch (error) {
-                    hasErrors = true;
-                    results.push({
-                        id: id,
-                        success: false,
-                        error: error.message
-                    });
-                }
-            }
-        } else {
-            return res.status(400).json({
-                error: {
-                    code: 'VALIDATION_ERROR',
-                    message: 'Invalid bulk operation or missing data'
+        // Upserts match on an external ID field (or Id) from the Contact describe
+        let matchField;
+        if (operation === 'upsert') {
+            const describe = await sobjectOperations.describeSObject(req, 'Contact');
+            matchField = sobjectOperations.resolveExternalIdField(describe, externalIdField);
+        }
+
+        let items = operation === 'delete' ? ids : records;
+        if (operation === 'upsert' && Array.isArray(records)) {
+            // Accept the match value under any casing of the field name
+            items = records.map(record => {
+                if (!record || typeof record !== 'object') {
+                    return record;
                 }
+                const key = Object.keys(record).find(name => name.toLowerCase() === matchField.toLowerCase());
+                const { [key]: value, ...fields } = record;
+                return key ? { ...fields, [matchField]: value } : record;
             });
         }
 
-        console.log(`✅ Bulk ${operation} completed. Success: ${results.filter(r => r.success).length}, Errors: ${results.filter(r => !r.success).length}`);
+        // Field-check every record; with allOrNone one bad record fails the
+        // request, otherwise only the bad records fail
+        const rejected = new Map();
+        if (operation !== 'delete') {
+            collections.validateItems(operation, items, matchField);
+            const describe = await sobjectOperations.describeSObject(req, 'Contact');
+            const keyFields = operation === 'update' ? ['Id'] : operation === 'upsert' ? [matchField] : [];
+            const checked = items.map(record => recordValidator.validateRecord(describe, record, { operation, keyFields }));
+
+            const invalid = checked
+                .map(({ errors }, index) => ({ index, fields: errors }))
+                .filter(({ fields }) => fields.length > 0);
+            if (invalid.length > 0 && allOrNone) {
+                throw createValidationError(`Invalid ${operation} request`, { records: invalid });
+            }
+
+            invalid.forEach(({ index, fields }) => rejected.set(index, {
+                id: items[index].Id || null,
+                success: false,
+                ...(operation === 'update' ? {} : { created: false }),
+                errors: fields.map(({ field, message }) => ({ code: 'VALIDATION_ERROR', message, fields: field ? [field] : [] }))
+            }));
+
+            items = checked
+                .filter(({ errors }) => errors.length === 0)
+                .map(({ record }) => record);
+        }
+
+        // Updates and deletes are audited: read the records as they are first
+        let audit = null;
+        if ((operation === 'update' || operation === 'delete') && items.length > 0) {
+            collections.validateItems(operation, items);
+            const describe = await sobjectOperations.describeSObject(req, 'Contact');
+            const auditIds = operation === 'delete' ? items : items.map(record => record.Id);
+            const auditFields = operation === 'delete'
+                ? null
+                : [...new Set(items.flatMap(record => Object.keys(record)))];
+            audit = {
+                ids: auditIds,
+                records: items,
+                before: await auditLog.fetchSnapshots(req, describe, auditIds, auditFields),
+                at: new Date().toISOString(),
+                started: Date.now()
+            };
+        }
+
+        if (operation !== 'delete') {
+            const describe = await sobjectOperations.describeSObject(req, 'Contact');
+            items = items.map(record => ({ ...record, ...provenance.mirrorValues(req, describe, operation, record.Id) }));
+        }
+
+        const sent = items.length > 0
+            ? await collections.runCollection(req, connection, 'Contact', operation, items, {
+                allOrNone,
+                externalIdField: matchField
+            })
+            : [];
+
+        if (audit) {
+            const latencyMs = Date.now() - audit.started;
+            await auditLog.logWrites(req, { type: 'Contact', at: audit.at, latencyMs, status: 200 }, sent
+                .map((result, index) => ({ result, index }))
+                .filter(({ result }) => result.success)
+                .map(({ index }) => {
+                    const { Id, ...values } = operation === 'delete' ? {} : audit.records[index];
+                    return {
+                        operation,
+                        recordId: audit.ids[index],
+                        before: audit.before.get(audit.ids[index]) || {},
+                        values: operation === 'delete' ? null : values
+                    };
+                }));
+        }
+        // Rejected records keep their place in the results
+        const results = [];
+        for (let index = 0, sentIndex = 0; index < sent.length + rejected.size; index++) {
+            results.push(rejected.has(index) ? rejected.get(index) : sent[sentIndex++]);
+        }
+
+        const successful = results.filter(result => result.success).length;
+        console.log(`✅ Bulk ${operation} completed. Success: ${successful}, Errors: ${results.length - successful}`);
+
+        // An upsert reports per record whether it created or updated
+        const written = results.filter(result => result.success);
+        await provenance.record(req, 'Contact', written.map(result => ({
+            id: result.id,
+            operation: operation === 'upsert' ? (result.created ? 'create' : 'update') : operation
+        })));
+        if (operation === 'upsert') {
+            const describe = await sobjectOperations.describeSObject(req, 'Contact');
+            await provenance.syncUpsertMirrors(req, describe, written.map(result => result.id));
+        }
+
+        const summary = {
+            total: results.length,
+            successful: successful,
+            failed: results.length - successful
+        };
+        // A repeated upsert should report updates only
+        if (operation === 'upsert') {
+            summary.created = results.filter(result => result.success && result.created).length;
+            summary.updated = successful - summary.created;
+        }
 
         res.json({
-            hasErrors: hasErrors,
-            results: results
+            hasErrors: successful < results.length,
+            allOrNone: allOrNone,
+            results: results,
+            summary: summary
         });
 
     } catch (error) {
         console.error('❌ Bulk operation error:', error);
-        res.status(500).json({
-            error: {
-                code: 'INTERNAL_ERROR',
-                message: error.message
-            }
-        });
+        sendError(res, error, { type: 'Contact' });
     }
 });
 
 // =============================================================================
-// Existing API Endpoints (unchanged)
+// Generic sObject API Endpoints
+// =============================================================================
+
+const sobjectOperations = createSObjectOperations({
+    makeAuthenticatedRequest,
+    sendAuthenticationRequired,
+    recordValidator,
+    provenance,
+    auditLog,
+    // Pagination cursors are signed so clients can't alter the query inside
+    cursorSecret: SESSION_SECRET
+});
+
+app.use('/api/sf/sobjects', sobjectOperations.router);
+
+const collections = createCollections({ makeAuthenticatedRequest, isAuthenticationError });
+const exporter = createExporter({ makeAuthenticatedRequest });
+const duplicates = createDuplicateDetector({
+    makeAuthenticatedRequest,
+    describeSObject: sobjectOperations.describeSObject
+});
+
+// =============================================================================
+// Bulk API 2.0 Job Endpoints
+// =============================================================================
+
+const bulkJobs = createBulkJobs({
+    makeAuthenticatedRequest,
+    describeSObject: sobjectOperations.describeSObject,
+    sendSObjectError: sobjectOperations.sendSObjectError,
+    sendAuthenticationRequired
+});
+
+app.use('/api/sf/jobs', bulkJobs.router);
+
+// =============================================================================
+// Contact Import Endpoints
+// =============================================================================
+
+const contactImport = createContactImport({
+    describeSObject: sobjectOperations.describeSObject,
+    runCollection: collections.runCollection,
+    recordValidator,
+    provenance,
+    sendSObjectError: sobjectOperations.sendSObjectError,
+    sendAuthenticationRequired
+});
+
+app.use('/api/sf/contacts/import', contactImport.router);
+
+// =============================================================================
+// Contact Merge Endpoints
+// =============================================================================
+
+const contactMerge = createContactMerge({
+    makeAuthenticatedRequest,
+    soapClient,
+    describeSObject: sobjectOperations.describeSObject,
+    provenance,
+    auditLog,
+    sendSObjectError: sobjectOperations.sendSObjectError,
+    sendAuthenticationRequired
+});
+
+app.use('/api/sf/contacts/merge', contactMerge.router);
+
+// =============================================================================
+// Recycle Bin
+// =============================================================================
+
+// Used by the /api/sf/contacts/deleted and /restore routes above
+const recycleBin = createRecycleBin({
+    soapClient,
+    fetchPage: sobjectOperations.fetchPage,
+    describeSObject: sobjectOperations.describeSObject,
+    provenance,
+    auditLog
+});
+
+// =============================================================================
+// Provenance Endpoints
+// =============================================================================
+
+app.use('/api/sf/provenance', provenance.router);
+
+// =============================================================================
+// Audit Log Endpoint
+// =============================================================================
+
+app.use('/api/audit', auditLog.router);
+
+// =============================================================================
+// API Limits Endpoint
+// =============================================================================
+
+app.use('/api/sf/limits', apiLimits.router);
+
+// =============================================================================
+// Lead and Account Endpoints
 // =============================================================================
 
 // Create Lead endpoint
 app.post('/api/sf/leads', async (req, res) => {
     try {
-        if (!accessToken) {
-            return res.status(401).json({
-                success: false,
-                error: 'Not authenticated with Salesforce'
-            });
+        const connection = getConnection(req);
+        if (!connection) {
+            return sendAuthenticationRequired(res);
         }
 
         const leadData = req.body;
 
-        const response = await fetch(`${instanceUrl}/services/data/v58.0/sobjects/Lead`, {
+        const { data } = await makeAuthenticatedRequest(req, `${connection.instanceUrl}/services/data/v58.0/sobjects/Lead`, {
             method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Content-Type': 'application/json'
-            },
             body: JSON.stringify(leadData)
         });
 
-        const data = await response.json();
-
-        if (response.ok) {
-            res.json({
-                success: true,
-                message: 'Lead created successfully!',
-                leadId: data.id,
-                leadData: leadData
-            });
-        } else {
-            res.status(400).json({
-                success: false,
-                error: data[0]?.message || 'Failed to create lead'
-            });
-        }
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
+        res.json({
+            success: true,
+            message: 'Lead created successfully!',
+            leadId: data.id,
+            leadData: leadData
         });
+    } catch (error) {
+        sendError(res, error, { type: 'Lead' });
     }
 });
 
+// Upsert Lead by external ID
+app.put('/api/sf/leads/by/:externalIdField/:value', upsertByExternalId('Lead'));
+
 // Get Leads endpoint
 app.get('/api/sf/leads', async (req, res) => {
     try {
-        if (!accessToken) {
-            return res.status(401).json({
-                success: false,
-                error: 'Not authenticated with Salesforce'
-            });
+        const connection = getConnection(req);
+        if (!connection) {
+            return sendAuthenticationRequired(res);
         }
 
         const query = "SELECT Id, FirstName, LastName, Email, Company, CreatedDate FROM Lead ORDER BY CreatedDate DESC LIMIT 10";
-        const response = await fetch(`${instanceUrl}/services/data/v58.0/query?q=${encodeURIComponent(query)}`, {
-            headers: {
-                'Authorization': `Bearer ${accessToken}`
-            }
-        });
-
-        const data = await response.json();
+        const { data } = await makeAuthenticatedRequest(req, `${connection.instanceUrl}/services/data/v58.0/query?q=${encodeURIComponent(query)}`);
 
-        if (response.ok) {
-            res.json({
-                success: true,
-                message: `Retrieved ${data.records.length} leads`,
-                leads: data.records
-            });
-        } else {
-            res.status(400).json({
-                success: false,
-                error: data[0]?.message || 'Failed to fetch leads'
-            });
-        }
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
+        res.json({
+            success: true,
+            message: `Retrieved ${data.records.length} leads`,
+            leads: data.records
         });
+    } catch (error) {
+        sendError(res, error, { type: 'Lead' });
     }
 });
 
 // Get Accounts endpoint
 app.get('/api/sf/accounts', async (req, res) => {
     try {
-        if (!accessToken) {
-            return res.status(401).json({
-                success: false,
-                error: 'Not authenticated with Salesforce'
-            });
+        const connection = getConnection(req);
+        if (!connection) {
+            return sendAuthenticationRequired(res);
         }
 
         const query = "SELECT Id, Name, Type, Industry, CreatedDate FROM Account ORDER BY CreatedDate DESC LIMIT 10";
-        const response = await fetch(`${instanceUrl}/services/data/v58.0/query?q=${encodeURIComponent(query)}`, {
-            headers: {
-                'Authorization': `Bearer ${accessToken}`
-            }
-        });
+        const { data } = await makeAuthenticatedRequest(req, `${connection.instanceUrl}/services/data/v58.0/query?q=${encodeURIComponent(query)}`);
 
-        const data = await response.json();
-
-        if (response.ok) {
-            res.json({
-                success: true,
-                message: `Retrieved ${data.records.length} accounts`,
-                accounts: data.records
-            });
-        } else {
-            res.status(400).json({
-                success: false,
-                error: data[0]?.message || 'Failed to fetch accounts'
-            });
-        }
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
+        res.json({
+            success: true,
+            message: `Retrieved ${data.records.length} accounts`,
+            accounts: data.records
         });
+    } catch (error) {
+        sendError(res, error, { type: 'Account' });
     }
 });
 
-app.listen(PORT, () => {
-    console.log(`Salesforce Proxy Server running at http://localhost:${PORT}`);
-    console.log(`Open your browser to: http://localhost:${PORT}`);
-});
\ No newline at end of file
+// Errors passed on by middleware (such as a request body that isn't JSON)
+app.use('/api/sf', (error, req, res, next) => {
+    sendError(res, error);
+});
+
+// Load persisted connections, the provenance registry and any cassette being replayed before accepting requests
+Promise.all([
+    loadConnections().catch(error => {
+        console.error('❌ Failed to load token store, starting with no saved connections:', error.message);
+    }),
+    provenance.load(),
+    cassettes.load()
+])
+    .then(() => {
+        app.listen(PORT, () => {
+            console.log(`Salesforce Proxy Server running at http://localhost:${PORT}`);
+            console.log(`Open your browser to: http://localhost:${PORT}`);
+        });
+    })
+    .catch(error => {
+        // Serving without the registry or the cassette would give wrong answers
+        console.error('❌ Proxy could not start:', error.message);
+        process.exit(1);
+    });
\ No newline at end of file
@@ -0,0 +1,115 @@
+// =============================================================================
+// SOAP Client - Partner API calls the REST API has no resource for
+// =============================================================================
+//
+// merge() and undelete() only exist in the SOAP API. A call posts one
+// operation inside an envelope carrying the session's access token and
+// resolves to the response's <result> elements. Faults are turned into the
+// errors makeAuthenticatedRequest throws for REST calls, and an expired
+// session is refreshed and the call sent once more.
+
+const SOAP_VERSION = '58.0';
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function unescapeXml(value) {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+// Text of every <tag> element (any namespace prefix) in a SOAP response
+function xmlElements(xml, tag) {
+    const pattern = new RegExp(`<(?:[\\w-]+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, 'g');
+    return [...String(xml).matchAll(pattern)].map(match => match[1]);
+}
+
+function xmlText(xml, tag) {
+    const [value] = xmlElements(xml, tag);
+    return value === undefined ? undefined : unescapeXml(value);
+}
+
+// The errors of a save result, shaped like REST API errors
+function resultErrors(result) {
+    return xmlElements(result, 'errors').map(entry => ({
+        errorCode: xmlText(entry, 'statusCode'),
+        message: xmlText(entry, 'message'),
+        fields: xmlElements(entry, 'fields').map(unescapeXml)
+    }));
+}
+
+function buildEnvelope(sessionId, body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:urn="urn:partner.soap.sforce.com" xmlns:urn1="urn:sobject.partner.soap.sforce.com">
+    <soapenv:Header>
+        <urn:SessionHeader><urn:sessionId>${escapeXml(sessionId)}</urn:sessionId></urn:SessionHeader>
+    </soapenv:Header>
+    <soapenv:Body>
+        ${body}
+    </soapenv:Body>
+</soapenv:Envelope>`;
+}
+
+// A SOAP fault (HTTP 500) as the error makeAuthenticatedRequest would throw
+// for the REST equivalent, so translateError maps it the same way
+function toSalesforceError(error) {
+    const faultCode = xmlText(error.message, 'faultcode');
+    if (!faultCode) {
+        return error;
+    }
+    const errorCode = faultCode.replace(/^\w+:/, '');
+    const message = xmlText(error.message, 'faultstring') || errorCode;
+    return Object.assign(new Error(message), {
+        status: errorCode === 'INVALID_SESSION_ID' ? 401 : 400,
+        errorCode,
+        sfErrors: [{ errorCode, message }]
+    });
+}
+
+function createSoapClient({ makeAuthenticatedRequest, refreshSessionConnection, getConnection }) {
+    // body is the operation element, e.g. <urn:undelete>...</urn:undelete>
+    async function call(req, body, isRetry = false) {
+        const connection = getConnection(req);
+        try {
+            const { data } = await makeAuthenticatedRequest(req, `${connection.instanceUrl}/services/Soap/u/${SOAP_VERSION}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'text/xml; charset=UTF-8',
+                    'SOAPAction': '""'
+                },
+                body: buildEnvelope(connection.accessToken, body)
+            });
+            return xmlElements(data?.rawResponse, 'result');
+        } catch (error) {
+            const translated = toSalesforceError(error);
+            // The session ID travels in the envelope, so an expired one is a
+            // SOAP fault rather than the 401 makeAuthenticatedRequest refreshes on
+            if (translated.errorCode === 'INVALID_SESSION_ID' && !isRetry) {
+                await refreshSessionConnection(req);
+                return call(req, body, true);
+            }
+            throw translated;
+        }
+    }
+
+    return { call };
+}
+
+module.exports = {
+    escapeXml,
+    unescapeXml,
+    xmlElements,
+    xmlText,
+    resultErrors,
+    createSoapClient
+};
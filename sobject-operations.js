@@ -0,0 +1,489 @@
+// =============================================================================
+// sObject Operations - generic CRUD for any standard or custom object
+// =============================================================================
+//
+// Routes are mounted at /api/sf/sobjects. Every request is checked against
+// the object's describe result: only fields the describe lists can be read,
+// and writes go through the record validator (record-validation.js), so
+// callers get a clear 400 listing every bad field instead of a Salesforce
+// error. Writes are registered with the provenance registry (provenance.js),
+// and updates and deletes are written to the audit log (audit-log.js).
+// PUT /:type/by/:field/:value upserts on an external ID field, so
+// other systems can send the same record again without creating a second.
+
+const express = require('express');
+const { getConnection } = require('./auth/session-handler');
+const {
+    resolveFields,
+    parseFieldList,
+    parseOrder,
+    parseLimit,
+    likeContains,
+    buildSoql
+} = require('./query-builder');
+const { rejectOffset, createPaginator } = require('./pagination');
+const { createApiError, sendError } = require('./error-handling');
+
+const API_VERSION = 'v58.0';
+const DESCRIBE_TTL_MS = 15 * 60 * 1000; // describe results rarely change
+const MAX_LIMIT = 200;
+const MAX_LOOKUP_LIMIT = 50;
+const TYPE_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+const ID_PATTERN = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+
+function createSObjectOperations({ makeAuthenticatedRequest, sendAuthenticationRequired, recordValidator, provenance, auditLog, cursorSecret }) {
+    // Describe results keyed by instance URL and lower-case object name
+    const describeCache = new Map();
+
+    // type names the object in "record not found" messages
+    function sendSObjectError(res, error, type) {
+        return sendError(res, error, { type });
+    }
+
+    function requireType(type) {
+        if (!TYPE_PATTERN.test(type)) {
+            throw createApiError(400, 'VALIDATION_ERROR', `Invalid sObject type "${type}"`);
+        }
+    }
+
+    function requireId(id) {
+        if (!ID_PATTERN.test(id)) {
+            throw createApiError(400, 'VALIDATION_ERROR', `Invalid record ID "${id}"`);
+        }
+    }
+
+    // Fetch (or reuse) the describe result for an object as the caller sees
+    // it. Describe reflects the user's field-level security (what is
+    // createable, updateable, visible), so each user has their own entry:
+    // keyed by the identity URL, which names the org and user, or by the
+    // connection when there is none.
+    async function describeSObject(req, type) {
+        requireType(type);
+
+        const connection = getConnection(req);
+        const cacheKey = `${connection.instanceUrl}|${connection.idUrl || connection.id}|${type.toLowerCase()}`;
+        const cached = describeCache.get(cacheKey);
+
+        if (cached && Date.now() - cached.fetchedAt < DESCRIBE_TTL_MS) {
+            return cached.describe;
+        }
+
+        try {
+            const { data } = await makeAuthenticatedRequest(
+                req,
+                `${connection.instanceUrl}/services/data/${API_VERSION}/sobjects/${type}/describe`
+            );
+
+            describeCache.set(cacheKey, { describe: data, fetchedAt: Date.now() });
+            return data;
+
+        } catch (error) {
+            if (error.status === 404) {
+                throw createApiError(404, 'NOT_FOUND', `Unknown sObject type "${type}"`);
+            }
+            throw error;
+        }
+    }
+
+    const { fetchPage } = createPaginator({
+        makeAuthenticatedRequest,
+        describeSObject,
+        filterIds: provenance.filterIds,
+        secret: cursorSecret
+    });
+
+    function requireCapability(describe, capability, action) {
+        if (!describe[capability]) {
+            throw createApiError(400, 'VALIDATION_ERROR', `${describe.name} records cannot be ${action}`);
+        }
+    }
+
+    // The describe name of a field records can be upserted on: an external
+    // ID field, or an idLookup field such as Id
+    function resolveExternalIdField(describe, name) {
+        const field = describe.fields.find(candidate => candidate.name.toLowerCase() === String(name || '').toLowerCase());
+        if (!field || !(field.externalId || field.idLookup)) {
+            throw createApiError(400, 'VALIDATION_ERROR', `externalIdField must be an external ID field of ${describe.name} (or Id)`, {
+                externalIdField: name
+            });
+        }
+        return field.name;
+    }
+
+    // Create or update the record whose externalIdField holds value.
+    // Resolves to { id, created, record } with the fields that were sent.
+    async function upsertRecord(req, type, externalIdField, value, body) {
+        const describe = await describeSObject(req, type);
+        requireCapability(describe, 'createable', 'created');
+        requireCapability(describe, 'updateable', 'updated');
+
+        const fieldName = resolveExternalIdField(describe, externalIdField);
+        const field = describe.fields.find(candidate => candidate.name === fieldName);
+        let matchValue;
+        try {
+            matchValue = recordValidator.coerceValue(field, value);
+        } catch (error) {
+            throw createApiError(400, 'VALIDATION_ERROR', `Invalid ${fieldName} value`, {
+                fields: [{ field: fieldName, message: error.message }]
+            });
+        }
+        if (matchValue === null) {
+            throw createApiError(400, 'VALIDATION_ERROR', `A ${fieldName} value is required to upsert`);
+        }
+
+        // The match value travels in the URL; the body may repeat it but not change it
+        const { [fieldName]: bodyValue, ...record } = recordValidator.requireValidRecord(describe, body, {
+            operation: 'upsert',
+            keyFields: [fieldName]
+        });
+        if (bodyValue !== undefined && bodyValue !== matchValue) {
+            throw createApiError(400, 'VALIDATION_ERROR', `${fieldName} in the body doesn't match the URL`, {
+                fields: [{ field: fieldName, message: `Expected "${matchValue}" as in the URL` }]
+            });
+        }
+
+        console.log(`\n=== Upserting ${describe.name} ===`);
+        console.log(`Match: ${fieldName} = ${matchValue}`);
+        console.log('Record data:', JSON.stringify(record, null, 2));
+
+        const connection = getConnection(req);
+        try {
+            const { response, data } = await makeAuthenticatedRequest(
+                req,
+                `${connection.instanceUrl}/services/data/${API_VERSION}/sobjects/${describe.name}/${fieldName}/${encodeURIComponent(matchValue)}`,
+                {
+                    method: 'PATCH',
+                    // Sending the same upsert twice leaves one record, so it can be retried
+                    idempotent: true,
+                    body: JSON.stringify({ ...record, ...provenance.mirrorValues(req, describe, 'upsert') })
+                }
+            );
+
+            const created = response.status === 201 || data?.created === true;
+            console.log(`✅ ${describe.name} ${created ? 'created' : 'updated'}:`, data?.id);
+
+            await provenance.record(req, describe.name, [{ id: data?.id, operation: created ? 'create' : 'update' }]);
+            await provenance.syncUpsertMirrors(req, describe, [data?.id]);
+            return { id: data?.id || null, created, record };
+
+        } catch (error) {
+            // 300 Multiple Choices: the value matches more than one record
+            if (error.status === 300) {
+                const matches = (error.sfErrors || []).map(url => String(url).split('/').pop());
+                throw createApiError(409, 'DUPLICATE_VALUE', `More than one ${describe.name} has ${fieldName} "${matchValue}"`, {
+                    externalIdField: fieldName,
+                    value: matchValue,
+                    matches
+                });
+            }
+            throw error;
+        }
+    }
+
+    // Fields shown when a list request names none
+    function defaultListFields(describe) {
+        const preferred = ['Id', 'Name', 'CreatedDate', 'LastModifiedDate'];
+        const nameField = describe.fields.find(field => field.nameField);
+        if (nameField) {
+            preferred.splice(1, 1, nameField.name);
+        }
+        const available = new Set(describe.fields.map(field => field.name));
+        return preferred.filter(name => available.has(name));
+    }
+
+    const router = express.Router();
+
+    // Every route needs a Salesforce connection for the routed org
+    router.use((req, res, next) => {
+        if (!getConnection(req)) {
+            return sendAuthenticationRequired(res);
+        }
+        next();
+    });
+
+    // List the org's objects (describeGlobal, trimmed)
+    router.get('/', async (req, res) => {
+        try {
+            const connection = getConnection(req);
+            const { data } = await makeAuthenticatedRequest(
+                req,
+                `${connection.instanceUrl}/services/data/${API_VERSION}/sobjects`
+            );
+
+            res.json({
+                sobjects: data.sobjects.map(sobject => ({
+                    name: sobject.name,
+                    label: sobject.label,
+                    custom: sobject.custom,
+                    queryable: sobject.queryable,
+                    retrieveable: sobject.retrieveable,
+                    createable: sobject.createable,
+                    updateable: sobject.updateable,
+                    deletable: sobject.deletable
+                }))
+            });
+
+        } catch (error) {
+            console.error('❌ List sObjects error:', error);
+            sendSObjectError(res, error, 'sObject');
+        }
+    });
+
+    // Describe passthrough
+    router.get('/:type/describe', async (req, res) => {
+        try {
+            res.json(await describeSObject(req, req.params.type));
+        } catch (error) {
+            console.error('❌ Describe sObject error:', error);
+            sendSObjectError(res, error, req.params.type);
+        }
+    });
+
+    // List records
+    router.get('/:type', async (req, res) => {
+        try {
+            const describe = await describeSObject(req, req.params.type);
+            requireCapability(describe, 'queryable', 'queried');
+
+            rejectOffset(req.query.offset);
+
+            let page;
+            if (req.query.cursor) {
+                console.log(`\n=== Listing ${describe.name} Records (next page) ===`);
+                page = await fetchPage(req, { type: describe.name, cursor: req.query.cursor });
+            } else {
+                const requested = parseFieldList(req.query.fields);
+                const fields = requested.length > 0 ? resolveFields(describe, requested) : defaultListFields(describe);
+                const limit = parseLimit(req.query.limit, 20, MAX_LIMIT);
+                const order = parseOrder(req.query.order);
+
+                const defaultOrderBy = describe.fields.some(field => field.name === 'LastModifiedDate') ? 'LastModifiedDate' : 'Id';
+                const [orderBy] = resolveFields(describe, [req.query.orderBy || defaultOrderBy], field => field.sortable, 'sortable');
+
+                console.log(`\n=== Listing ${describe.name} Records ===`);
+                console.log(`Fields: ${fields.join(',')}, Limit: ${limit}, OrderBy: ${orderBy} ${order}`);
+
+                page = await fetchPage(req, { type: describe.name, fields, where: [], orderBy, order, limit });
+            }
+
+            console.log(`✅ Retrieved ${page.records.length} of ${page.totalSize} ${describe.name} records`);
+
+            res.json({
+                totalSize: page.totalSize,
+                done: page.done,
+                nextCursor: page.nextCursor,
+                nextRecordsUrl: page.nextCursor
+                    ? `/api/sf/sobjects/${describe.name}?cursor=${encodeURIComponent(page.nextCursor)}`
+                    : null,
+                records: page.records
+            });
+
+        } catch (error) {
+            console.error('❌ List sObject records error:', error);
+            sendSObjectError(res, error, req.params.type);
+        }
+    });
+
+    // Lookup search - records whose name field contains q, for reference pickers
+    router.get('/:type/lookup', async (req, res) => {
+        try {
+            const describe = await describeSObject(req, req.params.type);
+            requireCapability(describe, 'queryable', 'queried');
+
+            const nameField = describe.fields.find(field => field.nameField);
+            if (!nameField) {
+                throw createApiError(400, 'VALIDATION_ERROR', `${describe.name} has no name field to search`);
+            }
+
+            const query = buildSoql(describe, {
+                fields: ['Id', nameField.name],
+                where: [{ field: nameField.name, operator: 'LIKE', value: likeContains(req.query.q || '') }],
+                orderBy: nameField.name,
+                order: 'ASC',
+                limit: parseLimit(req.query.limit, 10, MAX_LOOKUP_LIMIT)
+            });
+
+            const connection = getConnection(req);
+            const { data } = await makeAuthenticatedRequest(
+                req,
+                `${connection.instanceUrl}/services/data/${API_VERSION}/query?q=${encodeURIComponent(query)}`
+            );
+
+            res.json({
+                nameField: nameField.name,
+                records: data.records.map(record => ({
+                    Id: record.Id,
+                    Name: record[nameField.name]
+                }))
+            });
+
+        } catch (error) {
+            console.error('❌ Lookup sObject records error:', error);
+            sendSObjectError(res, error, req.params.type);
+        }
+    });
+
+    // Get record by ID
+    router.get('/:type/:id', async (req, res) => {
+        try {
+            requireId(req.params.id);
+            const describe = await describeSObject(req, req.params.type);
+            requireCapability(describe, 'retrieveable', 'retrieved');
+
+            const requested = parseFieldList(req.query.fields);
+            const fields = requested.length > 0 ? resolveFields(describe, requested) : [];
+            const connection = getConnection(req);
+            const url = `${connection.instanceUrl}/services/data/${API_VERSION}/sobjects/${describe.name}/${req.params.id}` +
+                (fields.length > 0 ? `?fields=${encodeURIComponent(fields.join(','))}` : '');
+
+            const { data } = await makeAuthenticatedRequest(req, url);
+
+            res.json(data);
+
+        } catch (error) {
+            console.error('❌ Get sObject record error:', error);
+            sendSObjectError(res, error, req.params.type);
+        }
+    });
+
+    // Create record
+    router.post('/:type', async (req, res) => {
+        try {
+            const describe = await describeSObject(req, req.params.type);
+            requireCapability(describe, 'createable', 'created');
+
+            const record = recordValidator.requireValidRecord(describe, req.body, { operation: 'create' });
+
+            console.log(`\n=== Creating ${describe.name} ===`);
+            console.log('Record data:', JSON.stringify(record, null, 2));
+
+            const connection = getConnection(req);
+            const { data } = await makeAuthenticatedRequest(
+                req,
+                `${connection.instanceUrl}/services/data/${API_VERSION}/sobjects/${describe.name}`,
+                {
+                    method: 'POST',
+                    body: JSON.stringify({ ...record, ...provenance.mirrorValues(req, describe, 'create') })
+                }
+            );
+
+            console.log(`✅ ${describe.name} created successfully:`, data.id);
+            await provenance.record(req, describe.name, [{ id: data.id, operation: 'create' }]);
+
+            res.status(201).json({
+                id: data.id,
+                success: true,
+                created: true
+            });
+
+        } catch (error) {
+            console.error('❌ Create sObject record error:', error);
+            sendSObjectError(res, error, req.params.type);
+        }
+    });
+
+    // Update record - PUT and PATCH both send Salesforce a PATCH of the given fields
+    async function updateRecord(req, res) {
+        try {
+            requireId(req.params.id);
+            const describe = await describeSObject(req, req.params.type);
+            requireCapability(describe, 'updateable', 'updated');
+
+            const record = recordValidator.requireValidRecord(describe, req.body, { operation: 'update' });
+
+            console.log(`\n=== Updating ${describe.name} ===`);
+            console.log('Record ID:', req.params.id);
+            console.log('Update data:', JSON.stringify(record, null, 2));
+
+            const connection = getConnection(req);
+            await auditLog.auditedWrite(req, { type: describe.name, id: req.params.id, operation: 'update', values: record }, () =>
+                makeAuthenticatedRequest(
+                    req,
+                    `${connection.instanceUrl}/services/data/${API_VERSION}/sobjects/${describe.name}/${req.params.id}`,
+                    {
+                        method: 'PATCH',
+                        body: JSON.stringify({ ...record, ...provenance.mirrorValues(req, describe, 'update', req.params.id) })
+                    }
+                )
+            );
+
+            console.log(`✅ ${describe.name} updated successfully`);
+            await provenance.record(req, describe.name, [{ id: req.params.id, operation: 'update' }]);
+
+            res.json({
+                id: req.params.id,
+                success: true,
+                updated: Object.keys(record)
+            });
+
+        } catch (error) {
+            console.error('❌ Update sObject record error:', error);
+            sendSObjectError(res, error, req.params.type);
+        }
+    }
+
+    router.put('/:type/:id', updateRecord);
+    router.patch('/:type/:id', updateRecord);
+
+    // Upsert record by external ID - 201 when it was created, 200 when updated
+    router.put('/:type/by/:field/:value', async (req, res) => {
+        try {
+            const { id, created } = await upsertRecord(req, req.params.type, req.params.field, req.params.value, req.body);
+
+            res.status(created ? 201 : 200).json({
+                id,
+                success: true,
+                created
+            });
+
+        } catch (error) {
+            console.error('❌ Upsert sObject record error:', error);
+            sendSObjectError(res, error, req.params.type);
+        }
+    });
+
+    // Delete record
+    router.delete('/:type/:id', async (req, res) => {
+        try {
+            requireId(req.params.id);
+            const describe = await describeSObject(req, req.params.type);
+            requireCapability(describe, 'deletable', 'deleted');
+
+            console.log(`\n=== Deleting ${describe.name} ===`);
+            console.log('Record ID:', req.params.id);
+
+            const connection = getConnection(req);
+            await auditLog.auditedWrite(req, { type: describe.name, id: req.params.id, operation: 'delete' }, () =>
+                makeAuthenticatedRequest(
+                    req,
+                    `${connection.instanceUrl}/services/data/${API_VERSION}/sobjects/${describe.name}/${req.params.id}`,
+                    {
+                        method: 'DELETE'
+                    }
+                )
+            );
+
+            console.log(`✅ ${describe.name} deleted successfully`);
+            await provenance.record(req, describe.name, [{ id: req.params.id, operation: 'delete' }]);
+
+            res.status(204).send();
+
+        } catch (error) {
+            console.error('❌ Delete sObject record error:', error);
+            sendSObjectError(res, error, req.params.type);
+        }
+    });
+
+    return {
+        router,
+        describeSObject,
+        fetchPage,
+        resolveExternalIdField,
+        upsertRecord,
+        sendSObjectError
+    };
+}
+
+module.exports = {
+    createSObjectOperations
+};
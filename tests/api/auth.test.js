@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert');
+const { MOCK_USER, startMock, startProxy, createClient } = require('./harness');
+
+const JWT_API_KEY = 'api-test-jwt-key';
+
+let mock;
+let proxy;
+
+function jwtSettings(extra = {}) {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    return {
+        SF_JWT_USERNAME: MOCK_USER.username,
+        SF_JWT_PRIVATE_KEY: privateKey.export({ type: 'pkcs8', format: 'pem' }).replace(/\n/g, '\\n'),
+        SF_JWT_API_KEY: '',
+        ...extra
+    };
+}
+
+test.before(async () => {
+    mock = await startMock();
+    proxy = await startProxy({ instanceUrl: mock.url, env: jwtSettings({ SF_JWT_API_KEY: JWT_API_KEY }) });
+});
+
+test.after(async () => {
+    await proxy?.stop();
+    await mock?.stop();
+});
+
+test('logs in with the password flow and reports the connection', async () => {
+    const client = createClient(proxy.url);
+
+    const login = await client.login();
+    assert.strictEqual(login.status, 200);
+    assert.strictEqual(login.data.success, true);
+    assert.strictEqual(login.data.instanceUrl, mock.url);
+
+    const status = await client.get('/api/sf/auth/status');
+    assert.strictEqual(status.data.authenticated, true);
+    assert.strictEqual(status.data.connection.source, 'password');
+});
+
+test('stores tokens encrypted with TOKEN_ENCRYPTION_KEY', async () => {
+    const client = createClient(proxy.url);
+    await client.login();
+
+    const status = await client.get('/api/sf/auth/status');
+    assert.strictEqual(status.data.connection.storage, 'file');
+
+    const stored = JSON.parse(fs.readFileSync(path.join(proxy.dataDir, 'sf-tokens.json'), 'utf8'));
+    const connections = Object.values(stored.connections);
+    assert.ok(connections.length > 0);
+    assert.ok(connections.every(connection => connection.accessToken.startsWith('v1:')));
+});
+
+test('keeps tokens in memory only without TOKEN_ENCRYPTION_KEY', async () => {
+    const unkeyed = await startProxy({ instanceUrl: mock.url, env: { TOKEN_ENCRYPTION_KEY: '' } });
+    try {
+        const client = createClient(unkeyed.url);
+        assert.strictEqual((await client.login()).status, 200);
+
+        const status = await client.get('/api/sf/auth/status');
+        assert.strictEqual(status.data.connection.storage, 'memory');
+        assert.strictEqual(fs.existsSync(path.join(unkeyed.dataDir, 'sf-tokens.json')), false);
+    } finally {
+        await unkeyed.stop();
+    }
+});
+
+test('rejects a wrong password in the error envelope', async () => {
+    const client = createClient(proxy.url);
+
+    const login = await client.login({ ...MOCK_USER, password: 'wrong-password' });
+    assert.strictEqual(login.status, 401);
+    assert.strictEqual(login.data.error.code, 'AUTHENTICATION_FAILURE');
+    assert.ok(login.data.error.timestamp);
+    assert.strictEqual(login.data.error.requestId, login.headers.get('x-request-id'));
+});
+
+test('takes the password flow credentials from the body only', async () => {
+    const client = createClient(proxy.url);
+
+    const login = await client.post('/api/sf/auth/password', {});
+    assert.strictEqual(login.status, 400);
+    assert.strictEqual(login.data.error.code, 'VALIDATION_ERROR');
+});
+
+test('logs in as the integration user with the JWT API key', async () => {
+    const client = createClient(proxy.url);
+
+    const login = await client.post('/api/sf/auth/jwt', {}, { 'X-Api-Key': JWT_API_KEY });
+    assert.strictEqual(login.status, 200);
+    assert.strictEqual((await client.get('/api/sf/auth/status')).data.connection.source, 'jwt_bearer');
+});
+
+test('refuses the JWT bearer flow without the right API key', async () => {
+    const client = createClient(proxy.url);
+
+    for (const headers of [{}, { 'X-Api-Key': 'wrong-key' }]) {
+        const login = await client.post('/api/sf/auth/jwt', {}, headers);
+        assert.strictEqual(login.status, 401);
+        assert.strictEqual(login.data.error.code, 'AUTHENTICATION_FAILURE');
+    }
+    assert.strictEqual((await client.get('/api/sf/auth/status')).data.authenticated, false);
+});
+
+test('refuses the JWT bearer flow when no API key is configured', async () => {
+    const unkeyed = await startProxy({ instanceUrl: mock.url, env: jwtSettings() });
+    try {
+        const login = await createClient(unkeyed.url).post('/api/sf/auth/jwt', {}, { 'X-Api-Key': '' });
+        assert.strictEqual(login.status, 500);
+        assert.strictEqual(login.data.error.code, 'CONFIGURATION_ERROR');
+    } finally {
+        await unkeyed.stop();
+    }
+});
+
+test('refuses a username chosen for the JWT bearer flow', async () => {
+    const client = createClient(proxy.url);
+
+    const login = await client.post('/api/sf/auth/jwt', { username: 'sam.sales@mock.example' }, { 'X-Api-Key': JWT_API_KEY });
+    assert.strictEqual(login.status, 400);
+    assert.strictEqual(login.data.error.code, 'VALIDATION_ERROR');
+    assert.match(login.data.error.message, /SF_JWT_USERNAME/);
+});
+
+test('requires a connection for API calls', async () => {
+    const client = createClient(proxy.url);
+
+    const response = await client.get('/api/sf/contacts');
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(response.data.error.code, 'AUTHENTICATION_REQUIRED');
+});
+
+test('keeps each session to its own connection and ends it on logout', async () => {
+    const first = createClient(proxy.url);
+    const second = createClient(proxy.url);
+    await first.login();
+
+    assert.strictEqual((await second.get('/api/sf/auth/status')).data.authenticated, false);
+
+    const logout = await first.post('/api/sf/auth/logout');
+    assert.strictEqual(logout.status, 200);
+    assert.strictEqual((await first.get('/api/sf/auth/status')).data.authenticated, false);
+    assert.strictEqual((await first.get('/api/sf/contacts')).status, 401);
+});
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { MOCK_USER, SEED, startMock, startProxy, createClient } = require('./harness');
+
+const EXTERNAL_ID = 'CUST-4411-7723';
+const CONTACT = { FirstName: 'Margaret', LastName: 'Hamilton', Email: 'margaret.hamilton@apollo.example' };
+
+let dir;
+let cassettePath;
+let instanceUrl;
+let recorded;
+
+// One recorded session shared by the tests: log in, read a contact, upsert by external ID
+test.before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-cassette-test-'));
+    cassettePath = path.join(dir, 'cassette.jsonl');
+
+    const mock = await startMock();
+    instanceUrl = mock.url;
+    const proxy = await startProxy({
+        instanceUrl: mock.url,
+        env: { SF_CASSETTE_MODE: 'record', SF_CASSETTE_PATH: cassettePath }
+    });
+
+    try {
+        const client = createClient(proxy.url);
+        recorded = {
+            login: await client.login(),
+            contact: await client.get(`/api/sf/contacts/${SEED.adaLovelace}`),
+            upsert: await client.put(`/api/sf/contacts/by/External_Id__c/${EXTERNAL_ID}`, CONTACT)
+        };
+    } finally {
+        await proxy.stop();
+        await mock.stop();
+    }
+});
+
+test.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('records the session', () => {
+    assert.strictEqual(recorded.login.status, 200);
+    assert.strictEqual(recorded.contact.status, 200);
+    assert.strictEqual(recorded.upsert.status, 201);
+
+    const lines = fs.readFileSync(cassettePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.ok(lines.some(({ request }) => request.url.endsWith('/services/oauth2/token')));
+    assert.ok(lines.some(({ request }) => request.url.includes(`/sobjects/Contact/${SEED.adaLovelace}`)));
+});
+
+test('leaves no credentials or personal data in the cassette', () => {
+    const cassette = fs.readFileSync(cassettePath, 'utf8');
+
+    [
+        MOCK_USER.username,
+        MOCK_USER.password,
+        MOCK_USER.securityToken,
+        'mock-client-secret',
+        'Lovelace',
+        'ada.lovelace@globex.example',
+        CONTACT.LastName,
+        CONTACT.Email,
+        EXTERNAL_ID
+    ].forEach(value => {
+        assert.ok(!cassette.includes(value), `cassette contains ${value}`);
+    });
+
+    // Tokens are replaced outright; personal data keeps a stable pseudonym
+    const grant = cassette.trim().split('\n').map(line => JSON.parse(line))
+        .find(({ request }) => request.url.endsWith('/services/oauth2/token'));
+    assert.strictEqual(JSON.parse(grant.response.body).access_token, '[REDACTED]');
+    assert.match(cassette, /redacted-[0-9a-f]{8}/);
+});
+
+test('replays the session without Salesforce', async () => {
+    // The mock has stopped, so every answer comes from the cassette
+    const proxy = await startProxy({
+        instanceUrl,
+        env: { SF_CASSETTE_MODE: 'replay', SF_CASSETTE_PATH: cassettePath }
+    });
+
+    try {
+        const client = createClient(proxy.url);
+        assert.strictEqual((await client.login()).status, 200);
+
+        const contact = await client.get(`/api/sf/contacts/${SEED.adaLovelace}`);
+        assert.strictEqual(contact.status, 200);
+        assert.strictEqual(contact.data.Id, SEED.adaLovelace);
+        assert.match(contact.data.LastName, /^redacted-[0-9a-f]{8}$/);
+
+        const unrecorded = await client.get(`/api/sf/contacts/${SEED.kenjiNakamura}`);
+        assert.strictEqual(unrecorded.status, 502);
+        assert.strictEqual(unrecorded.data.error.code, 'CASSETTE_MISS');
+    } finally {
+        await proxy.stop();
+    }
+});
+
+test('streams a response too large to record and leaves it out of the cassette', async () => {
+    const largePath = path.join(dir, 'large.jsonl');
+    const mock = await startMock();
+    const proxy = await startProxy({
+        instanceUrl: mock.url,
+        env: { SF_CASSETTE_MODE: 'record', SF_CASSETTE_PATH: largePath, SF_CASSETTE_MAX_BODY_BYTES: '2000' }
+    });
+
+    try {
+        const client = createClient(proxy.url);
+        await client.login();
+
+        const exported = await client.get('/api/sf/contacts/export?format=jsonl');
+        assert.strictEqual(exported.status, 200);
+        assert.strictEqual(exported.data.trim().split('\n').length, SEED.contactCount);
+        // Cassette writes are queued, so this one is written after the export's
+        assert.strictEqual((await client.get(`/api/sf/contacts/${SEED.adaLovelace}`)).status, 200);
+    } finally {
+        await proxy.stop();
+        await mock.stop();
+    }
+
+    const lines = fs.readFileSync(largePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    const query = lines.find(({ request }) => request.url.includes('/query?'));
+    assert.strictEqual(query.response.body, null);
+    assert.strictEqual(query.response.bodyOmitted, 'too-large');
+    assert.ok(query.response.bodyBytes > 2000);
+    assert.ok(lines.find(({ request }) => request.url.includes(`/sobjects/Contact/${SEED.adaLovelace}`)).response.body);
+
+    const replaying = await startProxy({ instanceUrl: mock.url, env: { SF_CASSETTE_MODE: 'replay', SF_CASSETTE_PATH: largePath } });
+    try {
+        const client = createClient(replaying.url);
+        await client.login();
+
+        const exported = await client.get('/api/sf/contacts/export?format=jsonl');
+        assert.strictEqual(exported.status, 502);
+        assert.strictEqual(exported.data.error.code, 'CASSETTE_MISS');
+    } finally {
+        await replaying.stop();
+    }
+});
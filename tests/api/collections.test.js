@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SEED, startMock, startProxy, createClient } = require('./harness');
+
+let mock;
+let proxy;
+let client;
+
+test.before(async () => {
+    mock = await startMock();
+    proxy = await startProxy({ instanceUrl: mock.url });
+    client = createClient(proxy.url);
+    await client.login();
+});
+
+test.beforeEach(() => mock.reset());
+
+test.after(async () => {
+    await proxy?.stop();
+    await mock?.stop();
+});
+
+test('creates the valid records and reports the invalid ones', async () => {
+    const response = await client.post('/api/sf/contacts/bulk', {
+        operation: 'create',
+        records: [{ LastName: 'Liskov' }, { FirstName: 'Nameless' }]
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.data.hasErrors, true);
+    assert.deepStrictEqual(response.data.summary, { total: 2, successful: 1, failed: 1 });
+
+    const [created, refused] = response.data.results;
+    assert.strictEqual((await client.get(`/api/sf/contacts/${created.id}`)).data.LastName, 'Liskov');
+    assert.deepStrictEqual(refused.errors.map(error => error.fields), [['LastName']]);
+});
+
+test('creates nothing when allOrNone and one record is invalid', async () => {
+    const response = await client.post('/api/sf/contacts/bulk', {
+        operation: 'create',
+        allOrNone: true,
+        records: [{ LastName: 'Liskov' }, { FirstName: 'Nameless' }]
+    });
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.data.error.code, 'VALIDATION_ERROR');
+    assert.deepStrictEqual(response.data.error.details.records.map(record => record.index), [1]);
+
+    const list = await client.get('/api/sf/contacts?limit=100');
+    assert.strictEqual(list.data.totalSize, SEED.contactCount);
+});
+
+test('updates and deletes by Id with a result for each record', async () => {
+    const missing = '0035g000000000ZZAQ';
+
+    const updated = await client.post('/api/sf/contacts/bulk', {
+        operation: 'update',
+        records: [{ Id: SEED.adaLovelace, Title: 'Countess' }, { Id: missing, Title: 'Nobody' }]
+    });
+    assert.deepStrictEqual(updated.data.results.map(result => [result.id, result.success]), [[SEED.adaLovelace, true], [missing, false]]);
+    assert.strictEqual((await client.get(`/api/sf/contacts/${SEED.adaLovelace}`)).data.Title, 'Countess');
+
+    const deleted = await client.post('/api/sf/contacts/bulk', { operation: 'delete', ids: [SEED.kenjiNakamura] });
+    assert.strictEqual(deleted.data.hasErrors, false);
+    assert.strictEqual((await client.get(`/api/sf/contacts/${SEED.kenjiNakamura}`)).status, 410);
+});
+
+test('refuses an unknown operation', async () => {
+    const response = await client.post('/api/sf/contacts/bulk', { operation: 'truncate', records: [] });
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.data.error.code, 'VALIDATION_ERROR');
+});
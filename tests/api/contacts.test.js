@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SEED, startMock, startProxy, createClient } = require('./harness');
+
+let mock;
+let proxy;
+let client;
+
+test.before(async () => {
+    mock = await startMock();
+    proxy = await startProxy({ instanceUrl: mock.url });
+    client = createClient(proxy.url);
+    await client.login();
+});
+
+test.beforeEach(() => mock.reset());
+
+test.after(async () => {
+    await proxy?.stop();
+    await mock?.stop();
+});
+
+test('reports every invalid field of a new contact at once', async () => {
+    const response = await client.post('/api/sf/contacts', { FirstName: 'Edsger', Email: 'not-an-email' });
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.data.error.code, 'VALIDATION_ERROR');
+    assert.deepStrictEqual(response.data.error.details.fields.map(({ field }) => field).sort(), ['Email', 'LastName']);
+});
+
+test('refuses fields that are not on Contact or values too long for them', async () => {
+    const unknown = await client.patch(`/api/sf/contacts/${SEED.adaLovelace}`, { Nickname__c: 'Ada' });
+    assert.strictEqual(unknown.status, 400);
+    assert.deepStrictEqual(unknown.data.error.details.fields.map(({ field }) => field), ['Nickname__c']);
+
+    const tooLong = await client.patch(`/api/sf/contacts/${SEED.adaLovelace}`, { FirstName: 'A'.repeat(41) });
+    assert.strictEqual(tooLong.status, 400);
+    assert.deepStrictEqual(tooLong.data.error.details.fields.map(({ field }) => field), ['FirstName']);
+});
+
+test('creates, reads, updates and deletes a contact', async () => {
+    const created = await client.post('/api/sf/contacts', { FirstName: 'Edsger', LastName: 'Dijkstra', Email: 'edsger@example.nl' });
+    assert.strictEqual(created.status, 201);
+    const { id } = created.data;
+
+    const read = await client.get(`/api/sf/contacts/${id}`);
+    assert.strictEqual(read.status, 200);
+    assert.strictEqual(read.data.LastName, 'Dijkstra');
+
+    const updated = await client.patch(`/api/sf/contacts/${id}`, { Title: 'Professor' });
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual((await client.get(`/api/sf/contacts/${id}`)).data.Title, 'Professor');
+
+    const deleted = await client.delete(`/api/sf/contacts/${id}`);
+    assert.strictEqual(deleted.status, 204);
+
+    const gone = await client.get(`/api/sf/contacts/${id}`);
+    assert.strictEqual(gone.status, 410);
+    assert.strictEqual(gone.data.error.code, 'DELETED');
+});
+
+test('offers the existing contact when a new one has its email', async () => {
+    const response = await client.post('/api/sf/contacts', { LastName: 'King', Email: 'ada.lovelace@globex.example' });
+
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual(response.data.error.code, 'DUPLICATE_VALUE');
+});
@@ -0,0 +1,220 @@
+// =============================================================================
+// API Test Harness - the mock org and a proxy pointed at it
+// =============================================================================
+//
+// startMock() and startProxy() run mock-salesforce/server.js and
+// salesforce-proxy.js as child processes on free ports, like the Playwright
+// suite does. The proxy keeps its tokens, audit log and provenance registry
+// in a temporary directory so runs never touch .data/. Each client holds its
+// own session cookie, like a separate browser.
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const fetch = require('node-fetch');
+
+const ROOT = path.join(__dirname, '..', '..');
+const STARTUP_TIMEOUT_MS = 15000;
+const MOCK_USER = {
+    username: 'admin@mock.example',
+    password: 'mock-password',
+    securityToken: 'MOCKTOKEN'
+};
+
+// Seeded records the tests refer to (mock-salesforce/seed-data.js)
+const SEED = {
+    contactCount: 12,
+    adaLovelace: '0035g000000000CAAQ',
+    kenjiNakamura: '0035g000000000IAAQ',
+    account: '0015g0000000008AAA'
+};
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Start a server script and resolve once readyUrl answers; stop() ends it
+async function startServer(script, env, readyUrl) {
+    let output = '';
+    const child = spawn(process.execPath, [path.join(ROOT, script)], {
+        cwd: ROOT,
+        env: { ...process.env, ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    // Kept for the failure message when the server doesn't come up
+    const collect = chunk => {
+        output = (output + chunk).slice(-4000);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    const stop = async () => {
+        if (child.exitCode === null && child.signalCode === null) {
+            child.kill();
+        }
+        await exited;
+    };
+
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (true) {
+        if (child.exitCode !== null) {
+            throw new Error(`${script} exited with code ${child.exitCode}:\n${output}`);
+        }
+        try {
+            const response = await fetch(readyUrl);
+            if (response.ok) {
+                return { stop };
+            }
+        } catch (error) {
+            // Not listening yet
+        }
+        if (Date.now() > deadline) {
+            await stop();
+            throw new Error(`${script} did not start within ${STARTUP_TIMEOUT_MS}ms:\n${output}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+}
+
+async function startMock() {
+    const port = await freePort();
+    const url = `http://localhost:${port}`;
+    const server = await startServer('mock-salesforce/server.js', {
+        MOCK_SF_PORT: String(port),
+        MOCK_SF_CLIENT_ID: 'mock-client-id',
+        MOCK_SF_CLIENT_SECRET: 'mock-client-secret'
+    }, `${url}/__mock/health`);
+
+    return {
+        url,
+        stop: server.stop,
+        // Back to the seeded org with no faults armed
+        reset: async () => {
+            const response = await fetch(`${url}/__mock/reset`, { method: 'POST' });
+            if (!response.ok) {
+                throw new Error(`Mock reset failed with ${response.status}`);
+            }
+        }
+    };
+}
+
+// env is added to (and overrides) the proxy's settings, e.g. SF_CASSETTE_MODE
+async function startProxy({ instanceUrl, env = {} }) {
+    const port = await freePort();
+    const url = `http://localhost:${port}`;
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-proxy-api-'));
+
+    const server = await startServer('salesforce-proxy.js', {
+        PORT: String(port),
+        SF_INSTANCE_URL: instanceUrl,
+        SF_CLIENT_ID: 'mock-client-id',
+        SF_CLIENT_SECRET: 'mock-client-secret',
+        SF_REDIRECT_URI: `${url}/api/sf/auth/callback`,
+        SF_ORGS: '',
+        SESSION_SECRET: 'api-test-session-secret',
+        TOKEN_STORE: 'file',
+        TOKEN_ENCRYPTION_KEY: 'api-test-token-encryption-key',
+        TOKEN_STORE_PATH: path.join(dataDir, 'sf-tokens.json'),
+        SF_PROVENANCE_PATH: path.join(dataDir, 'sf-provenance.json'),
+        SF_AUDIT_LOG_PATH: path.join(dataDir, 'sf-audit.jsonl'),
+        ...env
+    }, `${url}/api/sf/orgs`);
+
+    return {
+        url,
+        dataDir,
+        stop: async () => {
+            await server.stop();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+// A JSON client with a cookie jar; responses resolve to { status, headers, data }
+function createClient(baseUrl) {
+    const cookies = new Map();
+
+    async function request(method, url, body, extraHeaders = {}) {
+        const headers = { ...extraHeaders };
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+        if (cookies.size > 0) {
+            headers.Cookie = Array.from(cookies, ([name, value]) => `${name}=${value}`).join('; ');
+        }
+
+        const response = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body),
+            redirect: 'manual'
+        });
+
+        (response.headers.raw()['set-cookie'] || []).forEach(cookie => {
+            const [pair] = cookie.split(';');
+            const separator = pair.indexOf('=');
+            cookies.set(pair.slice(0, separator).trim(), pair.slice(separator + 1));
+        });
+
+        const text = await response.text();
+        let data = null;
+        if (text) {
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                data = text;
+            }
+        }
+
+        return { status: response.status, headers: response.headers, data };
+    }
+
+    return {
+        get: (url, headers) => request('GET', url, undefined, headers),
+        post: (url, body, headers) => request('POST', url, body, headers),
+        put: (url, body) => request('PUT', url, body),
+        patch: (url, body) => request('PATCH', url, body),
+        delete: url => request('DELETE', url),
+        login: (credentials = MOCK_USER) => request('POST', '/api/sf/auth/password', credentials)
+    };
+}
+
+// Follow nextCursor from the first page to the last, returning every page
+async function readAllPages(client, url) {
+    const pages = [];
+    let page = (await client.get(url)).data;
+    pages.push(page);
+
+    // The cursor holds the whole query, so it replaces the other parameters
+    const base = url.split('?')[0];
+    while (page.nextCursor) {
+        const response = await client.get(`${base}?cursor=${encodeURIComponent(page.nextCursor)}`);
+        if (response.status !== 200) {
+            throw new Error(`Page ${pages.length + 1} failed: ${JSON.stringify(response.data)}`);
+        }
+        page = response.data;
+        pages.push(page);
+    }
+
+    return pages;
+}
+
+module.exports = {
+    MOCK_USER,
+    SEED,
+    startMock,
+    startProxy,
+    createClient,
+    readAllPages
+};
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { startMock, startProxy, createClient } = require('./harness');
+
+// A stand-in for the parts of the HubSpot API the proxy calls. Contact IDs
+// pick the answer: 404 and 500 fail with that status, anything else is found.
+function createFakeHubSpot() {
+    const app = express();
+    app.use(express.json());
+    const calls = [];
+
+    app.use((req, res, next) => {
+        calls.push({ method: req.method, path: req.path, body: req.body });
+        next();
+    });
+
+    app.post('/oauth/v1/token', express.urlencoded({ extended: false }), (req, res) => {
+        res.json({ access_token: 'hs-access-token', refresh_token: 'hs-refresh-token', expires_in: 1800 });
+    });
+
+    app.get('/crm/v3/objects/contacts/:id', (req, res) => {
+        const status = Number(req.params.id);
+        if (status === 404 || status === 500) {
+            return res.status(status).json({ status: 'error', message: `HubSpot says ${status}`, category: 'OBJECT_NOT_FOUND' });
+        }
+        res.json({ id: req.params.id, properties: { email: 'found@example.com' } });
+    });
+
+    app.post('/crm/v3/objects/contacts/search', (req, res) => {
+        res.json({ total: 0, results: [] });
+    });
+
+    // Results come back in reverse order, as HubSpot doesn't promise input order
+    app.post('/crm/v3/objects/contacts/batch/create', (req, res) => {
+        const results = req.body.inputs.map(({ properties }, index) => ({
+            id: String(9000 + index),
+            properties: { ...properties, email: properties.email?.toLowerCase() }
+        }));
+        res.status(201).json({ status: 'COMPLETE', results: results.reverse() });
+    });
+
+    return { app, calls };
+}
+
+let mock;
+let hubspot;
+let hubspotServer;
+let proxy;
+let client;
+
+test.before(async () => {
+    hubspot = createFakeHubSpot();
+    hubspotServer = await new Promise(resolve => {
+        const server = hubspot.app.listen(0, () => resolve(server));
+    });
+
+    mock = await startMock();
+    proxy = await startProxy({
+        instanceUrl: mock.url,
+        env: {
+            HS_CLIENT_ID: 'hs-client-id',
+            HS_CLIENT_SECRET: 'hs-client-secret',
+            HS_API_BASE_URL: `http://localhost:${hubspotServer.address().port}`
+        }
+    });
+
+    // The authorization code flow, with the browser's part done by hand
+    client = createClient(proxy.url);
+    const { data } = await client.get('/api/hs/auth/login');
+    const state = new URL(data.authUrl).searchParams.get('state');
+    const callback = await client.get(`/api/hs/auth/callback?code=hs-code&state=${state}`);
+    assert.match(callback.headers.get('location'), /hubspot_auth=success/);
+});
+
+test.after(async () => {
+    await proxy?.stop();
+    await mock?.stop();
+    hubspotServer?.closeAllConnections();
+    await new Promise(resolve => (hubspotServer ? hubspotServer.close(resolve) : resolve()));
+});
+
+test('answers a missing contact with the shared NOT_FOUND code', async () => {
+    const response = await client.get('/api/hs/contacts/404');
+
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual(response.data.error.code, 'NOT_FOUND');
+    assert.strictEqual(response.data.error.message, 'Contact with ID 404 not found');
+    assert.strictEqual(response.data.error.requestId, response.headers.get('x-request-id'));
+});
+
+test('answers a HubSpot server error with 502', async () => {
+    const response = await client.get('/api/hs/contacts/500');
+
+    assert.strictEqual(response.status, 502);
+    assert.strictEqual(response.data.error.code, 'HUBSPOT_ERROR');
+    assert.strictEqual(response.data.error.details.hubspotStatus, 500);
+});
+
+test('matches created contacts by email and leaves one without an email unknown', async () => {
+    const response = await client.post('/api/hs/contacts/bulk', {
+        operation: 'create',
+        contacts: [
+            { email: 'First@Example.com', firstname: 'First' },
+            { firstname: 'NoEmail' },
+            { email: 'third@example.com', firstname: 'Third' }
+        ]
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.data.results.map(result => [result.id, result.success]), [['9000', true], [null, null], ['9002', true]]);
+    assert.deepStrictEqual(response.data.summary, { total: 3, successful: 2, failed: 0, unknown: 1 });
+});
+
+test('refuses a limit that is not a positive integer', async () => {
+    const before = hubspot.calls.length;
+
+    for (const limit of ['-5', '0', 'abc', '2.5']) {
+        const response = await client.get(`/api/hs/contacts?limit=${limit}`);
+        assert.strictEqual(response.status, 400, `limit=${limit}`);
+        assert.strictEqual(response.data.error.code, 'VALIDATION_ERROR');
+    }
+    assert.strictEqual(hubspot.calls.length, before);
+
+    const capped = await client.get('/api/hs/contacts?limit=500');
+    assert.strictEqual(capped.status, 200);
+    assert.strictEqual(hubspot.calls[hubspot.calls.length - 1].body.limit, 100);
+});
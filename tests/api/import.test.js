@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fetch = require('node-fetch');
+const { SEED, startMock, startProxy, createClient } = require('./harness');
+
+const CSV = 'First,Last,E-mail\nGrace,Brewster,grace.brewster@example.org\n,NoFirst,bad-email\n';
+const MAPPING = { First: 'FirstName', Last: 'LastName', 'E-mail': 'Email' };
+
+let mock;
+let proxy;
+let client;
+
+test.before(async () => {
+    mock = await startMock();
+    proxy = await startProxy({ instanceUrl: mock.url });
+    client = createClient(proxy.url);
+    await client.login();
+});
+
+test.beforeEach(() => mock.reset());
+
+test.after(async () => {
+    await proxy?.stop();
+    await mock?.stop();
+});
+
+test('suggests a mapping for the file columns', async () => {
+    const response = await client.post('/api/sf/contacts/import/preview', { content: CSV, format: 'csv' });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.data.rowCount, 2);
+    assert.deepStrictEqual(response.data.suggestedMapping, MAPPING);
+});
+
+test('checks every row on a dry run without creating any', async () => {
+    const response = await client.post('/api/sf/contacts/import', { content: CSV, mapping: MAPPING, dryRun: true });
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.data.summary, { total: 2, valid: 1, invalid: 1 });
+    assert.deepStrictEqual(response.data.results[1].errors.map(error => error.column), ['E-mail']);
+    assert.strictEqual((await client.get('/api/sf/contacts?limit=100')).data.totalSize, SEED.contactCount);
+});
+
+test('creates the valid rows and reports each one', async () => {
+    const response = await client.post('/api/sf/contacts/import', { content: CSV, mapping: MAPPING });
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.data.summary, { total: 2, created: 1, invalid: 1 });
+
+    const [created] = response.data.results;
+    assert.strictEqual((await client.get(`/api/sf/contacts/${created.id}`)).data.Email, 'grace.brewster@example.org');
+    assert.match(response.data.report, /^Row,Status,Salesforce Id,Errors,First,Last,E-mail\n1,created,/);
+});
+
+test('reports the batch that failed as unknown and the rows after it as unprocessed', async () => {
+    // Rows go in batches of 200. Salesforce refuses the first, which opens the
+    // circuit, so the second fails without an answer and the third is never sent.
+    const rows = Array.from({ length: 450 }, (value, index) => `Row,Number ${index},row${index}@example.org`);
+    const content = `First,Last,E-mail\n${rows.join('\n')}\n`;
+    const retryless = await startProxy({ instanceUrl: mock.url, env: { SF_RETRY_ATTEMPTS: '1', SF_BREAKER_THRESHOLD: '1' } });
+    const importer = createClient(retryless.url);
+
+    try {
+        await importer.login();
+        await fetch(`${mock.url}/__mock/faults`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ type: 'unavailable', method: 'POST', path: '/composite/sobjects' })
+        });
+
+        const response = await importer.post('/api/sf/contacts/import', { content, mapping: MAPPING });
+
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.data.summary, { total: 450, failed: 200, unknown: 200, unprocessed: 50 });
+        assert.strictEqual(response.data.results[200].status, 'unknown');
+        assert.match(response.data.results[200].errors[0].message, /calls are paused/);
+        assert.strictEqual(response.data.results[400].status, 'unprocessed');
+    } finally {
+        await retryless.stop();
+    }
+});
+
+test('refuses a mapping to a field that is not createable', async () => {
+    const response = await client.post('/api/sf/contacts/import', { content: CSV, mapping: { ...MAPPING, First: 'CreatedDate' } });
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.data.error.code, 'VALIDATION_ERROR');
+});
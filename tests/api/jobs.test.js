@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SEED, startMock, startProxy, createClient } = require('./harness');
+
+let mock;
+let proxy;
+let client;
+
+test.before(async () => {
+    mock = await startMock();
+    proxy = await startProxy({ instanceUrl: mock.url });
+    client = createClient(proxy.url);
+    await client.login();
+});
+
+test.after(async () => {
+    await proxy?.stop();
+    await mock?.stop();
+});
+
+test('refuses Contact jobs that would change records without an audit entry', async () => {
+    for (const operation of ['update', 'upsert', 'delete']) {
+        const response = await client.post(`/api/sf/jobs/ingest?object=contact&operation=${operation}&externalIdField=Id`, [
+            { Id: SEED.adaLovelace, Title: 'Countess' }
+        ]);
+
+        assert.strictEqual(response.status, 400, operation);
+        assert.strictEqual(response.data.error.code, 'VALIDATION_ERROR');
+        assert.match(response.data.error.message, /\/api\/sf\/contacts\/bulk/);
+    }
+
+    assert.strictEqual((await client.get('/api/sf/jobs')).data.jobs.length, 0);
+    assert.strictEqual((await client.get(`/api/sf/contacts/${SEED.adaLovelace}`)).data.Title, 'Head of Analytics');
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SEED, startMock, startProxy, createClient } = require('./harness');
+
+const JOSE_MULLER = '0035g000000000KAAQ';
+
+let mock;
+let proxy;
+let client;
+
+test.before(async () => {
+    mock = await startMock();
+    proxy = await startProxy({ instanceUrl: mock.url });
+    client = createClient(proxy.url);
+    await client.login();
+});
+
+test.beforeEach(() => mock.reset());
+
+test.after(async () => {
+    await proxy?.stop();
+    await mock?.stop();
+});
+
+test('finds the existing contact that shares an email', async () => {
+    const response = await client.post('/api/sf/contacts/duplicates', { LastName: 'King', Email: 'ada.lovelace@globex.example' });
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.data.candidates.map(candidate => candidate.id), [SEED.adaLovelace]);
+});
+
+test('finds a contact by a similar name and the same phone number written differently', async () => {
+    const response = await client.post('/api/sf/contacts/duplicates', { FirstName: 'Grace', LastName: 'Hoper', Phone: '(415) 555-0101' });
+
+    assert.strictEqual(response.status, 200);
+    const [candidate] = response.data.candidates;
+    assert.strictEqual(candidate.record.LastName, 'Hopper');
+    assert.deepStrictEqual(candidate.matchedOn, ['phone', 'name']);
+});
+
+test('previews the fields that differ between the contacts', async () => {
+    const response = await client.post('/api/sf/contacts/merge/preview', { ids: [SEED.adaLovelace, JOSE_MULLER] });
+
+    assert.strictEqual(response.status, 200);
+    const title = response.data.fields.find(field => field.name === 'Title');
+    assert.deepStrictEqual(title.values, ['Head of Analytics', 'Einkaufsleiter']);
+});
+
+test('merges into the master, keeping the chosen values', async () => {
+    const response = await client.post('/api/sf/contacts/merge', {
+        masterId: SEED.adaLovelace,
+        mergeIds: [JOSE_MULLER],
+        winners: { Title: JOSE_MULLER }
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.data.mergedIds, [JOSE_MULLER]);
+    assert.strictEqual((await client.get(`/api/sf/contacts/${SEED.adaLovelace}`)).data.Title, 'Einkaufsleiter');
+    assert.strictEqual((await client.get(`/api/sf/contacts/${JOSE_MULLER}`)).status, 410);
+});
+
+test('refuses a winner that is not one of the merged contacts', async () => {
+    const response = await client.post('/api/sf/contacts/merge', {
+        masterId: SEED.adaLovelace,
+        mergeIds: [JOSE_MULLER],
+        winners: { Title: SEED.kenjiNakamura }
+    });
+
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(response.data.error.details.fields.map(field => field.field), ['Title']);
+    assert.strictEqual((await client.get(`/api/sf/contacts/${JOSE_MULLER}`)).status, 200);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SEED, startMock, startProxy, createClient, readAllPages } = require('./harness');
+
+let mock;
+let proxy;
+let client;
+
+test.before(async () => {
+    mock = await startMock();
+    proxy = await startProxy({ instanceUrl: mock.url });
+    client = createClient(proxy.url);
+    await client.login();
+});
+
+test.after(async () => {
+    await proxy?.stop();
+    await mock?.stop();
+});
+
+function ids(pages) {
+    return pages.flatMap(page => page.records.map(record => record.Id));
+}
+
+test('walks every contact once by keyset cursor', async () => {
+    const pages = await readAllPages(client, '/api/sf/contacts?limit=5');
+
+    assert.deepStrictEqual(pages.map(page => page.records.length), [5, 5, 2]);
+    assert.strictEqual(new Set(ids(pages)).size, SEED.contactCount);
+    assert.strictEqual(pages[0].totalSize, SEED.contactCount);
+    assert.strictEqual(pages[pages.length - 1].done, true);
+});
+
+test('keeps limit-sized pages when following the query locator', async () => {
+    // Picklists can't be compared in SOQL, so this sort pages by query locator
+    const pages = await readAllPages(client, '/api/sf/sobjects/Contact?fields=Id,LastName&orderBy=LeadSource&limit=5');
+
+    assert.deepStrictEqual(pages.map(page => page.records.length), [5, 5, 2]);
+    assert.strictEqual(new Set(ids(pages)).size, SEED.contactCount);
+});
+
+test('pages through many equal sort values across query batches without repeats', async () => {
+    // 230 contacts share one LeadSource, so only the Id tiebreaker orders them,
+    // and the result spans two query batches of 200
+    const records = Array.from({ length: 230 }, (value, index) => ({ LastName: `Tied ${index}`, LeadSource: 'Purchased List' }));
+    const created = await client.post('/api/sf/contacts/bulk', { operation: 'create', records });
+    assert.strictEqual(created.status, 200);
+
+    try {
+        for (const limit of [7, 60]) {
+            const pages = await readAllPages(client, `/api/sf/sobjects/Contact?fields=Id&orderBy=LeadSource&order=ASC&limit=${limit}`);
+            const seen = ids(pages);
+
+            assert.strictEqual(seen.length, SEED.contactCount + records.length);
+            assert.strictEqual(new Set(seen).size, seen.length);
+            assert.ok(pages.slice(0, -1).every(page => page.records.length === limit));
+
+            // The next page starts from a query locator at its first row rather than re-running the query
+            const cursor = JSON.parse(Buffer.from(pages[0].nextCursor.split('.')[0], 'base64url').toString());
+            assert.match(cursor.locator, new RegExp(`-${limit}$`));
+        }
+    } finally {
+        await mock.reset();
+    }
+});
+
+test('refuses a cursor that was tampered with', async () => {
+    const { data } = await client.get('/api/sf/contacts?limit=5');
+    const [payload, signature] = data.nextCursor.split('.');
+    const state = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const forged = Buffer.from(JSON.stringify({ ...state, limit: 200 })).toString('base64url');
+
+    const response = await client.get(`/api/sf/contacts?cursor=${forged}.${signature}`);
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.data.error.message, 'Invalid cursor');
+});
+
+test('refuses a cursor for another object', async () => {
+    const { data } = await client.get('/api/sf/sobjects/Account?limit=2');
+
+    const response = await client.get(`/api/sf/sobjects/Contact?cursor=${encodeURIComponent(data.nextCursor)}`);
+    assert.strictEqual(response.status, 400);
+    assert.match(response.data.error.message, /Cursor is for Account records/);
+});
+
+test('refuses offset paging', async () => {
+    const response = await client.get('/api/sf/contacts?limit=5&offset=5');
+
+    assert.strictEqual(response.status, 400);
+    assert.match(response.data.error.message, /offset is not supported/);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMock, startProxy, createClient, readAllPages } = require('./harness');
+
+let mock;
+let proxy;
+let client;
+
+test.before(async () => {
+    mock = await startMock();
+    proxy = await startProxy({ instanceUrl: mock.url });
+    client = createClient(proxy.url);
+    await client.login();
+});
+
+test.after(async () => {
+    await proxy?.stop();
+    await mock?.stop();
+});
+
+test('filters on more registered contacts than one query can list', async () => {
+    // Without SF_PROVENANCE_FIELD the registry's Ids are queried 300 at a time
+    const records = Array.from({ length: 320 }, (value, index) => ({ LastName: `Registered ${index}` }));
+    const created = await client.post('/api/sf/contacts/bulk', { operation: 'create', records });
+    assert.strictEqual(created.status, 200);
+    const createdIds = created.data.results.map(result => result.id).sort();
+
+    try {
+        const pages = await readAllPages(client, '/api/sf/contacts?appCreatedOnly=true&limit=70');
+        const seen = pages.flatMap(page => page.records.map(record => record.Id));
+
+        assert.strictEqual(pages[0].totalSize, records.length);
+        assert.deepStrictEqual([...seen].sort(), createdIds);
+        assert.ok(pages.slice(0, -1).every(page => page.records.length === 70));
+
+        const exported = await client.get('/api/sf/contacts/export?format=jsonl&fields=Id&touchedByApp=true');
+        assert.strictEqual(exported.status, 200);
+        const lines = exported.data.trim().split('\n').map(line => JSON.parse(line).Id);
+        assert.deepStrictEqual(lines.sort(), createdIds);
+    } finally {
+        await mock.reset();
+    }
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SEED, startMock, startProxy, createClient } = require('./harness');
+
+let mock;
+let proxy;
+let client;
+
+test.before(async () => {
+    mock = await startMock();
+    proxy = await startProxy({ instanceUrl: mock.url });
+    client = createClient(proxy.url);
+    await client.login();
+});
+
+test.beforeEach(() => mock.reset());
+
+test.after(async () => {
+    await proxy?.stop();
+    await mock?.stop();
+});
+
+test('lists a deleted contact in the recycle bin and restores it', async () => {
+    assert.strictEqual((await client.delete(`/api/sf/contacts/${SEED.kenjiNakamura}`)).status, 204);
+
+    const deleted = await client.get('/api/sf/contacts/deleted');
+    assert.deepStrictEqual(deleted.data.records.map(record => record.Id), [SEED.kenjiNakamura]);
+
+    const restored = await client.post(`/api/sf/contacts/${SEED.kenjiNakamura}/restore`);
+    assert.strictEqual(restored.status, 200);
+    assert.strictEqual(restored.data.success, true);
+
+    assert.strictEqual((await client.get(`/api/sf/contacts/${SEED.kenjiNakamura}`)).status, 200);
+    assert.strictEqual((await client.get('/api/sf/contacts/deleted')).data.records.length, 0);
+});
+
+test('restores several contacts and reports each one', async () => {
+    await client.delete(`/api/sf/contacts/${SEED.kenjiNakamura}`);
+
+    const response = await client.post('/api/sf/contacts/restore', { ids: [SEED.kenjiNakamura, SEED.adaLovelace] });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.data.hasErrors, true);
+    assert.deepStrictEqual(response.data.summary, { total: 2, successful: 1, failed: 1 });
+    assert.strictEqual(response.data.results.find(result => result.id === SEED.adaLovelace).success, false);
+});
+
+test('refuses to restore a record that is not a contact', async () => {
+    const response = await client.post(`/api/sf/contacts/${SEED.account}/restore`);
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.data.error.code, 'VALIDATION_ERROR');
+    assert.match(response.data.error.message, /is not a Contact/);
+});
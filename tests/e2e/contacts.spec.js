@@ -0,0 +1,77 @@
+const { test, expect } = require('@playwright/test');
+const { resetMock, login, openContactList, openContact } = require('./helpers');
+
+test.beforeEach(async ({ page, request }) => {
+    await resetMock(request);
+    await login(page);
+});
+
+test('lists the seeded contacts, most recently modified first', async ({ page }) => {
+    await openContactList(page);
+
+    const items = page.locator('#contactsList .contact-item');
+    await expect(items).toHaveCount(12);
+    await expect(items.first()).toContainText('José Müller');
+    await expect(page.locator('#contactsList')).toContainText('grace.hopper@acme.example');
+});
+
+test('creates a contact and shows it at the top of the list', async ({ page }) => {
+    await page.click('#createTab');
+    await page.fill('#create_FirstName', 'Edsger');
+    await page.fill('#create_LastName', 'Dijkstra');
+    await page.fill('#create_Email', 'edsger@example.nl');
+    await page.click('#createContactBtn');
+
+    await expect(page.locator('#results')).toContainText('Contact created successfully!');
+    await expect(page.locator('#contactsList .contact-item').first()).toContainText('Edsger Dijkstra');
+});
+
+test('offers the existing contact when a new one has its email', async ({ page }) => {
+    await page.click('#createTab');
+    await page.fill('#create_FirstName', 'Augusta');
+    await page.fill('#create_LastName', 'King');
+    await page.fill('#create_Email', 'ada.lovelace@globex.example');
+    await page.click('#createContactBtn');
+
+    const candidates = page.locator('#duplicateCandidates');
+    await expect(candidates).toBeVisible();
+    await expect(candidates.locator('.contact-item')).toHaveCount(1);
+    await expect(candidates).toContainText('Ada Lovelace');
+});
+
+test('searches contacts by name', async ({ page }) => {
+    await page.click('#searchTab');
+    await page.fill('#searchQuery', 'Lovelace');
+    await page.click('#searchContactsBtn');
+
+    const results = page.locator('#searchResults .contact-item');
+    await expect(results).toHaveCount(1);
+    await expect(results).toContainText('Ada Lovelace');
+});
+
+test('edits a contact and shows the change in its history', async ({ page }) => {
+    await openContact(page, 'Grace Hopper');
+    await page.fill('#edit_Title', 'Rear Admiral');
+    await page.click('#updateContactBtn');
+
+    await expect(page.locator('#results')).toContainText('Contact updated successfully!');
+    await expect(page.locator('#contactsList .contact-item').first()).toContainText('Rear Admiral');
+
+    await openContact(page, 'Grace Hopper');
+    const history = page.locator('#recordHistory');
+    await expect(history).toContainText('update');
+    await expect(history).toContainText('Chief Engineer → Rear Admiral');
+});
+
+test('deletes a contact and brings it back with undo', async ({ page }) => {
+    await openContact(page, 'Alan Turing');
+    page.once('dialog', dialog => dialog.accept());
+    await page.click('#deleteContactBtn');
+
+    await expect(page.locator('#results')).toContainText('deleted successfully!');
+    await expect(page.locator('#contactsList')).not.toContainText('Alan Turing');
+
+    await page.click('#undoToastBtn');
+    await expect(page.locator('#results')).toContainText('♻️ Restored 1 of 1 contact(s)');
+    await expect(page.locator('#contactsList')).toContainText('Alan Turing');
+});
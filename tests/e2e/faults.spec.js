@@ -0,0 +1,53 @@
+const { test, expect } = require('@playwright/test');
+const { resetMock, injectFault, login, openContactList } = require('./helpers');
+
+test.beforeEach(async ({ page, request }) => {
+    await resetMock(request);
+    await login(page);
+});
+
+test('refreshes an expired session without the user noticing', async ({ page, request }) => {
+    const { expired } = await injectFault(request, { type: 'session-expired' });
+    expect(expired).toBeGreaterThan(0);
+
+    await openContactList(page);
+    await expect(page.locator('#contactsList .contact-item')).toHaveCount(12);
+    await expect(page.locator('#connectionStatus')).toContainText('Connected');
+});
+
+test('rides out a brief Salesforce outage', async ({ page, request }) => {
+    await injectFault(request, { type: 'unavailable', times: 2, path: '/query' });
+
+    await openContactList(page);
+    await expect(page.locator('#contactsList .contact-item')).toHaveCount(12);
+});
+
+test('reports an outage that lasts longer than the retries', async ({ page, request }) => {
+    await injectFault(request, { type: 'unavailable', times: 3, path: '/query' });
+
+    await page.click('#listTab');
+    await expect(page.locator('#contactsList')).toContainText('Error loading contacts');
+    await expect(page.locator('#contactsList')).toContainText('temporarily unavailable');
+
+    // Once Salesforce is back the list loads again
+    await page.click('#loadContactsBtn');
+    await expect(page.locator('#contactsList .contact-item')).toHaveCount(12);
+});
+
+test('shows a validation rule error next to its field', async ({ page, request }) => {
+    await injectFault(request, {
+        type: 'validation',
+        sobject: 'Contact',
+        field: 'Title',
+        message: 'Title must not be left as "TBD"'
+    });
+
+    await page.click('#createTab');
+    await page.fill('#create_LastName', 'Placeholder');
+    await page.fill('#create_Title', 'TBD');
+    await page.click('#createContactBtn');
+
+    await expect(page.locator('#createFormFields .form-group.has-error .field-error'))
+        .toHaveText('Title must not be left as "TBD"');
+    await expect(page.locator('#results')).toContainText('Create Contact failed');
+});
@@ -0,0 +1,65 @@
+// =============================================================================
+// E2E Helpers - logging in and steering the mock org
+// =============================================================================
+
+const { expect } = require('@playwright/test');
+
+const MOCK_URL = 'http://localhost:4010';
+const MOCK_USER = {
+    username: 'admin@mock.example',
+    password: 'mock-password'
+};
+
+// Back to the seeded org with no faults armed
+async function resetMock(request) {
+    const response = await request.post(`${MOCK_URL}/__mock/reset`);
+    expect(response.ok()).toBeTruthy();
+}
+
+// Arm a fault (see mock-salesforce/faults.js), or expire every session
+async function injectFault(request, fault) {
+    const response = await request.post(`${MOCK_URL}/__mock/faults`, { data: fault });
+    expect(response.ok()).toBeTruthy();
+    return response.json();
+}
+
+// Click through the web server flow on the mock's login page
+async function submitLogin(page, { username = MOCK_USER.username, password = MOCK_USER.password } = {}) {
+    await page.goto('/');
+    await page.click('#oauthLoginBtn');
+    await page.waitForURL(`${MOCK_URL}/services/oauth2/authorize**`);
+    await page.fill('#username', username);
+    await page.fill('#password', password);
+    await page.click('#Login');
+}
+
+async function login(page, credentials) {
+    await submitLogin(page, credentials);
+    await expect(page.locator('#connectionStatus')).toContainText('Connected');
+    await expect(page.locator('#contactManagement')).toBeVisible();
+    // Connecting switches to the create tab once its form is built
+    await expect(page.locator('#create_LastName')).toBeVisible();
+}
+
+// The list tab loads the contacts when it is opened
+async function openContactList(page) {
+    await page.click('#listTab');
+    await expect(page.locator('#contactsList .contact-item').first()).toBeVisible();
+}
+
+async function openContact(page, name) {
+    await openContactList(page);
+    await page.locator('#contactsList .contact-item', { hasText: name }).click();
+    await expect(page.locator('#editContactTitle')).toHaveText(`Edit: ${name}`);
+}
+
+module.exports = {
+    MOCK_URL,
+    MOCK_USER,
+    resetMock,
+    injectFault,
+    submitLogin,
+    login,
+    openContactList,
+    openContact
+};
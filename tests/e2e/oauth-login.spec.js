@@ -0,0 +1,51 @@
+const { test, expect } = require('@playwright/test');
+const { MOCK_URL, resetMock, submitLogin, login } = require('./helpers');
+
+test.beforeEach(async ({ request }) => {
+    await resetMock(request);
+});
+
+test('logs in through the Salesforce login page and returns connected', async ({ page }) => {
+    await login(page);
+
+    await expect(page).toHaveURL(/localhost:3100\/$/);
+    await expect(page.locator('#results')).toContainText('OAuth authentication successful');
+    await expect(page.locator('#logoutBtn')).toBeEnabled();
+});
+
+test('keeps the user on the login page after a wrong password', async ({ page }) => {
+    await submitLogin(page, { password: 'not-the-password' });
+
+    await expect(page).toHaveURL(new RegExp(`^${MOCK_URL}/services/oauth2/authorize`));
+    await expect(page.locator('#error')).toContainText('check your username and password');
+});
+
+test('reports a denied login and stays disconnected', async ({ page }) => {
+    await page.goto('/');
+    await page.click('#oauthLoginBtn');
+    await page.waitForURL(`${MOCK_URL}/services/oauth2/authorize**`);
+    await page.click('#Deny');
+
+    await expect(page.locator('#results')).toContainText('access_denied');
+    await expect(page.locator('#connectionStatus')).toContainText('Disconnected');
+    await expect(page.locator('#contactManagement')).toBeHidden();
+});
+
+test('refreshes the access token on request', async ({ page }) => {
+    await login(page);
+    await page.click('#refreshTokenBtn');
+
+    await expect(page.locator('#results')).toContainText('Token refreshed successfully');
+});
+
+test('logs out', async ({ page }) => {
+    await login(page);
+    await page.click('#logoutBtn');
+
+    await expect(page.locator('#connectionStatus')).toContainText('Disconnected');
+    await expect(page.locator('#contactManagement')).toBeHidden();
+
+    // The session stays logged out after a reload
+    await page.reload();
+    await expect(page.locator('#connectionStatus')).toContainText('Disconnected');
+});
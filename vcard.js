@@ -0,0 +1,258 @@
+// =============================================================================
+// vCard parsing - contacts exported from phones, Outlook, Google and Apple
+// =============================================================================
+//
+// Reads vCard 2.1, 3.0 and 4.0 files (one or many cards) into flat rows with
+// readable column names such as "Last Name" or "Mobile Phone", so they can be
+// mapped to Salesforce fields the same way as CSV columns. Contacts are
+// written back out as vCard 3.0.
+
+const PHONE_COLUMNS = [
+    ['cell', 'Mobile Phone'],
+    ['fax', 'Fax'],
+    ['home', 'Home Phone'],
+    ['work', 'Phone'],
+    ['voice', 'Phone']
+];
+
+// Join folded lines: a line break followed by a space or tab continues the line
+function unfold(text) {
+    return String(text).replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '');
+}
+
+// vCard 2.1 quoted-printable values end a line with = when they continue
+function joinSoftBreaks(lines) {
+    const joined = [];
+    lines.forEach(line => {
+        const previous = joined[joined.length - 1];
+        if (previous !== undefined && /ENCODING=QUOTED-PRINTABLE/i.test(previous.split(':')[0]) && previous.endsWith('=')) {
+            joined[joined.length - 1] = previous.slice(0, -1) + line;
+        } else {
+            joined.push(line);
+        }
+    });
+    return joined;
+}
+
+function decodeQuotedPrintable(value) {
+    const bytes = [];
+    for (let index = 0; index < value.length; index++) {
+        const hex = value.slice(index + 1, index + 3);
+        if (value[index] === '=' && /^[0-9A-F]{2}$/i.test(hex)) {
+            bytes.push(parseInt(hex, 16));
+            index += 2;
+        } else {
+            bytes.push(...Buffer.from(value[index]));
+        }
+    }
+    return Buffer.from(bytes).toString('utf8');
+}
+
+// Split a structured value (N, ADR) on unescaped semicolons and unescape it
+function splitComponents(value) {
+    return value.split(/(?<!\\);/).map(part => part
+        .replace(/\\n/gi, '\n')
+        .replace(/\\([,;\\])/g, '$1')
+        .trim());
+}
+
+// NAME;TYPE=work;TYPE=voice:value (with an optional group. prefix)
+function parseLine(line) {
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+        return null;
+    }
+
+    const [name, ...params] = line.slice(0, separator).split(';');
+    const types = [];
+    let encoding = null;
+
+    params.forEach(param => {
+        const [key, value] = param.includes('=') ? param.split('=') : ['TYPE', param];
+        if (key.toUpperCase() === 'TYPE') {
+            types.push(...value.replace(/"/g, '').toLowerCase().split(','));
+        } else if (key.toUpperCase() === 'ENCODING') {
+            encoding = value.toUpperCase();
+        }
+    });
+
+    let value = line.slice(separator + 1);
+    if (encoding === 'QUOTED-PRINTABLE') {
+        value = decodeQuotedPrintable(value);
+    }
+
+    return { name: name.replace(/^.*\./, '').toUpperCase(), types, value };
+}
+
+// Set a column, moving on to "Email 2", "Email 3"... when it is already taken
+function setColumn(row, column, value) {
+    if (!value) {
+        return;
+    }
+
+    let name = column;
+    for (let count = 2; row[name] !== undefined; count++) {
+        name = `${column} ${count}`;
+    }
+    row[name] = value;
+}
+
+function cardToRow(lines) {
+    const row = {};
+
+    lines.map(parseLine).filter(Boolean).forEach(({ name, types, value }) => {
+        const text = splitComponents(value).join(' ').trim();
+
+        switch (name) {
+            case 'N': {
+                const [last, first, middle, prefix, suffix] = splitComponents(value);
+                setColumn(row, 'Last Name', last);
+                setColumn(row, 'First Name', first);
+                setColumn(row, 'Middle Name', middle);
+                setColumn(row, 'Salutation', prefix);
+                setColumn(row, 'Suffix', suffix);
+                break;
+            }
+            case 'FN':
+                setColumn(row, 'Full Name', text);
+                break;
+            case 'EMAIL':
+                setColumn(row, 'Email', text);
+                break;
+            case 'TEL': {
+                const match = PHONE_COLUMNS.find(([type]) => types.includes(type));
+                setColumn(row, match ? match[1] : 'Phone', text);
+                break;
+            }
+            case 'ORG': {
+                const [organization, department] = splitComponents(value);
+                setColumn(row, 'Organization', organization);
+                setColumn(row, 'Department', department);
+                break;
+            }
+            case 'TITLE':
+                setColumn(row, 'Title', text);
+                break;
+            case 'ADR': {
+                // PO box; extended address; street; city; region; postal code; country
+                const [poBox, extended, street, city, region, postalCode, country] = splitComponents(value);
+                const prefix = types.includes('home') ? 'Home ' : '';
+                setColumn(row, `${prefix}Street`, [poBox, extended, street].filter(Boolean).join('\n'));
+                setColumn(row, `${prefix}City`, city);
+                setColumn(row, `${prefix}State`, region);
+                setColumn(row, `${prefix}Postal Code`, postalCode);
+                setColumn(row, `${prefix}Country`, country);
+                break;
+            }
+            case 'BDAY':
+                setColumn(row, 'Birthdate', value.trim());
+                break;
+            case 'NOTE':
+                setColumn(row, 'Note', splitComponents(value).join(';'));
+                break;
+            case 'URL':
+                setColumn(row, 'Website', value.trim());
+                break;
+            default:
+                break;
+        }
+    });
+
+    // Cards with only a formatted name still need a last name
+    if (!row['Last Name'] && row['Full Name']) {
+        const parts = row['Full Name'].split(/\s+/);
+        row['Last Name'] = parts.pop();
+        if (parts.length > 0 && !row['First Name']) {
+            row['First Name'] = parts.join(' ');
+        }
+    }
+
+    return row;
+}
+
+function isVCard(text) {
+    return /^\uFEFF?\s*BEGIN:VCARD/i.test(String(text));
+}
+
+// Parse every card in the text into { columns, rows }
+function parseVCards(text) {
+    const lines = joinSoftBreaks(unfold(text).split(/\r?\n/));
+    const rows = [];
+    let card = null;
+
+    lines.forEach(line => {
+        if (/^BEGIN:VCARD$/i.test(line.trim())) {
+            card = [];
+        } else if (/^END:VCARD$/i.test(line.trim())) {
+            if (card) {
+                rows.push(cardToRow(card));
+            }
+            card = null;
+        } else if (card && line.trim()) {
+            card.push(line);
+        }
+    });
+
+    const columns = [];
+    rows.forEach(row => Object.keys(row).forEach(column => {
+        if (!columns.includes(column)) {
+            columns.push(column);
+        }
+    }));
+
+    return { columns, rows };
+}
+
+// Escape text for a vCard value; structured values escape ; inside components
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\r?\n/g, '\\n')
+        .replace(/[,;]/g, '\\$&');
+}
+
+// Lines longer than 75 characters are folded onto continuation lines
+function foldLine(line) {
+    const parts = [line.slice(0, 75)];
+    for (let index = 75; index < line.length; index += 74) {
+        parts.push(` ${line.slice(index, index + 74)}`);
+    }
+    return parts.join('\r\n');
+}
+
+// One vCard for a Contact record; fields the record doesn't have are left out
+function contactToVCard(record) {
+    const lines = ['BEGIN:VCARD', 'VERSION:3.0'];
+    const add = (property, ...components) => {
+        if (components.some(value => value !== null && value !== undefined && value !== '')) {
+            lines.push(`${property}:${components.map(value => escapeText(value ?? '')).join(';')}`);
+        }
+    };
+
+    const fullName = record.Name || [record.FirstName, record.LastName].filter(Boolean).join(' ');
+    lines.push(`N:${[record.LastName, record.FirstName, record.MiddleName, record.Salutation, record.Suffix]
+        .map(value => escapeText(value ?? '')).join(';')}`);
+    lines.push(`FN:${escapeText(fullName)}`);
+    add('ORG', '', record.Department);
+    add('TITLE', record.Title);
+    add('EMAIL;TYPE=INTERNET', record.Email);
+    add('TEL;TYPE=WORK,VOICE', record.Phone);
+    add('TEL;TYPE=CELL', record.MobilePhone);
+    add('TEL;TYPE=HOME', record.HomePhone);
+    add('TEL;TYPE=FAX', record.Fax);
+    add('ADR;TYPE=WORK', '', '', record.MailingStreet, record.MailingCity, record.MailingState, record.MailingPostalCode, record.MailingCountry);
+    add('ADR;TYPE=HOME', '', '', record.OtherStreet, record.OtherCity, record.OtherState, record.OtherPostalCode, record.OtherCountry);
+    add('BDAY', record.Birthdate);
+    add('NOTE', record.Description);
+    add('UID', record.Id);
+    add('REV', record.LastModifiedDate);
+    lines.push('END:VCARD');
+
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    isVCard,
+    parseVCards,
+    contactToVCard
+};